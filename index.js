@@ -17,14 +17,15 @@ logger.setupLogger();
 const app = express();
 const router = express.Router();
 
-// Use router for all your routes, then mount it
-app.use('/gads', router);
 const PORT = process.env.PORT || 8080;
 
-// Middleware
+// Middleware - body parsers must run before the router, or req.body is undefined under /gads
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Use router for all your routes, then mount it
+app.use('/gads', router);
+
 // Request logging
 app.use((req, res, next) => {
   console.log(`${req.method} ${req.path} - ${req.ip}`);
@@ -53,10 +54,21 @@ googleOAuth.setCredentials({
 });
 
 // Google Ads API Client initialization
-async function initializeGoogleAdsClient() {
+async function initializeGoogleAdsClient(accountId = null) {
   try {
     console.log('🔧 Initializing Google Ads client...');
     
+    // GADS_FIXTURES=replay - no credentials or network, queries are served from recorded fixtures
+    const googleAdsFixtures = require('./scripts/google/fixtures');
+    const fixtureMode = googleAdsFixtures.getMode();
+    
+    if (fixtureMode === googleAdsFixtures.MODES.REPLAY) {
+      const googleAdsAccounts = require('./scripts/google/accounts');
+      const customerId = googleAdsAccounts.normalizeAccountId(accountId) || googleAdsAccounts.getDefaultAccountId();
+      console.log(`   📼 Replaying fixtures for ${customerId} from ${googleAdsFixtures.getFixtureDir()}`);
+      return googleAdsFixtures.createReplayCustomer(customerId, googleAdsAccounts.getManagerId() || undefined);
+    }
+    
     // Check required environment variables
     const requiredVars = ['CLIENT_ID', 'CLIENT_SECRET', 'GAdsAPI', 'GOOGLE_REFRESH_TOKEN', 'GADS_TEST_ID'];
     const missing = requiredVars.filter(v => !process.env[v]);
@@ -70,12 +82,13 @@ async function initializeGoogleAdsClient() {
     //const customerId = process.env.GADS_TEST_ID.replace(/-/g, '');
     //const managerId = process.env.GADS_TEST_MCC_ID ? process.env.GADS_TEST_MCC_ID.replace(/-/g, '') : undefined;
 
-    // LIVE GOOGLE AD ACCOUNT - Clean up customer ID (remove hyphens if present)
-    const customerId = process.env.GADS_LIVE_ID.replace(/-/g, '');
-    const managerId = process.env.GADS_LIVE_MCC_ID ? process.env.GADS_LIVE_MCC_ID.replace(/-/g, '') : undefined;
+    // LIVE GOOGLE AD ACCOUNT - ?account= picks a client account under the MCC, default GADS_LIVE_ID
+    const googleAdsAccounts = require('./scripts/google/accounts');
+    const customerId = googleAdsAccounts.normalizeAccountId(accountId) || googleAdsAccounts.getDefaultAccountId();
+    const managerId = googleAdsAccounts.getManagerId() || undefined;
     
     console.log('   📊 Creating customer instance...');
-      console.log(`      Customer ID: ${customerId} (LIVE ACCOUNT)`);
+      console.log(`      Customer ID: ${customerId} (${accountId ? 'SELECTED' : 'LIVE'} ACCOUNT)`);
       if (managerId) {
         console.log(`      Manager ID: ${managerId} (LIVE MCC)`);
       }
@@ -100,7 +113,18 @@ async function initializeGoogleAdsClient() {
     }
     
     console.log('   ✅ Google Ads customer initialized successfully');
-    return customer;
+    
+    // Every query counts against the daily budget and retries transient errors
+    const apiQuota = require('./scripts/google/api-quota');
+    const quotaCustomer = apiQuota.wrapCustomer(customer, getDbConnection);
+    
+    // GADS_FIXTURES=record - also save every query result for offline replay
+    if (fixtureMode === googleAdsFixtures.MODES.RECORD) {
+      console.log(`   📼 Recording fixtures to ${googleAdsFixtures.getFixtureDir()}`);
+      return googleAdsFixtures.createRecordingCustomer(quotaCustomer);
+    }
+    
+    return quotaCustomer;
     
   } catch (error) {
     console.error('❌ Failed to initialize Google Ads client:', error.message);
@@ -133,6 +157,20 @@ const hubspotSync = require('./scripts/hubspot/hubspot-sync');
 const hubspotTest = require('./scripts/hubspot/hubspot-test');
 const googleAdsTest = require('./scripts/google/gads-test');
 const countryLoader = require('./scripts/country/load-countries');
+const fxRates = require('./scripts/currency/fx-rates');
+
+// ?account= is parsed once for every route: req.accountId is the normalized ID (null when
+// omitted or 'all'), an invalid value is a 400 instead of a failed client further down
+router.use((req, res, next) => {
+  const googleAdsAccounts = require('./scripts/google/accounts');
+  const account = req.query.account;
+  try {
+    req.accountId = account === 'all' ? null : googleAdsAccounts.normalizeAccountId(account);
+    next();
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
 
 
 // =============================================================================//
@@ -172,7 +210,7 @@ router.get('/', (req, res) => {
     <p><a href="/gads/google-ads/test">Test Connection</a> | <a href="/gads/google-ads/campaigns">Campaigns</a> | <a href="/gads/google-ads/budget">Budget Monitor</a></p>
     
 <h2>📈 Analytics & Reports</h2>
-<p><a href="/gads/dashboard">📊 Google Ads Dashboard</a> | <a href="/gads/analytics/territory">Territory Analysis</a> | <a href="/gads/analytics/pipeline">Pipeline Performance</a> | <a href="/gads/analytics/budget">Budget Tracking</a></p>
+<p><a href="/gads/dashboard">📊 Google Ads Dashboard</a> | <a href="/gads/analytics/territory">Territory Analysis</a> | <a href="/gads/analytics/pipeline">Pipeline Performance</a> | <a href="/gads/analytics/budget">Budget Tracking</a> | <a href="/gads/analytics/pacing">Budget Pacing</a> | <a href="/gads/analytics/heatmap">Hour-of-Day Heatmap</a> | <a href="/gads/analytics/segments">Device &amp; Network</a></p>
     
     <h2>🛠️ Admin Tools</h2>
     <p><a href="/gads/admin/load-countries">Load Country Data</a> | <a href="/gads/setup/oauth">OAuth Setup (One-time)</a></p>
@@ -474,30 +512,22 @@ router.get('/hubspot/sync', async (req, res) => {
       description = 'Default sync (last 30 days)';
     }
     
-    console.log(`🔄 Starting HubSpot sync: ${description}`);
+    console.log(`🔄 Queueing HubSpot sync: ${description}`);
+    
+    // Runs as a background job (schema-aware sync) - poll GET /jobs/:id for progress
+    const jobRunner = require('./scripts/jobs/job-runner');
+    const job = await jobRunner.enqueueJob(getDbConnection, 'hubspot-sync', syncOptions);
     
-    // Return immediately, run sync in background
     res.json({
       success: true,
       service: 'HubSpot',
       message: description,
-      status: 'running',
+      job_id: job.job_id,
+      status: job.status,
       options: syncOptions,
       timestamp: new Date().toISOString()
     });
     
-    // Run sync with authenticated clients in background
-    (async () => {
-      try {
-        // IMPORTANT: Pass syncOptions object, not just a number!
-// Should call the schema-aware function
-const result = await hubspotSync.runSyncWithSchemaCheck(hubspotClient, getDbConnection, syncOptions);
-        console.log(`✅ HubSpot sync completed:`, result);
-      } catch (error) {
-        console.error('❌ Background sync failed:', error.message);
-      }
-    })();
-    
   } catch (error) {
     console.error('❌ HubSpot sync failed:', error.message);
     res.status(500).json({
@@ -566,7 +596,7 @@ router.get('/google-ads/test', async (req, res) => {
   try {
     console.log('🔄 Testing Google Ads connection...');
     
-    const customer = await initializeGoogleAdsClient();
+    const customer = await initializeGoogleAdsClient(req.accountId);
     
     if (!customer) {
       throw new Error('Failed to initialize Google Ads client');
@@ -607,27 +637,39 @@ router.get('/google-ads/test', async (req, res) => {
 
 // Google Ads Sync Routes - NO BUSINESS LOGIC!
 router.post('/google-ads/sync/full', async (req, res) => {
-  const customer = await initializeGoogleAdsClient();
   const gadsSync = require('./scripts/google/gads-sync');
+  if (req.query.account === 'all') {
+    return gadsSync.handleAllAccountsSync(req, res, 'full', initializeGoogleAdsClient, getDbConnection);
+  }
+  const customer = await initializeGoogleAdsClient(req.accountId);
   await gadsSync.handleFullSync(req, res, customer, getDbConnection);
 });
 
 router.post('/google-ads/sync/incremental', async (req, res) => {
-  const customer = await initializeGoogleAdsClient();
   const gadsSync = require('./scripts/google/gads-sync');
+  if (req.query.account === 'all') {
+    return gadsSync.handleAllAccountsSync(req, res, 'incremental', initializeGoogleAdsClient, getDbConnection);
+  }
+  const customer = await initializeGoogleAdsClient(req.accountId);
   await gadsSync.handleIncrementalSync(req, res, customer, getDbConnection);
 });
 
 // Google Ads Sync Incremental - date Range parameters
 router.post('/google-ads/sync/backfill', async (req, res) => {
-  const customer = await initializeGoogleAdsClient();
   const gadsSync = require('./scripts/google/gads-sync');
+  if (req.query.account === 'all') {
+    return gadsSync.handleAllAccountsSync(req, res, 'backfill', initializeGoogleAdsClient, getDbConnection);
+  }
+  const customer = await initializeGoogleAdsClient(req.accountId);
   await gadsSync.handleDateRangeBackfill(req, res, customer, getDbConnection);
 });
 
 router.post('/google-ads/sync/campaigns', async (req, res) => {
-  const customer = await initializeGoogleAdsClient();
   const gadsSync = require('./scripts/google/gads-sync');
+  if (req.query.account === 'all') {
+    return gadsSync.handleAllAccountsSync(req, res, 'campaigns-only', initializeGoogleAdsClient, getDbConnection);
+  }
+  const customer = await initializeGoogleAdsClient(req.accountId);
   await gadsSync.handleCampaignsSync(req, res, customer, getDbConnection);
 });
 
@@ -636,12 +678,31 @@ router.get('/google-ads/sync/status', async (req, res) => {
   await gadsSync.handleSyncStatus(req, res, getDbConnection);
 });
 
+// Account registry - client accounts under the MCC (?all=true includes inactive)
+router.get('/google-ads/accounts', async (req, res) => {
+  const googleAdsAccounts = require('./scripts/google/accounts');
+  await googleAdsAccounts.handleListAccounts(req, res, getDbConnection);
+});
+
+router.post('/google-ads/accounts/discover', async (req, res) => {
+  const googleAdsAccounts = require('./scripts/google/accounts');
+  const managerCustomer = await initializeGoogleAdsClient(googleAdsAccounts.getManagerId());
+  await googleAdsAccounts.handleDiscoverAccounts(req, res, managerCustomer, getDbConnection);
+});
+
+// Offline conversions - closed-won HubSpot deals back to Google Ads (?dry_run=true to preview)
+router.post('/google-ads/conversions/upload', async (req, res) => {
+  const customer = await initializeGoogleAdsClient(req.accountId);
+  const conversions = require('./scripts/google/conversions');
+  await conversions.handleConversionUpload(req, res, customer, getDbConnection);
+});
+
 // Legacy Campaigns Route - Refactored to use campaign.js module
 router.get('/google-ads/campaigns', async (req, res) => {
   try {
     console.log('🔄 Fetching Google Ads campaigns (legacy endpoint)...');
     
-    const customer = await initializeGoogleAdsClient();
+    const customer = await initializeGoogleAdsClient(req.accountId);
     if (!customer) {
       throw new Error('Failed to initialize Google Ads client');
     }
@@ -690,7 +751,7 @@ router.get('/google-ads/budget', async (req, res) => {
   try {
     console.log('🔄 Fetching budget information...');
     
-    const customer = await initializeGoogleAdsClient();
+    const customer = await initializeGoogleAdsClient(req.accountId);
     if (!customer) {
       throw new Error('Failed to initialize Google Ads client');
     }
@@ -721,7 +782,7 @@ router.get('/google-ads/campaigns/targeting', async (req, res) => {
     console.log('🎯 Fetching campaign targeting data...');
     
     // Initialize the Google Ads client - THIS WAS MISSING!
-    const customer = await initializeGoogleAdsClient();
+    const customer = await initializeGoogleAdsClient(req.accountId);
     if (!customer) {
       throw new Error('Failed to initialize Google Ads client');
     }
@@ -746,7 +807,7 @@ router.get('/google-ads/campaigns/performance', async (req, res) => {
   try {
     console.log('🎯 Fetching detailed campaign performance...');
     
-    const customer = await initializeGoogleAdsClient();
+    const customer = await initializeGoogleAdsClient(req.accountId);
     if (!customer) {
       throw new Error('Failed to initialize Google Ads client');
     }
@@ -781,7 +842,7 @@ router.get('/google-ads/campaigns/targeting', async (req, res) => {
   try {
     console.log('🎯 Fetching campaign targeting data...');
     
-    const customer = await initializeGoogleAdsClient();
+    const customer = await initializeGoogleAdsClient(req.accountId);
     if (!customer) {
       throw new Error('Failed to initialize Google Ads client');
     }
@@ -806,7 +867,7 @@ router.get('/google-ads/campaigns/keywords', async (req, res) => {
   try {
     console.log('🔍 Fetching campaign keywords and search terms...');
     
-    const customer = await initializeGoogleAdsClient();
+    const customer = await initializeGoogleAdsClient(req.accountId);
     if (!customer) {
       throw new Error('Failed to initialize Google Ads client');
     }
@@ -832,12 +893,127 @@ router.get('/google-ads/campaigns/keywords', async (req, res) => {
   }
 });
 
+// Search terms mentioning red/yellow territories (spend leakage)
+router.get('/google-ads/search-terms/leakage', async (req, res) => {
+  const searchTerms = require('./scripts/google/search-terms');
+  await searchTerms.handleTerritoryLeakage(req, res, getDbConnection);
+});
+
+// Negative keyword lists, campaign negatives and proposals from territory rules / zero-lead terms
+router.get('/google-ads/negatives', async (req, res) => {
+  const negativeKeywords = require('./scripts/google/negative-keywords');
+  await negativeKeywords.handleListNegatives(req, res, getDbConnection);
+});
+
+router.post('/google-ads/negatives/sync', async (req, res) => {
+  const customer = await initializeGoogleAdsClient(req.accountId);
+  const negativeKeywords = require('./scripts/google/negative-keywords');
+  await negativeKeywords.handleSyncNegatives(req, res, customer, getDbConnection);
+});
+
+router.post('/google-ads/negatives/proposals/generate', async (req, res) => {
+  const negativeKeywords = require('./scripts/google/negative-keywords');
+  await negativeKeywords.handleGenerateProposals(req, res, getDbConnection);
+});
+
+router.get('/google-ads/negatives/proposals', async (req, res) => {
+  const negativeKeywords = require('./scripts/google/negative-keywords');
+  await negativeKeywords.handleListProposals(req, res, getDbConnection);
+});
+
+router.post('/google-ads/negatives/proposals/review', async (req, res) => {
+  const negativeKeywords = require('./scripts/google/negative-keywords');
+  await negativeKeywords.handleReviewProposals(req, res, getDbConnection);
+});
+
+// Approved proposals → Google Ads mutate (?dry_run=true to preview)
+router.post('/google-ads/negatives/proposals/apply', async (req, res) => {
+  const customer = await initializeGoogleAdsClient(req.accountId);
+  const negativeKeywords = require('./scripts/google/negative-keywords');
+  await negativeKeywords.handleApplyProposals(req, res, customer, getDbConnection);
+});
+
+// Red countries each campaign can still reach, their spend, and the exclusions that close the gaps
+router.get('/google-ads/geo-audit', async (req, res) => {
+  const customer = await initializeGoogleAdsClient(req.accountId);
+  const geoAudit = require('./scripts/google/geo-audit');
+  await geoAudit.handleGeoAudit(req, res, customer, getDbConnection);
+});
+
+// Geo audit plan → pending geo_exclusion changes (?dry_run=true to preview)
+router.post('/google-ads/geo-audit/plan', async (req, res) => {
+  const customer = await initializeGoogleAdsClient(req.accountId);
+  const geoAudit = require('./scripts/google/geo-audit');
+  await geoAudit.handleApplyGeoAuditPlan(req, res, customer, getDbConnection);
+});
+
+// Campaign changes (pause, budget, geo exclusion): propose → second-person approval → apply → revert
+router.get('/google-ads/changes', async (req, res) => {
+  const changeProposals = require('./scripts/google/change-proposals');
+  await changeProposals.handleListChanges(req, res, getDbConnection);
+});
+
+router.post('/google-ads/changes', async (req, res) => {
+  const changeProposals = require('./scripts/google/change-proposals');
+  await changeProposals.handleCreateChange(req, res, initializeGoogleAdsClient, getDbConnection);
+});
+
+router.post('/google-ads/changes/generate', async (req, res) => {
+  const customer = await initializeGoogleAdsClient(req.accountId);
+  const changeProposals = require('./scripts/google/change-proposals');
+  await changeProposals.handleGenerateChanges(req, res, customer, getDbConnection);
+});
+
+router.post('/google-ads/changes/:id/approve', async (req, res) => {
+  const changeProposals = require('./scripts/google/change-proposals');
+  await changeProposals.handleReviewChange(req, res, getDbConnection, 'approve');
+});
+
+router.post('/google-ads/changes/:id/reject', async (req, res) => {
+  const changeProposals = require('./scripts/google/change-proposals');
+  await changeProposals.handleReviewChange(req, res, getDbConnection, 'reject');
+});
+
+router.post('/google-ads/changes/:id/apply', async (req, res) => {
+  const changeProposals = require('./scripts/google/change-proposals');
+  await changeProposals.handleApplyChange(req, res, initializeGoogleAdsClient, getDbConnection);
+});
+
+// ?force=true reverts even if the value was changed again after the apply
+router.post('/google-ads/changes/:id/revert', async (req, res) => {
+  const changeProposals = require('./scripts/google/change-proposals');
+  await changeProposals.handleRevertChange(req, res, initializeGoogleAdsClient, getDbConnection);
+});
+
+router.get('/google-ads/changes/:id/audit', async (req, res) => {
+  const changeProposals = require('./scripts/google/change-proposals');
+  await changeProposals.handleChangeAudit(req, res, getDbConnection);
+});
+
+// Ad group → ad drill-down from synced MySQL metrics
+router.get('/google-ads/campaigns/:id/adgroups', async (req, res) => {
+  const adGroupSync = require('./scripts/google/adgroup-sync');
+  await adGroupSync.handleAdGroupDrilldown(req, res, getDbConnection);
+});
+
+// Keyword Quality Score and CPC history (:id = criterion ID or adgroupId~criterionId)
+router.get('/google-ads/keywords/:id/history', async (req, res) => {
+  const keywordMetrics = require('./scripts/google/keyword-metrics');
+  await keywordMetrics.handleKeywordHistory(req, res, getDbConnection);
+});
+
+// Performance Max asset group / asset breakdown with HubSpot leads per campaign (?campaign=id)
+router.get('/google-ads/pmax/breakdown', async (req, res) => {
+  const pmaxSync = require('./scripts/google/pmax-sync');
+  await pmaxSync.handlePMaxBreakdown(req, res, getDbConnection);
+});
+
 // Updated Burn Rate Analysis Route => burn.js
 router.get('/google-ads/campaigns/burn-rate', async (req, res) => {
   try {
     console.log('🔥 Analyzing campaign burn rate...');
     
-    const customer = await initializeGoogleAdsClient();
+    const customer = await initializeGoogleAdsClient(req.accountId);
     if (!customer) {
       throw new Error('Failed to initialize Google Ads client');
     }
@@ -897,7 +1073,10 @@ router.get('/api/dashboard-data', async (req, res) => {
     const days = parseInt(req.query.days) || 30;
     const hubspotData = require('./scripts/analytics/hubspot-data');
     const result = await hubspotData.getDashboardSummary(getDbConnection, days);
-    res.json(result);
+    res.json(await fxRates.convertReport(getDbConnection, result, {
+      currency: req.query.currency,
+      moneyFields: hubspotData.MONEY_FIELDS.dashboardSummary
+    }));
   } catch (error) {
     console.error('❌ Dashboard data API failed:', error.message);
     res.status(500).json({ error: error.message });
@@ -910,7 +1089,10 @@ router.get('/api/campaigns', async (req, res) => {
     const days = parseInt(req.query.days) || 30;
     const hubspotData = require('./scripts/analytics/hubspot-data');
     const result = await hubspotData.getCampaignPerformance(getDbConnection, days);
-    res.json(result);
+    res.json(await fxRates.convertReport(getDbConnection, result, {
+      currency: req.query.currency,
+      moneyFields: hubspotData.MONEY_FIELDS.campaignPerformance
+    }));
   } catch (error) {
     console.error('❌ Campaign data API failed:', error.message);
     res.status(500).json({ error: error.message });
@@ -923,7 +1105,10 @@ router.get('/api/trends', async (req, res) => {
     const days = parseInt(req.query.days) || 30;
     const hubspotData = require('./scripts/analytics/hubspot-data');
     const result = await hubspotData.getTrendData(getDbConnection, days);
-    res.json(result);
+    res.json(await fxRates.convertReport(getDbConnection, result, {
+      currency: req.query.currency,
+      moneyFields: hubspotData.MONEY_FIELDS.trendData
+    }));
   } catch (error) {
     console.error('❌ Trend data API failed:', error.message);
     res.status(500).json({ error: error.message });
@@ -936,7 +1121,10 @@ router.get('/api/territories', async (req, res) => {
     const days = parseInt(req.query.days) || 30;
     const hubspotData = require('./scripts/analytics/hubspot-data');
     const result = await hubspotData.getTerritoryAnalysis(getDbConnection, days);
-    res.json(result);
+    res.json(await fxRates.convertReport(getDbConnection, result, {
+      currency: req.query.currency,
+      moneyFields: hubspotData.MONEY_FIELDS.territoryAnalysis
+    }));
   } catch (error) {
     console.error('❌ Territory data API failed:', error.message);
     res.status(500).json({ error: error.message });
@@ -949,7 +1137,10 @@ router.get('/analytics/territory', async (req, res) => {
     const analyticsModule = require('./scripts/analytics/hubspot-data');
     const days = parseInt(req.query.days) || 30;
     const result = await analyticsModule.getTerritoryAnalysis(getDbConnection, days);
-    res.json(result);
+    res.json(await fxRates.convertReport(getDbConnection, result, {
+      currency: req.query.currency,
+      moneyFields: analyticsModule.MONEY_FIELDS.territoryAnalysis
+    }));
   } catch (error) {
     console.error('❌ Territory analysis failed:', error.message);
     res.status(500).json({
@@ -967,29 +1158,141 @@ router.get('/analytics/pipeline', (req, res) => {
 });
 
 router.get('/analytics/pipeline-data', async (req, res) => {
-  const pipelineServer = require('./scripts/analytics/pipeline-server');
-  const result = await pipelineServer.getFastPipelineData(getDbConnection, req.query);
-  res.json(result);
+  try {
+    const pipelineServer = require('./scripts/analytics/pipeline-server');
+    const result = await pipelineServer.getFastPipelineData(getDbConnection, req.query);
+    res.json(await fxRates.convertReport(getDbConnection, result, {
+      currency: req.query.currency,
+      moneyFields: pipelineServer.MONEY_FIELDS
+    }));
+  } catch (error) {
+    console.error('❌ Pipeline data failed:', error.message);
+    res.status(500).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
 });
 
 // Budget Analytics Route
 router.get('/analytics/budget', async (req, res) => {
   try {
-    const customer = await initializeGoogleAdsClient();
+    const customer = await initializeGoogleAdsClient(req.accountId);
     const analyticsModule = require('./scripts/analytics/budget');
     const result = await analyticsModule.getBudgetPerformanceAnalysis(
       getDbConnection, customer, { days: parseInt(req.query.days) || 30 }
     );
-    res.json(result);
+    res.json(await fxRates.convertReport(getDbConnection, result, {
+      currency: req.query.currency,
+      moneyFields: analyticsModule.MONEY_FIELDS
+    }));
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Monthly budget pacing and month-end forecast (?month=YYYY-MM, default current month)
+router.get('/analytics/pacing', async (req, res) => {
+  const googleAdsAccounts = require('./scripts/google/accounts');
+  const pacing = require('./scripts/analytics/pacing');
+  try {
+    if (req.query.month) pacing.parseMonth(req.query.month);
+    const result = await pacing.getPacingReport(getDbConnection, {
+      accountId: req.accountId || googleAdsAccounts.getDefaultAccountId(),
+      month: req.query.month
+    });
+    if (!result.success) return res.status(500).json(result);
+    res.json(await fxRates.convertReport(getDbConnection, result, {
+      currency: req.query.currency,
+      moneyFields: pacing.MONEY_FIELDS
+    }));
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+// Weekday × hour heatmap with office hours split and suggested ad schedule (?days=90&basis=sqls|leads)
+router.get('/analytics/heatmap', async (req, res) => {
+  const googleAdsAccounts = require('./scripts/google/accounts');
+  const heatmap = require('./scripts/analytics/heatmap');
+  try {
+    const result = await heatmap.getHeatmap(getDbConnection, {
+      accountId: req.accountId || googleAdsAccounts.getDefaultAccountId(),
+      days: req.query.days,
+      basis: req.query.basis
+    });
+    if (!result.success) return res.status(500).json(result);
+    res.json(await fxRates.convertReport(getDbConnection, result, {
+      currency: req.query.currency,
+      moneyFields: heatmap.MONEY_FIELDS
+    }));
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+// Device and ad network split per campaign with HubSpot lead quality (?days=30&campaign_id=)
+router.get('/analytics/segments', async (req, res) => {
+  const googleAdsAccounts = require('./scripts/google/accounts');
+  const segments = require('./scripts/analytics/segments');
+  try {
+    const result = await segments.getSegmentReport(getDbConnection, {
+      accountId: req.accountId || googleAdsAccounts.getDefaultAccountId(),
+      days: req.query.days,
+      campaignId: req.query.campaign_id
+    });
+    if (!result.success) return res.status(500).json(result);
+    res.json(await fxRates.convertReport(getDbConnection, result, {
+      currency: req.query.currency,
+      moneyFields: segments.MONEY_FIELDS
+    }));
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
+// Monthly spend target - body { month, target_eur, campaign_id (omit for account), set_by }
+router.post('/analytics/pacing/targets', async (req, res) => {
+  const googleAdsAccounts = require('./scripts/google/accounts');
+  const pacing = require('./scripts/analytics/pacing');
+  const body = req.body || {};
+  try {
+    const result = await pacing.setMonthlyTarget(getDbConnection, {
+      accountId: req.accountId || googleAdsAccounts.getDefaultAccountId(),
+      month: body.month,
+      targetEur: body.target_eur,
+      campaignId: body.campaign_id,
+      setBy: body.set_by
+    });
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+});
+
 //=============================================================================//
 //   ADMIN ROUTES - Database and setup tools
 //=============================================================================//
 
+// Daily FX rates (ECB CSV, long CSV or JSON) - ?file= overrides FX_RATES_FILE
+router.get('/admin/load-fx-rates', async (req, res) => {
+  try {
+    console.log('🔄 Loading FX rates...');
+    const result = await fxRates.loadRatesFromFile(getDbConnection, req.query.file || null);
+
+    res.json({
+      success: true,
+      message: 'FX rates loaded successfully',
+      result: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ FX rate loading failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 router.get('/admin/load-countries', async (req, res) => {
   try {
     console.log('🔄 Loading country data...');
@@ -1011,6 +1314,58 @@ router.get('/admin/load-countries', async (req, res) => {
   }
 });
 
+// Apply pending schema migrations (?dry_run=true to preview)
+router.post('/admin/migrate', async (req, res) => {
+  const migrate = require('./scripts/db/migrate');
+  await migrate.handleMigrate(req, res, getDbConnection);
+});
+
+router.get('/admin/migrate/status', async (req, res) => {
+  const migrate = require('./scripts/db/migrate');
+  await migrate.handleMigrationStatus(req, res, getDbConnection);
+});
+
+// Background jobs - syncs and backfills return a job_id (?status=&type=&limit= on the list)
+router.get('/jobs', async (req, res) => {
+  const jobRunner = require('./scripts/jobs/job-runner');
+  await jobRunner.handleListJobs(req, res, getDbConnection);
+});
+
+router.get('/jobs/:id', async (req, res) => {
+  const jobRunner = require('./scripts/jobs/job-runner');
+  await jobRunner.handleGetJob(req, res, getDbConnection);
+});
+
+router.post('/jobs/:id/cancel', async (req, res) => {
+  const jobRunner = require('./scripts/jobs/job-runner');
+  await jobRunner.handleCancelJob(req, res, getDbConnection);
+});
+
+// Recurring sync schedules - list, pause / resume, run now (:id is the id or name)
+router.get('/admin/schedules', async (req, res) => {
+  const scheduler = require('./scripts/scheduler/scheduler');
+  await scheduler.handleListSchedules(req, res, getDbConnection);
+});
+
+router.post('/admin/schedules/:id/pause', async (req, res) => {
+  const scheduler = require('./scripts/scheduler/scheduler');
+  await scheduler.handleSetPaused(req, res, getDbConnection, true);
+});
+
+router.post('/admin/schedules/:id/resume', async (req, res) => {
+  const scheduler = require('./scripts/scheduler/scheduler');
+  await scheduler.handleSetPaused(req, res, getDbConnection, false);
+});
+
+router.post('/admin/schedules/:id/trigger', async (req, res) => {
+  const scheduler = require('./scripts/scheduler/scheduler');
+  await scheduler.handleTriggerSchedule(req, res, {
+    hubspotClient,
+    createCustomer: initializeGoogleAdsClient,
+    getDbConnection
+  });
+});
+
 // One-time OAuth setup (legacy)
 router.get('/setup/oauth', (req, res) => {
   const code = req.query.code;
@@ -1118,6 +1473,42 @@ app.listen(PORT, () => {
   console.log('   🎯 Google OAuth: Ready');  
   console.log('   🎯 Google Ads API Client: Ready');
   console.log('   🗄️  Database Pool: Ready');
+  
+  // Bring the schema up to date, start the job runner, queue Google Ads backfills interrupted
+  // by the last restart, then start the sync scheduler
+  (async () => {
+    try {
+      const migrate = require('./scripts/db/migrate');
+      await migrate.runMigrations(getDbConnection);
+    } catch (error) {
+      console.error('❌ Schema migration failed:', error.message);
+      return;
+    }
+    
+    const backgroundContext = {
+      hubspotClient,
+      createCustomer: initializeGoogleAdsClient,
+      getDbConnection
+    };
+    
+    try {
+      const jobRunner = require('./scripts/jobs/job-runner');
+      await jobRunner.start(backgroundContext);
+    } catch (error) {
+      console.error('❌ Job runner failed to start:', error.message);
+      return;
+    }
+    
+    try {
+      const gadsSync = require('./scripts/google/gads-sync');
+      await gadsSync.resumeInterruptedBackfills(getDbConnection);
+    } catch (error) {
+      console.error('❌ Backfill resume failed:', error.message);
+    }
+    
+    const scheduler = require('./scripts/scheduler/scheduler');
+    scheduler.start(backgroundContext);
+  })();
 });
 
 module.exports = app;
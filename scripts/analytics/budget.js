@@ -4,8 +4,24 @@
  * 
  * Handles budget analytics, ROI analysis, and cross-platform budget reporting
  * Combines Google Ads budget data with HubSpot conversion data for comprehensive analysis
+ * Google Ads amounts arrive in the account currency and are compared in EUR, like HubSpot revenue
  */
 
+const fxRates = require('../currency/fx-rates');
+const googleBudget = require('../google/budget');
+const googleCampaign = require('../google/campaign');
+const hubspotData = require('./hubspot-data');
+
+// EUR amounts in getBudgetPerformanceAnalysis results, as fxRates.convertReport paths
+const MONEY_FIELDS = [
+  ...googleBudget.MONEY_FIELDS.budgetInfo.map(field => `google_ads_data.budget_info.${field}`),
+  'google_ads_data.campaign_performance.total_daily_budget', 'google_ads_data.campaign_performance.total_spend',
+  'google_ads_data.budget_utilization.total_potential_spend', 'google_ads_data.budget_utilization.total_actual_spend',
+  ...hubspotData.MONEY_FIELDS.dashboardSummary.map(field => `hubspot_data.${field}`),
+  'roi_analysis.total_spend', 'roi_analysis.total_revenue', 'roi_analysis.cost_per_contact', 'roi_analysis.cost_per_deal',
+  'efficiency_analysis.wasted_spend'
+];
+
 /**
  * Get comprehensive budget performance analysis
  * @param {Function} getDbConnection - Database connection function
@@ -20,16 +36,11 @@ async function getBudgetPerformanceAnalysis(getDbConnection, googleAdsClient, op
     
     const days = options.days || 30;
     
-    // Import required modules
-    const googleBudgetModule = require('../google/budget');
-    const googleCampaignModule = require('../google/campaign');
-    const hubspotData = require('./hubspot-data');
-    
     // Get Google Ads budget and campaign data
-    const [budgetInfo, campaignPerformance, budgetUtilization] = await Promise.all([
-      googleBudgetModule.getBudgetInfo(googleAdsClient),
-      googleCampaignModule.getCampaignPerformance(googleAdsClient, { days }),
-      googleBudgetModule.getBudgetUtilization(googleAdsClient, { days })
+    let [budgetInfo, campaignPerformance, budgetUtilization] = await Promise.all([
+      googleBudget.getBudgetInfo(googleAdsClient),
+      googleCampaign.getCampaignPerformance(googleAdsClient, { days }),
+      googleBudget.getBudgetUtilization(googleAdsClient, { days })
     ]);
     
     // Get HubSpot conversion data
@@ -39,6 +50,21 @@ async function getBudgetPerformanceAnalysis(getDbConnection, googleAdsClient, op
       throw new Error('Failed to fetch required data for budget analysis');
     }
     
+    // Live Google Ads amounts → EUR at today's rate (micros stay in the account currency for mutates)
+    const accountCurrency = budgetInfo.currency || fxRates.BASE_CURRENCY;
+    if (accountCurrency !== fxRates.BASE_CURRENCY) {
+      const connection = await getDbConnection();
+      try {
+        const converter = await fxRates.createConverter(connection, [accountCurrency]);
+        const rate = converter.toEur(1, accountCurrency);
+        budgetInfo = fxRates.convertMoneyFields(budgetInfo, rate, googleBudget.MONEY_FIELDS.budgetInfo);
+        campaignPerformance = fxRates.convertMoneyFields(campaignPerformance, rate, googleCampaign.MONEY_FIELDS);
+        budgetUtilization = fxRates.convertMoneyFields(budgetUtilization, rate, googleBudget.MONEY_FIELDS.budgetUtilization);
+      } finally {
+        await connection.end();
+      }
+    }
+    
     // Calculate ROI metrics by combining Google Ads spend with HubSpot conversions
     const roiAnalysis = calculateROIMetrics({
       campaigns: campaignPerformance.campaigns,
@@ -66,6 +92,7 @@ async function getBudgetPerformanceAnalysis(getDbConnection, googleAdsClient, op
     return {
       success: true,
       period: `Last ${days} days`,
+      account_currency: accountCurrency,
       google_ads_data: {
         budget_info: budgetInfo,
         campaign_performance: campaignPerformance.summary,
@@ -179,6 +206,12 @@ function analyzeBudgetEfficiency(data) {
       underutilizedBudgets,
       overBudgetCampaigns,
       poorPerformingCampaigns
+    }),
+    proposed_changes: buildProposedChanges({
+      underutilizedBudgets,
+      overBudgetCampaigns,
+      poorPerformingCampaigns,
+      campaignPerformance
     })
   };
 }
@@ -315,6 +348,75 @@ function identifyOptimizationOpportunities(data) {
   return opportunities;
 }
 
+/**
+ * Turn the optimization opportunities into concrete change drafts
+ * (stored and approved through scripts/google/change-proposals.js)
+ * - poor performers that are still enabled → pause
+ * - budgets hitting their limit on campaigns that convert → +20%
+ * - underutilized budgets → average daily spend + 10%, when that is at least a 10% cut
+ */
+function buildProposedChanges(data) {
+  const { underutilizedBudgets, overBudgetCampaigns, poorPerformingCampaigns, campaignPerformance } = data;
+  const drafts = [];
+
+  poorPerformingCampaigns
+    .filter(campaign => campaign.status === 2 || campaign.status === 'ENABLED')
+    .forEach(campaign => {
+      drafts.push({
+        change_type: 'pause_campaign',
+        target_id: campaign.id,
+        target_name: campaign.name,
+        current_value: { status: 'ENABLED' },
+        proposed_value: { status: 'PAUSED' },
+        reason: `€${parseFloat(campaign.metrics.cost).toFixed(2)} spent with no conversions`
+      });
+    });
+
+  overBudgetCampaigns.forEach(budget => {
+    const converting = campaignPerformance.some(campaign =>
+      campaign.budget?.id === budget.budget_id && campaign.metrics.conversions > 0
+    );
+    if (!converting) return;
+
+    const currentMicros = parseInt(budget.daily_budget_micros) || 0;
+    drafts.push({
+      change_type: 'budget_change',
+      target_id: budget.budget_id,
+      target_name: budget.budget_name,
+      current_value: { amount_micros: currentMicros },
+      proposed_value: { amount_micros: roundMicros(currentMicros * 1.2) },
+      reason: `${budget.utilization_percent}% utilized on converting campaigns: ${budget.campaigns.join(', ')}`
+    });
+  });
+
+  underutilizedBudgets.forEach(budget => {
+    // Micros are in the account currency - scale them by the (currency-free) spend ratio
+    const currentMicros = parseInt(budget.daily_budget_micros) || 0;
+    const spendRatio = parseFloat(budget.daily_budget) > 0
+      ? parseFloat(budget.average_daily_spend) / parseFloat(budget.daily_budget) : 0;
+    const proposedMicros = roundMicros(currentMicros * spendRatio * 1.1);
+    if (proposedMicros <= 0 || proposedMicros > currentMicros * 0.9) return;
+
+    drafts.push({
+      change_type: 'budget_change',
+      target_id: budget.budget_id,
+      target_name: budget.budget_name,
+      current_value: { amount_micros: currentMicros },
+      proposed_value: { amount_micros: proposedMicros },
+      reason: `Only ${budget.utilization_percent}% utilized (avg €${budget.average_daily_spend}/day of €${budget.daily_budget})`
+    });
+  });
+
+  return drafts;
+}
+
+/**
+ * Budgets are set in whole cents - round micros to 10000
+ */
+function roundMicros(micros) {
+  return Math.round(micros / 10000) * 10000;
+}
+
 /**
  * Get budget trend analysis over time
  * @param {Function} getDbConnection - Database connection function
@@ -327,10 +429,9 @@ async function getBudgetTrendAnalysis(getDbConnection, googleAdsClient, options
     console.log('📈 Analyzing budget trends over time...');
     
     const days = options.days || 90;
-    const googleCampaignModule = require('../google/campaign');
     
     // Get campaign performance over time
-    const campaignPerformance = await googleCampaignModule.getCampaignPerformance(googleAdsClient, { days });
+    const campaignPerformance = await googleCampaign.getCampaignPerformance(googleAdsClient, { days });
     
     if (!campaignPerformance.success) {
       throw new Error('Failed to fetch campaign performance data');
@@ -366,6 +467,8 @@ async function getBudgetTrendAnalysis(getDbConnection, googleAdsClient, options
 
 // Export functions
 module.exports = {
+  MONEY_FIELDS,
   getBudgetPerformanceAnalysis,
-  getBudgetTrendAnalysis
+  getBudgetTrendAnalysis,
+  buildProposedChanges
 };
\ No newline at end of file
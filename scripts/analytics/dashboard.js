@@ -15,6 +15,7 @@ const GoogleAdsDashboard = () => {
   const [selectedCampaign, setSelectedCampaign] = React.useState('all');
   const [isLoading, setIsLoading] = React.useState(true);
   const [dashboardData, setDashboardData] = React.useState(null);
+  const [pacingData, setPacingData] = React.useState(null);
   const [error, setError] = React.useState(null);
 
   // Fetch dashboard data when parameters change
@@ -22,6 +23,27 @@ const GoogleAdsDashboard = () => {
     fetchDashboardData();
   }, [dateRange, analysisMode, selectedCampaign]);
 
+  // Reporting currency comes from the page URL (?currency=USD), default EUR server-side
+  const currencyParam = new URLSearchParams(window.location.search).get('currency');
+  const currencyQuery = currencyParam ? `currency=${encodeURIComponent(currencyParam)}` : '';
+
+  // Pacing is month-to-date, independent of the date range
+  React.useEffect(() => {
+    fetchPacingData();
+  }, []);
+
+  // Pacing is optional - the dashboard still renders without it
+  const fetchPacingData = async () => {
+    try {
+      const pacingRes = await fetch(`/gads/analytics/pacing${currencyQuery ? `?${currencyQuery}` : ''}`);
+      const pacing = await pacingRes.json();
+      if (!pacing.success) throw new Error(pacing.error || 'Pacing failed');
+      setPacingData(pacing);
+    } catch (err) {
+      console.error('⚠️ Pacing data fetch failed:', err);
+    }
+  };
+
   // Fetch data from APIs
   const fetchDashboardData = async () => {
     setIsLoading(true);
@@ -31,7 +53,7 @@ const GoogleAdsDashboard = () => {
       console.log(`📊 Fetching dashboard data: ${dateRange} days, ${analysisMode} mode`);
       
       // Build API URLs
-      const baseParams = `days=${dateRange}&mode=${analysisMode}`;
+      const baseParams = `days=${dateRange}&mode=${analysisMode}${currencyQuery ? `&${currencyQuery}` : ''}`;
       
       // Fetch data in parallel
       const [summaryRes, campaignsRes, territoriesRes] = await Promise.all([
@@ -63,6 +85,7 @@ const GoogleAdsDashboard = () => {
         territories: territoriesData.territories || [],
         mqlValidation: summaryData.mql_validation_details,
         period: summaryData.period,
+        currency: summaryData.currency || 'EUR',
         analysisMode: analysisMode
       };
 
@@ -81,7 +104,7 @@ const GoogleAdsDashboard = () => {
   const formatCurrency = (value) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'EUR',
+      currency: (dashboardData && dashboardData.currency) || (pacingData && pacingData.currency) || 'EUR',
       minimumFractionDigits: 0,
       maximumFractionDigits: 0,
     }).format(value || 0);
@@ -396,6 +419,84 @@ const GoogleAdsDashboard = () => {
       )
     ]),
 
+    // Budget Pacing
+    pacingData && React.createElement('div', {
+      className: 'mb-8',
+      key: 'pacing-section'
+    }, [
+      React.createElement('h2', {
+        className: 'text-xl font-bold text-gray-900 mb-4',
+        key: 'pacing-title'
+      }, `📅 Budget Pacing - ${pacingData.month} (${pacingData.days_remaining} days left)`),
+
+      React.createElement('div', {
+        className: 'grid grid-cols-1 md:grid-cols-4 gap-6 mb-4',
+        key: 'pacing-metrics'
+      }, [
+        createMetricCard(
+          'Month-to-Date Spend',
+          formatCurrency(pacingData.account.mtd_spend),
+          `of ${formatCurrency(pacingData.account.target)} target`,
+          '💶'
+        ),
+        createMetricCard(
+          'Projected Month End',
+          formatCurrency(pacingData.account.projected_spend),
+          `${formatCurrency(pacingData.account.projected_low)} - ${formatCurrency(pacingData.account.projected_high)} (${pacingData.confidence})`,
+          '📈',
+          pacingData.account.status === 'on_track' ? 'green' : 'red'
+        ),
+        createMetricCard(
+          'Required Daily Budget',
+          pacingData.account.required_daily_budget !== null ? formatCurrency(pacingData.account.required_daily_budget) : '-',
+          `Current: ${formatCurrency(pacingData.account.daily_budget)}/day`,
+          '🎯',
+          'purple'
+        ),
+        createMetricCard(
+          'Campaign Pacing',
+          `${pacingData.summary.on_track} on track`,
+          `${pacingData.summary.overpacing} over, ${pacingData.summary.underpacing} under`,
+          '⚖️'
+        )
+      ]),
+
+      React.createElement('div', {
+        className: 'bg-white rounded-lg shadow p-6 overflow-x-auto',
+        key: 'pacing-table-card'
+      }, React.createElement('table', {
+        className: 'min-w-full text-sm',
+        key: 'pacing-table'
+      }, [
+        React.createElement('thead', { key: 'pacing-head' }, React.createElement('tr', {
+          className: 'text-left text-gray-600 border-b'
+        }, ['Campaign', 'MTD Spend', 'Target', 'Projected', 'Required / Day', 'Status'].map(label =>
+          React.createElement('th', { className: 'py-2 pr-4', key: label }, label)
+        ))),
+        React.createElement('tbody', { key: 'pacing-body' }, pacingData.campaigns.slice(0, 10).map(campaign =>
+          React.createElement('tr', {
+            className: 'border-b border-gray-100',
+            key: `pacing-${campaign.campaign_id}`
+          }, [
+            React.createElement('td', { className: 'py-2 pr-4 truncate', key: 'name' }, campaign.campaign_name),
+            React.createElement('td', { className: 'py-2 pr-4', key: 'mtd' }, formatCurrency(campaign.mtd_spend)),
+            React.createElement('td', { className: 'py-2 pr-4', key: 'target' }, formatCurrency(campaign.target)),
+            React.createElement('td', { className: 'py-2 pr-4', key: 'projected' },
+              `${formatCurrency(campaign.projected_spend)} (${formatCurrency(campaign.projected_low)}-${formatCurrency(campaign.projected_high)})`),
+            React.createElement('td', { className: 'py-2 pr-4', key: 'required' },
+              campaign.required_daily_budget !== null ? formatCurrency(campaign.required_daily_budget) : '-'),
+            React.createElement('td', {
+              className: `py-2 pr-4 font-medium ${
+                campaign.status === 'on_track' ? 'text-green-600' :
+                campaign.status === 'overpacing' ? 'text-red-600' : 'text-yellow-600'
+              }`,
+              key: 'status'
+            }, campaign.status.replace('_', ' '))
+          ])
+        ))
+      ]))
+    ]),
+
     // Territory and Campaign Analysis
     React.createElement('div', {
       className: 'grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8',
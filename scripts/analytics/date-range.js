@@ -0,0 +1,231 @@
+/**
+ * Account Time Zone Date Ranges
+ * Path: /home/hub/public_html/gads/scripts/analytics/date-range.js
+ *
+ * segments.date in gads_* tables is a day in the Ads account's time zone, while HubSpot
+ * timestamps (createdate, hs_closed_won_date) are stored as DATETIME in DB_TIME_ZONE
+ * (default UTC). Every days= window and daily bucket in the analytics modules goes
+ * through here, so a lead at 00:30 local time lands on the same day as that day's spend.
+ *
+ * - startDate / endDate: account-local YYYY-MM-DD, for segments.date columns
+ * - startTime / endTime: DB_TIME_ZONE DATETIME strings, for HubSpot timestamps
+ * - localDateSql(column, range): SQL expression bucketing a timestamp by account-local day
+ *   (localDateTimeSql for the local wall-clock time, e.g. to bucket by hour)
+ */
+
+const accounts = require('../google/accounts');
+
+const DEFAULT_TIME_ZONE = process.env.GADS_TIME_ZONE || 'UTC';
+const DB_TIME_ZONE = process.env.DB_TIME_ZONE || 'UTC';
+
+// Whether MySQL has its time zone tables loaded, per zone pair - CONVERT_TZ returns NULL without them
+const namedZoneSupport = new Map();
+const formatters = new Map();
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || !/^[A-Za-z0-9_+\-/]+$/.test(timeZone)) return false;
+  try {
+    new Intl.DateTimeFormat('en-CA', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(p => {
+    if (p.type !== 'literal') parts[p.type] = p.value;
+  });
+  return parts;
+}
+
+/**
+ * Calendar day of an instant in a time zone as YYYY-MM-DD
+ */
+function localDate(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in minutes (CET in winter → 60)
+ */
+function zoneOffsetMinutes(timeZone, date = new Date()) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * YYYY-MM-DD shifted by whole days (calendar arithmetic, no DST involved)
+ */
+function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Instant at which a calendar day starts in a time zone
+ * The second pass corrects for days where the offset changes (DST).
+ */
+function zonedMidnight(dateStr, timeZone) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const wallClock = Date.UTC(y, m - 1, d);
+  let instant = wallClock - zoneOffsetMinutes(timeZone, new Date(wallClock)) * 60000;
+  instant = wallClock - zoneOffsetMinutes(timeZone, new Date(instant)) * 60000;
+  return new Date(instant);
+}
+
+/**
+ * Instant as a DATETIME string in the zone the database stores timestamps in
+ */
+function toSqlDateTime(date) {
+  const p = zonedParts(date, DB_TIME_ZONE);
+  return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}:${p.second}`;
+}
+
+/**
+ * Account's today as a server-local midnight Date, for code doing calendar math with
+ * Date getters (getFullYear/getMonth/getDate)
+ */
+function calendarToday(timeZone, now = new Date()) {
+  const [y, m, d] = localDate(now, timeZone).split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/**
+ * Time zone of an Ads account from gads_accounts (set by the account settings sync)
+ * Falls back to GADS_TIME_ZONE, then UTC.
+ */
+async function getAccountTimeZone(connection, accountId = null) {
+  const id = accountId || accounts.getDefaultAccountId();
+  if (!id) return DEFAULT_TIME_ZONE;
+
+  const [rows] = await connection.execute(
+    'SELECT time_zone FROM gads_accounts WHERE account_id = ?', [id]
+  );
+  const timeZone = rows[0]?.time_zone;
+
+  if (!timeZone) return DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(timeZone)) {
+    console.warn(`⚠️ Account ${id} has unknown time zone "${timeZone}", using ${DEFAULT_TIME_ZONE}`);
+    return DEFAULT_TIME_ZONE;
+  }
+  return timeZone;
+}
+
+/**
+ * CONVERT_TZ arguments for DB_TIME_ZONE → account time zone, null when they are the same
+ * Named zones need the MySQL time zone tables; without them the current offsets are used,
+ * which is off by an hour for days on the other side of a DST change.
+ */
+async function resolveSqlZone(connection, timeZone, now = new Date()) {
+  if (timeZone === DB_TIME_ZONE) return null;
+
+  const key = `${DB_TIME_ZONE}>${timeZone}`;
+  if (!namedZoneSupport.has(key)) {
+    const [rows] = await connection.execute(
+      "SELECT CONVERT_TZ('2000-01-01 00:00:00', ?, ?) as converted", [DB_TIME_ZONE, timeZone]
+    );
+    const supported = rows[0]?.converted !== null && rows[0]?.converted !== undefined;
+    if (!supported) {
+      console.warn(`⚠️ MySQL time zone tables not loaded - bucketing ${timeZone} days by current UTC offset`);
+    }
+    namedZoneSupport.set(key, supported);
+  }
+
+  if (namedZoneSupport.get(key)) {
+    return { from: DB_TIME_ZONE, to: timeZone };
+  }
+
+  const from = formatOffset(zoneOffsetMinutes(DB_TIME_ZONE, now));
+  const to = formatOffset(zoneOffsetMinutes(timeZone, now));
+  return from === to ? null : { from, to };
+}
+
+/**
+ * Last N days up to now in a time zone - today plus the N days before it
+ * @param {Object} options - { days, timeZone, now }
+ */
+function buildDateRange(options = {}) {
+  const { days = 30, timeZone = DEFAULT_TIME_ZONE, now = new Date() } = options;
+
+  const endDate = localDate(now, timeZone);
+  const startDate = addDays(endDate, -days);
+
+  return {
+    time_zone: timeZone,
+    days,
+    startDate,
+    endDate,
+    startTime: toSqlDateTime(zonedMidnight(startDate, timeZone)),
+    endTime: toSqlDateTime(now),
+    sqlZone: null
+  };
+}
+
+/**
+ * Date range in the account's time zone, ready for both Ads dates and HubSpot timestamps
+ * @param {Object} connection - MySQL connection
+ * @param {Object} options - { days, accountId (default GADS_LIVE_ID), timeZone (skips the lookup), now }
+ * @returns {Object} { time_zone, days, startDate, endDate, startTime, endTime, sqlZone }
+ */
+async function getDateRange(connection, options = {}) {
+  const timeZone = options.timeZone || await getAccountTimeZone(connection, options.accountId);
+  const range = buildDateRange({ ...options, timeZone });
+  range.sqlZone = await resolveSqlZone(connection, timeZone, options.now);
+  return range;
+}
+
+/**
+ * SQL expression for a stored timestamp column as account-local wall-clock time
+ * Zone names and offsets are validated above, so they are safe to inline.
+ */
+function localDateTimeSql(column, range) {
+  if (!range || !range.sqlZone) return column;
+  return `CONVERT_TZ(${column}, '${range.sqlZone.from}', '${range.sqlZone.to}')`;
+}
+
+/**
+ * SQL expression for the account-local day of a stored timestamp column
+ */
+function localDateSql(column, range) {
+  return `DATE(${localDateTimeSql(column, range)})`;
+}
+
+module.exports = {
+  DB_TIME_ZONE,
+  isValidTimeZone,
+  localDate,
+  zoneOffsetMinutes,
+  zonedMidnight,
+  toSqlDateTime,
+  calendarToday,
+  getAccountTimeZone,
+  resolveSqlZone,
+  buildDateRange,
+  getDateRange,
+  localDateTimeSql,
+  localDateSql
+};
@@ -0,0 +1,314 @@
+/**
+ * Analytics Heatmap Module
+ * Path: /home/hub/public_html/gads/scripts/analytics/heatmap.js
+ *
+ * Spend, leads and SQLs per weekday × hour slot, from gads_hourly_metrics and the
+ * creation time of Google Ads contacts in hub_contacts (converted to the account's time
+ * zone, see date-range.js). An SQL is a lead that has a deal.
+ *
+ * Leads count for the account when their landing URL or converting campaign points at one
+ * of its campaigns (or hsa_acc names it, see segments.parseLeadHints). Leads without such
+ * a hint are only counted while the registry holds a single active account.
+ *
+ * - Office hours (ADMISSIONS_OFFICE_HOURS, default Mon-Fri 09-18) vs the rest of the week
+ * - Suggested ad schedule: bid modifiers from each slot's SQL (or lead) rate per click
+ *   against the account average, shrunk towards 1.0 for slots with few clicks
+ */
+
+const accounts = require('../google/accounts');
+const dateRange = require('./date-range');
+const hubspotData = require('./hubspot-data');
+const segments = require('./segments');
+
+const DAY_NAMES = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+const OFFICE_DAYS = [1, 2, 3, 4, 5];
+const DEFAULT_OFFICE_HOURS = '09-18';
+
+// A slot's rate is blended with the account rate as if it had this many extra clicks
+const PRIOR_CLICKS = 50;
+// Too few outcomes in the window and every slot is noise - no schedule is suggested
+const MIN_OUTCOMES = 20;
+// Google allows -90%..+900%; suggestions stay well inside that
+const MIN_BID_MODIFIER = 0.5;
+const MAX_BID_MODIFIER = 1.5;
+// Google allows 6 ad schedules per campaign per day
+const MAX_SCHEDULES_PER_DAY = 6;
+const MODIFIER_STEPS = [0.05, 0.1, 0.2, 0.25, 0.5];
+
+// EUR amounts of every slot and slot summary in getHeatmap results
+const MONEY_FIELDS = ['slots[]', 'summary', 'office_hours.inside', 'office_hours.outside']
+  .flatMap(parent => ['cost', 'cost_per_lead', 'cost_per_sql'].map(field => `${parent}.${field}`));
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Office hours as [start, end) hours from ADMISSIONS_OFFICE_HOURS ("09-18")
+ */
+function getOfficeHours() {
+  const value = process.env.ADMISSIONS_OFFICE_HOURS || DEFAULT_OFFICE_HOURS;
+  const match = /^(\d{1,2})-(\d{1,2})$/.exec(value.trim());
+  if (!match || parseInt(match[1]) >= parseInt(match[2]) || parseInt(match[2]) > 24) {
+    console.warn(`⚠️ Invalid ADMISSIONS_OFFICE_HOURS "${value}", using ${DEFAULT_OFFICE_HOURS}`);
+    return { start: 9, end: 18 };
+  }
+  return { start: parseInt(match[1]), end: parseInt(match[2]) };
+}
+
+function isOfficeHour(dayOfWeek, hour, officeHours) {
+  return OFFICE_DAYS.includes(dayOfWeek) && hour >= officeHours.start && hour < officeHours.end;
+}
+
+/**
+ * Totals and unit costs for a set of slots
+ */
+function summarizeSlots(slots, totalCost) {
+  const totals = slots.reduce((sum, s) => ({
+    clicks: sum.clicks + s.clicks,
+    cost: sum.cost + s.cost,
+    conversions: sum.conversions + s.conversions,
+    leads: sum.leads + s.leads,
+    sqls: sum.sqls + s.sqls
+  }), { clicks: 0, cost: 0, conversions: 0, leads: 0, sqls: 0 });
+
+  return {
+    ...totals,
+    cost: round2(totals.cost),
+    conversions: round2(totals.conversions),
+    cost_per_lead: totals.leads > 0 ? round2(totals.cost / totals.leads) : null,
+    cost_per_sql: totals.sqls > 0 ? round2(totals.cost / totals.sqls) : null,
+    sql_rate_percent: totals.leads > 0 ? round2((totals.sqls / totals.leads) * 100) : 0,
+    spend_share_percent: totalCost > 0 ? round2((totals.cost / totalCost) * 100) : 0
+  };
+}
+
+/**
+ * Bid modifier per slot from its outcome rate per click vs the account average
+ * @param {Array} slots - Heatmap slots (mutated: bid_modifier is set)
+ * @param {string} basis - 'sqls' or 'leads'
+ */
+function assignBidModifiers(slots, basis) {
+  const clicks = slots.reduce((sum, s) => sum + s.clicks, 0);
+  const outcomes = slots.reduce((sum, s) => sum + s[basis], 0);
+  const accountRate = clicks > 0 ? outcomes / clicks : 0;
+
+  slots.forEach(slot => {
+    if (accountRate === 0) {
+      slot.bid_modifier = 1;
+      return;
+    }
+    const rate = (slot[basis] + PRIOR_CLICKS * accountRate) / (slot.clicks + PRIOR_CLICKS);
+    slot.bid_modifier = round2(Math.min(MAX_BID_MODIFIER, Math.max(MIN_BID_MODIFIER, rate / accountRate)));
+  });
+
+  return { outcomes, account_rate_per_click: accountRate };
+}
+
+/**
+ * Consecutive hours with the same rounded modifier become one schedule per day
+ * An ad schedule limits serving to the scheduled hours, so every hour of the week is
+ * covered - unchanged hours get a 1.0 block.
+ */
+function buildAdSchedule(slots) {
+  const schedule = [];
+
+  for (let day = 1; day <= 7; day++) {
+    const hours = slots.filter(s => s.day_of_week === day).sort((a, b) => a.hour - b.hour);
+
+    for (const step of MODIFIER_STEPS) {
+      const blocks = [];
+      hours.forEach(slot => {
+        const modifier = round2(Math.round(slot.bid_modifier / step) * step);
+        const last = blocks[blocks.length - 1];
+        if (last && last.bid_modifier === modifier) {
+          last.end_hour = slot.hour + 1;
+        } else {
+          blocks.push({ day_of_week: DAY_NAMES[day - 1], start_hour: slot.hour, end_hour: slot.hour + 1, bid_modifier: modifier });
+        }
+      });
+
+      if (blocks.length <= MAX_SCHEDULES_PER_DAY || step === MODIFIER_STEPS[MODIFIER_STEPS.length - 1]) {
+        schedule.push(...blocks);
+        break;
+      }
+    }
+  }
+
+  return schedule;
+}
+
+/**
+ * Which account a Google Ads contact belongs to: 'matched', 'other_accounts' or 'unattributed'
+ * The returned function carries includesUnattributed - true while only one account is active.
+ */
+async function buildAccountLeadFilter(connection, accountId) {
+  const [campaignRows] = await connection.execute(`
+    SELECT google_campaign_id, campaign_name, account_id FROM gads_campaigns
+  `);
+  const accountByCampaignId = new Map(campaignRows.map(c => [String(c.google_campaign_id), c.account_id]));
+  const accountByCampaignName = new Map(campaignRows.map(c => [c.campaign_name, c.account_id]));
+  const activeAccounts = await accounts.listAccounts(connection);
+
+  const filter = contact => {
+    const hints = segments.parseLeadHints(contact.hs_analytics_first_url);
+    const leadAccount = hints.accountId ||
+      (hints.campaignId && accountByCampaignId.get(hints.campaignId)) ||
+      accountByCampaignName.get(contact.hs_analytics_first_touch_converting_campaign) ||
+      null;
+
+    if (!leadAccount) return 'unattributed';
+    return leadAccount === accountId ? 'matched' : 'other_accounts';
+  };
+  filter.includesUnattributed = activeAccounts.length <= 1;
+  return filter;
+}
+
+/**
+ * Weekday × hour heatmap for an account
+ * @param {Function} getDbConnection - Database connection function
+ * @param {Object} options - { accountId, days (default 90), basis ('sqls' | 'leads') }
+ * @returns {Object} Heatmap slots, office hours comparison and suggested ad schedule
+ */
+async function getHeatmap(getDbConnection, options = {}) {
+  let connection;
+
+  try {
+    const days = parseInt(options.days) || 90;
+    const basis = options.basis === 'leads' ? 'leads' : 'sqls';
+
+    console.log(`🗓️ Building hour-of-day heatmap for ${days} days...`);
+
+    connection = await getDbConnection();
+    const range = await dateRange.getDateRange(connection, { days, accountId: options.accountId });
+
+    const [adRows] = await connection.execute(`
+      SELECT
+        day_of_week,
+        hour,
+        SUM(impressions) as impressions,
+        SUM(clicks) as clicks,
+        SUM(cost_eur) as cost,
+        SUM(conversions) as conversions
+      FROM gads_hourly_metrics
+      WHERE account_id = ?
+        AND date >= ?
+        AND date <= ?
+      GROUP BY day_of_week, hour
+    `, [options.accountId, range.startDate, range.endDate]);
+
+    // Contacts by the account-local weekday and hour they were created
+    const localCreated = dateRange.localDateTimeSql('createdate', range);
+    const [columns] = await connection.execute('SHOW COLUMNS FROM hub_contacts');
+    const available = new Set(columns.map(c => c.Field));
+    const hintColumns = segments.HINT_COLUMNS.filter(c => c !== 'num_associated_deals' && available.has(c));
+    const [contactRows] = await connection.execute(`
+      SELECT
+        WEEKDAY(${localCreated}) + 1 as day_of_week,
+        HOUR(${localCreated}) as hour,
+        num_associated_deals${hintColumns.map(c => `, ${c}`).join('')}
+      FROM hub_contacts
+      WHERE ${hubspotData.buildGoogleAdsAttributionQuery()}
+        AND createdate >= ?
+        AND createdate <= ?
+    `, [range.startTime, range.endTime]);
+
+    const leadFilter = await buildAccountLeadFilter(connection, options.accountId);
+    const slotKey = (day, hour) => `${parseInt(day)}|${parseInt(hour)}`;
+    const adsBySlot = new Map(adRows.map(r => [slotKey(r.day_of_week, r.hour), r]));
+    const leadsBySlot = new Map();
+    const attribution = { contacts: contactRows.length, matched: 0, unattributed: 0, other_accounts: 0 };
+
+    contactRows.forEach(contact => {
+      const match = leadFilter(contact);
+      attribution[match]++;
+      if (match === 'other_accounts' || (match === 'unattributed' && !leadFilter.includesUnattributed)) return;
+
+      const key = slotKey(contact.day_of_week, contact.hour);
+      if (!leadsBySlot.has(key)) leadsBySlot.set(key, { leads: 0, sqls: 0 });
+      const slot = leadsBySlot.get(key);
+      slot.leads++;
+      if ((parseInt(contact.num_associated_deals) || 0) > 0) slot.sqls++;
+    });
+    const officeHours = getOfficeHours();
+
+    const slots = [];
+    for (let day = 1; day <= 7; day++) {
+      for (let hour = 0; hour < 24; hour++) {
+        const ads = adsBySlot.get(slotKey(day, hour)) || {};
+        const lead = leadsBySlot.get(slotKey(day, hour)) || {};
+        const cost = parseFloat(ads.cost) || 0;
+        const leads = parseInt(lead.leads) || 0;
+        const sqls = parseInt(lead.sqls) || 0;
+
+        slots.push({
+          day_of_week: day,
+          day_name: DAY_NAMES[day - 1],
+          hour,
+          office_hours: isOfficeHour(day, hour, officeHours),
+          impressions: parseInt(ads.impressions) || 0,
+          clicks: parseInt(ads.clicks) || 0,
+          cost: round2(cost),
+          conversions: parseFloat(ads.conversions) || 0,
+          leads,
+          sqls,
+          cost_per_lead: leads > 0 ? round2(cost / leads) : null,
+          cost_per_sql: sqls > 0 ? round2(cost / sqls) : null,
+          sql_rate_percent: leads > 0 ? round2((sqls / leads) * 100) : 0
+        });
+      }
+    }
+
+    const model = assignBidModifiers(slots, basis);
+    const enoughData = model.outcomes >= MIN_OUTCOMES;
+    const totalCost = slots.reduce((sum, s) => sum + s.cost, 0);
+
+    console.log(`   ✅ Heatmap: ${adRows.length} slots with spend, ${leadsBySlot.size} slots with leads`);
+
+    return {
+      success: true,
+      period: `Last ${days} days`,
+      date_range: { start: range.startDate, end: range.endDate },
+      time_zone: range.time_zone,
+      lead_attribution: {
+        ...attribution,
+        unattributed_counted: leadFilter.includesUnattributed
+      },
+      office_hours: {
+        days: OFFICE_DAYS.map(d => DAY_NAMES[d - 1]),
+        start_hour: officeHours.start,
+        end_hour: officeHours.end,
+        inside: summarizeSlots(slots.filter(s => s.office_hours), totalCost),
+        outside: summarizeSlots(slots.filter(s => !s.office_hours), totalCost)
+      },
+      summary: summarizeSlots(slots, totalCost),
+      slots,
+      ad_schedule: {
+        basis,
+        outcomes: model.outcomes,
+        enough_data: enoughData,
+        note: enoughData
+          ? 'Apply all blocks together - hours missing from an ad schedule stop serving'
+          : `Fewer than ${MIN_OUTCOMES} ${basis} in the window - widen ?days= before adjusting bids`,
+        schedules: enoughData ? buildAdSchedule(slots) : []
+      },
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('❌ Heatmap failed:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  } finally {
+    if (connection) await connection.end();
+  }
+}
+
+module.exports = {
+  MONEY_FIELDS,
+  getHeatmap,
+  buildAdSchedule
+};
@@ -11,10 +11,31 @@
 
 const fs = require('fs');
 const path = require('path');
+const geoSpend = require('../google/geo-spend');
+const changeHistory = require('../google/change-history');
+const dateRange = require('./date-range');
 
 // Cache for country data to avoid reading file repeatedly
 let countryDataCache = null;
 
+// EUR amounts in each report, as fxRates.convertReport paths
+const TERRITORY_SPEND_MONEY_FIELDS = [
+  'summary.total_spend', 'summary.red_spend', 'summary.cost_per_supported_lead',
+  'territories[].cost', 'territories[].cost_per_lead', 'countries[].cost', 'countries[].cost_per_lead'
+];
+const MONEY_FIELDS = {
+  dashboardSummary: [
+    'summary.total_value', 'summary.avg_deal_size',
+    'summary.pipeline_stages.*.value', 'summary.pipeline_stages.*.avg_value'
+  ],
+  campaignPerformance: ['campaigns[].revenue', 'campaigns[].spend', 'campaigns[].cpc'],
+  territoryAnalysis: [
+    'territories[].revenue', 'burnRateSummary.wastedSpend',
+    ...TERRITORY_SPEND_MONEY_FIELDS.map(field => `spendAnalysis.${field}`)
+  ],
+  trendData: ['trends[].revenue']
+};
+
 /**
  * Load country classifications from reference file synchronously
  */
@@ -74,12 +95,10 @@ async function testGoogleAdsAttribution(getDbConnection, days = 7) {
     const connection = await getDbConnection();
     
     try {
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - days);
-      
-      const startDateStr = startDate.toISOString().slice(0, 19).replace('T', ' ');
-      const endDateStr = endDate.toISOString().slice(0, 19).replace('T', ' ');
+      // Window starts at midnight in the Ads account's time zone
+      const range = await dateRange.getDateRange(connection, { days });
+      const startDateStr = range.startTime;
+      const endDateStr = range.endTime;
       
       // Test each attribution method
       const attributionQuery = buildGoogleAdsAttributionQuery();
@@ -102,7 +121,7 @@ async function testGoogleAdsAttribution(getDbConnection, days = 7) {
       return {
         success: true,
         attribution_test: {
-          date_range: { start: startDateStr, end: endDateStr, days },
+          date_range: { start: startDateStr, end: endDateStr, days, time_zone: range.time_zone },
           total_contacts: parseInt(result.total_contacts) || 0,
           attribution_methods: {
             gclid_field: parseInt(result.has_gclid) || 0,
@@ -141,12 +160,10 @@ async function getMQLValidationMetrics(getDbConnection, days = 30, analysisMode
     const connection = await getDbConnection();
     
     try {
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - days);
-      
-      const startDateStr = startDate.toISOString().slice(0, 19).replace('T', ' ');
-      const endDateStr = endDate.toISOString().slice(0, 19).replace('T', ' ');
+      // Window starts at midnight in the Ads account's time zone
+      const range = await dateRange.getDateRange(connection, { days });
+      const startDateStr = range.startTime;
+      const endDateStr = range.endTime;
       
       console.log(`🎯 Getting MQL validation metrics for ${days} days (${analysisMode} mode)...`);
       
@@ -230,7 +247,8 @@ async function getMQLValidationMetrics(getDbConnection, days = 30, analysisMode
         date_range: {
           start: startDateStr,
           end: endDateStr,
-          days: days
+          days: days,
+          time_zone: range.time_zone
         },
         timestamp: new Date().toISOString()
       };
@@ -257,12 +275,10 @@ async function getDashboardSummary(getDbConnection, days = 30, analysisMode = 'p
     const connection = await getDbConnection();
     
     try {
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - days);
-      
-      const startDateStr = startDate.toISOString().slice(0, 19).replace('T', ' ');
-      const endDateStr = endDate.toISOString().slice(0, 19).replace('T', ' ');
+      // Window starts at midnight in the Ads account's time zone
+      const range = await dateRange.getDateRange(connection, { days });
+      const startDateStr = range.startTime;
+      const endDateStr = range.endTime;
       
       console.log(`📊 Getting dashboard summary for ${days} days (${analysisMode} mode)...`);
       
@@ -278,8 +294,8 @@ async function getDashboardSummary(getDbConnection, days = 30, analysisMode = 'p
         SELECT 
           d.dealstage,
           COUNT(*) as count,
-          SUM(CAST(COALESCE(d.amount, '0') as DECIMAL(15,2))) as total_value,
-          AVG(CAST(COALESCE(d.amount, '0') as DECIMAL(15,2))) as avg_value
+          SUM(CAST(COALESCE(d.amount_eur, d.amount, '0') as DECIMAL(15,2))) as total_value,
+          AVG(CAST(COALESCE(d.amount_eur, d.amount, '0') as DECIMAL(15,2))) as avg_value
         FROM hub_deals d
         JOIN hub_contact_deal_associations a ON d.hubspot_deal_id = a.deal_hubspot_id
         JOIN hub_contacts c ON a.contact_hubspot_id = c.hubspot_id
@@ -372,12 +388,10 @@ async function getTerritoryAnalysis(getDbConnection, days = 30, analysisMode = '
     const connection = await getDbConnection();
     
     try {
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - days);
-      
-      const startDateStr = startDate.toISOString().slice(0, 19).replace('T', ' ');
-      const endDateStr = endDate.toISOString().slice(0, 19).replace('T', ' ');
+      // Window starts at midnight in the Ads account's time zone
+      const range = await dateRange.getDateRange(connection, { days });
+      const startDateStr = range.startTime;
+      const endDateStr = range.endTime;
       
       console.log(`🌍 Getting territory analysis for ${days} days (${analysisMode} mode)...`);
       
@@ -431,7 +445,7 @@ async function getTerritoryAnalysis(getDbConnection, days = 30, analysisMode = '
           COUNT(*) as deals,
           COUNT(CASE WHEN d.dealstage = 'closedwon' OR d.hs_is_closed_won = 'true' THEN 1 END) as won_deals,
           COUNT(CASE WHEN d.dealstage = 'closedlost' OR d.hs_is_closed_lost = 'true' THEN 1 END) as lost_deals,
-          SUM(CAST(COALESCE(d.amount, '0') as DECIMAL(15,2))) as revenue
+          SUM(CAST(COALESCE(d.amount_eur, d.amount, '0') as DECIMAL(15,2))) as revenue
         FROM hub_deals d
         JOIN hub_contact_deal_associations a ON d.hubspot_deal_id = a.deal_hubspot_id
         JOIN hub_contacts c ON a.contact_hubspot_id = c.hubspot_id
@@ -553,12 +567,10 @@ async function getCampaignPerformance(getDbConnection, days = 30, analysisMode =
     const connection = await getDbConnection();
     
     try {
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - days);
-      
-      const startDateStr = startDate.toISOString().slice(0, 19).replace('T', ' ');
-      const endDateStr = endDate.toISOString().slice(0, 19).replace('T', ' ');
+      // Window starts at midnight in the Ads account's time zone
+      const range = await dateRange.getDateRange(connection, { days });
+      const startDateStr = range.startTime;
+      const endDateStr = range.endTime;
       
       console.log(`🎯 Getting campaign performance for ${days} days (${analysisMode} mode)...`);
       
@@ -585,7 +597,7 @@ async function getCampaignPerformance(getDbConnection, days = 30, analysisMode =
           COUNT(DISTINCT d.hubspot_deal_id) as deals,
           COUNT(CASE WHEN d.dealstage = 'closedwon' OR d.hs_is_closed_won = 'true' THEN 1 END) as won_deals,
           COUNT(CASE WHEN d.dealstage = 'closedlost' OR d.hs_is_closed_lost = 'true' THEN 1 END) as lost_deals,
-          SUM(CAST(COALESCE(d.amount, '0') as DECIMAL(15,2))) as revenue,
+          SUM(CAST(COALESCE(d.amount_eur, d.amount, '0') as DECIMAL(15,2))) as revenue,
           -- Additional campaign info for debugging
           GROUP_CONCAT(DISTINCT c.hs_analytics_source_data_2 SEPARATOR ', ') as keywords,
           GROUP_CONCAT(DISTINCT c.hs_object_source_detail_1 SEPARATOR ', ') as source_details
@@ -673,12 +685,10 @@ async function getTerritoryAnalysis(getDbConnection, days = 30, analysisMode = '
     const connection = await getDbConnection();
     
     try {
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - days);
-      
-      const startDateStr = startDate.toISOString().slice(0, 19).replace('T', ' ');
-      const endDateStr = endDate.toISOString().slice(0, 19).replace('T', ' ');
+      // Window starts at midnight in the Ads account's time zone
+      const range = await dateRange.getDateRange(connection, { days });
+      const startDateStr = range.startTime;
+      const endDateStr = range.endTime;
       
       console.log(`🌍 Getting territory analysis for ${days} days (${analysisMode} mode)...`);
       
@@ -748,7 +758,7 @@ async function getTerritoryAnalysis(getDbConnection, days = 30, analysisMode = '
           COUNT(*) as deals,
           COUNT(CASE WHEN d.dealstage = 'closedwon' OR d.hs_is_closed_won = 'true' THEN 1 END) as won_deals,
           COUNT(CASE WHEN d.dealstage = 'closedlost' OR d.hs_is_closed_lost = 'true' THEN 1 END) as lost_deals,
-          SUM(CAST(COALESCE(d.amount, '0') as DECIMAL(15,2))) as revenue
+          SUM(CAST(COALESCE(d.amount_eur, d.amount, '0') as DECIMAL(15,2))) as revenue
         FROM hub_deals d
         JOIN hub_contact_deal_associations a ON d.hubspot_deal_id = a.deal_hubspot_id
         JOIN hub_contacts c ON a.contact_hubspot_id = c.hubspot_id
@@ -830,6 +840,9 @@ async function getTerritoryAnalysis(getDbConnection, days = 30, analysisMode = '
       const totalContacts = territories.reduce((sum, t) => sum + t.contacts, 0);
       const unsupportedContacts = unsupportedTerritory ? unsupportedTerritory.contacts : 0;
       
+      // Real Google Ads spend per user country (synced from user_location_view)
+      const spendAnalysis = await getTerritorySpend(connection, range);
+      
       console.log(`✅ Territory analysis: ${territories.length} territories, ${unsupportedContacts}/${totalContacts} unsupported`);
       
       // Debug unsupported territory
@@ -851,8 +864,11 @@ async function getTerritoryAnalysis(getDbConnection, days = 30, analysisMode = '
         burnRateSummary: {
           unsupportedContacts: unsupportedContacts,
           totalContacts: totalContacts,
-          burnRatePercentage: totalContacts > 0 ? ((unsupportedContacts / totalContacts) * 100).toFixed(1) : 0
+          burnRatePercentage: totalContacts > 0 ? ((unsupportedContacts / totalContacts) * 100).toFixed(1) : 0,
+          wastedSpend: spendAnalysis.summary.red_spend,
+          wastedSpendPercentage: spendAnalysis.summary.wasted_percentage
         },
+        spendAnalysis: spendAnalysis,
         analysis_mode: analysisMode,
         debug: {
           unsupported_territories_loaded: unsupportedTerritories.length,
@@ -876,6 +892,65 @@ async function getTerritoryAnalysis(getDbConnection, days = 30, analysisMode = '
   }
 }
 
+/**
+ * Cost per territory from gads_country_metrics, joined to country_rules and hub_contacts
+ * Red countries are unsupported, so all their spend counts as wasted.
+ */
+async function getTerritorySpend(connection, range) {
+  const countries = await geoSpend.getCountrySpend(connection, {
+    startDate: range.startDate,
+    endDate: range.endDate,
+    startTime: range.startTime,
+    endTime: range.endTime,
+    leadCondition: buildGoogleAdsAttributionQuery().replace(/hs_analytics_source/g, 'c.hs_analytics_source')
+                                                   .replace(/gclid/g, 'c.gclid')
+                                                   .replace(/hs_object_source_label/g, 'c.hs_object_source_label')
+                                                   .replace(/hs_analytics_first_touch_converting_campaign/g, 'c.hs_analytics_first_touch_converting_campaign')
+                                                   .replace(/hs_analytics_last_touch_converting_campaign/g, 'c.hs_analytics_last_touch_converting_campaign')
+  });
+  
+  const byStatus = {};
+  countries.forEach(c => {
+    if (!byStatus[c.territory_status]) {
+      byStatus[c.territory_status] = { status: c.territory_status, countries: 0, cost: 0, clicks: 0, leads: 0, leads_with_deals: 0 };
+    }
+    const group = byStatus[c.territory_status];
+    group.countries++;
+    group.cost += c.cost;
+    group.clicks += c.clicks;
+    group.leads += c.leads;
+    group.leads_with_deals += c.leads_with_deals;
+  });
+  
+  const totalSpend = countries.reduce((sum, c) => sum + c.cost, 0);
+  const redSpend = byStatus.red ? byStatus.red.cost : 0;
+  const supportedLeads = countries
+    .filter(c => c.territory_status === 'green' || c.territory_status === 'yellow')
+    .reduce((sum, c) => sum + c.leads, 0);
+  
+  return {
+    summary: {
+      total_spend: totalSpend.toFixed(2),
+      red_spend: redSpend.toFixed(2),
+      wasted_percentage: totalSpend > 0 ? ((redSpend / totalSpend) * 100).toFixed(1) : '0.0',
+      supported_leads: supportedLeads,
+      cost_per_supported_lead: supportedLeads > 0 ? (totalSpend / supportedLeads).toFixed(2) : null
+    },
+    territories: Object.values(byStatus).map(t => ({
+      ...t,
+      cost: t.cost.toFixed(2),
+      cost_per_lead: t.leads > 0 ? (t.cost / t.leads).toFixed(2) : null,
+      share_of_spend: totalSpend > 0 ? ((t.cost / totalSpend) * 100).toFixed(1) : '0.0'
+    })),
+    countries: countries.slice(0, 50).map(c => ({
+      ...c,
+      cost: c.cost.toFixed(2),
+      cost_per_lead: c.leads > 0 ? (c.cost / c.leads).toFixed(2) : null,
+      isUnsupported: c.territory_status === 'red'
+    }))
+  };
+}
+
 /**
  * Get trend data for dashboard charts
  */
@@ -886,16 +961,18 @@ async function getTrendData(getDbConnection, days = 30, analysisMode = 'pipeline
     try {
       console.log(`📈 Getting trend data for ${days} days (${analysisMode} mode)...`);
       
-      // Generate date series for the last N days
+      // Daily buckets are account-local days, matching segments.date on the Ads side
+      const range = await dateRange.getDateRange(connection, { days });
       const dateCondition = analysisMode === 'revenue' 
         ? 'd.hs_closed_won_date'
         : 'd.createdate';
+      const localDate = dateRange.localDateSql(dateCondition, range);
         
       const [trendResult] = await connection.execute(`
         SELECT 
-          DATE(${dateCondition}) as date,
+          ${localDate} as date,
           COUNT(*) as deals,
-          SUM(CAST(COALESCE(d.amount, '0') as DECIMAL(15,2))) as revenue,
+          SUM(CAST(COALESCE(d.amount_eur, d.amount, '0') as DECIMAL(15,2))) as revenue,
           COUNT(CASE WHEN d.dealstage = 'closedwon' OR d.hs_is_closed_won = 'true' THEN 1 END) as won_deals
         FROM hub_deals d
         JOIN hub_contact_deal_associations a ON d.hubspot_deal_id = a.deal_hubspot_id
@@ -905,11 +982,12 @@ async function getTrendData(getDbConnection, days = 30, analysisMode = 'pipeline
                                               .replace(/hs_object_source_label/g, 'c.hs_object_source_label')
                                               .replace(/hs_analytics_first_touch_converting_campaign/g, 'c.hs_analytics_first_touch_converting_campaign')
                                               .replace(/hs_analytics_last_touch_converting_campaign/g, 'c.hs_analytics_last_touch_converting_campaign')}
-          AND ${dateCondition} >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
-        GROUP BY DATE(${dateCondition})
+          AND ${dateCondition} >= ?
+          AND ${dateCondition} <= ?
+        GROUP BY ${localDate}
         ORDER BY date DESC
         LIMIT ?
-      `, [days, days]);
+      `, [range.startTime, range.endTime, days + 1]);
       
       const trends = trendResult.map(t => ({
         date: t.date,
@@ -918,10 +996,15 @@ async function getTrendData(getDbConnection, days = 30, analysisMode = 'pipeline
         won_deals: parseInt(t.won_deals) || 0
       }));
       
+      // Google Ads changes as chart markers - also listed on their own for days without deals
+      const annotations = await changeHistory.getChangeAnnotations(connection, { days, startDate: range.startDate });
+      
       return {
         success: true,
-        trends: trends,
+        trends: changeHistory.attachAnnotations(trends, annotations),
+        annotations: annotations,
         analysis_mode: analysisMode,
+        time_zone: range.time_zone,
         timestamp: new Date().toISOString()
       };
       
@@ -940,6 +1023,7 @@ async function getTrendData(getDbConnection, days = 30, analysisMode = 'pipeline
 }
 
 module.exports = {
+  MONEY_FIELDS,
   getDashboardSummary,
   getCampaignPerformance,
   getTerritoryAnalysis,
@@ -0,0 +1,371 @@
+/**
+ * Analytics Pacing Module
+ * Path: /home/hub/public_html/gads/scripts/analytics/pacing.js
+ *
+ * Month-to-date spend against a monthly target, per campaign and per account, from
+ * synced gads_campaign_metrics. Google may spend up to 2x the daily budget on a single
+ * day and only guarantees the month stays under daily budget × 30.4, so daily budget ×
+ * 30.44 says little about where the month will land.
+ *
+ * - Target: gads_budget_targets for the month, else daily budget × days in the month
+ *   (account: its own target row, else the sum of the campaign targets)
+ * - Forecast: spend through yesterday + run rate of the last 14 complete days × days left,
+ *   with an 80% band from the day-to-day variance. The upper bound never exceeds what
+ *   Google may charge (2x budget per day, 30.4x budget per month).
+ * - Required daily budget: what is left of the target / days left (today included)
+ */
+
+const dateRange = require('./date-range');
+
+const RUN_RATE_DAYS = 14;
+const CONFIDENCE_Z = 1.2816; // 80% two-sided
+const ON_TRACK_TOLERANCE = 0.05;
+const DAILY_OVERSPEND_FACTOR = 2;
+const MONTHLY_CHARGE_DAYS = 30.4;
+
+// EUR amounts of the account and of each campaign in getPacingReport results
+const PACING_MONEY_FIELDS = [
+  'daily_budget', 'mtd_spend', 'run_rate_daily', 'projected_spend', 'projected_low', 'projected_high',
+  'target', 'remaining_target', 'required_daily_budget'
+];
+const MONEY_FIELDS = ['account', 'campaigns[]'].flatMap(parent => PACING_MONEY_FIELDS.map(field => `${parent}.${field}`));
+
+function formatDate(value) {
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = n => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+function addDays(value, days) {
+  const result = new Date(value);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * First day of a YYYY-MM month (default: current month)
+ */
+function parseMonth(month, now = new Date()) {
+  if (!month) return new Date(now.getFullYear(), now.getMonth(), 1);
+
+  const match = /^(\d{4})-(\d{2})$/.exec(month);
+  if (!match || match[2] < 1 || match[2] > 12) {
+    throw new Error(`month must be YYYY-MM, got "${month}"`);
+  }
+  return new Date(parseInt(match[1]), parseInt(match[2]) - 1, 1);
+}
+
+/**
+ * Month being paced and how far into it we are
+ * @param {string} month - YYYY-MM (default: current month)
+ */
+function getPacingPeriod(month, now = new Date()) {
+  const monthStart = parseMonth(month, now);
+  const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  if (monthStart > today) {
+    throw new Error(`${formatDate(monthStart).slice(0, 7)} has not started yet`);
+  }
+
+  const daysInMonth = monthEnd.getDate();
+  // Today is still spending - only complete days count as actuals
+  const completedDays = today > monthEnd ? daysInMonth : today.getDate() - 1;
+
+  return {
+    month: formatDate(monthStart).slice(0, 7),
+    monthStart,
+    monthEnd,
+    daysInMonth,
+    completedDays,
+    remainingDays: daysInMonth - completedDays,
+    asOf: completedDays > 0 ? addDays(monthStart, completedDays - 1) : null
+  };
+}
+
+/**
+ * Projected month-end spend for one daily spend series
+ * @param {Array} runRateDays - daily spend of the recent complete days (zero-filled)
+ * @param {number} mtdSpend - spend through the last complete day
+ * @param {number} remainingDays - days left including today
+ * @param {number} dailyBudget - current daily budget (0 = unknown, no cap)
+ */
+function forecastSpend(runRateDays, mtdSpend, remainingDays, dailyBudget = 0) {
+  const n = runRateDays.length;
+  const runRate = n > 0 ? runRateDays.reduce((sum, value) => sum + value, 0) / n : 0;
+  const variance = n > 1
+    ? runRateDays.reduce((sum, value) => sum + Math.pow(value - runRate, 2), 0) / (n - 1)
+    : 0;
+
+  let projected = mtdSpend + runRate * remainingDays;
+
+  // Day-to-day noise over the remaining days plus the uncertainty of the run rate itself
+  const spread = n > 0
+    ? CONFIDENCE_Z * Math.sqrt(remainingDays * variance + Math.pow(remainingDays, 2) * variance / n)
+    : 0;
+
+  let upper = projected + spread;
+  if (dailyBudget > 0) {
+    upper = Math.min(
+      upper,
+      mtdSpend + remainingDays * dailyBudget * DAILY_OVERSPEND_FACTOR,
+      Math.max(mtdSpend, dailyBudget * MONTHLY_CHARGE_DAYS)
+    );
+  }
+
+  upper = Math.max(upper, mtdSpend);
+  projected = Math.min(projected, upper);
+
+  return {
+    run_rate_daily: round2(runRate),
+    run_rate_days: n,
+    projected_spend: round2(projected),
+    projected_low: round2(Math.max(mtdSpend, projected - spread)),
+    projected_high: round2(upper)
+  };
+}
+
+/**
+ * Pacing verdict and the daily budget that lands the month on target
+ */
+function evaluatePacing(target, mtdSpend, forecast, remainingDays) {
+  const remainingTarget = target - mtdSpend;
+  const projectedVsTarget = target > 0 ? forecast.projected_spend / target : null;
+
+  let status = 'no_target';
+  if (target > 0) {
+    if (projectedVsTarget > 1 + ON_TRACK_TOLERANCE) status = 'overpacing';
+    else if (projectedVsTarget < 1 - ON_TRACK_TOLERANCE) status = 'underpacing';
+    else status = 'on_track';
+  }
+
+  return {
+    target: round2(target),
+    remaining_target: round2(Math.max(0, remainingTarget)),
+    projected_vs_target_percent: projectedVsTarget !== null ? round2(projectedVsTarget * 100) : null,
+    required_daily_budget: remainingDays > 0 ? round2(Math.max(0, remainingTarget) / remainingDays) : null,
+    status
+  };
+}
+
+/**
+ * Get monthly pacing per campaign and for the account
+ * @param {Function} getDbConnection - Database connection function
+ * @param {Object} options - Pacing options
+ * @param {string} options.accountId - Account to pace
+ * @param {string} options.month - YYYY-MM (default: current month)
+ * @returns {Object} Pacing report
+ */
+async function getPacingReport(getDbConnection, options = {}) {
+  let connection;
+
+  try {
+    console.log('📅 Calculating budget pacing...');
+
+    const accountId = options.accountId;
+
+    connection = await getDbConnection();
+
+    // "Today" is the account's day - segments.date is in the account's time zone
+    const timeZone = await dateRange.getAccountTimeZone(connection, accountId);
+    const period = getPacingPeriod(options.month, dateRange.calendarToday(timeZone));
+    const lastCompleteDay = addDays(period.monthStart, period.completedDays - 1);
+    // Early in the month the run rate reaches back into the previous one
+    const runRateStart = addDays(lastCompleteDay, 1 - RUN_RATE_DAYS);
+    const queryStart = runRateStart < period.monthStart ? runRateStart : period.monthStart;
+
+    const [campaigns] = await connection.execute(`
+      SELECT google_campaign_id, campaign_name, status, daily_budget_eur
+      FROM gads_campaigns
+      WHERE account_id = ?
+    `, [accountId]);
+
+    const [metrics] = await connection.execute(`
+      SELECT google_campaign_id, date, SUM(cost_eur) as cost
+      FROM gads_campaign_metrics
+      WHERE account_id = ? AND date BETWEEN ? AND ?
+      GROUP BY google_campaign_id, date
+    `, [accountId, formatDate(queryStart), formatDate(lastCompleteDay)]);
+
+    const [targets] = await connection.execute(`
+      SELECT google_campaign_id, target_eur
+      FROM gads_budget_targets
+      WHERE account_id = ? AND month = ?
+    `, [accountId, formatDate(period.monthStart)]);
+
+    const targetByCampaign = new Map(targets.map(row => [row.google_campaign_id, parseFloat(row.target_eur)]));
+
+    // Daily spend per campaign, keyed by date
+    const spendByCampaign = new Map();
+    const firstSpendDate = new Map();
+    metrics.forEach(row => {
+      const id = String(row.google_campaign_id);
+      const date = formatDate(row.date);
+      if (!spendByCampaign.has(id)) spendByCampaign.set(id, new Map());
+      spendByCampaign.get(id).set(date, parseFloat(row.cost) || 0);
+      if (!firstSpendDate.has(id) || date < firstSpendDate.get(id)) firstSpendDate.set(id, date);
+    });
+
+    const monthDates = [];
+    for (let i = 0; i < period.completedDays; i++) {
+      monthDates.push(formatDate(addDays(period.monthStart, i)));
+    }
+    const runRateDates = [];
+    for (let day = new Date(runRateStart); day <= lastCompleteDay; day = addDays(day, 1)) {
+      runRateDates.push(formatDate(day));
+    }
+
+    const accountDaily = new Map(runRateDates.map(date => [date, 0]));
+    let accountMtd = 0;
+    let accountDailyBudget = 0;
+    let campaignTargetSum = 0;
+
+    const campaignPacing = campaigns
+      .filter(campaign => campaign.status === 2 || spendByCampaign.has(String(campaign.google_campaign_id)))
+      .map(campaign => {
+        const id = String(campaign.google_campaign_id);
+        const daily = spendByCampaign.get(id) || new Map();
+        const dailyBudget = parseFloat(campaign.daily_budget_eur) || 0;
+
+        const mtdSpend = monthDates.reduce((sum, date) => sum + (daily.get(date) || 0), 0);
+
+        // Zero-fill from the first day with spend so a new campaign isn't averaged down
+        const since = firstSpendDate.get(id);
+        const runRateDays = runRateDates
+          .filter(date => since && date >= since)
+          .map(date => daily.get(date) || 0);
+
+        runRateDates.forEach(date => accountDaily.set(date, accountDaily.get(date) + (daily.get(date) || 0)));
+        accountMtd += mtdSpend;
+        if (campaign.status === 2) accountDailyBudget += dailyBudget;
+
+        const hasExplicitTarget = targetByCampaign.has(id);
+        const target = hasExplicitTarget ? targetByCampaign.get(id) : dailyBudget * period.daysInMonth;
+        campaignTargetSum += target;
+
+        const forecast = forecastSpend(runRateDays, mtdSpend, period.remainingDays, dailyBudget);
+
+        return {
+          campaign_id: id,
+          campaign_name: campaign.campaign_name,
+          status: campaign.status,
+          daily_budget: round2(dailyBudget),
+          target_source: hasExplicitTarget ? 'target' : 'daily_budget',
+          mtd_spend: round2(mtdSpend),
+          ...forecast,
+          ...evaluatePacing(target, mtdSpend, forecast, period.remainingDays)
+        };
+      })
+      .sort((a, b) => b.mtd_spend - a.mtd_spend);
+
+    const hasAccountTarget = targetByCampaign.has('');
+    const accountTarget = hasAccountTarget ? targetByCampaign.get('') : campaignTargetSum;
+    const accountForecast = forecastSpend(
+      runRateDates.map(date => accountDaily.get(date)),
+      accountMtd,
+      period.remainingDays,
+      accountDailyBudget
+    );
+
+    const account = {
+      account_id: accountId,
+      daily_budget: round2(accountDailyBudget),
+      target_source: hasAccountTarget ? 'target' : 'campaign_targets',
+      mtd_spend: round2(accountMtd),
+      ...accountForecast,
+      ...evaluatePacing(accountTarget, accountMtd, accountForecast, period.remainingDays)
+    };
+
+    console.log(`   ✅ Pacing ${period.month}: €${account.mtd_spend} spent, €${account.projected_spend} projected of €${account.target} (${account.status})`);
+
+    return {
+      success: true,
+      month: period.month,
+      as_of: period.asOf ? formatDate(period.asOf) : null,
+      time_zone: timeZone,
+      days_in_month: period.daysInMonth,
+      days_completed: period.completedDays,
+      days_remaining: period.remainingDays,
+      confidence: '80%',
+      account,
+      campaigns: campaignPacing,
+      summary: {
+        campaigns: campaignPacing.length,
+        overpacing: campaignPacing.filter(c => c.status === 'overpacing').length,
+        underpacing: campaignPacing.filter(c => c.status === 'underpacing').length,
+        on_track: campaignPacing.filter(c => c.status === 'on_track').length
+      },
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('❌ Budget pacing failed:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  } finally {
+    if (connection) await connection.end();
+  }
+}
+
+/**
+ * Set the monthly spend target for an account or one of its campaigns
+ * @param {Function} getDbConnection - Database connection function
+ * @param {Object} options - { accountId, month (YYYY-MM), targetEur, campaignId, setBy }
+ */
+async function setMonthlyTarget(getDbConnection, options = {}) {
+  let connection;
+
+  try {
+    // Targets can be set ahead for coming months
+    const monthStart = parseMonth(options.month);
+    const month = formatDate(monthStart).slice(0, 7);
+    const targetEur = parseFloat(options.targetEur);
+    if (!Number.isFinite(targetEur) || targetEur < 0) {
+      throw new Error(`target_eur must be a non-negative number, got "${options.targetEur}"`);
+    }
+    const campaignId = options.campaignId ? String(options.campaignId) : '';
+
+    connection = await getDbConnection();
+    await connection.execute(`
+      INSERT INTO gads_budget_targets (account_id, month, google_campaign_id, target_eur, set_by)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE target_eur = VALUES(target_eur), set_by = VALUES(set_by)
+    `, [options.accountId, formatDate(monthStart), campaignId, targetEur, options.setBy || null]);
+
+    console.log(`🎯 Pacing target for ${month} ${campaignId ? `campaign ${campaignId}` : 'account'}: €${targetEur}`);
+
+    return {
+      success: true,
+      account_id: options.accountId,
+      month,
+      campaign_id: campaignId || null,
+      target_eur: targetEur,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('❌ Setting pacing target failed:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  } finally {
+    if (connection) await connection.end();
+  }
+}
+
+module.exports = {
+  MONEY_FIELDS,
+  parseMonth,
+  getPacingReport,
+  setMonthlyTarget,
+  forecastSpend
+};
@@ -5,11 +5,22 @@
  * Lightning-fast queries using your 26,440 Google Ads records + HubSpot data
  */
 
+const changeHistory = require('../google/change-history');
+const accounts = require('../google/accounts');
+const dateRange = require('./date-range');
+
+// EUR amounts in getFastPipelineData results, as fxRates.convertReport paths
+const MONEY_FIELDS = [
+  'summary.totalCost', 'summary.costPerContact', 'summary.avgCPC', 'mqlStages.*.cost',
+  'campaigns[].cost', 'trends[].cost', 'trends[].cost_per_lead'
+];
+
 /**
  * Get complete pipeline data using MySQL (FAST!)
  */
 async function getFastPipelineData(getDbConnection, options = {}) {
-  const { days = 30, campaign = 'all' } = options;
+  const { campaign = 'all' } = options;
+  const days = parseInt(options.days) || 30;
   
   try {
     console.log(`⚡ Fast pipeline data: ${days} days, campaign: ${campaign}`);
@@ -17,13 +28,20 @@ async function getFastPipelineData(getDbConnection, options = {}) {
     const connection = await getDbConnection();
     
     try {
+      // One window for every query: Ads days and HubSpot timestamps in the account's time zone
+      const range = await dateRange.getDateRange(connection, {
+        days,
+        accountId: accounts.normalizeAccountId(options.account)
+      });
+      const queryOptions = { ...options, days, range };
+      
       // Get all data in parallel from MySQL (super fast!)
       const [mqlData, sqlData, campaignList, summary, trends] = await Promise.all([
-        getMQLStagesFromMySQL(connection, options),
-        getSQLStagesFromMySQL(connection, options),
-        getCampaignListFromMySQL(connection, options),
-        getPipelineSummaryFromMySQL(connection, options),
-        getTrendsFromMySQL(connection, options)
+        getMQLStagesFromMySQL(connection, queryOptions),
+        getSQLStagesFromMySQL(connection, queryOptions),
+        getCampaignListFromMySQL(connection, queryOptions),
+        getPipelineSummaryFromMySQL(connection, queryOptions),
+        getTrendsFromMySQL(connection, queryOptions)
       ]);
       
       return {
@@ -34,6 +52,7 @@ async function getFastPipelineData(getDbConnection, options = {}) {
         campaigns: campaignList,
         trends,
         period: `Last ${days} days`,
+        time_zone: range.time_zone,
         dataSource: 'MySQL (26,440+ records)',
         performance: 'LIGHTNING FAST ⚡',
         timestamp: new Date().toISOString()
@@ -57,18 +76,13 @@ async function getFastPipelineData(getDbConnection, options = {}) {
  * Get MQL stages from Google Ads MySQL data (INSTANT!)
  */
 async function getMQLStagesFromMySQL(connection, options) {
-  const { days = 30, campaign = 'all' } = options;
+  const { campaign = 'all', range } = options;
   
   console.log('⚡ Getting MQL data from MySQL...');
   
-  // Calculate date range
-  const endDate = new Date();
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
-  
   // Build campaign filter
   let campaignFilter = '';
-  let params = [startDate.toISOString().split('T')[0], endDate.toISOString().split('T')[0]];
+  let params = [range.startDate, range.endDate];
   
   if (campaign && campaign !== 'all') {
     campaignFilter = 'AND gc.campaign_name = ?';
@@ -112,7 +126,7 @@ async function getMQLStagesFromMySQL(connection, options) {
       ${campaign !== 'all' ? 'AND (hc.google_ads_campaign = ? OR hc.hs_object_source_detail_1 = ?)' : ''}
   `;
   
-  const hubspotParams = [startDate.toISOString().split('T')[0], endDate.toISOString().split('T')[0]];
+  const hubspotParams = [range.startTime, range.endTime];
   if (campaign !== 'all') {
     hubspotParams.push(campaign, campaign);
   }
@@ -166,18 +180,13 @@ async function getMQLStagesFromMySQL(connection, options) {
  * Get SQL stages from HubSpot MySQL data (INSTANT!)
  */
 async function getSQLStagesFromMySQL(connection, options) {
-  const { days = 30, campaign = 'all' } = options;
+  const { campaign = 'all', range } = options;
   
   console.log('⚡ Getting SQL data from MySQL...');
   
-  // Calculate date range
-  const endDate = new Date();
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
-  
   // Build campaign filter
   let campaignFilter = '';
-  let params = [startDate.toISOString().split('T')[0], endDate.toISOString().split('T')[0]];
+  let params = [range.startTime, range.endTime];
   
   if (campaign && campaign !== 'all') {
     campaignFilter = 'AND (hc.google_ads_campaign = ? OR hc.hs_object_source_detail_1 = ?)';
@@ -203,7 +212,7 @@ async function getSQLStagesFromMySQL(connection, options) {
       hd.dealstage,
       COUNT(DISTINCT hc.hubspot_id) as contact_count,
       COUNT(DISTINCT hd.hubspot_deal_id) as deal_count,
-      SUM(CASE WHEN hd.amount > 0 THEN hd.amount ELSE 0 END) as total_revenue
+      SUM(CASE WHEN hd.amount > 0 THEN COALESCE(hd.amount_eur, hd.amount) ELSE 0 END) as total_revenue
     FROM hub_contacts hc
     JOIN hub_contact_deal_associations hda ON hc.hubspot_id = hda.contact_hubspot_id
     JOIN hub_deals hd ON hda.deal_hubspot_id = hd.hubspot_deal_id
@@ -269,7 +278,7 @@ async function getSQLStagesFromMySQL(connection, options) {
  * Get campaign list from MySQL (INSTANT!)
  */
 async function getCampaignListFromMySQL(connection, options) {
-  const { days = 30 } = options;
+  const { range } = options;
   
   // Get campaigns with recent activity
   const campaignQuery = `
@@ -284,7 +293,7 @@ async function getCampaignListFromMySQL(connection, options) {
       MAX(gcm.date) as last_activity_date
     FROM gads_campaigns gc
     LEFT JOIN gads_campaign_metrics gcm ON gc.google_campaign_id = gcm.google_campaign_id
-      AND gcm.date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+      AND gcm.date >= ?
     WHERE gc.status = 2
     GROUP BY gc.google_campaign_id, gc.campaign_name, gc.campaign_type_name, gc.status
     HAVING days_with_data > 0
@@ -292,7 +301,7 @@ async function getCampaignListFromMySQL(connection, options) {
     LIMIT 20
   `;
   
-  const [results] = await connection.execute(campaignQuery, [days]);
+  const [results] = await connection.execute(campaignQuery, [range.startDate]);
   
   // Add "All Campaigns" option
   const campaigns = [
@@ -319,16 +328,11 @@ async function getCampaignListFromMySQL(connection, options) {
  * Get pipeline summary from MySQL (INSTANT!)
  */
 async function getPipelineSummaryFromMySQL(connection, options) {
-  const { days = 30, campaign = 'all' } = options;
-  
-  // Calculate date range
-  const endDate = new Date();
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
+  const { days = 30, campaign = 'all', range } = options;
   
   // Build campaign filter
   let campaignFilter = '';
-  let params = [startDate.toISOString().split('T')[0], endDate.toISOString().split('T')[0]];
+  let params = [range.startDate, range.endDate];
   
   if (campaign && campaign !== 'all') {
     campaignFilter = 'AND gc.campaign_name = ?';
@@ -353,7 +357,7 @@ async function getPipelineSummaryFromMySQL(connection, options) {
   const gadsData = gadsResults[0] || {};
   
   // Get HubSpot summary
-  const hubspotParams = [startDate.toISOString().split('T')[0], endDate.toISOString().split('T')[0]];
+  const hubspotParams = [range.startTime, range.endTime];
   if (campaign !== 'all') {
     hubspotParams.push(campaign, campaign);
   }
@@ -397,13 +401,15 @@ async function getPipelineSummaryFromMySQL(connection, options) {
 
 /**
  * Get trends from MySQL (INSTANT!)
+ * Leads are bucketed by account-local day so each day's cost per lead pairs a day's
+ * spend with that same day's contacts.
  */
 async function getTrendsFromMySQL(connection, options) {
-  const { days = 30, campaign = 'all' } = options;
+  const { days = 30, campaign = 'all', range } = options;
   
   // Build campaign filter
   let campaignFilter = '';
-  let params = [days];
+  let params = [range.startDate];
   
   if (campaign && campaign !== 'all') {
     campaignFilter = 'AND gc.campaign_name = ?';
@@ -413,6 +419,7 @@ async function getTrendsFromMySQL(connection, options) {
   const trendsQuery = `
     SELECT 
       gcm.date,
+      DATE_FORMAT(gcm.date, '%Y-%m-%d') as date_key,
       SUM(gcm.impressions) as impressions,
       SUM(gcm.clicks) as clicks,
       SUM(gcm.cost_eur) as cost,
@@ -420,7 +427,7 @@ async function getTrendsFromMySQL(connection, options) {
       AVG(gcm.ctr) as ctr
     FROM gads_campaign_metrics gcm
     JOIN gads_campaigns gc ON gcm.google_campaign_id = gc.google_campaign_id
-    WHERE gcm.date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+    WHERE gcm.date >= ?
       AND gc.status = 2
       ${campaignFilter}
     GROUP BY gcm.date
@@ -430,16 +437,48 @@ async function getTrendsFromMySQL(connection, options) {
   
   const [results] = await connection.execute(trendsQuery, params);
   
-  return results.map(row => ({
-    date: row.date,
-    impressions: parseInt(row.impressions) || 0,
-    clicks: parseInt(row.clicks) || 0,
-    cost: parseFloat(row.cost) || 0,
-    conversions: parseFloat(row.conversions) || 0,
-    ctr: parseFloat(row.ctr) || 0
-  }));
+  const leadDate = dateRange.localDateSql('hc.createdate', range);
+  const leadParams = [range.startTime, range.endTime];
+  if (campaign !== 'all') {
+    leadParams.push(campaign, campaign);
+  }
+  
+  const [leadResults] = await connection.execute(`
+    SELECT 
+      DATE_FORMAT(${leadDate}, '%Y-%m-%d') as date_key,
+      COUNT(*) as leads
+    FROM hub_contacts hc
+    WHERE hc.hs_object_source = 'PAID_SEARCH'
+      AND hc.createdate >= ? 
+      AND hc.createdate <= ?
+      ${campaign !== 'all' ? 'AND (hc.google_ads_campaign = ? OR hc.hs_object_source_detail_1 = ?)' : ''}
+    GROUP BY ${leadDate}
+  `, leadParams);
+  
+  const leadsByDay = new Map(leadResults.map(row => [row.date_key, parseInt(row.leads) || 0]));
+  
+  // Bid/budget/targeting changes become markers on the day they happened
+  const annotations = await changeHistory.getChangeAnnotations(connection, { days, campaign, startDate: range.startDate });
+  
+  const trends = results.map(row => {
+    const cost = parseFloat(row.cost) || 0;
+    const leads = leadsByDay.get(row.date_key) || 0;
+    return {
+      date: row.date,
+      impressions: parseInt(row.impressions) || 0,
+      clicks: parseInt(row.clicks) || 0,
+      cost: cost,
+      conversions: parseFloat(row.conversions) || 0,
+      ctr: parseFloat(row.ctr) || 0,
+      leads: leads,
+      cost_per_lead: leads > 0 ? parseFloat((cost / leads).toFixed(2)) : null
+    };
+  });
+  
+  return changeHistory.attachAnnotations(trends, annotations);
 }
 
 module.exports = {
+  MONEY_FIELDS,
   getFastPipelineData
 };
\ No newline at end of file
@@ -0,0 +1,312 @@
+/**
+ * Analytics Device and Network Segments Module
+ * Path: /home/hub/public_html/gads/scripts/analytics/segments.js
+ *
+ * Spend per campaign, device and ad network from gads_segment_metrics, next to the leads
+ * and SQLs (leads with a deal) HubSpot can place in the same segment. HubSpot has no
+ * device or network field of its own, so hints come from the first page URL of the
+ * contact's session:
+ * - network: hsa_src (HubSpot ad tracking) or a {network} ValueTrack parameter
+ * - device: a {device} ValueTrack parameter in the final URL suffix (device={device})
+ * - campaign: hsa_cam / campaignid, else the converting campaign name
+ * - account: hsa_acc (HubSpot ad tracking)
+ * Leads without a hint are counted per campaign as unsegmented, and hint coverage is
+ * reported so a low share reads as "add the ValueTrack parameters", not as zero leads.
+ */
+
+const dateRange = require('./date-range');
+const hubspotData = require('./hubspot-data');
+
+// ValueTrack {network} / hsa_src letters → AdNetworkType names
+const NETWORK_HINTS = {
+  g: 'SEARCH',
+  s: 'SEARCH_PARTNERS',
+  d: 'CONTENT',
+  ytv: 'YOUTUBE',
+  vp: 'YOUTUBE',
+  x: 'MIXED'
+};
+
+// ValueTrack {device} letters → Device names
+const DEVICE_HINTS = {
+  m: 'MOBILE',
+  t: 'TABLET',
+  c: 'DESKTOP'
+};
+
+// hub_contacts columns are created from HubSpot properties as they appear - only read the ones that exist
+const HINT_COLUMNS = [
+  'hs_analytics_first_url',
+  'hs_analytics_first_touch_converting_campaign',
+  'num_associated_deals'
+];
+
+// EUR amounts in getSegmentReport results: every breakdown row and comparison, per account and campaign
+const MONEY_FIELDS = [
+  'campaigns[].cost',
+  ...['account', 'campaigns[]'].flatMap(parent => [
+    ...['devices[]', 'networks[]'].flatMap(list =>
+      ['cost', 'cost_per_lead', 'cost_per_sql'].map(field => `${parent}.${list}.${field}`)),
+    ...['mobile_vs_desktop.*', 'search_partners_vs_search.*'].flatMap(comparison =>
+      ['cost_per_lead', 'cost_per_sql'].map(field => `${parent}.${comparison}.${field}`))
+  ])
+];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Device, network and campaign hints from a landing page URL
+ */
+function parseLeadHints(url) {
+  const hints = { device: null, network: null, campaignId: null, accountId: null };
+  if (!url) return hints;
+
+  let params;
+  try {
+    params = new URL(url).searchParams;
+  } catch (error) {
+    return hints;
+  }
+
+  const network = (params.get('hsa_src') || params.get('network') || '').toLowerCase();
+  const device = (params.get('device') || '').toLowerCase();
+  const campaignId = params.get('hsa_cam') || params.get('campaignid') || params.get('utm_id');
+  const accountId = (params.get('hsa_acc') || '').replace(/-/g, '');
+
+  hints.network = NETWORK_HINTS[network] || null;
+  hints.device = DEVICE_HINTS[device] || null;
+  hints.campaignId = /^\d+$/.test(campaignId || '') ? campaignId : null;
+  hints.accountId = /^\d{10}$/.test(accountId) ? accountId : null;
+  return hints;
+}
+
+function emptySegment() {
+  return { impressions: 0, clicks: 0, cost: 0, conversions: 0, leads: 0, sqls: 0 };
+}
+
+/**
+ * Unit costs and lead quality for a segment's totals
+ */
+function finishSegment(name, segment) {
+  return {
+    segment: name,
+    impressions: segment.impressions,
+    clicks: segment.clicks,
+    cost: round2(segment.cost),
+    conversions: round2(segment.conversions),
+    leads: segment.leads,
+    sqls: segment.sqls,
+    cost_per_lead: segment.leads > 0 ? round2(segment.cost / segment.leads) : null,
+    cost_per_sql: segment.sqls > 0 ? round2(segment.cost / segment.sqls) : null,
+    sql_rate_percent: segment.leads > 0 ? round2((segment.sqls / segment.leads) * 100) : 0,
+    click_to_lead_percent: segment.clicks > 0 ? round2((segment.leads / segment.clicks) * 100) : 0
+  };
+}
+
+function addMetrics(target, row) {
+  target.impressions += parseInt(row.impressions) || 0;
+  target.clicks += parseInt(row.clicks) || 0;
+  target.cost += parseFloat(row.cost) || 0;
+  target.conversions += parseFloat(row.conversions) || 0;
+}
+
+function getSegment(map, key) {
+  if (!map.has(key)) map.set(key, emptySegment());
+  return map.get(key);
+}
+
+/**
+ * Side-by-side comparison of two segments of a breakdown
+ */
+function compareSegments(breakdown, first, second) {
+  const a = breakdown.find(s => s.segment === first);
+  const b = breakdown.find(s => s.segment === second);
+  if (!a || !b) return null;
+
+  return {
+    [first]: { cost_per_lead: a.cost_per_lead, cost_per_sql: a.cost_per_sql, sql_rate_percent: a.sql_rate_percent },
+    [second]: { cost_per_lead: b.cost_per_lead, cost_per_sql: b.cost_per_sql, sql_rate_percent: b.sql_rate_percent }
+  };
+}
+
+/**
+ * Device and network breakdown per campaign with HubSpot lead quality
+ * @param {Function} getDbConnection - Database connection function
+ * @param {Object} options - { accountId, days (default 30), campaignId }
+ * @returns {Object} Account and per-campaign device/network breakdowns
+ */
+async function getSegmentReport(getDbConnection, options = {}) {
+  let connection;
+
+  try {
+    const days = parseInt(options.days) || 30;
+    const campaignId = options.campaignId ? String(options.campaignId) : null;
+
+    console.log(`📱 Building device and network report for ${days} days...`);
+
+    connection = await getDbConnection();
+    const range = await dateRange.getDateRange(connection, { days, accountId: options.accountId });
+
+    const [adRows] = await connection.execute(`
+      SELECT
+        m.google_campaign_id,
+        m.device,
+        m.ad_network_type,
+        SUM(m.impressions) as impressions,
+        SUM(m.clicks) as clicks,
+        SUM(m.cost_eur) as cost,
+        SUM(m.conversions) as conversions
+      FROM gads_segment_metrics m
+      WHERE m.account_id = ?
+        AND m.date >= ?
+        AND m.date <= ?
+        ${campaignId ? 'AND m.google_campaign_id = ?' : ''}
+      GROUP BY m.google_campaign_id, m.device, m.ad_network_type
+    `, campaignId
+      ? [options.accountId, range.startDate, range.endDate, campaignId]
+      : [options.accountId, range.startDate, range.endDate]);
+
+    const [campaignRows] = await connection.execute(`
+      SELECT google_campaign_id, campaign_name FROM gads_campaigns WHERE account_id = ?
+    `, [options.accountId]);
+    const campaignNames = new Map(campaignRows.map(c => [c.google_campaign_id, c.campaign_name]));
+    const campaignIdsByName = new Map(campaignRows.map(c => [c.campaign_name, c.google_campaign_id]));
+
+    const [columns] = await connection.execute('SHOW COLUMNS FROM hub_contacts');
+    const available = new Set(columns.map(c => c.Field));
+    const hintColumns = HINT_COLUMNS.filter(c => available.has(c));
+
+    const [leadRows] = await connection.execute(`
+      SELECT hubspot_id${hintColumns.map(c => `, ${c}`).join('')}
+      FROM hub_contacts
+      WHERE ${hubspotData.buildGoogleAdsAttributionQuery()}
+        AND createdate >= ?
+        AND createdate <= ?
+    `, [range.startTime, range.endTime]);
+
+    // Per campaign: device and network maps, plus leads without a hint
+    const campaigns = new Map();
+    const getCampaign = id => {
+      if (!campaigns.has(id)) {
+        campaigns.set(id, { devices: new Map(), networks: new Map(), leads: 0, sqls: 0, unsegmented_device: 0, unsegmented_network: 0 });
+      }
+      return campaigns.get(id);
+    };
+    const accountDevices = new Map();
+    const accountNetworks = new Map();
+
+    adRows.forEach(row => {
+      const campaign = getCampaign(row.google_campaign_id);
+      addMetrics(getSegment(campaign.devices, row.device), row);
+      addMetrics(getSegment(campaign.networks, row.ad_network_type), row);
+      addMetrics(getSegment(accountDevices, row.device), row);
+      addMetrics(getSegment(accountNetworks, row.ad_network_type), row);
+    });
+
+    const coverage = { leads: 0, with_campaign: 0, with_device: 0, with_network: 0 };
+
+    leadRows.forEach(lead => {
+      const hints = parseLeadHints(lead.hs_analytics_first_url);
+      const id = hints.campaignId || campaignIdsByName.get(lead.hs_analytics_first_touch_converting_campaign) || null;
+      const isSql = (parseInt(lead.num_associated_deals) || 0) > 0;
+      if (campaignId && id !== campaignId) return;
+
+      coverage.leads++;
+      if (hints.device) coverage.with_device++;
+      if (hints.network) coverage.with_network++;
+
+      const countLead = segment => {
+        segment.leads++;
+        if (isSql) segment.sqls++;
+      };
+
+      if (hints.device) countLead(getSegment(accountDevices, hints.device));
+      if (hints.network) countLead(getSegment(accountNetworks, hints.network));
+
+      if (!id) return;
+      coverage.with_campaign++;
+
+      const campaign = getCampaign(id);
+      countLead(campaign);
+      if (hints.device) countLead(getSegment(campaign.devices, hints.device));
+      else campaign.unsegmented_device++;
+      if (hints.network) countLead(getSegment(campaign.networks, hints.network));
+      else campaign.unsegmented_network++;
+    });
+
+    const toBreakdown = map => Array.from(map.entries())
+      .map(([name, segment]) => finishSegment(name, segment))
+      .sort((a, b) => b.cost - a.cost);
+
+    const campaignReports = Array.from(campaigns.entries())
+      .filter(([id]) => !campaignId || id === campaignId)
+      .map(([id, campaign]) => {
+        const devices = toBreakdown(campaign.devices);
+        const networks = toBreakdown(campaign.networks);
+        return {
+          campaign_id: id,
+          campaign_name: campaignNames.get(id) || null,
+          cost: round2(devices.reduce((sum, d) => sum + d.cost, 0)),
+          leads: campaign.leads,
+          sqls: campaign.sqls,
+          leads_without_device_hint: campaign.unsegmented_device,
+          leads_without_network_hint: campaign.unsegmented_network,
+          devices,
+          networks,
+          mobile_vs_desktop: compareSegments(devices, 'MOBILE', 'DESKTOP'),
+          search_partners_vs_search: compareSegments(networks, 'SEARCH_PARTNERS', 'SEARCH')
+        };
+      })
+      .sort((a, b) => b.cost - a.cost);
+
+    const accountDeviceBreakdown = toBreakdown(accountDevices);
+    const accountNetworkBreakdown = toBreakdown(accountNetworks);
+    const percentOf = count => coverage.leads > 0 ? round2((count / coverage.leads) * 100) : 0;
+
+    if (coverage.leads > 0 && coverage.with_device === 0) {
+      console.warn('⚠️ No lead carries a device hint - add device={device} to the final URL suffix');
+    }
+    console.log(`   ✅ Segments: ${campaignReports.length} campaigns, ${coverage.leads} leads`);
+
+    return {
+      success: true,
+      period: `Last ${days} days`,
+      date_range: { start: range.startDate, end: range.endDate },
+      time_zone: range.time_zone,
+      lead_hints: {
+        leads: coverage.leads,
+        campaign_coverage_percent: percentOf(coverage.with_campaign),
+        device_coverage_percent: percentOf(coverage.with_device),
+        network_coverage_percent: percentOf(coverage.with_network),
+        columns_used: hintColumns
+      },
+      account: {
+        devices: accountDeviceBreakdown,
+        networks: accountNetworkBreakdown,
+        mobile_vs_desktop: compareSegments(accountDeviceBreakdown, 'MOBILE', 'DESKTOP'),
+        search_partners_vs_search: compareSegments(accountNetworkBreakdown, 'SEARCH_PARTNERS', 'SEARCH')
+      },
+      campaigns: campaignReports,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('❌ Device and network report failed:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  } finally {
+    if (connection) await connection.end();
+  }
+}
+
+module.exports = {
+  MONEY_FIELDS,
+  HINT_COLUMNS,
+  getSegmentReport,
+  parseLeadHints
+};
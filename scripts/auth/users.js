@@ -0,0 +1,100 @@
+/**
+ * API Users
+ * /scripts/auth/users.js
+ *
+ * Identifies the person behind a request from a per-user API token, so actions that need
+ * a specific person (change proposals: propose, approve, apply, revert) are not taken on
+ * a name the caller typed.
+ *
+ * GADS_USER_TOKENS - "name:token,name:token" (one token per person, at least 16 characters)
+ * Requests send the token as "Authorization: Bearer <token>" or "X-Api-Token: <token>".
+ */
+
+const crypto = require('crypto');
+
+const MIN_TOKEN_LENGTH = 16;
+
+// Parsed GADS_USER_TOKENS, re-read when the variable changes
+let cached = { source: null, users: [] };
+
+function authError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * Configured users as { name, hash }
+ */
+function getUsers() {
+  const source = process.env.GADS_USER_TOKENS || '';
+  if (cached.source === source) return cached.users;
+
+  const users = [];
+  source.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const name = separator > 0 ? entry.slice(0, separator).trim() : '';
+    const token = separator > 0 ? entry.slice(separator + 1).trim() : '';
+
+    if (!name || token.length < MIN_TOKEN_LENGTH) {
+      console.warn(`⚠️ Ignoring GADS_USER_TOKENS entry for "${name || '?'}" - expected name:token with a token of ${MIN_TOKEN_LENGTH}+ characters`);
+      return;
+    }
+    users.push({ name, hash: hashToken(token) });
+  });
+
+  cached = { source, users };
+  return users;
+}
+
+/**
+ * Token sent with a request, if any
+ */
+function getRequestToken(req) {
+  const header = req.headers?.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (match) return match[1].trim();
+  return (req.headers?.['x-api-token'] || '').trim() || null;
+}
+
+/**
+ * Name of the user a request authenticates as, or null
+ * Hashes are compared in constant time, and every user is checked.
+ */
+function getRequestUser(req) {
+  const token = getRequestToken(req);
+  if (!token) return null;
+
+  const hash = hashToken(token);
+  let user = null;
+  getUsers().forEach(candidate => {
+    if (crypto.timingSafeEqual(candidate.hash, hash)) user = candidate.name;
+  });
+  return user;
+}
+
+/**
+ * Authenticated user of a request - throws 401 without a valid token
+ */
+function requireUser(req) {
+  if (getUsers().length === 0) {
+    throw authError('No API users configured - set GADS_USER_TOKENS to use this route', 503);
+  }
+
+  const user = getRequestUser(req);
+  if (!user) {
+    throw authError(getRequestToken(req)
+      ? 'Invalid API token'
+      : 'API token required (Authorization: Bearer <token>)');
+  }
+  return user;
+}
+
+module.exports = {
+  getRequestUser,
+  requireUser
+};
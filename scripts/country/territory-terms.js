@@ -0,0 +1,169 @@
+/**
+ * Territory Term Matching
+ * /scripts/country/territory-terms.js
+ *
+ * Finds country names and nationalities inside free text (search terms, keywords)
+ * and maps them back to country_rules so red/yellow territories can be flagged.
+ */
+
+// Nationality words people type that aren't just the country name
+const NATIONALITY_ALIASES = {
+  AF: ['afghan'],
+  AL: ['albanian'],
+  DZ: ['algerian'],
+  AO: ['angolan'],
+  AM: ['armenian'],
+  AU: ['australian', 'aussie'],
+  AZ: ['azerbaijani', 'azeri'],
+  BD: ['bangladeshi'],
+  BY: ['belarusian'],
+  BO: ['bolivian'],
+  BA: ['bosnian'],
+  CM: ['cameroonian'],
+  CA: ['canadian'],
+  CN: ['chinese'],
+  CO: ['colombian'],
+  CD: ['congolese'],
+  CG: ['congolese'],
+  CU: ['cuban'],
+  DO: ['dominican'],
+  EC: ['ecuadorian'],
+  EG: ['egyptian'],
+  ET: ['ethiopian'],
+  GE: ['georgian'],
+  GH: ['ghanaian'],
+  IN: ['indian'],
+  ID: ['indonesian'],
+  IR: ['iranian', 'persian'],
+  IQ: ['iraqi'],
+  JM: ['jamaican'],
+  JO: ['jordanian'],
+  KZ: ['kazakh', 'kazakhstani'],
+  KE: ['kenyan'],
+  XK: ['kosovan', 'kosovar'],
+  KG: ['kyrgyz'],
+  LB: ['lebanese'],
+  LY: ['libyan'],
+  MK: ['macedonian'],
+  MD: ['moldovan'],
+  MN: ['mongolian'],
+  ME: ['montenegrin'],
+  MA: ['moroccan'],
+  MM: ['burmese'],
+  NP: ['nepali', 'nepalese'],
+  NZ: ['kiwi'],
+  NG: ['nigerian'],
+  PK: ['pakistani'],
+  PS: ['palestinian'],
+  PE: ['peruvian'],
+  PH: ['filipino', 'filipina', 'philippine'],
+  RU: ['russian'],
+  RW: ['rwandan'],
+  SN: ['senegalese'],
+  RS: ['serbian'],
+  SO: ['somali'],
+  ZA: ['south african'],
+  LK: ['sri lankan'],
+  SD: ['sudanese'],
+  SY: ['syrian'],
+  TJ: ['tajik'],
+  TZ: ['tanzanian'],
+  TH: ['thai'],
+  TN: ['tunisian'],
+  TR: ['turkish'],
+  TM: ['turkmen'],
+  UG: ['ugandan'],
+  UA: ['ukrainian'],
+  AE: ['emirati', 'uae'],
+  US: ['american', 'usa'],
+  UZ: ['uzbek'],
+  VE: ['venezuelan'],
+  VN: ['vietnamese'],
+  YE: ['yemeni'],
+  ZM: ['zambian'],
+  ZW: ['zimbabwean']
+};
+
+/**
+ * Load matchers for countries with the given country_rules statuses
+ * @param {Object} connection - Open database connection
+ * @param {Array<string>} statuses - country_rules statuses to match (default: red + yellow)
+ * @returns {Array} Matchers: { country_code, country_name, status, patterns }
+ */
+async function loadTerritoryMatchers(connection, statuses = ['red', 'yellow']) {
+  const [rules] = await connection.execute(`
+    SELECT country_code, country_name, status
+    FROM country_rules
+    WHERE status IN (${statuses.map(() => '?').join(',')})
+  `, statuses);
+
+  return rules.map(rule => buildMatcher(rule));
+}
+
+/**
+ * Build the word list and regexes for one country
+ */
+function buildMatcher(rule) {
+  const words = new Set();
+  const name = (rule.country_name || '').toLowerCase();
+
+  // "Myanmar (Burma)" → "myanmar" and "burma"
+  const bracketed = name.match(/\(([^)]+)\)/);
+  words.add(name.replace(/\s*\([^)]*\)\s*/g, '').trim());
+  if (bracketed) words.add(bracketed[1].trim());
+
+  (NATIONALITY_ALIASES[rule.country_code] || []).forEach(alias => words.add(alias));
+
+  const patterns = [...words]
+    .filter(word => word.length > 2)
+    .map(word => ({
+      word,
+      regex: new RegExp(`(^|[^\\p{L}])${escapeRegex(word)}s?($|[^\\p{L}])`, 'iu')
+    }));
+
+  return {
+    country_code: rule.country_code,
+    country_name: rule.country_name,
+    status: rule.status,
+    patterns
+  };
+}
+
+/**
+ * Find the first red/yellow territory mentioned in a piece of text
+ * Red matches win over yellow when both appear.
+ * @returns {Object|null} { country_code, country_name, status, matched_word }
+ */
+function matchTerritory(text, matchers) {
+  if (!text) return null;
+
+  let match = null;
+
+  for (const matcher of matchers) {
+    const hit = matcher.patterns.find(p => p.regex.test(text));
+    if (!hit) continue;
+
+    if (!match || (match.status !== 'red' && matcher.status === 'red')) {
+      match = {
+        country_code: matcher.country_code,
+        country_name: matcher.country_name,
+        status: matcher.status,
+        matched_word: hit.word
+      };
+    }
+
+    if (match.status === 'red') break;
+  }
+
+  return match;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  loadTerritoryMatchers,
+  matchTerritory,
+  NATIONALITY_ALIASES
+};
@@ -0,0 +1,452 @@
+/**
+ * FX Rates Module
+ * /scripts/currency/fx-rates.js
+ *
+ * Daily reference rates in fx_rates, as units of currency per 1 EUR (the ECB convention).
+ * EUR is the storage currency: Google Ads costs are converted from the account currency
+ * into the *_eur columns at sync time, deal amounts into hub_deals.amount_eur after the
+ * HubSpot sync. Analytics responses are converted from EUR into a reporting currency
+ * (?currency=USD) on the way out - only the money fields each report lists, as paths
+ * into its response (see convertMoneyFields).
+ *
+ * A day without a rate (weekend, holiday) uses the latest earlier rate, at most
+ * MAX_RATE_AGE_DAYS old; otherwise FX_RATE_MISSING is thrown rather than guessing.
+ * Syncs don't stop on a missing rate: the *_micros columns keep the amount in the account
+ * currency and the *_eur column stays NULL (pending) until loadRatesFromFile() fills it.
+ *
+ * Rate files (FX_RATES_FILE, default data/fx-rates.csv):
+ * - ECB eurofxref-hist.csv: Date,USD,JPY,... one row per day, N/A for no rate
+ * - long CSV: date,currency,rate
+ * - JSON: [{ date, currency, rate }] or { "2025-01-31": { "USD": 1.04 } }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const bulkWrite = require('../db/bulk-write');
+
+const BASE_CURRENCY = 'EUR';
+const MAX_RATE_AGE_DAYS = 10;
+const DEFAULT_RATES_FILE = path.join(__dirname, '..', '..', 'data', 'fx-rates.csv');
+
+// *_eur columns written from micros at sync time; date null = converted at today's rate
+const EUR_COLUMNS = [
+  { table: 'gads_campaigns', column: 'daily_budget_eur', micros: 't.daily_budget_micros', date: null },
+  { table: 'gads_campaign_metrics', column: 'cost_eur', micros: 't.cost_micros', date: 'date' },
+  { table: 'gads_campaign_metrics', column: 'cpc_eur', micros: 't.cpc_micros', date: 'date' },
+  { table: 'gads_campaign_metrics', column: 'cost_per_conversion_eur', micros: 't.cost_micros / NULLIF(t.conversions, 0)', date: 'date' },
+  { table: 'gads_adgroup_metrics', column: 'cost_eur', micros: 't.cost_micros', date: 'date' },
+  { table: 'gads_adgroup_metrics', column: 'cpc_eur', micros: 't.cpc_micros', date: 'date' },
+  { table: 'gads_ad_metrics', column: 'cost_eur', micros: 't.cost_micros', date: 'date' },
+  { table: 'gads_ad_metrics', column: 'cpc_eur', micros: 't.cpc_micros', date: 'date' },
+  { table: 'gads_keyword_metrics', column: 'cost_eur', micros: 't.cost_micros', date: 'date' },
+  { table: 'gads_keyword_metrics', column: 'cpc_eur', micros: 't.cpc_micros', date: 'date' },
+  { table: 'gads_search_terms', column: 'cost_eur', micros: 't.cost_micros', date: 'date' },
+  { table: 'gads_country_metrics', column: 'cost_eur', micros: 't.cost_micros', date: 'date' },
+  { table: 'gads_asset_group_metrics', column: 'cost_eur', micros: 't.cost_micros', date: 'date' },
+  { table: 'gads_hourly_metrics', column: 'cost_eur', micros: 't.cost_micros', date: 'date' },
+  { table: 'gads_segment_metrics', column: 'cost_eur', micros: 't.cost_micros', date: 'date' }
+];
+
+function fxError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Upper-case ISO 4217 code
+ */
+function normalizeCurrency(value) {
+  const code = String(value || '').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) {
+    throw fxError(`Invalid currency code "${value}"`, 'INVALID_CURRENCY');
+  }
+  return code;
+}
+
+function formatDate(value) {
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = n => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+function daysBetween(earlier, later) {
+  return Math.round((Date.parse(later) - Date.parse(earlier)) / 86400000);
+}
+
+/**
+ * Rate rows from the contents of a rate file
+ * @returns {Array} { rate_date, currency, rate_per_eur }
+ */
+function parseRatesFile(contents, fileName) {
+  const rows = [];
+  const push = (date, currency, rate) => {
+    const value = parseFloat(rate);
+    if (!date || !Number.isFinite(value) || value <= 0) return;
+    rows.push({ rate_date: formatDate(date), currency: normalizeCurrency(currency), rate_per_eur: value });
+  };
+
+  if (fileName.endsWith('.json')) {
+    const data = JSON.parse(contents);
+    if (Array.isArray(data)) {
+      data.forEach(entry => push(entry.date, entry.currency, entry.rate));
+    } else {
+      Object.entries(data).forEach(([date, rates]) =>
+        Object.entries(rates).forEach(([currency, rate]) => push(date, currency, rate))
+      );
+    }
+    return rows;
+  }
+
+  const lines = contents.split(/\r?\n/).filter(line => line.trim());
+  const header = lines.shift().split(',').map(column => column.trim());
+  const lower = header.map(column => column.toLowerCase());
+
+  if (lower.includes('currency') && lower.includes('rate')) {
+    const dateIndex = lower.indexOf('date');
+    const currencyIndex = lower.indexOf('currency');
+    const rateIndex = lower.indexOf('rate');
+    lines.forEach(line => {
+      const cells = line.split(',');
+      push(cells[dateIndex]?.trim(), cells[currencyIndex]?.trim(), cells[rateIndex]);
+    });
+  } else {
+    // ECB wide format: first column is the date, one column per currency
+    lines.forEach(line => {
+      const cells = line.split(',');
+      header.slice(1).forEach((currency, i) => {
+        if (/^[A-Za-z]{3}$/.test(currency)) push(cells[0].trim(), currency, cells[i + 1]);
+      });
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Load a rate file into fx_rates (existing days are overwritten)
+ * @param {Function} getDbConnection - Database connection function
+ * @param {string} filePath - Rate file (default FX_RATES_FILE or data/fx-rates.csv)
+ */
+async function loadRatesFromFile(getDbConnection, filePath = null) {
+  const file = filePath || process.env.FX_RATES_FILE || DEFAULT_RATES_FILE;
+  console.log(`💱 Loading FX rates from ${file}...`);
+
+  const rows = parseRatesFile(await fs.readFile(file, 'utf8'), file)
+    .filter(row => row.currency !== BASE_CURRENCY)
+    .map(row => ({ ...row, source: path.basename(file) }));
+
+  if (rows.length === 0) {
+    throw fxError(`No rates found in ${file}`, 'FX_FILE_EMPTY');
+  }
+
+  const connection = await getDbConnection();
+  try {
+    const write = await bulkWrite.bulkUpsert(connection, 'fx_rates', rows, {
+      keys: ['currency', 'rate_date'],
+      columns: ['rate_date', 'currency', 'rate_per_eur', 'source']
+    });
+
+    const dates = rows.map(row => row.rate_date).sort();
+    const currencies = [...new Set(rows.map(row => row.currency))].sort();
+    console.log(`✅ Loaded ${rows.length} rates for ${currencies.length} currencies (${dates[0]} to ${dates[dates.length - 1]})`);
+
+    const pending = await fillPendingEurAmounts(connection);
+
+    return {
+      success: true,
+      file,
+      rates_loaded: write.rows,
+      currencies,
+      first_date: dates[0],
+      last_date: dates[dates.length - 1],
+      eur_amounts_filled: pending.converted,
+      eur_amounts_pending: pending.pending,
+      timestamp: new Date().toISOString()
+    };
+  } finally {
+    await connection.end();
+  }
+}
+
+/**
+ * Synchronous converter over preloaded rate series
+ * @param {Object} connection - Open database connection
+ * @param {Array} currencies - Currencies that will be converted (EUR needs no rates)
+ * @returns {Object} { rateOn, toEur, fromEur, convert }
+ */
+async function createConverter(connection, currencies) {
+  const series = new Map();
+
+  for (const currency of new Set(currencies.filter(Boolean).map(normalizeCurrency))) {
+    if (currency === BASE_CURRENCY) continue;
+    const [rows] = await connection.execute(
+      'SELECT rate_date, rate_per_eur FROM fx_rates WHERE currency = ? ORDER BY rate_date',
+      [currency]
+    );
+    series.set(currency, rows.map(row => ({ date: formatDate(row.rate_date), rate: parseFloat(row.rate_per_eur) })));
+  }
+
+  // Units of currency per EUR on a day (latest rate on or before it)
+  function rateOn(currency, date = null) {
+    const code = normalizeCurrency(currency);
+    if (code === BASE_CURRENCY) return { rate: 1, date: date ? formatDate(date) : null };
+
+    const rates = series.get(code) || [];
+    const day = date ? formatDate(date) : formatDate(new Date());
+
+    let low = 0;
+    let high = rates.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (rates[mid].date <= day) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    if (found < 0 || daysBetween(rates[found].date, day) > MAX_RATE_AGE_DAYS) {
+      throw fxError(`No ${code} rate on or within ${MAX_RATE_AGE_DAYS} days before ${day} - load FX rates first`, 'FX_RATE_MISSING');
+    }
+    return rates[found];
+  }
+
+  return {
+    rateOn,
+    toEur: (amount, currency, date) => (parseFloat(amount) || 0) / rateOn(currency, date).rate,
+    fromEur: (amount, currency, date) => (parseFloat(amount) || 0) * rateOn(currency, date).rate,
+    convert: (amount, from, to, date) =>
+      (parseFloat(amount) || 0) / rateOn(from, date).rate * rateOn(to, date).rate
+  };
+}
+
+/**
+ * Billing currency of a Google Ads account (gads_accounts, detected at sync time)
+ */
+async function getAccountCurrency(connection, accountId) {
+  const [[account]] = await connection.execute(
+    'SELECT currency_code FROM gads_accounts WHERE account_id = ?', [accountId]
+  );
+  return account?.currency_code ? normalizeCurrency(account.currency_code) : BASE_CURRENCY;
+}
+
+/**
+ * Micros in the account currency → EUR, for sync code
+ * fromMicros() returns null (EUR pending) when there is no rate for the day, so the sync
+ * goes on; fillPendingEurAmounts() converts those rows once rates are loaded.
+ * @returns {Object} { currency, fromMicros(micros, date) }
+ */
+async function getAccountMoney(connection, accountId) {
+  const currency = await getAccountCurrency(connection, accountId);
+  const converter = await createConverter(connection, [currency]);
+  let warned = false;
+
+  return {
+    currency,
+    fromMicros: (micros, date = null) => {
+      if (!micros) return 0;
+      const amount = Number(micros) / 1000000;
+      if (currency === BASE_CURRENCY) return amount;
+
+      try {
+        return converter.toEur(amount, currency, date);
+      } catch (error) {
+        if (error.code !== 'FX_RATE_MISSING') throw error;
+        if (!warned) {
+          console.warn(`⚠️ ${error.message} - EUR amounts for account ${accountId} stored as pending`);
+          warned = true;
+        }
+        return null;
+      }
+    }
+  };
+}
+
+/**
+ * Fill *_eur columns left pending (NULL) by a sync without a rate, from the micros
+ * in the account currency and the rate on the row's day
+ * @returns {Object} { converted, pending }
+ */
+async function fillPendingEurAmounts(connection) {
+  let converted = 0;
+  const pendingColumns = [];
+
+  for (const { table, column, micros, date } of EUR_COLUMNS) {
+    const day = date ? `t.${date}` : 'CURDATE()';
+
+    const [result] = await connection.execute(`
+      UPDATE ${table} t
+      JOIN gads_accounts a ON a.account_id = t.account_id
+      SET t.${column} = COALESCE(${micros}, 0) / 1000000 / (
+        SELECT r.rate_per_eur FROM fx_rates r
+        WHERE r.currency = a.currency_code
+          AND r.rate_date <= ${day}
+          AND r.rate_date >= DATE_SUB(${day}, INTERVAL ? DAY)
+        ORDER BY r.rate_date DESC
+        LIMIT 1
+      )
+      WHERE t.${column} IS NULL
+    `, [MAX_RATE_AGE_DAYS]);
+    converted += result.changedRows || 0;
+
+    const [[missing]] = await connection.execute(
+      `SELECT COUNT(*) as pending FROM ${table} WHERE ${column} IS NULL`
+    );
+    if (missing.pending > 0) {
+      pendingColumns.push({ name: `${table}.${column}`, pending: parseInt(missing.pending) });
+    }
+  }
+
+  const pending = pendingColumns.reduce((sum, entry) => sum + entry.pending, 0);
+  if (converted > 0) {
+    console.log(`💱 Filled ${converted} pending EUR amounts`);
+  }
+  if (pending > 0) {
+    console.warn(`⚠️ ${pending} EUR amounts still have no FX rate (${pendingColumns.map(entry => `${entry.name}: ${entry.pending}`).join(', ')}) - left out of EUR totals until rates are loaded`);
+  }
+
+  return { converted, pending };
+}
+
+/**
+ * Fill hub_deals.amount_eur from amount in the deal's currency on its create date
+ * Deals without a currency are in DEFAULT_DEAL_CURRENCY (HubSpot's company currency).
+ * @returns {Object} { converted, missing_rate }
+ */
+async function normalizeDealAmounts(connection) {
+  const defaultCurrency = normalizeCurrency(process.env.DEFAULT_DEAL_CURRENCY || BASE_CURRENCY);
+
+  const [result] = await connection.execute(`
+    UPDATE hub_deals d
+    SET d.amount_eur = CASE
+      WHEN d.amount IS NULL THEN NULL
+      WHEN COALESCE(NULLIF(d.deal_currency_code, ''), ?) = 'EUR' THEN d.amount
+      ELSE d.amount / (
+        SELECT r.rate_per_eur FROM fx_rates r
+        WHERE r.currency = COALESCE(NULLIF(d.deal_currency_code, ''), ?)
+          AND r.rate_date <= DATE(COALESCE(d.createdate, NOW()))
+          AND r.rate_date >= DATE_SUB(DATE(COALESCE(d.createdate, NOW())), INTERVAL ? DAY)
+        ORDER BY r.rate_date DESC
+        LIMIT 1
+      )
+    END
+  `, [defaultCurrency, defaultCurrency, MAX_RATE_AGE_DAYS]);
+
+  const [[missing]] = await connection.execute(`
+    SELECT COUNT(*) as deals, GROUP_CONCAT(DISTINCT COALESCE(NULLIF(deal_currency_code, ''), ?)) as currencies
+    FROM hub_deals
+    WHERE amount IS NOT NULL AND amount_eur IS NULL
+  `, [defaultCurrency]);
+
+  if (missing.deals > 0) {
+    console.warn(`⚠️ ${missing.deals} deals have no FX rate for their date (${missing.currencies}) - reported at their original amount`);
+  }
+
+  return { converted: result.affectedRows, missing_rate: parseInt(missing.deals) || 0 };
+}
+
+/**
+ * Path like 'campaigns[].metrics.cost' → ['campaigns', '[]', 'metrics', 'cost']
+ */
+function parseMoneyPath(path) {
+  return path.split('.').flatMap(part => part.endsWith('[]') ? [part.slice(0, -2), '[]'].filter(Boolean) : [part]);
+}
+
+function convertAmount(value, rate) {
+  if (typeof value === 'number') {
+    return Math.round(value * rate * 100) / 100;
+  }
+  if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)) {
+    const decimals = (value.split('.')[1] || '').length;
+    return (parseFloat(value) * rate).toFixed(decimals);
+  }
+  return value;
+}
+
+function convertAtPath(value, segments, rate) {
+  if (value === null || value === undefined) return value;
+  if (segments.length === 0) return convertAmount(value, rate);
+
+  const [segment, ...rest] = segments;
+  if (segment === '[]') {
+    return Array.isArray(value) ? value.map(item => convertAtPath(item, rest, rate)) : value;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) return value;
+  if (segment === '*') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, convertAtPath(item, rest, rate)]));
+  }
+  if (!(segment in value)) return value;
+  return { ...value, [segment]: convertAtPath(value[segment], rest, rate) };
+}
+
+/**
+ * Multiply the listed money fields of a response by a rate - nothing else is touched
+ * @param {Array} paths - e.g. 'summary.total_cost', 'campaigns[].cost' (every element),
+ *   'pipeline_stages.*.value' (every key of an object)
+ * Numeric strings keep their number of decimals ("12.50" stays a 2-decimal string).
+ */
+function convertMoneyFields(value, rate, paths) {
+  return paths.reduce((result, path) => convertAtPath(result, parseMoneyPath(path), rate), value);
+}
+
+/**
+ * Requested reporting currency (?currency=), default REPORTING_CURRENCY or EUR
+ */
+function getReportingCurrency(query = {}) {
+  return normalizeCurrency(query.currency || process.env.REPORTING_CURRENCY || BASE_CURRENCY);
+}
+
+/**
+ * Convert an analytics result into the reporting currency
+ * @param {Function} getDbConnection - Database connection function
+ * @param {Object} result - Analytics result ({ success, ... })
+ * @param {Object} options - { currency: reporting currency, from: currency of the result
+ *   (default EUR), date: rate date (default the latest loaded rate), moneyFields: paths of
+ *   the report's money fields (the MONEY_FIELDS its module exports) }
+ * @returns {Object} result with money fields converted and currency / fx_rate attached
+ */
+async function convertReport(getDbConnection, result, options = {}) {
+  if (!Array.isArray(options.moneyFields)) {
+    throw new Error('convertReport needs the moneyFields of the report');
+  }
+  if (!result || result.success === false) return result;
+
+  const to = getReportingCurrency({ currency: options.currency });
+  const from = normalizeCurrency(options.from || BASE_CURRENCY);
+  if (to === from) {
+    return { ...result, currency: to };
+  }
+
+  const connection = await getDbConnection();
+  try {
+    const converter = await createConverter(connection, [from, to]);
+    const rate = converter.convert(1, from, to, options.date || null);
+    const rateDate = converter.rateOn(to === BASE_CURRENCY ? from : to, options.date || null).date;
+
+    return {
+      ...convertMoneyFields(result, rate, options.moneyFields),
+      currency: to,
+      fx: { from, to, rate: Math.round(rate * 1e8) / 1e8, rate_date: rateDate }
+    };
+  } finally {
+    await connection.end();
+  }
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  parseRatesFile,
+  loadRatesFromFile,
+  createConverter,
+  getAccountCurrency,
+  getAccountMoney,
+  fillPendingEurAmounts,
+  normalizeDealAmounts,
+  getReportingCurrency,
+  convertMoneyFields,
+  convertReport
+};
@@ -0,0 +1,156 @@
+/**
+ * Bulk Writes
+ * /scripts/db/bulk-write.js
+ *
+ * Multi-row INSERT ... ON DUPLICATE KEY UPDATE in batches, instead of one round trip
+ * per row. All batches of one call run in a single transaction, so a failure part way
+ * leaves nothing half-written; inside withTransaction() they join the outer transaction
+ * (a backfill window commits or rolls back as a whole).
+ *
+ * Batch size: options.batchSize, else BULK_WRITE_BATCH_SIZE, else 500 rows - capped so
+ * a statement stays under MySQL's 65,535 placeholder limit.
+ */
+
+const DEFAULT_BATCH_SIZE = 500;
+const MAX_PLACEHOLDERS = 65535;
+
+// Connections with an open withTransaction() - START TRANSACTION inside one would commit it
+const openTransactions = new WeakSet();
+
+function getBatchSize(options, columnCount) {
+  const requested = parseInt(options.batchSize) || parseInt(process.env.BULK_WRITE_BATCH_SIZE) || DEFAULT_BATCH_SIZE;
+  return Math.max(1, Math.min(requested, Math.floor(MAX_PLACEHOLDERS / columnCount)));
+}
+
+/**
+ * Run fn(connection) in a transaction: commit on success, roll back and rethrow on error
+ * Nested calls on the same connection run inside the outer transaction.
+ * No DDL inside - MySQL commits implicitly on ALTER / CREATE.
+ */
+async function withTransaction(connection, fn) {
+  if (openTransactions.has(connection)) {
+    return fn(connection);
+  }
+
+  await connection.beginTransaction();
+  openTransactions.add(connection);
+
+  try {
+    const result = await fn(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    openTransactions.delete(connection);
+  }
+}
+
+/**
+ * Upsert rows in batches
+ * @param {Object} connection - MySQL connection
+ * @param {string} table - Table name
+ * @param {Array} rows - Objects keyed by column name
+ * @param {Object} options
+ *   keys         - columns of the unique key; inserted but never updated
+ *   columns      - column list (default: every key seen in rows, first-seen order)
+ *   update       - columns overwritten on duplicate (default: columns minus keys)
+ *   keepExisting - update as COALESCE(new, old) so a missing value doesn't blank a stored one
+ *   touch        - extra assignments on duplicate, e.g. 'synced_at = CURRENT_TIMESTAMP'
+ *   batchSize    - rows per statement
+ *   stats        - createWriteStats() accumulator to add this write to
+ * @returns {Object} { rows, batches, ms }
+ */
+async function bulkUpsert(connection, table, rows, options = {}) {
+  if (!rows || rows.length === 0) {
+    return { rows: 0, batches: 0, ms: 0 };
+  }
+
+  const started = Date.now();
+  const keys = options.keys || [];
+
+  let columns = options.columns;
+  if (!columns) {
+    const seen = new Set();
+    rows.forEach(row => Object.keys(row).forEach(col => seen.add(col)));
+    columns = [...seen];
+  }
+
+  const updateColumns = options.update || columns.filter(col => !keys.includes(col));
+  const assignments = updateColumns.map(col => options.keepExisting
+    ? `\`${col}\` = COALESCE(VALUES(\`${col}\`), \`${col}\`)`
+    : `\`${col}\` = VALUES(\`${col}\`)`
+  );
+  if (options.touch) {
+    assignments.push(options.touch);
+  }
+  // Nothing to update: a no-op assignment keeps duplicates from failing
+  if (assignments.length === 0) {
+    assignments.push(`\`${columns[0]}\` = \`${columns[0]}\``);
+  }
+
+  const batchSize = getBatchSize(options, columns.length);
+  const rowPlaceholder = `(${columns.map(() => '?').join(', ')})`;
+  let batches = 0;
+
+  await withTransaction(connection, async () => {
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const batch = rows.slice(i, i + batchSize);
+      const values = [];
+      batch.forEach(row => columns.forEach(col => values.push(row[col] === undefined ? null : row[col])));
+
+      // query(), not execute(): every batch length would otherwise become its own prepared statement
+      await connection.query(`
+        INSERT INTO ${table} (${columns.map(col => `\`${col}\``).join(', ')})
+        VALUES ${batch.map(() => rowPlaceholder).join(', ')}
+        ON DUPLICATE KEY UPDATE ${assignments.join(', ')}
+      `, values);
+
+      batches++;
+    }
+  });
+
+  const result = { rows: rows.length, batches, ms: Date.now() - started };
+
+  if (options.stats) {
+    addWriteStats(options.stats, result);
+  }
+
+  return result;
+}
+
+/**
+ * Accumulator for the write figures reported in sync summaries
+ */
+function createWriteStats() {
+  return { rows: 0, batches: 0, ms: 0 };
+}
+
+function addWriteStats(stats, write) {
+  if (!write) return stats;
+  stats.rows += write.rows || 0;
+  stats.batches += write.batches || 0;
+  stats.ms += write.ms || 0;
+  return stats;
+}
+
+/**
+ * Summary fields: rows_written, write_seconds, rows_per_second (zeros when nothing was written)
+ */
+function summarizeWriteStats(stats) {
+  const totals = stats || createWriteStats();
+  return {
+    rows_written: totals.rows,
+    write_seconds: Math.round(totals.ms) / 1000,
+    rows_per_second: totals.ms > 0 ? Math.round(totals.rows / (totals.ms / 1000)) : null
+  };
+}
+
+module.exports = {
+  bulkUpsert,
+  withTransaction,
+  createWriteStats,
+  addWriteStats,
+  summarizeWriteStats
+};
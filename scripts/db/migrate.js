@@ -0,0 +1,313 @@
+/**
+ * Schema Migrations
+ * /scripts/db/migrate.js
+ *
+ * Builds and upgrades the database from the numbered files in ./migrations
+ * (001_name.js, 002_name.js, ...). Each applied file is recorded in schema_migrations
+ * with a SHA-256 checksum of its contents; editing a file after it ran is an error -
+ * add a new migration instead.
+ *
+ * Run from the /admin/migrate route or the CLI:
+ *   node scripts/db/migrate.js            apply pending migrations
+ *   node scripts/db/migrate.js --dry-run  list what would be applied
+ *   node scripts/db/migrate.js --status   list applied / pending migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+// Named lock so two processes starting at once don't both run the same migration
+const LOCK_NAME = 'schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+/**
+ * Create the migrations ledger if it doesn't exist
+ */
+async function ensureMigrationsTable(connection) {
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(3) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      execution_ms INT,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+/**
+ * Migration files in version order
+ * @returns {Array} { version, name, file, checksum }
+ */
+function loadMigrationFiles() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+      const contents = fs.readFileSync(path.join(MIGRATIONS_DIR, file));
+
+      return {
+        version,
+        name,
+        file,
+        checksum: crypto.createHash('sha256').update(contents).digest('hex')
+      };
+    });
+
+  const versions = migrations.map(m => m.version);
+  const duplicate = versions.find((v, i) => versions.indexOf(v) !== i);
+  if (duplicate) {
+    throw new Error(`Two migration files share version ${duplicate}`);
+  }
+
+  return migrations;
+}
+
+/**
+ * Applied vs pending migrations, with checksum mismatches flagged
+ */
+async function getMigrationStatus(connection) {
+  await ensureMigrationsTable(connection);
+
+  const [applied] = await connection.execute(
+    'SELECT version, name, checksum, execution_ms, applied_at FROM schema_migrations ORDER BY version'
+  );
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const files = loadMigrationFiles();
+
+  const migrations = files.map(file => {
+    const row = appliedByVersion.get(file.version);
+    return {
+      version: file.version,
+      name: file.name,
+      status: !row ? 'pending' : row.checksum === file.checksum ? 'applied' : 'modified',
+      applied_at: row ? row.applied_at : null,
+      execution_ms: row ? row.execution_ms : null
+    };
+  });
+
+  // Rows in the ledger whose file has since been deleted
+  const fileVersions = new Set(files.map(f => f.version));
+  const missing = applied
+    .filter(row => !fileVersions.has(row.version))
+    .map(row => ({ version: row.version, name: row.name, status: 'missing', applied_at: row.applied_at }));
+
+  return {
+    migrations: [...migrations, ...missing],
+    pending: migrations.filter(m => m.status === 'pending').length,
+    modified: migrations.filter(m => m.status === 'modified').map(m => `${m.version}_${m.name}`),
+    missing: missing.map(m => `${m.version}_${m.name}`)
+  };
+}
+
+/**
+ * Apply every pending migration in order
+ * Stops at the first failure; later migrations stay pending.
+ * @param {Function} getDbConnection - Database connection function
+ * @param {Object} options - { dryRun } only report what would run
+ * @returns {Object} { applied, pending }
+ */
+async function runMigrations(getDbConnection, options = {}) {
+  const connection = await getDbConnection();
+  let locked = false;
+
+  try {
+    await ensureMigrationsTable(connection);
+
+    const [[lock]] = await connection.execute('SELECT GET_LOCK(?, ?) as acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (lock.acquired !== 1) {
+      throw new Error('Another process is running migrations');
+    }
+    locked = true;
+
+    const status = await getMigrationStatus(connection);
+
+    if (status.modified.length > 0) {
+      throw new Error(`Applied migrations were edited after they ran: ${status.modified.join(', ')} - add a new migration instead`);
+    }
+
+    const pending = loadMigrationFiles().filter(file =>
+      status.migrations.find(m => m.version === file.version).status === 'pending'
+    );
+
+    if (pending.length === 0) {
+      console.log('✅ Database schema is up to date');
+      return { success: true, applied: [], pending: [] };
+    }
+
+    if (options.dryRun) {
+      return { success: true, dry_run: true, applied: [], pending: pending.map(m => `${m.version}_${m.name}`) };
+    }
+
+    const applied = [];
+
+    for (const migration of pending) {
+      console.log(`🔧 Migration ${migration.version}_${migration.name}...`);
+      const started = Date.now();
+
+      const definition = require(path.join(MIGRATIONS_DIR, migration.file));
+      await definition.up(connection, schemaHelpers);
+
+      const executionMs = Date.now() - started;
+      await connection.execute(
+        'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES (?, ?, ?, ?)',
+        [migration.version, migration.name, migration.checksum, executionMs]
+      );
+
+      console.log(`   ✅ ${migration.version}_${migration.name} (${executionMs}ms)`);
+      applied.push(`${migration.version}_${migration.name}`);
+    }
+
+    return { success: true, applied, pending: [] };
+
+  } finally {
+    if (locked) {
+      await connection.execute('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+    await connection.end();
+  }
+}
+
+/**
+ * Idempotent DDL helpers handed to every migration
+ *
+ * MySQL has no ADD COLUMN IF NOT EXISTS, and existing installs already have some of
+ * the columns the old ensure* functions added at runtime.
+ */
+const schemaHelpers = {
+  async tableExists(connection, table) {
+    const [rows] = await connection.execute(
+      'SELECT 1 FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+      [table]
+    );
+    return rows.length > 0;
+  },
+
+  async columnExists(connection, table, column) {
+    const [rows] = await connection.execute(
+      `SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+    return rows.length > 0;
+  },
+
+  async addColumnIfMissing(connection, table, column, definition) {
+    if (await schemaHelpers.columnExists(connection, table, column)) return false;
+    await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  },
+
+  async addIndexIfMissing(connection, table, indexName, columns) {
+    const [rows] = await connection.execute(
+      `SELECT 1 FROM INFORMATION_SCHEMA.STATISTICS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+      [table, indexName]
+    );
+    if (rows.length > 0) return false;
+    await connection.execute(`ALTER TABLE ${table} ADD INDEX ${indexName} (${columns})`);
+    return true;
+  }
+};
+
+/**
+ * Handle migrate route (?dry_run=true lists pending migrations without running them)
+ */
+async function handleMigrate(req, res, getDbConnection) {
+  try {
+    const result = await runMigrations(getDbConnection, { dryRun: req.query.dry_run === 'true' });
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Handle migration status route
+ */
+async function handleMigrationStatus(req, res, getDbConnection) {
+  try {
+    const connection = await getDbConnection();
+
+    try {
+      const status = await getMigrationStatus(connection);
+      res.json({
+        success: true,
+        ...status,
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    console.error('❌ Migration status failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  runMigrations,
+  getMigrationStatus,
+  schemaHelpers,
+  // Route handlers
+  handleMigrate,
+  handleMigrationStatus
+};
+
+// CLI entry - same .env as the server
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+  const mysql = require('mysql2/promise');
+
+  const getDbConnection = () => mysql.createConnection({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME
+  });
+
+  const showStatus = process.argv.includes('--status');
+
+  const run = showStatus
+    ? getDbConnection().then(async connection => {
+        try {
+          const status = await getMigrationStatus(connection);
+          status.migrations.forEach(m => console.log(`   ${m.status.padEnd(8)} ${m.version}_${m.name}`));
+          console.log(`\n📋 ${status.pending} pending`);
+        } finally {
+          await connection.end();
+        }
+      })
+    : runMigrations(getDbConnection, { dryRun: process.argv.includes('--dry-run') }).then(result => {
+        if (result.dry_run) {
+          console.log(`📋 Would apply: ${result.pending.join(', ')}`);
+        } else {
+          console.log(`🎉 Applied ${result.applied.length} migration(s)`);
+        }
+      });
+
+  run.catch(error => {
+    console.error('💥 Migration failed:', error.message);
+    process.exit(1);
+  });
+}
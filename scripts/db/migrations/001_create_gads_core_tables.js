@@ -0,0 +1,125 @@
+/**
+ * 001 - Core Google Ads tables
+ *
+ * gads-sync.js has always written to these but never created them. Shapes match the
+ * upserts in gads-sync.js; IF NOT EXISTS keeps existing installs untouched.
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_campaigns (
+        google_campaign_id VARCHAR(50) PRIMARY KEY,
+        campaign_name VARCHAR(255),
+        campaign_type INT,
+        campaign_type_name VARCHAR(50),
+        status INT,
+        start_date DATE,
+        end_date DATE,
+        bidding_strategy VARCHAR(50),
+        budget_id VARCHAR(50),
+        budget_name VARCHAR(255),
+        daily_budget_micros BIGINT DEFAULT 0,
+        daily_budget_eur DECIMAL(10,2) DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        INDEX idx_status (status),
+        INDEX idx_type_status (campaign_type, status),
+        INDEX idx_name (campaign_name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_campaign_metrics (
+        google_campaign_id VARCHAR(50) NOT NULL,
+        date DATE NOT NULL,
+        impressions INT DEFAULT 0,
+        clicks INT DEFAULT 0,
+        cost_micros BIGINT DEFAULT 0,
+        cost_eur DECIMAL(12,2) DEFAULT 0,
+        conversions DECIMAL(12,2) DEFAULT 0,
+        view_through_conversions INT DEFAULT 0,
+        ctr DECIMAL(8,4) DEFAULT 0,
+        cpc_micros BIGINT DEFAULT 0,
+        cpc_eur DECIMAL(10,2) DEFAULT 0,
+        conversion_rate DECIMAL(8,4) DEFAULT 0,
+        cost_per_conversion_eur DECIMAL(12,2) DEFAULT 0,
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (google_campaign_id, date),
+        INDEX idx_date (date)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_campaign_status_history (
+        history_id INT AUTO_INCREMENT PRIMARY KEY,
+        google_campaign_id VARCHAR(50) NOT NULL,
+        campaign_name VARCHAR(255),
+        old_status INT,
+        new_status INT,
+        old_status_name VARCHAR(20),
+        new_status_name VARCHAR(20),
+        detected_by_sync VARCHAR(50),
+        sync_id INT,
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        INDEX idx_campaign_changed (google_campaign_id, changed_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_geo_targeting (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        google_campaign_id VARCHAR(50) NOT NULL,
+        geo_target_constant VARCHAR(100) NOT NULL,
+        location_name VARCHAR(255),
+        country_code VARCHAR(2),
+        target_type VARCHAR(50),
+        is_negative BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        UNIQUE KEY unique_campaign_location (google_campaign_id, geo_target_constant),
+        INDEX idx_country (country_code)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_keywords (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        google_campaign_id VARCHAR(50) NOT NULL,
+        google_adgroup_id VARCHAR(50) NOT NULL,
+        keyword_text VARCHAR(255) NOT NULL,
+        match_type INT,
+        match_type_name VARCHAR(20),
+        status INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        UNIQUE KEY unique_adgroup_keyword (google_adgroup_id, keyword_text, match_type),
+        INDEX idx_campaign (google_campaign_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_sync_log (
+        sync_id INT AUTO_INCREMENT PRIMARY KEY,
+        sync_type VARCHAR(20) NOT NULL,
+        start_date DATE,
+        end_date DATE,
+        status VARCHAR(20) NOT NULL DEFAULT 'running',
+        campaigns_synced INT DEFAULT 0,
+        metrics_synced INT DEFAULT 0,
+        keywords_synced INT DEFAULT 0,
+        api_calls_used INT DEFAULT 0,
+        error_message TEXT,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP NULL,
+
+        INDEX idx_status (status),
+        INDEX idx_started (started_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  }
+};
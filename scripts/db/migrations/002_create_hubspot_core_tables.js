@@ -0,0 +1,102 @@
+/**
+ * 002 - Core HubSpot and reference tables
+ *
+ * Replaces the CREATE TABLE calls that used to live in fieldmap.js, hub-deal.js and
+ * hubspot-sync.js. hub_contacts / hub_deals only get their fixed columns here -
+ * fieldmap.js still adds a column per HubSpot property as it first sees it.
+ */
+
+// Same stages PipelineModel.updatePipelineStages() writes
+const PIPELINE_STAGES = [
+  [0, 'Inbox', 6, 'INBOX - Lead arrived, passed territory validation (SQL)', false],
+  [1, 'Sequenced', 7, 'SEQUENCED - Added to email sequence', false],
+  [2, 'Engaging', 8, 'ENGAGING - Opened or clicked email', false],
+  [3, 'Responsive', 10, 'RESPONSIVE - Replied (key conversion step)', false],
+  [4, 'Advising', 12, 'ADVISING - Active sales dialogue', false],
+  [5, 'Negotiation', 14, 'CONSIDERATION & NEGOTIATION - Pricing discussion', false],
+  [6, 'Contract', 16, 'CONTRACT - Contract sent', false],
+  [7, 'Win', 20, 'WON - Converted to paying student', true],
+  [8, 'Lost-Early', 0, 'Territory fail or immediate disqualification', true],
+  [9, 'Lost-Pipeline', 0, 'Valid lead but did not convert', true]
+];
+
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS hub_contacts (
+        contact_id INT AUTO_INCREMENT PRIMARY KEY,
+        hubspot_id VARCHAR(50) UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        KEY idx_hubspot_id (hubspot_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS hub_deals (
+        deal_id INT AUTO_INCREMENT PRIMARY KEY,
+        hubspot_deal_id VARCHAR(50) UNIQUE NOT NULL,
+        hubspot_contact_id VARCHAR(50),
+        dealname VARCHAR(255),
+        amount DECIMAL(12,2),
+        pipeline_stage TINYINT,
+        dealstage VARCHAR(100),
+        source VARCHAR(100),
+        createdate DATETIME,
+        lastmodifieddate DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_hubspot_deal (hubspot_deal_id),
+        INDEX idx_contact (hubspot_contact_id),
+        INDEX idx_pipeline_stage (pipeline_stage),
+        INDEX idx_created_date (createdate)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS hub_contact_deal_associations (
+        association_id INT AUTO_INCREMENT PRIMARY KEY,
+        contact_hubspot_id VARCHAR(50) NOT NULL,
+        deal_hubspot_id VARCHAR(50) NOT NULL,
+        association_type VARCHAR(50) DEFAULT 'contact_to_deal',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        INDEX idx_contact_id (contact_hubspot_id),
+        INDEX idx_deal_id (deal_hubspot_id),
+        UNIQUE KEY unique_contact_deal (contact_hubspot_id, deal_hubspot_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS pipeline_stages (
+        stage_id INT PRIMARY KEY,
+        stage_name VARCHAR(50) NOT NULL,
+        stage_weight INT DEFAULT 0,
+        description VARCHAR(255),
+        is_terminal BOOLEAN DEFAULT FALSE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    for (const stage of PIPELINE_STAGES) {
+      await connection.execute(`
+        INSERT IGNORE INTO pipeline_stages (stage_id, stage_name, stage_weight, description, is_terminal)
+        VALUES (?, ?, ?, ?, ?)
+      `, stage);
+    }
+
+    // Filled by scripts/country/load-countries.js (/admin/load-countries)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS country_rules (
+        country_code VARCHAR(2) PRIMARY KEY,
+        country_name VARCHAR(100) NOT NULL,
+        status VARCHAR(10) NOT NULL,
+        visa_required BOOLEAN DEFAULT FALSE,
+        notes TEXT,
+
+        INDEX idx_status (status),
+        INDEX idx_name (country_name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  }
+};
@@ -0,0 +1,310 @@
+/**
+ * 003 - Google Ads reporting tables
+ *
+ * Moved from the ensure*Table() functions the sync modules used to call before every
+ * write: ad groups/ads, search terms, country spend, conversion uploads, change log,
+ * keyword metrics and Performance Max asset groups.
+ */
+
+module.exports = {
+  async up(connection) {
+    // adgroup-sync.js
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_adgroups (
+        google_adgroup_id VARCHAR(50) PRIMARY KEY,
+        account_id VARCHAR(20),
+        google_campaign_id VARCHAR(50) NOT NULL,
+        adgroup_name VARCHAR(255),
+        adgroup_type INT,
+        status INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        INDEX idx_campaign (google_campaign_id),
+        INDEX idx_account (account_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_ads (
+        google_ad_id VARCHAR(50) PRIMARY KEY,
+        account_id VARCHAR(20),
+        google_adgroup_id VARCHAR(50) NOT NULL,
+        google_campaign_id VARCHAR(50) NOT NULL,
+        ad_name VARCHAR(255),
+        ad_type INT,
+        status INT,
+        final_url TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        INDEX idx_adgroup (google_adgroup_id),
+        INDEX idx_campaign (google_campaign_id),
+        INDEX idx_account (account_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_adgroup_metrics (
+        google_adgroup_id VARCHAR(50) NOT NULL,
+        account_id VARCHAR(20),
+        google_campaign_id VARCHAR(50) NOT NULL,
+        date DATE NOT NULL,
+        impressions INT DEFAULT 0,
+        clicks INT DEFAULT 0,
+        cost_micros BIGINT DEFAULT 0,
+        cost_eur DECIMAL(12,2) DEFAULT 0,
+        conversions DECIMAL(12,2) DEFAULT 0,
+        view_through_conversions INT DEFAULT 0,
+        ctr DECIMAL(8,4) DEFAULT 0,
+        cpc_micros BIGINT DEFAULT 0,
+        cpc_eur DECIMAL(10,2) DEFAULT 0,
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (google_adgroup_id, date),
+        INDEX idx_campaign_date (google_campaign_id, date),
+        INDEX idx_account (account_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_ad_metrics (
+        google_ad_id VARCHAR(50) NOT NULL,
+        account_id VARCHAR(20),
+        google_adgroup_id VARCHAR(50) NOT NULL,
+        google_campaign_id VARCHAR(50) NOT NULL,
+        date DATE NOT NULL,
+        impressions INT DEFAULT 0,
+        clicks INT DEFAULT 0,
+        cost_micros BIGINT DEFAULT 0,
+        cost_eur DECIMAL(12,2) DEFAULT 0,
+        conversions DECIMAL(12,2) DEFAULT 0,
+        view_through_conversions INT DEFAULT 0,
+        ctr DECIMAL(8,4) DEFAULT 0,
+        cpc_micros BIGINT DEFAULT 0,
+        cpc_eur DECIMAL(10,2) DEFAULT 0,
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (google_ad_id, google_adgroup_id, date),
+        INDEX idx_adgroup_date (google_adgroup_id, date),
+        INDEX idx_campaign_date (google_campaign_id, date),
+        INDEX idx_account (account_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // search-terms.js
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_search_terms (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        search_term VARCHAR(255) NOT NULL,
+        account_id VARCHAR(20),
+        google_campaign_id VARCHAR(50) NOT NULL,
+        google_adgroup_id VARCHAR(50) NOT NULL,
+        date DATE NOT NULL,
+        term_status INT,
+        impressions INT DEFAULT 0,
+        clicks INT DEFAULT 0,
+        cost_micros BIGINT DEFAULT 0,
+        cost_eur DECIMAL(12,2) DEFAULT 0,
+        conversions DECIMAL(12,2) DEFAULT 0,
+        matched_country_code VARCHAR(2),
+        matched_territory_status VARCHAR(10),
+        matched_word VARCHAR(100),
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        UNIQUE KEY unique_term_day (google_adgroup_id, date, search_term),
+        INDEX idx_campaign_date (google_campaign_id, date),
+        INDEX idx_territory (matched_territory_status, date),
+        INDEX idx_country (matched_country_code),
+        INDEX idx_account (account_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // geo-spend.js
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_country_metrics (
+        google_campaign_id VARCHAR(50) NOT NULL,
+        country_code VARCHAR(2) NOT NULL,
+        date DATE NOT NULL,
+        source VARCHAR(20) NOT NULL,
+        account_id VARCHAR(20),
+        country_criterion_id VARCHAR(20),
+        impressions INT DEFAULT 0,
+        clicks INT DEFAULT 0,
+        cost_micros BIGINT DEFAULT 0,
+        cost_eur DECIMAL(12,2) DEFAULT 0,
+        conversions DECIMAL(12,2) DEFAULT 0,
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (google_campaign_id, country_code, date, source),
+        INDEX idx_country_date (country_code, date),
+        INDEX idx_source_date (source, date),
+        INDEX idx_account (account_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // conversions.js
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_conversion_uploads (
+        upload_id INT AUTO_INCREMENT PRIMARY KEY,
+        hubspot_deal_id VARCHAR(50) NOT NULL,
+        account_id VARCHAR(20),
+        hubspot_contact_id VARCHAR(50),
+        gclid VARCHAR(255) NOT NULL,
+        conversion_action VARCHAR(255) NOT NULL,
+        conversion_date_time VARCHAR(32) NOT NULL,
+        conversion_value DECIMAL(15,2) DEFAULT 0,
+        currency_code VARCHAR(3),
+        status VARCHAR(20) NOT NULL,
+        attempts INT DEFAULT 1,
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        UNIQUE KEY unique_deal (hubspot_deal_id),
+        INDEX idx_status (status),
+        INDEX idx_gclid (gclid),
+        INDEX idx_account (account_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // change-history.js
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_change_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        change_resource_name VARCHAR(255) NOT NULL,
+        account_id VARCHAR(20),
+        change_date_time DATETIME NOT NULL,
+        change_date DATE NOT NULL,
+        resource_type VARCHAR(40),
+        resource_name VARCHAR(255),
+        operation VARCHAR(10),
+        client_type VARCHAR(40),
+        user_email VARCHAR(255),
+        google_campaign_id VARCHAR(50),
+        google_adgroup_id VARCHAR(50),
+        changed_fields TEXT,
+        old_value TEXT,
+        new_value TEXT,
+        summary VARCHAR(500),
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        UNIQUE KEY unique_change (change_resource_name),
+        INDEX idx_change_date (change_date),
+        INDEX idx_campaign_date (google_campaign_id, change_date),
+        INDEX idx_account (account_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // keyword-metrics.js
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_keyword_metrics (
+        google_adgroup_id VARCHAR(50) NOT NULL,
+        google_criterion_id VARCHAR(50) NOT NULL,
+        date DATE NOT NULL,
+        account_id VARCHAR(20),
+        google_campaign_id VARCHAR(50) NOT NULL,
+        keyword_text VARCHAR(255),
+        match_type INT,
+        status INT,
+        impressions INT DEFAULT 0,
+        clicks INT DEFAULT 0,
+        cost_micros BIGINT DEFAULT 0,
+        cost_eur DECIMAL(12,2) DEFAULT 0,
+        conversions DECIMAL(12,2) DEFAULT 0,
+        ctr DECIMAL(8,4) DEFAULT 0,
+        cpc_micros BIGINT DEFAULT 0,
+        cpc_eur DECIMAL(10,2) DEFAULT 0,
+        quality_score TINYINT,
+        expected_ctr INT,
+        ad_relevance INT,
+        landing_page_experience INT,
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (google_adgroup_id, google_criterion_id, date),
+        INDEX idx_campaign_date (google_campaign_id, date),
+        INDEX idx_criterion (google_criterion_id),
+        INDEX idx_account (account_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_keyword_quality (
+        google_adgroup_id VARCHAR(50) NOT NULL,
+        google_criterion_id VARCHAR(50) NOT NULL,
+        snapshot_date DATE NOT NULL,
+        account_id VARCHAR(20),
+        google_campaign_id VARCHAR(50) NOT NULL,
+        quality_score TINYINT,
+        expected_ctr INT,
+        ad_relevance INT,
+        landing_page_experience INT,
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (google_adgroup_id, google_criterion_id, snapshot_date),
+        INDEX idx_criterion (google_criterion_id),
+        INDEX idx_account (account_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // pmax-sync.js
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_asset_groups (
+        google_asset_group_id VARCHAR(50) PRIMARY KEY,
+        account_id VARCHAR(20),
+        google_campaign_id VARCHAR(50) NOT NULL,
+        asset_group_name VARCHAR(255),
+        status INT,
+        ad_strength INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        INDEX idx_campaign (google_campaign_id),
+        INDEX idx_account (account_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_asset_group_metrics (
+        google_asset_group_id VARCHAR(50) NOT NULL,
+        date DATE NOT NULL,
+        account_id VARCHAR(20),
+        google_campaign_id VARCHAR(50) NOT NULL,
+        impressions INT DEFAULT 0,
+        clicks INT DEFAULT 0,
+        cost_micros BIGINT DEFAULT 0,
+        cost_eur DECIMAL(12,2) DEFAULT 0,
+        conversions DECIMAL(12,2) DEFAULT 0,
+        conversions_value DECIMAL(12,2) DEFAULT 0,
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (google_asset_group_id, date),
+        INDEX idx_campaign_date (google_campaign_id, date),
+        INDEX idx_account (account_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_asset_group_assets (
+        google_asset_group_id VARCHAR(50) NOT NULL,
+        google_asset_id VARCHAR(50) NOT NULL,
+        field_type VARCHAR(40) NOT NULL,
+        account_id VARCHAR(20),
+        google_campaign_id VARCHAR(50) NOT NULL,
+        asset_type VARCHAR(40),
+        asset_name VARCHAR(255),
+        asset_text TEXT,
+        image_url TEXT,
+        youtube_video_id VARCHAR(50),
+        performance_label VARCHAR(20),
+        status INT,
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (google_asset_group_id, google_asset_id, field_type),
+        INDEX idx_campaign (google_campaign_id),
+        INDEX idx_label (performance_label),
+        INDEX idx_account (account_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  }
+};
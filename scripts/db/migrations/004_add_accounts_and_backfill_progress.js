@@ -0,0 +1,97 @@
+/**
+ * 004 - Account registry, account_id everywhere, backfill checkpoints
+ *
+ * Moved from accounts.ensureAccountColumns(), ensureBackfillSchema() and
+ * ensureMetricsStatusColumn() in gads-sync.js. Tables created by 001 / older installs
+ * get the columns added; rows synced before multi-account support belong to the
+ * default (GADS_LIVE_ID) account.
+ */
+
+// Every table that holds per-account Google Ads data
+const ACCOUNT_SCOPED_TABLES = [
+  'gads_campaigns',
+  'gads_campaign_metrics',
+  'gads_campaign_status_history',
+  'gads_geo_targeting',
+  'gads_keywords',
+  'gads_sync_log',
+  'gads_adgroups',
+  'gads_ads',
+  'gads_adgroup_metrics',
+  'gads_ad_metrics',
+  'gads_search_terms',
+  'gads_country_metrics',
+  'gads_conversion_uploads',
+  'gads_change_log',
+  'gads_keyword_metrics',
+  'gads_keyword_quality',
+  'gads_asset_groups',
+  'gads_asset_group_metrics',
+  'gads_asset_group_assets'
+];
+
+module.exports = {
+  async up(connection, schema) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_accounts (
+        account_id VARCHAR(20) PRIMARY KEY,
+        account_name VARCHAR(255),
+        manager_id VARCHAR(20),
+        currency_code VARCHAR(3),
+        time_zone VARCHAR(64),
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        INDEX idx_manager (manager_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    const defaultAccountId = (process.env.GADS_LIVE_ID || '').replace(/-/g, '') || null;
+    const managerId = (process.env.GADS_LIVE_MCC_ID || '').replace(/-/g, '') || null;
+
+    for (const table of ACCOUNT_SCOPED_TABLES) {
+      const added = await schema.addColumnIfMissing(connection, table, 'account_id', 'VARCHAR(20) DEFAULT NULL');
+      await schema.addIndexIfMissing(connection, table, 'idx_account', 'account_id');
+
+      if (added && defaultAccountId) {
+        await connection.execute(`UPDATE ${table} SET account_id = ? WHERE account_id IS NULL`, [defaultAccountId]);
+      }
+    }
+
+    if (defaultAccountId) {
+      await connection.execute(`
+        INSERT IGNORE INTO gads_accounts (account_id, account_name, manager_id)
+        VALUES (?, ?, ?)
+      `, [defaultAccountId, 'Default account', managerId]);
+    }
+
+    // Resumable backfills - one row per window, progress on the sync log
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_backfill_windows (
+        window_id INT AUTO_INCREMENT PRIMARY KEY,
+        sync_id INT NOT NULL,
+        account_id VARCHAR(20),
+        window_start DATE NOT NULL,
+        window_end DATE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        metrics_synced INT DEFAULT 0,
+        api_calls_used INT DEFAULT 0,
+        attempts INT DEFAULT 0,
+        error_message TEXT,
+        completed_at TIMESTAMP NULL,
+
+        UNIQUE KEY unique_sync_window (sync_id, window_start),
+        INDEX idx_sync_status (sync_id, status),
+        INDEX idx_account (account_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await schema.addColumnIfMissing(connection, 'gads_sync_log', 'windows_total', 'INT DEFAULT NULL');
+    await schema.addColumnIfMissing(connection, 'gads_sync_log', 'windows_completed', 'INT DEFAULT NULL');
+    await schema.addColumnIfMissing(connection, 'gads_sync_log', 'status_mode', 'VARCHAR(10) DEFAULT NULL');
+
+    // Status each campaign had on each metrics day (all-statuses syncs)
+    await schema.addColumnIfMissing(connection, 'gads_campaign_metrics', 'campaign_status', 'INT DEFAULT NULL');
+  }
+};
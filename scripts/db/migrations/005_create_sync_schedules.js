@@ -0,0 +1,67 @@
+/**
+ * 005 - Recurring sync schedules for the in-process scheduler
+ *
+ * One row per schedule. locked_by / locked_until is the run lease that keeps two
+ * server processes from running the same schedule at once (see scripts/scheduler).
+ */
+
+// Seeded schedules - server local time
+const DEFAULT_SCHEDULES = [
+  {
+    name: 'gads-incremental',
+    task: 'google-ads-incremental',
+    cron: '0 */6 * * *',
+    options: { account: 'all', days: 7 },
+    description: 'Google Ads incremental sync, every 6 hours'
+  },
+  {
+    name: 'hubspot-nightly',
+    task: 'hubspot-sync',
+    cron: '30 2 * * *',
+    options: { daysBack: 3 },
+    description: 'HubSpot contacts and deals, nightly'
+  },
+  {
+    name: 'gads-weekly-full',
+    task: 'google-ads-full',
+    cron: '0 4 * * 0',
+    options: { account: 'all', days: 30 },
+    description: 'Google Ads full sync, Sunday morning'
+  }
+];
+
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS sync_schedules (
+        schedule_id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        task VARCHAR(100) NOT NULL,
+        cron_expression VARCHAR(100) NOT NULL,
+        options TEXT,
+        description VARCHAR(255),
+        catch_up_policy VARCHAR(20) NOT NULL DEFAULT 'run_once',
+        is_paused BOOLEAN DEFAULT FALSE,
+        next_run_at DATETIME,
+        last_run_at DATETIME,
+        last_status VARCHAR(20),
+        last_error TEXT,
+        last_duration_ms INT,
+        locked_by VARCHAR(255),
+        locked_until DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        UNIQUE KEY unique_name (name),
+        INDEX idx_next_run (is_paused, next_run_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    for (const schedule of DEFAULT_SCHEDULES) {
+      await connection.execute(`
+        INSERT IGNORE INTO sync_schedules (name, task, cron_expression, options, description)
+        VALUES (?, ?, ?, ?, ?)
+      `, [schedule.name, schedule.task, schedule.cron, JSON.stringify(schedule.options), schedule.description]);
+    }
+  }
+};
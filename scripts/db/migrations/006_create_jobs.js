@@ -0,0 +1,36 @@
+/**
+ * 006 - Background job queue
+ *
+ * Every background task (syncs, backfills, scheduled runs) is a row in jobs, claimed and
+ * run by the job runner in scripts/jobs. heartbeat_at is renewed while a job runs, so a
+ * job whose process died can be told apart from one that is just slow.
+ */
+
+module.exports = {
+  async up(connection, schema) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        job_id INT AUTO_INCREMENT PRIMARY KEY,
+        job_type VARCHAR(100) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        params TEXT,
+        progress TEXT,
+        progress_message VARCHAR(255),
+        result MEDIUMTEXT,
+        error_message TEXT,
+        cancel_requested BOOLEAN DEFAULT FALSE,
+        worker VARCHAR(255),
+        heartbeat_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        completed_at DATETIME,
+
+        INDEX idx_status (status, job_id),
+        INDEX idx_type (job_type, created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Scheduled runs are jobs too - link each schedule to its latest one
+    await schema.addColumnIfMissing(connection, 'sync_schedules', 'last_job_id', 'INT DEFAULT NULL');
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * 007 - Google Ads API usage accounting
+ *
+ * gads_api_usage counts requests and operations per quota day (Pacific time, when Google
+ * resets developer token quota) and account, summed over every process on the database.
+ * gads_sync_log gets the real figures per sync next to api_calls_used.
+ */
+
+module.exports = {
+  async up(connection, schema) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_api_usage (
+        usage_date DATE NOT NULL,
+        account_id VARCHAR(20) NOT NULL,
+        requests INT NOT NULL DEFAULT 0,
+        operations INT NOT NULL DEFAULT 0,
+        retries INT NOT NULL DEFAULT 0,
+        errors INT NOT NULL DEFAULT 0,
+        throttled INT NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (usage_date, account_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await schema.addColumnIfMissing(connection, 'gads_sync_log', 'api_operations', 'INT DEFAULT NULL');
+    await schema.addColumnIfMissing(connection, 'gads_sync_log', 'api_retries', 'INT DEFAULT NULL');
+  }
+};
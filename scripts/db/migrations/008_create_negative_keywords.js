@@ -0,0 +1,105 @@
+/**
+ * 008 - Negative keyword lists, proposals and change log
+ *
+ * gads_shared_sets / gads_campaign_shared_sets / gads_negative_keywords mirror what is
+ * live in Google Ads (replaced per account on every sync). Proposed negatives wait in
+ * gads_negative_keyword_proposals for review; every mutate sent to Google Ads is logged
+ * in gads_negative_keyword_changes (see scripts/google/negative-keywords.js).
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_shared_sets (
+        account_id VARCHAR(20) NOT NULL,
+        shared_set_id VARCHAR(50) NOT NULL,
+        name VARCHAR(255),
+        status VARCHAR(20),
+        member_count INT DEFAULT 0,
+        reference_count INT DEFAULT 0,
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (account_id, shared_set_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_campaign_shared_sets (
+        account_id VARCHAR(20) NOT NULL,
+        google_campaign_id VARCHAR(50) NOT NULL,
+        shared_set_id VARCHAR(50) NOT NULL,
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (account_id, google_campaign_id, shared_set_id),
+        INDEX idx_shared_set (account_id, shared_set_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // level 'shared_set': parent_id is the shared set; level 'campaign': the campaign
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_negative_keywords (
+        resource_name VARCHAR(255) PRIMARY KEY,
+        account_id VARCHAR(20) NOT NULL,
+        level VARCHAR(20) NOT NULL,
+        parent_id VARCHAR(50) NOT NULL,
+        criterion_id VARCHAR(50),
+        keyword_text VARCHAR(255) NOT NULL,
+        match_type VARCHAR(20) NOT NULL,
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        INDEX idx_parent (account_id, level, parent_id),
+        INDEX idx_keyword (account_id, keyword_text)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // One proposal per keyword and target, ever - a rejected negative is not proposed again
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_negative_keyword_proposals (
+        proposal_id INT AUTO_INCREMENT PRIMARY KEY,
+        account_id VARCHAR(20) NOT NULL,
+        keyword_text VARCHAR(255) NOT NULL,
+        match_type VARCHAR(20) NOT NULL,
+        target_level VARCHAR(20) NOT NULL,
+        target_id VARCHAR(50) NOT NULL,
+        reason VARCHAR(30) NOT NULL,
+        country_code VARCHAR(2),
+        cost_eur DECIMAL(12,2) DEFAULT 0,
+        clicks INT DEFAULT 0,
+        evidence TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        reviewed_by VARCHAR(100),
+        reviewed_at DATETIME,
+        review_note VARCHAR(255),
+        applied_at DATETIME,
+        resource_name VARCHAR(255),
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        UNIQUE KEY unique_proposal (account_id, target_level, target_id, keyword_text, match_type),
+        INDEX idx_status (account_id, status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_negative_keyword_changes (
+        change_id INT AUTO_INCREMENT PRIMARY KEY,
+        proposal_id INT,
+        account_id VARCHAR(20) NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        target_level VARCHAR(20) NOT NULL,
+        target_id VARCHAR(50) NOT NULL,
+        keyword_text VARCHAR(255) NOT NULL,
+        match_type VARCHAR(20) NOT NULL,
+        resource_name VARCHAR(255),
+        status VARCHAR(20) NOT NULL,
+        error_message TEXT,
+        performed_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        INDEX idx_account (account_id, created_at),
+        INDEX idx_proposal (proposal_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  }
+};
@@ -0,0 +1,59 @@
+/**
+ * 009 - Campaign change proposals and their audit trail
+ *
+ * A proposal (pause a campaign, change a budget, exclude a country) waits in
+ * gads_change_proposals until someone other than its proposer approves it, and is then
+ * applied through the Google Ads mutate API. previous_value is the live value read right
+ * before applying - what a revert puts back. gads_change_audit gets a row for every
+ * step, failures included (see scripts/google/change-proposals.js).
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_change_proposals (
+        change_id INT AUTO_INCREMENT PRIMARY KEY,
+        account_id VARCHAR(20) NOT NULL,
+        change_type VARCHAR(30) NOT NULL,
+        target_id VARCHAR(50) NOT NULL,
+        target_name VARCHAR(255),
+        current_value TEXT,
+        proposed_value TEXT NOT NULL,
+        previous_value TEXT,
+        reason TEXT,
+        source VARCHAR(50) NOT NULL DEFAULT 'manual',
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        proposed_by VARCHAR(100) NOT NULL,
+        reviewed_by VARCHAR(100),
+        reviewed_at DATETIME,
+        review_note VARCHAR(255),
+        applied_by VARCHAR(100),
+        applied_at DATETIME,
+        applied_resource_name VARCHAR(255),
+        reverted_by VARCHAR(100),
+        reverted_at DATETIME,
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        INDEX idx_status (account_id, status),
+        INDEX idx_target (account_id, change_type, target_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_change_audit (
+        audit_id INT AUTO_INCREMENT PRIMARY KEY,
+        change_id INT NOT NULL,
+        account_id VARCHAR(20) NOT NULL,
+        action VARCHAR(30) NOT NULL,
+        actor VARCHAR(100),
+        details TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        INDEX idx_change (change_id, audit_id),
+        INDEX idx_account (account_id, created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  }
+};
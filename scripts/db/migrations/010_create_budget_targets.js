@@ -0,0 +1,25 @@
+/**
+ * 010 - Monthly spend targets for budget pacing
+ *
+ * One row per account, month and campaign; google_campaign_id '' is the account-wide
+ * target. Campaigns without a row are paced against daily budget × days in the month
+ * (see scripts/analytics/pacing.js).
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_budget_targets (
+        account_id VARCHAR(20) NOT NULL,
+        month DATE NOT NULL,
+        google_campaign_id VARCHAR(50) NOT NULL DEFAULT '',
+        target_eur DECIMAL(12,2) NOT NULL,
+        set_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (account_id, month, google_campaign_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  }
+};
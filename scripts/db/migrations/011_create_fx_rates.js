@@ -0,0 +1,28 @@
+/**
+ * 011 - Daily FX rates and deal amounts in EUR
+ *
+ * fx_rates holds ECB-style reference rates: units of currency per 1 EUR on a day
+ * (loaded from a local file, see scripts/currency/fx-rates.js). Google Ads costs are
+ * converted from the account currency into the *_eur columns at sync time; deals keep
+ * HubSpot's amount in deal_currency_code and get the EUR value in amount_eur.
+ */
+
+module.exports = {
+  async up(connection, schema) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS fx_rates (
+        rate_date DATE NOT NULL,
+        currency VARCHAR(3) NOT NULL,
+        rate_per_eur DECIMAL(18,8) NOT NULL,
+        source VARCHAR(100),
+        loaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (currency, rate_date)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // deal_currency_code is HubSpot's own property name - the deal sync fills it
+    await schema.addColumnIfMissing(connection, 'hub_deals', 'deal_currency_code', 'VARCHAR(3) DEFAULT NULL');
+    await schema.addColumnIfMissing(connection, 'hub_deals', 'amount_eur', 'DECIMAL(15,2) DEFAULT NULL');
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * 012 - Campaign metrics per hour of day
+ *
+ * One row per campaign, account-local day and hour (segments.date + segments.hour).
+ * day_of_week is ISO (1 = Monday ... 7 = Sunday), stored so the heatmap can group by
+ * weekday and hour without date arithmetic (see scripts/analytics/heatmap.js).
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_hourly_metrics (
+        google_campaign_id VARCHAR(50) NOT NULL,
+        date DATE NOT NULL,
+        hour TINYINT NOT NULL,
+        day_of_week TINYINT NOT NULL,
+        account_id VARCHAR(20),
+        impressions INT DEFAULT 0,
+        clicks INT DEFAULT 0,
+        cost_micros BIGINT DEFAULT 0,
+        cost_eur DECIMAL(12,2) DEFAULT 0,
+        conversions DECIMAL(12,2) DEFAULT 0,
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (google_campaign_id, date, hour),
+        INDEX idx_account_date (account_id, date),
+        INDEX idx_slot (day_of_week, hour)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  }
+};
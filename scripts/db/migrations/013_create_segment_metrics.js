@@ -0,0 +1,30 @@
+/**
+ * 013 - Campaign metrics per device and ad network
+ *
+ * One row per campaign, day, segments.device and segments.ad_network_type, stored as enum
+ * names (MOBILE, DESKTOP, SEARCH, SEARCH_PARTNERS, ...). Rows sum to the same day's
+ * gads_campaign_metrics row (see scripts/google/segment-metrics.js).
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS gads_segment_metrics (
+        google_campaign_id VARCHAR(50) NOT NULL,
+        date DATE NOT NULL,
+        device VARCHAR(20) NOT NULL,
+        ad_network_type VARCHAR(20) NOT NULL,
+        account_id VARCHAR(20),
+        impressions INT DEFAULT 0,
+        clicks INT DEFAULT 0,
+        cost_micros BIGINT DEFAULT 0,
+        cost_eur DECIMAL(12,2) DEFAULT 0,
+        conversions DECIMAL(12,2) DEFAULT 0,
+        synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (google_campaign_id, date, device, ad_network_type),
+        INDEX idx_account_date (account_id, date)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  }
+};
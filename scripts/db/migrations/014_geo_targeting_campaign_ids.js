@@ -0,0 +1,26 @@
+/**
+ * 014 - gads_geo_targeting keyed by numeric campaign ID
+ *
+ * The targeting sync stored campaign_criterion.campaign (customers/X/campaigns/Y) in
+ * google_campaign_id, unlike every other gads_* table. Rows are rewritten to the trailing
+ * ID; where a resource-name row and a numeric row exist for the same location, the
+ * resource-name row is the stale one and is dropped.
+ */
+
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      DELETE old FROM gads_geo_targeting old
+      JOIN gads_geo_targeting cur
+        ON cur.google_campaign_id = SUBSTRING_INDEX(old.google_campaign_id, '/', -1)
+        AND cur.geo_target_constant = old.geo_target_constant
+      WHERE old.google_campaign_id LIKE 'customers/%'
+    `);
+
+    await connection.execute(`
+      UPDATE gads_geo_targeting
+      SET google_campaign_id = SUBSTRING_INDEX(google_campaign_id, '/', -1)
+      WHERE google_campaign_id LIKE 'customers/%'
+    `);
+  }
+};
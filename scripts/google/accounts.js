@@ -0,0 +1,250 @@
+/**
+ * Google Ads Account Registry
+ * /scripts/google/accounts.js
+ *
+ * Several client accounts run under one MCC. This module keeps them in gads_accounts,
+ * stamps every gads_* table with an account_id dimension, and resolves the
+ * ?account= selector used by the Google Ads routes and sync handlers.
+ */
+
+const ALL_ACCOUNTS = 'all';
+
+/**
+ * Strip hyphens and validate a customer ID ("123-456-7890" → "1234567890")
+ */
+function normalizeAccountId(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const accountId = String(value).replace(/-/g, '').trim();
+  if (!/^\d{10}$/.test(accountId)) {
+    throw new Error(`Invalid Google Ads account ID: ${value}`);
+  }
+  return accountId;
+}
+
+function getDefaultAccountId() {
+  return (process.env.GADS_LIVE_ID || '').replace(/-/g, '') || null;
+}
+
+function getManagerId() {
+  return (process.env.GADS_LIVE_MCC_ID || '').replace(/-/g, '') || null;
+}
+
+/**
+ * Account a customer instance was created for
+ */
+function getAccountId(customer) {
+  const customerId = customer?.credentials?.customer_id;
+  return customerId ? String(customerId).replace(/-/g, '') : getDefaultAccountId();
+}
+
+/**
+ * Parse the ?account= selector
+ * @returns {string|null} 'all', a normalized account ID, or null for the default account
+ */
+function parseAccountSelector(value) {
+  if (value === ALL_ACCOUNTS) return ALL_ACCOUNTS;
+  return normalizeAccountId(value);
+}
+
+/**
+ * Active accounts from the registry (falls back to the default account)
+ * Before the first discovery the registry is empty, so ?account=all still covers
+ * GADS_LIVE_ID instead of silently doing nothing.
+ */
+async function listAccounts(connection, options = {}) {
+  const [accounts] = await connection.execute(`
+    SELECT account_id, account_name, manager_id, currency_code, time_zone, is_active, updated_at
+    FROM gads_accounts
+    ${options.includeInactive ? '' : 'WHERE is_active = TRUE'}
+    ORDER BY account_name
+  `);
+
+  const defaultAccountId = getDefaultAccountId();
+  if (accounts.length === 0 && defaultAccountId) {
+    const [registered] = await connection.execute(
+      'SELECT COUNT(*) as count FROM gads_accounts'
+    );
+    // Every account deactivated on purpose is not the same as none discovered yet
+    if (parseInt(registered[0].count) === 0) {
+      return [{
+        account_id: defaultAccountId,
+        account_name: null,
+        manager_id: getManagerId(),
+        currency_code: null,
+        time_zone: null,
+        is_active: true,
+        updated_at: null
+      }];
+    }
+  }
+
+  return accounts;
+}
+
+/**
+ * Pull every client account under the manager into the registry
+ * @param {Object} managerCustomer - Customer instance for the MCC itself
+ * @param {Function} getDbConnection - Database connection function
+ */
+async function discoverAccounts(managerCustomer, getDbConnection) {
+  const connection = await getDbConnection();
+
+  try {
+    const managerId = getAccountId(managerCustomer);
+    console.log(`🏢 Discovering client accounts under manager ${managerId}...`);
+
+    const results = await managerCustomer.query(`
+      SELECT
+        customer_client.id,
+        customer_client.descriptive_name,
+        customer_client.currency_code,
+        customer_client.time_zone,
+        customer_client.manager,
+        customer_client.status
+      FROM customer_client
+      WHERE customer_client.manager = FALSE
+    `);
+
+    let discovered = 0;
+
+    for (const row of results) {
+      const client = row.customer_client;
+      // CustomerStatus: 2 = ENABLED
+      const isActive = client.status === 2 || client.status === 'ENABLED';
+
+      await connection.execute(`
+        INSERT INTO gads_accounts (account_id, account_name, manager_id, currency_code, time_zone, is_active)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          account_name = VALUES(account_name),
+          manager_id = VALUES(manager_id),
+          currency_code = VALUES(currency_code),
+          time_zone = VALUES(time_zone),
+          is_active = VALUES(is_active),
+          updated_at = CURRENT_TIMESTAMP
+      `, [
+        client.id?.toString(), client.descriptive_name || null, managerId,
+        client.currency_code || null, client.time_zone || null, isActive
+      ]);
+      discovered++;
+    }
+
+    console.log(`✅ Registered ${discovered} client accounts`);
+
+    return {
+      success: true,
+      manager_id: managerId,
+      accounts_discovered: discovered,
+      accounts: await listAccounts(connection, { includeInactive: true }),
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    await connection.end();
+  }
+}
+
+/**
+ * Read the account's own currency and time zone into the registry
+ * Costs come back from the API in the account currency - sync code converts them with it.
+ * @param {Object} customer - Customer instance for the client account
+ * @param {Object} connection - Open database connection
+ * @returns {Object} { account_id, currency_code, time_zone }
+ */
+async function syncAccountSettings(customer, connection) {
+  const accountId = getAccountId(customer);
+
+  const [row] = await customer.query(`
+    SELECT customer.descriptive_name, customer.currency_code, customer.time_zone
+    FROM customer
+    LIMIT 1
+  `);
+  const settings = row?.customer || {};
+
+  await connection.execute(`
+    INSERT INTO gads_accounts (account_id, account_name, currency_code, time_zone)
+    VALUES (?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      account_name = COALESCE(VALUES(account_name), account_name),
+      currency_code = VALUES(currency_code),
+      time_zone = VALUES(time_zone),
+      updated_at = CURRENT_TIMESTAMP
+  `, [accountId, settings.descriptive_name || null, settings.currency_code || null, settings.time_zone || null]);
+
+  console.log(`🏷️ Account ${accountId}: ${settings.currency_code || 'unknown currency'}, ${settings.time_zone || 'unknown time zone'}`);
+
+  return {
+    account_id: accountId,
+    currency_code: settings.currency_code || null,
+    time_zone: settings.time_zone || null
+  };
+}
+
+/**
+ * Handle account list route
+ */
+async function handleListAccounts(req, res, getDbConnection) {
+  try {
+    const connection = await getDbConnection();
+
+    try {
+      const accounts = await listAccounts(connection, { includeInactive: req.query.all === 'true' });
+      res.json({
+        success: true,
+        default_account: getDefaultAccountId(),
+        manager_id: getManagerId(),
+        count: accounts.length,
+        accounts,
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    console.error('❌ Account list failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Handle account discovery route
+ */
+async function handleDiscoverAccounts(req, res, managerCustomer, getDbConnection) {
+  try {
+    if (!managerCustomer) {
+      throw new Error('Failed to initialize Google Ads manager client');
+    }
+
+    const result = await discoverAccounts(managerCustomer, getDbConnection);
+    res.json(result);
+
+  } catch (error) {
+    console.error('❌ Account discovery failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  ALL_ACCOUNTS,
+  normalizeAccountId,
+  parseAccountSelector,
+  getDefaultAccountId,
+  getManagerId,
+  getAccountId,
+  listAccounts,
+  discoverAccounts,
+  syncAccountSettings,
+  // Route handlers
+  handleListAccounts,
+  handleDiscoverAccounts
+};
@@ -0,0 +1,430 @@
+/**
+ * Google Ads Ad Group & Ad Sync Module
+ * /scripts/google/adgroup-sync.js
+ *
+ * Daily metrics below campaign level so we can see which ad groups and ads burn budget:
+ * - gads_adgroups / gads_ads: structure, refreshed from every metrics pull
+ * - gads_adgroup_metrics / gads_ad_metrics: one row per entity per day
+ * Called from the full, incremental and backfill paths in gads-sync.js
+ */
+
+const accounts = require('./accounts');
+const gaql = require('./gaql');
+const fxRates = require('../currency/fx-rates');
+
+// EUR amounts in getAdGroupDrilldown results, as fxRates.convertReport paths
+const MONEY_FIELDS = [
+  'summary.total_cost', 'adgroups[].cost', 'adgroups[].cpc', 'adgroups[].cost_per_conversion', 'adgroups[].ads[].cost'
+];
+
+/**
+ * Sync ad group and ad daily metrics for the given campaigns
+ * @param {Object} customer - Google Ads customer client
+ * @param {Object} connection - Open database connection
+ * @param {Array} campaigns - Rows with google_campaign_id (from gads_campaigns)
+ * @param {Object} range - Either { days } or { startDate, endDate }
+ * @param {Object} options - { allStatuses } to include paused/removed campaigns
+ * @returns {Object} Counts of synced rows and API calls
+ */
+async function syncAdGroupAndAdMetrics(customer, connection, campaigns, range, options = {}) {
+  try {
+    if (!campaigns || campaigns.length === 0) {
+      console.log('⚠️ No campaigns for ad group / ad metrics');
+      return { adgroup_metrics_synced: 0, ad_metrics_synced: 0, api_calls_used: 0 };
+    }
+
+    const accountId = accounts.getAccountId(customer);
+    const money = await fxRates.getAccountMoney(connection, accountId);
+    const campaignIds = campaigns.map(c => c.google_campaign_id).join(',');
+    const dateCondition = buildDateCondition(range);
+    const statusCondition = options.allStatuses ? '' : "AND campaign.status = 'ENABLED'";
+
+    console.log(`📂 Syncing ad group metrics for ${campaigns.length} campaigns (${describeRange(range)})...`);
+
+    const adGroupResults = await customer.query(`
+      SELECT
+        campaign.id,
+        ad_group.id,
+        ad_group.name,
+        ad_group.status,
+        ad_group.type,
+        segments.date,
+        metrics.impressions,
+        metrics.clicks,
+        metrics.ctr,
+        metrics.average_cpc,
+        metrics.cost_micros,
+        metrics.conversions,
+        metrics.view_through_conversions
+      FROM ad_group
+      WHERE campaign.id IN (${campaignIds})
+        AND ${dateCondition}
+        ${statusCondition}
+      ORDER BY segments.date DESC, ad_group.id
+    `);
+
+    const seenAdGroups = new Set();
+    let adGroupMetricsSynced = 0;
+
+    for (const row of adGroupResults) {
+      const adGroupId = row.ad_group.id?.toString();
+
+      if (!seenAdGroups.has(adGroupId)) {
+        await upsertAdGroup(connection, {
+          google_adgroup_id: adGroupId,
+          account_id: accountId,
+          google_campaign_id: row.campaign.id?.toString(),
+          adgroup_name: row.ad_group.name,
+          adgroup_type: row.ad_group.type,
+          status: row.ad_group.status
+        });
+        seenAdGroups.add(adGroupId);
+      }
+
+      await upsertAdGroupMetrics(connection, {
+        google_adgroup_id: adGroupId,
+        account_id: accountId,
+        google_campaign_id: row.campaign.id?.toString(),
+        date: row.segments.date,
+        ...mapMetrics(row.metrics, money, row.segments.date)
+      });
+      adGroupMetricsSynced++;
+    }
+
+    console.log(`   ✅ ${adGroupMetricsSynced} ad group metric rows (${seenAdGroups.size} ad groups)`);
+
+    console.log('📝 Syncing ad metrics...');
+
+    const adResults = await customer.query(`
+      SELECT
+        campaign.id,
+        ad_group.id,
+        ad_group_ad.ad.id,
+        ad_group_ad.ad.name,
+        ad_group_ad.ad.type,
+        ad_group_ad.ad.final_urls,
+        ad_group_ad.status,
+        segments.date,
+        metrics.impressions,
+        metrics.clicks,
+        metrics.ctr,
+        metrics.average_cpc,
+        metrics.cost_micros,
+        metrics.conversions,
+        metrics.view_through_conversions
+      FROM ad_group_ad
+      WHERE campaign.id IN (${campaignIds})
+        AND ${dateCondition}
+        ${statusCondition}
+      ORDER BY segments.date DESC, ad_group_ad.ad.id
+    `);
+
+    const seenAds = new Set();
+    let adMetricsSynced = 0;
+
+    for (const row of adResults) {
+      const ad = row.ad_group_ad.ad || {};
+      const adId = ad.id?.toString();
+      const adGroupId = row.ad_group.id?.toString();
+
+      if (!seenAds.has(adId)) {
+        await upsertAd(connection, {
+          google_ad_id: adId,
+          account_id: accountId,
+          google_adgroup_id: adGroupId,
+          google_campaign_id: row.campaign.id?.toString(),
+          ad_name: ad.name || null,
+          ad_type: ad.type,
+          status: row.ad_group_ad.status,
+          final_url: ad.final_urls?.[0] || null
+        });
+        seenAds.add(adId);
+      }
+
+      await upsertAdMetrics(connection, {
+        google_ad_id: adId,
+        account_id: accountId,
+        google_adgroup_id: adGroupId,
+        google_campaign_id: row.campaign.id?.toString(),
+        date: row.segments.date,
+        ...mapMetrics(row.metrics, money, row.segments.date)
+      });
+      adMetricsSynced++;
+    }
+
+    console.log(`   ✅ ${adMetricsSynced} ad metric rows (${seenAds.size} ads)`);
+
+    return {
+      adgroup_metrics_synced: adGroupMetricsSynced,
+      ad_metrics_synced: adMetricsSynced,
+      api_calls_used: 2
+    };
+
+  } catch (error) {
+    console.error('❌ Ad group / ad metrics sync failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * GAQL date filter for either a rolling window or explicit range
+ */
+function buildDateCondition(range) {
+  return gaql.dateRange(range);
+}
+
+function describeRange(range) {
+  return gaql.describeRange(range);
+}
+
+/**
+ * Same metric conversions as campaign-level metrics in gads-sync.js
+ * @param {Object} money - fxRates.getAccountMoney() for the account
+ */
+function mapMetrics(metrics = {}, money, date) {
+  return {
+    impressions: metrics.impressions || 0,
+    clicks: metrics.clicks || 0,
+    cost_micros: metrics.cost_micros || 0,
+    cost_eur: money.fromMicros(metrics.cost_micros, date),
+    conversions: metrics.conversions || 0,
+    view_through_conversions: metrics.view_through_conversions || 0,
+    ctr: metrics.ctr ? (metrics.ctr * 100) : 0,
+    cpc_micros: metrics.average_cpc || 0,
+    cpc_eur: money.fromMicros(metrics.average_cpc, date)
+  };
+}
+
+/**
+ * Database helper functions
+ */
+
+async function upsertAdGroup(connection, data) {
+  await connection.execute(`
+    INSERT INTO gads_adgroups (
+      google_adgroup_id, account_id, google_campaign_id, adgroup_name, adgroup_type, status
+    ) VALUES (?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      account_id = VALUES(account_id),
+      adgroup_name = VALUES(adgroup_name),
+      adgroup_type = VALUES(adgroup_type),
+      status = VALUES(status),
+      updated_at = CURRENT_TIMESTAMP
+  `, [
+    data.google_adgroup_id, data.account_id, data.google_campaign_id, data.adgroup_name,
+    data.adgroup_type, data.status
+  ]);
+}
+
+async function upsertAd(connection, data) {
+  await connection.execute(`
+    INSERT INTO gads_ads (
+      google_ad_id, account_id, google_adgroup_id, google_campaign_id, ad_name, ad_type, status, final_url
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      account_id = VALUES(account_id),
+      ad_name = VALUES(ad_name),
+      ad_type = VALUES(ad_type),
+      status = VALUES(status),
+      final_url = VALUES(final_url),
+      updated_at = CURRENT_TIMESTAMP
+  `, [
+    data.google_ad_id, data.account_id, data.google_adgroup_id, data.google_campaign_id,
+    data.ad_name, data.ad_type, data.status, data.final_url
+  ]);
+}
+
+async function upsertAdGroupMetrics(connection, data) {
+  await connection.execute(`
+    INSERT INTO gads_adgroup_metrics (
+      google_adgroup_id, account_id, google_campaign_id, date, impressions, clicks, cost_micros, cost_eur,
+      conversions, view_through_conversions, ctr, cpc_micros, cpc_eur
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      account_id = VALUES(account_id),
+      impressions = VALUES(impressions),
+      clicks = VALUES(clicks),
+      cost_micros = VALUES(cost_micros),
+      cost_eur = VALUES(cost_eur),
+      conversions = VALUES(conversions),
+      view_through_conversions = VALUES(view_through_conversions),
+      ctr = VALUES(ctr),
+      cpc_micros = VALUES(cpc_micros),
+      cpc_eur = VALUES(cpc_eur),
+      synced_at = CURRENT_TIMESTAMP
+  `, [
+    data.google_adgroup_id, data.account_id, data.google_campaign_id, data.date, data.impressions, data.clicks,
+    data.cost_micros, data.cost_eur, data.conversions, data.view_through_conversions,
+    data.ctr, data.cpc_micros, data.cpc_eur
+  ]);
+}
+
+async function upsertAdMetrics(connection, data) {
+  await connection.execute(`
+    INSERT INTO gads_ad_metrics (
+      google_ad_id, account_id, google_adgroup_id, google_campaign_id, date, impressions, clicks,
+      cost_micros, cost_eur, conversions, view_through_conversions, ctr, cpc_micros, cpc_eur
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      account_id = VALUES(account_id),
+      impressions = VALUES(impressions),
+      clicks = VALUES(clicks),
+      cost_micros = VALUES(cost_micros),
+      cost_eur = VALUES(cost_eur),
+      conversions = VALUES(conversions),
+      view_through_conversions = VALUES(view_through_conversions),
+      ctr = VALUES(ctr),
+      cpc_micros = VALUES(cpc_micros),
+      cpc_eur = VALUES(cpc_eur),
+      synced_at = CURRENT_TIMESTAMP
+  `, [
+    data.google_ad_id, data.account_id, data.google_adgroup_id, data.google_campaign_id, data.date,
+    data.impressions, data.clicks, data.cost_micros, data.cost_eur, data.conversions,
+    data.view_through_conversions, data.ctr, data.cpc_micros, data.cpc_eur
+  ]);
+}
+
+/**
+ * Get ad group → ad drill-down for one campaign from MySQL
+ * @param {Function} getDbConnection - Database connection function
+ * @param {string} campaignId - Google campaign ID
+ * @param {Object} options - { days } (default: 30), { accountId } to scope to one account
+ */
+async function getAdGroupDrilldown(getDbConnection, campaignId, options = {}) {
+  const days = options.days || 30;
+  const connection = await getDbConnection();
+
+  try {
+    const accountFilter = options.accountId ? 'AND ag.account_id = ?' : '';
+    const accountParams = options.accountId ? [options.accountId] : [];
+
+    const [adGroups] = await connection.execute(`
+      SELECT
+        ag.google_adgroup_id,
+        ag.adgroup_name,
+        ag.status,
+        COALESCE(SUM(m.impressions), 0) as impressions,
+        COALESCE(SUM(m.clicks), 0) as clicks,
+        COALESCE(SUM(m.cost_eur), 0) as cost,
+        COALESCE(SUM(m.conversions), 0) as conversions
+      FROM gads_adgroups ag
+      LEFT JOIN gads_adgroup_metrics m ON m.google_adgroup_id = ag.google_adgroup_id
+        AND m.date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+      WHERE ag.google_campaign_id = ?
+        ${accountFilter}
+      GROUP BY ag.google_adgroup_id, ag.adgroup_name, ag.status
+      ORDER BY cost DESC
+    `, [days, campaignId, ...accountParams]);
+
+    const [ads] = await connection.execute(`
+      SELECT
+        a.google_ad_id,
+        a.google_adgroup_id,
+        a.ad_name,
+        a.ad_type,
+        a.status,
+        a.final_url,
+        COALESCE(SUM(m.impressions), 0) as impressions,
+        COALESCE(SUM(m.clicks), 0) as clicks,
+        COALESCE(SUM(m.cost_eur), 0) as cost,
+        COALESCE(SUM(m.conversions), 0) as conversions
+      FROM gads_ads a
+      LEFT JOIN gads_ad_metrics m ON m.google_ad_id = a.google_ad_id
+        AND m.google_adgroup_id = a.google_adgroup_id
+        AND m.date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+      WHERE a.google_campaign_id = ?
+        ${accountFilter.replace('ag.', 'a.')}
+      GROUP BY a.google_ad_id, a.google_adgroup_id, a.ad_name, a.ad_type, a.status, a.final_url
+      ORDER BY cost DESC
+    `, [days, campaignId, ...accountParams]);
+
+    const totalCost = adGroups.reduce((sum, ag) => sum + parseFloat(ag.cost), 0);
+
+    return {
+      success: true,
+      campaign_id: campaignId,
+      account_id: options.accountId || null,
+      period: `Last ${days} days`,
+      summary: {
+        adgroups: adGroups.length,
+        ads: ads.length,
+        total_cost: totalCost.toFixed(2)
+      },
+      adgroups: adGroups.map(ag => {
+        const cost = parseFloat(ag.cost) || 0;
+        const clicks = parseInt(ag.clicks) || 0;
+        const conversions = parseFloat(ag.conversions) || 0;
+
+        return {
+          id: ag.google_adgroup_id,
+          name: ag.adgroup_name,
+          status: ag.status,
+          impressions: parseInt(ag.impressions) || 0,
+          clicks,
+          cost: cost.toFixed(2),
+          conversions,
+          cpc: clicks > 0 ? (cost / clicks).toFixed(2) : '0.00',
+          cost_per_conversion: conversions > 0 ? (cost / conversions).toFixed(2) : '0.00',
+          share_of_spend: totalCost > 0 ? ((cost / totalCost) * 100).toFixed(1) : '0.0',
+          ads: ads
+            .filter(a => a.google_adgroup_id === ag.google_adgroup_id)
+            .map(a => ({
+              id: a.google_ad_id,
+              name: a.ad_name,
+              type: a.ad_type,
+              status: a.status,
+              final_url: a.final_url,
+              impressions: parseInt(a.impressions) || 0,
+              clicks: parseInt(a.clicks) || 0,
+              cost: (parseFloat(a.cost) || 0).toFixed(2),
+              conversions: parseFloat(a.conversions) || 0
+            }))
+        };
+      }),
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    await connection.end();
+  }
+}
+
+/**
+ * Handle ad group drill-down route
+ */
+async function handleAdGroupDrilldown(req, res, getDbConnection) {
+  try {
+    const campaignId = req.params.id;
+
+    if (!/^\d+$/.test(campaignId || '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Campaign ID must be numeric',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const days = parseInt(req.query.days) || 30;
+    const accountId = req.accountId;
+    const result = await getAdGroupDrilldown(getDbConnection, campaignId, { days, accountId });
+    res.json(await fxRates.convertReport(getDbConnection, result, { currency: req.query.currency, moneyFields: MONEY_FIELDS }));
+
+  } catch (error) {
+    console.error('❌ Ad group drill-down failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  MONEY_FIELDS,
+  syncAdGroupAndAdMetrics,
+  getAdGroupDrilldown,
+  buildDateCondition,
+  describeRange,
+  // Route handlers
+  handleAdGroupDrilldown
+};
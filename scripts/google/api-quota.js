@@ -0,0 +1,329 @@
+/**
+ * Google Ads API Quota
+ * /scripts/google/api-quota.js
+ *
+ * wrapCustomer() puts customer.query, customer.mutateResources and
+ * customer.conversionUploads.uploadClickConversions behind a layer that
+ *   - counts every request and operation (retries included - Google counts them too)
+ *     in gads_api_usage, per Pacific-time quota day and account
+ *   - refuses calls once the day's operations reach GADS_DAILY_OPERATION_BUDGET
+ *   - retries RESOURCE_EXHAUSTED and transient gRPC / network errors with exponential
+ *     backoff and full jitter, honouring the retry delay Google sends with quota errors
+ *   - retries writes (mutates, conversion uploads) only when throttled: a quota rejection
+ *     means the request was never applied, a timeout or INTERNAL error doesn't
+ *
+ * Everything else on the customer passes straight through.
+ *
+ * GADS_DAILY_OPERATION_BUDGET - operations per day, all accounts (default 15000, Basic Access)
+ * GADS_MAX_RETRIES            - retries per call (default 4)
+ * GADS_RETRY_BASE_MS          - first backoff delay (default 1000, doubled per retry, max 60s)
+ */
+
+const accounts = require('./accounts');
+
+const QUOTA_TIMEZONE = 'America/Los_Angeles';
+const DEFAULT_DAILY_OPERATION_BUDGET = 15000;
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_RETRY_BASE_MS = 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+// gRPC status codes worth another attempt
+const TRANSIENT_GRPC_CODES = {
+  4: 'DEADLINE_EXCEEDED',
+  8: 'RESOURCE_EXHAUSTED',
+  10: 'ABORTED',
+  13: 'INTERNAL',
+  14: 'UNAVAILABLE'
+};
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+// Counters on each wrapped customer, read by snapshotUsage() / usageSince()
+const USAGE = Symbol('apiUsage');
+
+function getDailyBudget() {
+  return parseInt(process.env.GADS_DAILY_OPERATION_BUDGET) || DEFAULT_DAILY_OPERATION_BUDGET;
+}
+
+/**
+ * Current quota day as YYYY-MM-DD - Google resets developer token quota at midnight PT
+ */
+function getQuotaDate(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: QUOTA_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).format(date);
+}
+
+/**
+ * Classify an error from the Google Ads client
+ * GoogleAdsFailure carries errors[].error_code; plain gRPC errors carry a numeric code.
+ * @returns {Object} { transient, throttled, retryDelayMs }
+ */
+function classifyError(error) {
+  const adsErrors = Array.isArray(error?.errors) ? error.errors : [];
+  const quotaError = adsErrors.find(e => e?.error_code && 'quota_error' in e.error_code);
+  const internalError = adsErrors.find(e => e?.error_code && 'internal_error' in e.error_code);
+  const grpcCode = TRANSIENT_GRPC_CODES[error?.code];
+  const message = error?.message || error?.details || '';
+
+  const throttled = Boolean(quotaError) || grpcCode === 'RESOURCE_EXHAUSTED' || /RESOURCE_EXHAUSTED/.test(message);
+  const transient = throttled ||
+    Boolean(internalError) ||
+    Boolean(grpcCode) ||
+    TRANSIENT_NETWORK_CODES.includes(error?.code) ||
+    /UNAVAILABLE|DEADLINE_EXCEEDED|INTERNAL|ECONNRESET|ETIMEDOUT/.test(message);
+
+  const retryDelay = quotaError?.details?.quota_error_details?.retry_delay;
+  const retryDelayMs = retryDelay
+    ? (parseInt(retryDelay.seconds) || 0) * 1000 + Math.round((retryDelay.nanos || 0) / 1e6)
+    : null;
+
+  return { transient, throttled, retryDelayMs };
+}
+
+/**
+ * Exponential backoff with full jitter, never below the delay Google asked for
+ */
+function getBackoffMs(attempt, retryDelayMs) {
+  const base = parseInt(process.env.GADS_RETRY_BASE_MS) || DEFAULT_RETRY_BASE_MS;
+  const ceiling = Math.min(MAX_BACKOFF_MS, base * Math.pow(2, attempt));
+  const jittered = Math.round(Math.random() * ceiling);
+  return retryDelayMs ? Math.max(retryDelayMs, jittered) : jittered;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Add to today's usage row for one account
+ * Accounting must never take the API down with it - a failed write is only logged.
+ */
+async function recordUsage(getDbConnection, accountId, counts) {
+  let connection;
+
+  try {
+    connection = await getDbConnection();
+    await connection.execute(`
+      INSERT INTO gads_api_usage (usage_date, account_id, requests, operations, retries, errors, throttled)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        requests = requests + VALUES(requests),
+        operations = operations + VALUES(operations),
+        retries = retries + VALUES(retries),
+        errors = errors + VALUES(errors),
+        throttled = throttled + VALUES(throttled)
+    `, [
+      getQuotaDate(), accountId,
+      counts.requests || 0, counts.operations || 0, counts.retries || 0, counts.errors || 0, counts.throttled || 0
+    ]);
+  } catch (error) {
+    console.warn('⚠️ Failed to record Google Ads API usage:', error.message);
+  } finally {
+    if (connection) {
+      await connection.end();
+    }
+  }
+}
+
+/**
+ * Throw QUOTA_BUDGET_EXCEEDED if the next call would go over today's budget
+ */
+async function assertBudget(getDbConnection, operations) {
+  let used = 0;
+  let connection;
+
+  try {
+    connection = await getDbConnection();
+    const [[row]] = await connection.execute(
+      'SELECT COALESCE(SUM(operations), 0) as operations FROM gads_api_usage WHERE usage_date = ?',
+      [getQuotaDate()]
+    );
+    used = parseInt(row.operations) || 0;
+  } catch (error) {
+    console.warn('⚠️ Failed to read Google Ads API usage, not enforcing budget:', error.message);
+    return;
+  } finally {
+    if (connection) {
+      await connection.end();
+    }
+  }
+
+  const budget = getDailyBudget();
+  if (used + operations > budget) {
+    const error = new Error(`Google Ads API daily budget reached: ${used} of ${budget} operations used (${getQuotaDate()} PT)`);
+    error.code = 'QUOTA_BUDGET_EXCEEDED';
+    throw error;
+  }
+}
+
+/**
+ * Run one API call with budget check, accounting and retries
+ * @param {Object} state - { getDbConnection, accountId, usage }
+ * @param {string} label - for log lines
+ * @param {number} operations - operations this call costs
+ * @param {Function} call - performs the request
+ * @param {Object} options - { idempotent (default true) - false retries only throttled calls }
+ */
+async function callWithQuota(state, label, operations, call, options = {}) {
+  const idempotent = options.idempotent !== false;
+  const maxRetries = process.env.GADS_MAX_RETRIES !== undefined
+    ? parseInt(process.env.GADS_MAX_RETRIES) || 0
+    : DEFAULT_MAX_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    await assertBudget(state.getDbConnection, operations);
+
+    const counts = { requests: 1, operations, retries: attempt > 0 ? 1 : 0 };
+    state.usage.requests++;
+    state.usage.operations += operations;
+    state.usage.retries += counts.retries;
+
+    try {
+      const result = await call();
+      await recordUsage(state.getDbConnection, state.accountId, counts);
+      return result;
+    } catch (error) {
+      const { transient, throttled, retryDelayMs } = classifyError(error);
+      await recordUsage(state.getDbConnection, state.accountId, { ...counts, errors: 1, throttled: throttled ? 1 : 0 });
+
+      const retryable = idempotent ? transient : throttled;
+
+      // A retry delay past the backoff ceiling means the daily quota is gone - no point waiting
+      if (!retryable || attempt >= maxRetries || (retryDelayMs && retryDelayMs > MAX_BACKOFF_MS)) {
+        throw error;
+      }
+
+      const delay = getBackoffMs(attempt, retryDelayMs);
+      console.warn(`⚠️ Google Ads ${label} failed (${throttled ? 'throttled' : 'transient'}: ${error.message}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Wrap a google-ads-api customer with quota accounting and retries
+ * @param {Object} customer - client.Customer(...)
+ * @param {Function} getDbConnection - Database connection function
+ * @returns {Object} customer with the same interface
+ */
+function wrapCustomer(customer, getDbConnection) {
+  if (!customer || customer[USAGE]) {
+    return customer;
+  }
+
+  const state = {
+    getDbConnection,
+    accountId: accounts.getAccountId(customer),
+    usage: { requests: 0, operations: 0, retries: 0 }
+  };
+
+  return new Proxy(customer, {
+    get(target, prop) {
+      if (prop === USAGE) {
+        return state.usage;
+      }
+
+      // A search stream is one request and one operation however many rows it returns
+      if (prop === 'query') {
+        return (...args) => callWithQuota(state, 'query', 1, () => target.query(...args));
+      }
+
+      if (prop === 'mutateResources') {
+        return (operations, ...args) => callWithQuota(
+          state, 'mutate', Math.max(1, Array.isArray(operations) ? operations.length : 1),
+          () => target.mutateResources(operations, ...args),
+          { idempotent: false }
+        );
+      }
+
+      // Each uploaded click conversion counts as one operation
+      if (prop === 'conversionUploads') {
+        const service = Reflect.get(target, prop, target);
+        return new Proxy(service, {
+          get(uploads, method) {
+            if (method === 'uploadClickConversions') {
+              return (request, ...args) => callWithQuota(
+                state, 'conversion upload', Math.max(1, request?.conversions?.length || 1),
+                () => uploads.uploadClickConversions(request, ...args),
+                { idempotent: false }
+              );
+            }
+            const value = Reflect.get(uploads, method, uploads);
+            return typeof value === 'function' ? value.bind(uploads) : value;
+          }
+        });
+      }
+
+      const value = Reflect.get(target, prop, target);
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+}
+
+/**
+ * Copy of a wrapped customer's counters (zeros for an unwrapped one)
+ */
+function snapshotUsage(customer) {
+  const usage = customer?.[USAGE];
+  return usage ? { ...usage } : { requests: 0, operations: 0, retries: 0 };
+}
+
+/**
+ * Usage since a snapshot, as sync summary fields
+ * @returns {Object} { api_calls_used, api_operations, api_retries }
+ */
+function usageSince(customer, snapshot) {
+  const now = snapshotUsage(customer);
+  return {
+    api_calls_used: now.requests - snapshot.requests,
+    api_operations: now.operations - snapshot.operations,
+    api_retries: now.retries - snapshot.retries
+  };
+}
+
+/**
+ * Today's usage against the budget
+ * The budget belongs to the developer token, so headroom is always across all accounts;
+ * accountId adds that account's share.
+ */
+async function getQuotaHeadroom(connection, accountId = null) {
+  const quotaDate = getQuotaDate();
+  const budget = getDailyBudget();
+
+  const [rows] = await connection.execute(`
+    SELECT account_id, requests, operations, retries, errors, throttled, updated_at
+    FROM gads_api_usage
+    WHERE usage_date = ?
+    ORDER BY operations DESC
+  `, [quotaDate]);
+
+  const totals = rows.reduce((sum, row) => {
+    ['requests', 'operations', 'retries', 'errors', 'throttled'].forEach(key => {
+      sum[key] += parseInt(row[key]) || 0;
+    });
+    return sum;
+  }, { requests: 0, operations: 0, retries: 0, errors: 0, throttled: 0 });
+
+  return {
+    quota_date: quotaDate,
+    quota_timezone: QUOTA_TIMEZONE,
+    daily_operation_budget: budget,
+    operations_used: totals.operations,
+    operations_remaining: Math.max(0, budget - totals.operations),
+    percent_used: Math.round((totals.operations / budget) * 1000) / 10,
+    requests: totals.requests,
+    retries: totals.retries,
+    errors: totals.errors,
+    throttled: totals.throttled,
+    accounts: accountId ? rows.filter(row => row.account_id === accountId) : rows
+  };
+}
+
+module.exports = {
+  wrapCustomer,
+  snapshotUsage,
+  usageSince,
+  getQuotaHeadroom,
+  getQuotaDate,
+  classifyError
+};
@@ -6,6 +6,22 @@
  * Receives authenticated Google Ads client from index.js
  */
 
+const gaql = require('./gaql');
+
+// Amounts (account currency) in each result, as fxRates.convertMoneyFields paths
+const MONEY_FIELDS = {
+  budgetInfo: [
+    'summary.total_daily_spend', 'summary.total_monthly_spend', 'summary.total_yearly_spend',
+    'summary.average_daily_budget', 'summary.highest_daily_budget', 'summary.lowest_daily_budget',
+    'budgets[].daily_amount', 'budgets[].monthly_amount', 'budgets[].yearly_amount'
+  ],
+  budgetUtilization: [
+    'summary.total_potential_spend', 'summary.total_actual_spend',
+    'utilization[].daily_budget', 'utilization[].total_spend', 'utilization[].potential_spend',
+    'utilization[].average_daily_spend', 'utilization[].daily_breakdown[].spend'
+  ]
+};
+
 /**
  * Get budget information for all campaigns
  * @param {Object} customer - Authenticated Google Ads customer client from index.js
@@ -28,7 +44,8 @@ async function getBudgetInfo(customer) {
         campaign_budget.delivery_method,
         campaign_budget.explicitly_shared,
         campaign_budget.status,
-        campaign_budget.type
+        campaign_budget.type,
+        customer.currency_code
       FROM campaign_budget
       WHERE campaign_budget.status != 'REMOVED'
       ORDER BY campaign_budget.amount_micros DESC
@@ -39,20 +56,23 @@ async function getBudgetInfo(customer) {
     
     console.log(`   ✅ Found ${results.length} budgets`);
     
+    // Amounts are in the account's billing currency
+    const currency = results[0]?.customer?.currency_code || 'EUR';
+    
     // Process budget results
     const budgets = results.map(row => {
       const budget = row.campaign_budget;
-      const dailyAmountEur = budget.amount_micros ? (budget.amount_micros / 1000000).toFixed(2) : '0.00';
-      const monthlyAmountEur = (parseFloat(dailyAmountEur) * 30.44).toFixed(2); // Average days per month
-      const yearlyAmountEur = (parseFloat(dailyAmountEur) * 365).toFixed(2);
+      const dailyAmount = budget.amount_micros ? (budget.amount_micros / 1000000).toFixed(2) : '0.00';
+      const monthlyAmount = (parseFloat(dailyAmount) * 30.44).toFixed(2); // Average days per month
+      const yearlyAmount = (parseFloat(dailyAmount) * 365).toFixed(2);
       
       return {
         id: budget.id?.toString(),
         name: budget.name,
         daily_amount_micros: budget.amount_micros || 0,
-        daily_amount: dailyAmountEur,
-        monthly_amount: monthlyAmountEur,
-        yearly_amount: yearlyAmountEur,
+        daily_amount: dailyAmount,
+        monthly_amount: monthlyAmount,
+        yearly_amount: yearlyAmount,
         delivery_method: budget.delivery_method,
         shared: budget.explicitly_shared || false,
         status: budget.status,
@@ -78,13 +98,14 @@ async function getBudgetInfo(customer) {
     
     console.log(`   ✅ Budget analysis complete:`);
     console.log(`      💰 Total budgets: ${summary.total_budgets}`);
-    console.log(`      📊 Total daily spend: €${summary.total_daily_spend}`);
-    console.log(`      📅 Total monthly spend: €${summary.total_monthly_spend}`);
-    console.log(`      📈 Total yearly spend: €${summary.total_yearly_spend}`);
+    console.log(`      📊 Total daily spend: ${currency} ${summary.total_daily_spend}`);
+    console.log(`      📅 Total monthly spend: ${currency} ${summary.total_monthly_spend}`);
+    console.log(`      📈 Total yearly spend: ${currency} ${summary.total_yearly_spend}`);
     
     return {
       success: true,
       count: budgets.length,
+      currency,
       summary,
       budgets,
       timestamp: new Date().toISOString()
@@ -128,7 +149,7 @@ async function getBudgetUtilization(customer, options = {}) {
         segments.date,
         metrics.cost_micros
       FROM campaign
-      WHERE segments.date DURING LAST_${days}_DAYS
+      WHERE ${gaql.dateRange({ days })}
         AND campaign.status != 'REMOVED'
         AND campaign_budget.status != 'REMOVED'
       ORDER BY segments.date DESC, metrics.cost_micros DESC
@@ -186,6 +207,7 @@ async function getBudgetUtilization(customer, options = {}) {
         budget_id: budget.budget_id,
         budget_name: budget.budget_name,
         daily_budget: budget.daily_budget,
+        daily_budget_micros: budget.daily_budget_micros,
         campaigns_count: budget.campaigns.size,
         campaigns: Array.from(budget.campaigns),
         days_analyzed: uniqueDays,
@@ -241,6 +263,7 @@ async function getBudgetUtilization(customer, options = {}) {
 
 // Export functions
 module.exports = {
+  MONEY_FIELDS,
   getBudgetInfo,
   getBudgetUtilization
 };
\ No newline at end of file
@@ -10,6 +10,8 @@
  * - Shopping: Product targeting
  */
 
+const gaql = require('./gaql');
+
 // Campaign type constants
 const CAMPAIGN_TYPES = {
   PERFORMANCE_MAX: 10,
@@ -20,6 +22,14 @@ const CAMPAIGN_TYPES = {
   APP: 12
 };
 
+// Amounts (account currency) in getCampaignPerformance results, as fxRates.convertMoneyFields paths
+const MONEY_FIELDS = [
+  'summary.total_daily_budget', 'summary.total_spend',
+  'campaigns[].budget.daily_amount', 'campaigns[].budget.monthly_estimate',
+  'campaigns[].metrics.cost', 'campaigns[].metrics.cpc', 'campaigns[].metrics.cost_per_conversion',
+  'campaigns[].keywords.keywords[].cost'
+];
+
 /**
  * Get campaign performance data - adapts based on campaign type
  * @param {Object} customer - Authenticated Google Ads customer client from index.js
@@ -216,6 +226,7 @@ async function enhanceCampaignByType(customer, campaign, options) {
 async function addCampaignMetrics(customer, campaign, options) {
   try {
     const days = options.days || 7; // Use shorter period for reliability
+    const dateCondition = gaql.dateRange({ days, startDate: options.startDate, endDate: options.endDate });
     
     const metricsQuery = `
       SELECT 
@@ -229,8 +240,8 @@ async function addCampaignMetrics(customer, campaign, options) {
         metrics.conversion_rate,
         metrics.view_through_conversions
       FROM campaign
-      WHERE campaign.id = ${campaign.id}
-        AND segments.date DURING LAST_${days}_DAYS
+      WHERE ${gaql.equals('campaign.id', campaign.id)}
+        AND ${dateCondition}
     `;
     
     const results = await customer.query(metricsQuery);
@@ -299,7 +310,7 @@ async function enhancePerformanceMaxCampaign(customer, campaign, options) {
         asset_group.name,
         asset_group.status
       FROM asset_group
-      WHERE campaign.id = ${campaign.id}
+      WHERE ${gaql.equals('campaign.id', campaign.id)}
     `;
     
     const assetGroups = await customer.query(assetGroupQuery);
@@ -348,7 +359,7 @@ async function enhanceDisplayCampaign(customer, campaign, options) {
         campaign_criterion.placement.url,
         campaign_criterion.negative
       FROM campaign_criterion
-      WHERE campaign.id = ${campaign.id}
+      WHERE ${gaql.equals('campaign.id', campaign.id)}
         AND campaign_criterion.type = 'PLACEMENT'
     `;
     
@@ -403,7 +414,7 @@ async function getCampaignTargeting(customer, campaignId) {
         campaign_criterion.location.geo_target_constant,
         campaign_criterion.negative
       FROM campaign_criterion
-      WHERE campaign.id = ${campaignId}
+      WHERE ${gaql.equals('campaign.id', campaignId)}
         AND campaign_criterion.type = 'LOCATION'
     `;
     
@@ -432,7 +443,7 @@ async function getCampaignTargeting(customer, campaignId) {
           id.replace('geoTargetConstants/', '')
         );
         
-        const locationQuery = `
+        const locationResults = await gaql.queryInChunks(customer, 'geo_target_constant.id', numericIds, inCondition => `
           SELECT 
             geo_target_constant.id,
             geo_target_constant.canonical_name,
@@ -440,10 +451,8 @@ async function getCampaignTargeting(customer, campaignId) {
             geo_target_constant.target_type,
             geo_target_constant.status
           FROM geo_target_constant
-          WHERE geo_target_constant.id IN (${numericIds.join(',')})
-        `;
-        
-        const locationResults = await customer.query(locationQuery);
+          WHERE ${inCondition}
+        `);
         
         // Map location details using numeric ID as key
         locationResults.forEach(row => {
@@ -511,6 +520,7 @@ async function getCampaignTargeting(customer, campaignId) {
 async function getCampaignKeywords(customer, campaignId, options) {
   try {
     const days = options.days || 30;
+    const dateCondition = gaql.dateRange({ days, startDate: options.startDate, endDate: options.endDate });
     
     const keywordQuery = `
       SELECT 
@@ -520,8 +530,8 @@ async function getCampaignKeywords(customer, campaignId, options) {
         metrics.clicks,
         metrics.cost_micros
       FROM keyword_view
-      WHERE campaign.id = ${campaignId}
-        AND segments.date DURING LAST_${days}_DAYS
+      WHERE ${gaql.equals('campaign.id', campaignId)}
+        AND ${dateCondition}
         AND ad_group_criterion.status != 'REMOVED'
       ORDER BY metrics.cost_micros DESC
       LIMIT 50
@@ -559,7 +569,7 @@ async function getCampaignDemographics(customer, campaignId) {
         campaign_criterion.gender.type,
         campaign_criterion.negative
       FROM campaign_criterion
-      WHERE campaign.id = ${campaignId}
+      WHERE ${gaql.equals('campaign.id', campaignId)}
         AND campaign_criterion.type IN ('AGE_RANGE', 'GENDER')
     `;
     
@@ -657,6 +667,7 @@ function calculateCampaignSummary(campaigns) {
 
 // Export the main function (keep existing exports for compatibility)
 module.exports = {
+  MONEY_FIELDS,
   getCampaignPerformance,
   getCampaignTargeting,  // Direct function reference, not wrapped
   getCampaignKeywords
@@ -0,0 +1,410 @@
+/**
+ * Google Ads Change History Module
+ * /scripts/google/change-history.js
+ *
+ * Syncs the change_event resource into gads_change_log so bid, budget, status and
+ * targeting edits can be lined up against CPA and lead trends. Each change gets a
+ * one-line summary ("Budget raised from €40 to €60") used as a chart annotation.
+ *
+ * change_event only covers the last 30 days and requires a LIMIT (max 10,000 rows).
+ */
+
+const accounts = require('./accounts');
+
+// The API rejects change_event queries older than 30 days
+const MAX_CHANGE_DAYS = 29;
+const CHANGE_EVENT_LIMIT = 10000;
+
+// ChangeEventResourceType enum
+const RESOURCE_TYPES = {
+  2: 'AD',
+  3: 'AD_GROUP',
+  4: 'AD_GROUP_CRITERION',
+  5: 'CAMPAIGN',
+  6: 'CAMPAIGN_BUDGET',
+  7: 'AD_GROUP_BID_MODIFIER',
+  8: 'CAMPAIGN_CRITERION',
+  13: 'AD_GROUP_AD',
+  14: 'ASSET',
+  15: 'CUSTOMER_ASSET',
+  16: 'CAMPAIGN_ASSET',
+  17: 'AD_GROUP_ASSET'
+};
+
+// ResourceChangeOperation enum
+const OPERATIONS = {
+  2: 'CREATE',
+  3: 'UPDATE',
+  4: 'REMOVE'
+};
+
+// ChangeClientType enum
+const CLIENT_TYPES = {
+  2: 'WEB',
+  3: 'AUTOMATED_RULE',
+  4: 'SCRIPTS',
+  5: 'BULK_UPLOAD',
+  6: 'API',
+  7: 'EDITOR',
+  8: 'MOBILE_APP',
+  9: 'RECOMMENDATIONS',
+  14: 'RECOMMENDATIONS_SUBSCRIPTION'
+};
+
+// Campaign / ad group / criterion status enum
+const STATUS_LABELS = {
+  2: 'enabled',
+  3: 'paused',
+  4: 'removed'
+};
+
+// Field of ChangedResource that holds the changed object, per resource type
+const RESOURCE_FIELDS = {
+  AD: 'ad',
+  AD_GROUP: 'ad_group',
+  AD_GROUP_CRITERION: 'ad_group_criterion',
+  CAMPAIGN: 'campaign',
+  CAMPAIGN_BUDGET: 'campaign_budget',
+  AD_GROUP_BID_MODIFIER: 'ad_group_bid_modifier',
+  CAMPAIGN_CRITERION: 'campaign_criterion',
+  AD_GROUP_AD: 'ad_group_ad',
+  ASSET: 'asset',
+  CUSTOMER_ASSET: 'customer_asset',
+  CAMPAIGN_ASSET: 'campaign_asset',
+  AD_GROUP_ASSET: 'ad_group_asset'
+};
+
+/**
+ * Sync change events for the last N days (capped at the API's 30-day window)
+ * @param {Object} customer - Google Ads customer client
+ * @param {Object} connection - Open database connection
+ * @param {number} days - Days of history to pull
+ * @returns {Object} Counts of synced rows and API calls
+ */
+async function syncChangeEvents(customer, connection, days = 7) {
+  try {
+    const accountId = accounts.getAccountId(customer);
+    const windowDays = Math.min(Math.max(parseInt(days) || 7, 1), MAX_CHANGE_DAYS);
+
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - windowDays);
+    // A bare date compares as midnight, so end at tomorrow to include today's changes
+    endDate.setDate(endDate.getDate() + 1);
+
+    console.log(`📝 Syncing change history (last ${windowDays} days)...`);
+
+    const results = await customer.query(`
+      SELECT
+        change_event.resource_name,
+        change_event.change_date_time,
+        change_event.change_resource_type,
+        change_event.change_resource_name,
+        change_event.resource_change_operation,
+        change_event.client_type,
+        change_event.user_email,
+        change_event.changed_fields,
+        change_event.old_resource,
+        change_event.new_resource,
+        change_event.campaign,
+        change_event.ad_group
+      FROM change_event
+      WHERE change_event.change_date_time >= '${formatDate(startDate)}'
+        AND change_event.change_date_time <= '${formatDate(endDate)}'
+      ORDER BY change_event.change_date_time DESC
+      LIMIT ${CHANGE_EVENT_LIMIT}
+    `);
+
+    const campaignNames = await loadCampaignNames(connection, accountId);
+    let synced = 0;
+
+    for (const row of results) {
+      const event = row.change_event;
+      const change = parseChangeEvent(event);
+
+      change.summary = describeChange(change, campaignNames.get(change.google_campaign_id));
+
+      await upsertChange(connection, { ...change, account_id: accountId });
+      synced++;
+    }
+
+    console.log(`   ✅ ${synced} change events`);
+
+    return {
+      changes_synced: synced,
+      api_calls_used: 1
+    };
+
+  } catch (error) {
+    console.error('❌ Change history sync failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Flatten a change_event row into gads_change_log columns
+ */
+function parseChangeEvent(event) {
+  const resourceType = RESOURCE_TYPES[event.change_resource_type] || String(event.change_resource_type);
+  const field = RESOURCE_FIELDS[resourceType];
+  const changeDateTime = String(event.change_date_time || '').slice(0, 19);
+
+  return {
+    change_resource_name: event.resource_name,
+    change_date_time: changeDateTime,
+    change_date: changeDateTime.slice(0, 10),
+    resource_type: resourceType,
+    resource_name: event.change_resource_name || null,
+    operation: OPERATIONS[event.resource_change_operation] || String(event.resource_change_operation),
+    client_type: CLIENT_TYPES[event.client_type] || String(event.client_type || ''),
+    user_email: event.user_email || null,
+    google_campaign_id: idFromResourceName(event.campaign),
+    google_adgroup_id: idFromResourceName(event.ad_group),
+    changed_fields: parseChangedFields(event.changed_fields),
+    old_value: field ? (event.old_resource?.[field] || null) : null,
+    new_value: field ? (event.new_resource?.[field] || null) : null
+  };
+}
+
+/**
+ * changed_fields comes back as a FieldMask ({ paths: [...] }) or a comma-separated string
+ */
+function parseChangedFields(changedFields) {
+  if (!changedFields) return [];
+  if (Array.isArray(changedFields.paths)) return changedFields.paths;
+  if (Array.isArray(changedFields)) return changedFields;
+  return String(changedFields).split(',').map(f => f.trim()).filter(Boolean);
+}
+
+/**
+ * "customers/123/campaigns/456" → "456"
+ */
+function idFromResourceName(resourceName) {
+  if (!resourceName) return null;
+  const parts = String(resourceName).split('/');
+  return parts[parts.length - 1].split('~')[0] || null;
+}
+
+/**
+ * One-line description of a change for chart markers
+ */
+function describeChange(change, campaignName) {
+  const { resource_type: type, operation, changed_fields: fields } = change;
+  const oldValue = change.old_value || {};
+  const newValue = change.new_value || {};
+  const has = name => fields.some(f => f === name || f.endsWith(`.${name}`));
+  const where = campaignName ? ` (${campaignName})` : '';
+
+  if (type === 'CAMPAIGN_BUDGET' && has('amount_micros')) {
+    return `Budget ${moveWord(oldValue.amount_micros, newValue.amount_micros)} from ${formatMicros(oldValue.amount_micros)} to ${formatMicros(newValue.amount_micros)}${where}`;
+  }
+
+  if (operation === 'UPDATE' && has('status') && STATUS_LABELS[newValue.status]) {
+    const label = type === 'CAMPAIGN' ? 'Campaign' : humanizeType(type);
+    return `${label} ${STATUS_LABELS[newValue.status]}${where}`;
+  }
+
+  if (type === 'CAMPAIGN') {
+    const bidField = ['target_cpa_micros', 'target_roas', 'cpc_bid_ceiling_micros']
+      .find(name => has(name));
+
+    if (bidField) {
+      const oldBid = readBidField(oldValue, bidField);
+      const newBid = readBidField(newValue, bidField);
+      const format = bidField === 'target_roas' ? formatRatio : formatMicros;
+      return `${bidLabel(bidField)} ${moveWord(oldBid, newBid)} from ${format(oldBid)} to ${format(newBid)}${where}`;
+    }
+
+    if (has('bidding_strategy_type')) {
+      return `Bidding strategy changed${where}`;
+    }
+  }
+
+  if (type === 'AD_GROUP' && has('cpc_bid_micros')) {
+    return `Ad group max CPC ${moveWord(oldValue.cpc_bid_micros, newValue.cpc_bid_micros)} from ${formatMicros(oldValue.cpc_bid_micros)} to ${formatMicros(newValue.cpc_bid_micros)}${where}`;
+  }
+
+  if (type === 'AD_GROUP_CRITERION' && has('cpc_bid_micros')) {
+    const keyword = newValue.keyword?.text || oldValue.keyword?.text;
+    return `Keyword${keyword ? ` "${keyword}"` : ''} bid ${moveWord(oldValue.cpc_bid_micros, newValue.cpc_bid_micros)} from ${formatMicros(oldValue.cpc_bid_micros)} to ${formatMicros(newValue.cpc_bid_micros)}${where}`;
+  }
+
+  if (type === 'CAMPAIGN_CRITERION' || type === 'AD_GROUP_CRITERION') {
+    const criterion = operation === 'REMOVE' ? oldValue : newValue;
+    const target = describeCriterion(criterion);
+    const negative = criterion.negative ? 'Exclusion' : 'Targeting';
+    const verb = operation === 'CREATE' ? 'added' : operation === 'REMOVE' ? 'removed' : 'updated';
+    return `${negative} ${verb}${target ? `: ${target}` : ''}${where}`;
+  }
+
+  const verb = { CREATE: 'created', UPDATE: 'updated', REMOVE: 'removed' }[operation] || 'changed';
+  const fieldList = fields.length > 0 && operation === 'UPDATE'
+    ? ` (${fields.slice(0, 3).map(f => f.split('.').pop()).join(', ')}${fields.length > 3 ? ', …' : ''})`
+    : '';
+  return `${humanizeType(type)} ${verb}${fieldList}${where}`;
+}
+
+function readBidField(value, field) {
+  if (field === 'target_cpa_micros') {
+    return value.target_cpa?.target_cpa_micros ?? value.maximize_conversions?.target_cpa_micros;
+  }
+  if (field === 'target_roas') {
+    return value.target_roas?.target_roas ?? value.maximize_conversion_value?.target_roas;
+  }
+  return value.target_spend?.cpc_bid_ceiling_micros ?? value.maximize_clicks?.cpc_bid_ceiling_micros;
+}
+
+function bidLabel(field) {
+  return {
+    target_cpa_micros: 'Target CPA',
+    target_roas: 'Target ROAS',
+    cpc_bid_ceiling_micros: 'Max CPC limit'
+  }[field];
+}
+
+function describeCriterion(criterion) {
+  if (!criterion) return null;
+  if (criterion.keyword?.text) return `keyword "${criterion.keyword.text}"`;
+  if (criterion.location?.geo_target_constant) {
+    return `location ${idFromResourceName(criterion.location.geo_target_constant)}`;
+  }
+  if (criterion.language?.language_constant) return 'language';
+  if (criterion.device) return 'device';
+  if (criterion.ad_schedule) return 'ad schedule';
+  return null;
+}
+
+function humanizeType(type) {
+  const label = String(type || 'Resource').toLowerCase().replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+function moveWord(oldValue, newValue) {
+  if (oldValue === undefined || oldValue === null) return 'set';
+  return Number(newValue) > Number(oldValue) ? 'raised' : Number(newValue) < Number(oldValue) ? 'lowered' : 'changed';
+}
+
+function formatMicros(micros) {
+  if (micros === undefined || micros === null) return '—';
+  const euros = Number(micros) / 1000000;
+  return `€${Number.isInteger(euros) ? euros : euros.toFixed(2)}`;
+}
+
+function formatRatio(value) {
+  if (value === undefined || value === null) return '—';
+  return `${Math.round(Number(value) * 100)}%`;
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+async function loadCampaignNames(connection, accountId) {
+  const [rows] = await connection.execute(`
+    SELECT google_campaign_id, campaign_name
+    FROM gads_campaigns
+    WHERE account_id = ? OR account_id IS NULL
+  `, [accountId]);
+
+  return new Map(rows.map(r => [r.google_campaign_id, r.campaign_name]));
+}
+
+async function upsertChange(connection, data) {
+  await connection.execute(`
+    INSERT INTO gads_change_log (
+      change_resource_name, account_id, change_date_time, change_date, resource_type, resource_name,
+      operation, client_type, user_email, google_campaign_id, google_adgroup_id,
+      changed_fields, old_value, new_value, summary
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      account_id = VALUES(account_id),
+      changed_fields = VALUES(changed_fields),
+      old_value = VALUES(old_value),
+      new_value = VALUES(new_value),
+      summary = VALUES(summary),
+      synced_at = CURRENT_TIMESTAMP
+  `, [
+    data.change_resource_name, data.account_id, data.change_date_time, data.change_date,
+    data.resource_type, data.resource_name, data.operation, data.client_type, data.user_email,
+    data.google_campaign_id, data.google_adgroup_id,
+    data.changed_fields.join(','),
+    data.old_value ? JSON.stringify(data.old_value) : null,
+    data.new_value ? JSON.stringify(data.new_value) : null,
+    (data.summary || '').slice(0, 500)
+  ]);
+}
+
+/**
+ * Changes in the last N days as chart annotations
+ * @param {Object} connection - Open database connection
+ * @param {Object} options - { days, campaign, startDate } campaign is a campaign name or 'all';
+ *   startDate (account-local YYYY-MM-DD) overrides the days window
+ * @returns {Array} { date, time, campaign_name, resource_type, operation, user_email, summary }
+ */
+async function getChangeAnnotations(connection, options = {}) {
+  const { days = 30, campaign = 'all', startDate = null } = options;
+
+  let campaignFilter = '';
+  const params = [startDate || days];
+
+  if (campaign && campaign !== 'all') {
+    campaignFilter = 'AND gc.campaign_name = ?';
+    params.push(campaign);
+  }
+
+  const [rows] = await connection.execute(`
+    SELECT
+      DATE_FORMAT(cl.change_date, '%Y-%m-%d') as date,
+      DATE_FORMAT(cl.change_date_time, '%H:%i') as time,
+      gc.campaign_name,
+      cl.resource_type,
+      cl.operation,
+      cl.user_email,
+      cl.client_type,
+      cl.summary
+    FROM gads_change_log cl
+    LEFT JOIN gads_campaigns gc ON gc.google_campaign_id = cl.google_campaign_id
+    WHERE cl.change_date >= ${startDate ? '?' : 'DATE_SUB(CURDATE(), INTERVAL ? DAY)'}
+      ${campaignFilter}
+    ORDER BY cl.change_date_time DESC
+  `, params);
+
+  return rows;
+}
+
+/**
+ * Attach annotations to trend rows by day
+ * @param {Array} trends - Rows with a date (Date or YYYY-MM-DD string)
+ * @param {Array} annotations - Rows from getChangeAnnotations
+ */
+function attachAnnotations(trends, annotations) {
+  const byDate = new Map();
+  annotations.forEach(a => {
+    if (!byDate.has(a.date)) byDate.set(a.date, []);
+    byDate.get(a.date).push(a);
+  });
+
+  return trends.map(row => ({
+    ...row,
+    annotations: byDate.get(toDateKey(row.date)) || []
+  }));
+}
+
+/**
+ * mysql2 returns DATE columns as local-midnight Date objects
+ */
+function toDateKey(value) {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+module.exports = {
+  syncChangeEvents,
+  describeChange,
+  getChangeAnnotations,
+  attachAnnotations
+};
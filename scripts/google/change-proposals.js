@@ -0,0 +1,731 @@
+/**
+ * Google Ads Change Proposals Module
+ * /scripts/google/change-proposals.js
+ *
+ * Turns recommendations into changes someone can actually make:
+ * - pause_campaign  { status: 'PAUSED' }
+ * - budget_change   { amount_micros }            (target: campaign budget ID)
+ * - geo_exclusion   { geo_target_constant_id, country_code }   (target: campaign ID)
+ *
+ * Lifecycle: pending → approved / rejected → applying → applied / failed → reverted
+ * - approval must come from someone other than the proposer. Every actor (proposed_by,
+ *   reviewed_by, applied_by, reverted_by) is the user the request authenticates as with
+ *   its API token (scripts/auth/users.js) - names in the request body are not used
+ * - apply re-reads the live value first and refuses if it no longer matches what was
+ *   proposed against; the live value is kept as previous_value. The change is claimed
+ *   as applying first, so a double submit can't mutate twice
+ * - revert puts previous_value back (refuses if the value changed since the apply,
+ *   unless forced)
+ * Every step, failures included, is written to gads_change_audit.
+ */
+
+const accounts = require('./accounts');
+const gaql = require('./gaql');
+const users = require('../auth/users');
+
+const CHANGE_TYPES = {
+  PAUSE_CAMPAIGN: 'pause_campaign',
+  BUDGET_CHANGE: 'budget_change',
+  GEO_EXCLUSION: 'geo_exclusion'
+};
+
+const CHANGE_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  APPLYING: 'applying',
+  REJECTED: 'rejected',
+  APPLIED: 'applied',
+  FAILED: 'failed',
+  REVERTED: 'reverted'
+};
+
+// CampaignStatus enum values as the API returns them
+const CAMPAIGN_STATUSES = {
+  2: 'ENABLED',
+  3: 'PAUSED',
+  4: 'REMOVED'
+};
+
+const DEFAULT_GEO_DAYS = 30;
+const DEFAULT_GEO_MIN_COST = 10;
+
+/**
+ * Error with an HTTP status for the route handlers
+ */
+function changeError(message, status = 409) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sameActor(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+function parseValue(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function getCampaignStatusName(value) {
+  return CAMPAIGN_STATUSES[value] || (typeof value === 'string' ? value : `UNKNOWN_${value}`);
+}
+
+async function audit(connection, change, action, actor, details = null) {
+  await connection.execute(`
+    INSERT INTO gads_change_audit (change_id, account_id, action, actor, details)
+    VALUES (?, ?, ?, ?, ?)
+  `, [change.change_id, change.account_id, action, actor || null, details ? JSON.stringify(details) : null]);
+}
+
+async function getChange(connection, changeId) {
+  const [[change]] = await connection.execute('SELECT * FROM gads_change_proposals WHERE change_id = ?', [changeId]);
+  if (!change) {
+    throw changeError(`Change ${changeId} not found`, 404);
+  }
+  return {
+    ...change,
+    current_value: parseValue(change.current_value),
+    proposed_value: parseValue(change.proposed_value),
+    previous_value: parseValue(change.previous_value)
+  };
+}
+
+/**
+ * Store proposals as pending
+ * A target that already has a pending or approved change of the same type is skipped.
+ * @param {Object} connection - Open database connection
+ * @param {string} accountId - Account the changes belong to
+ * @param {Array} drafts - { change_type, target_id, target_name, current_value, proposed_value, reason }
+ * @param {Object} options - { proposedBy, source }
+ * @returns {Object} { created: [change_id...], skipped }
+ */
+async function createProposals(connection, accountId, drafts, options = {}) {
+  const created = [];
+  let skipped = 0;
+
+  for (const draft of drafts) {
+    if (!Object.values(CHANGE_TYPES).includes(draft.change_type)) {
+      throw changeError(`Unknown change_type "${draft.change_type}"`, 400);
+    }
+    const targetId = gaql.id(draft.target_id, 'target_id');
+
+    const [open] = await connection.execute(`
+      SELECT change_id, proposed_value FROM gads_change_proposals
+      WHERE account_id = ? AND change_type = ? AND target_id = ? AND status IN (?, ?, ?)
+    `, [accountId, draft.change_type, targetId, CHANGE_STATUS.PENDING, CHANGE_STATUS.APPROVED, CHANGE_STATUS.APPLYING]);
+
+    // Several countries can be excluded from one campaign - only the same country is a duplicate
+    const duplicate = open.some(row => draft.change_type !== CHANGE_TYPES.GEO_EXCLUSION ||
+      String(parseValue(row.proposed_value).geo_target_constant_id) === String(draft.proposed_value.geo_target_constant_id));
+    if (duplicate) {
+      skipped++;
+      continue;
+    }
+
+    const [result] = await connection.execute(`
+      INSERT INTO gads_change_proposals (
+        account_id, change_type, target_id, target_name, current_value, proposed_value,
+        reason, source, proposed_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      accountId, draft.change_type, targetId, draft.target_name || null,
+      draft.current_value ? JSON.stringify(draft.current_value) : null,
+      JSON.stringify(draft.proposed_value), draft.reason || null,
+      options.source || 'manual', options.proposedBy
+    ]);
+
+    const change = { change_id: result.insertId, account_id: accountId };
+    await audit(connection, change, 'proposed', options.proposedBy, {
+      change_type: draft.change_type,
+      target_id: targetId,
+      current_value: draft.current_value || null,
+      proposed_value: draft.proposed_value,
+      reason: draft.reason || null,
+      source: options.source || 'manual'
+    });
+    created.push(result.insertId);
+  }
+
+  return { created, skipped };
+}
+
+/**
+ * Geo exclusion drafts: campaigns spending in red territories (user location)
+ * @param {Object} connection - Open database connection
+ * @param {string} accountId - Account ID
+ * @param {Object} options - { days, minCost }
+ */
+async function buildGeoExclusionDrafts(connection, accountId, options = {}) {
+  const days = options.days || DEFAULT_GEO_DAYS;
+  const minCost = options.minCost ?? DEFAULT_GEO_MIN_COST;
+  const { SOURCES } = require('./geo-spend');
+
+  const [rows] = await connection.execute(`
+    SELECT
+      m.google_campaign_id,
+      c.campaign_name,
+      m.country_code,
+      cr.country_name,
+      MAX(m.country_criterion_id) as geo_target_constant_id,
+      SUM(m.cost_eur) as cost,
+      SUM(m.clicks) as clicks
+    FROM gads_country_metrics m
+    JOIN country_rules cr ON cr.country_code = m.country_code AND cr.status = 'red'
+    LEFT JOIN gads_campaigns c ON c.google_campaign_id = m.google_campaign_id
+    WHERE m.account_id = ?
+      AND m.source = ?
+      AND m.date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+      AND m.country_criterion_id IS NOT NULL
+    GROUP BY m.google_campaign_id, c.campaign_name, m.country_code, cr.country_name
+    HAVING cost >= ?
+    ORDER BY cost DESC
+  `, [accountId, SOURCES.USER_LOCATION, days, minCost]);
+
+  return rows.map(row => ({
+    change_type: CHANGE_TYPES.GEO_EXCLUSION,
+    target_id: row.google_campaign_id,
+    target_name: row.campaign_name,
+    current_value: { excluded: false },
+    proposed_value: {
+      excluded: true,
+      geo_target_constant_id: row.geo_target_constant_id,
+      country_code: row.country_code
+    },
+    reason: `€${(parseFloat(row.cost) || 0).toFixed(2)} spent on ${parseInt(row.clicks) || 0} clicks from ${row.country_name} (red territory) in the last ${days} days`
+  }));
+}
+
+/**
+ * Read what a change would touch, live from Google Ads
+ * @returns {Object} { resource_name, value } - value is comparable with current/proposed_value
+ */
+async function readLiveValue(customer, change) {
+  const accountId = accounts.getAccountId(customer);
+
+  if (change.change_type === CHANGE_TYPES.PAUSE_CAMPAIGN) {
+    const [row] = await customer.query(`
+      SELECT campaign.resource_name, campaign.name, campaign.status
+      FROM campaign
+      WHERE ${gaql.equals('campaign.id', change.target_id)}
+    `);
+    if (!row) throw changeError(`Campaign ${change.target_id} not found in account ${accountId}`, 404);
+    return {
+      resource_name: row.campaign.resource_name,
+      name: row.campaign.name,
+      value: { status: getCampaignStatusName(row.campaign.status) }
+    };
+  }
+
+  if (change.change_type === CHANGE_TYPES.BUDGET_CHANGE) {
+    const [row] = await customer.query(`
+      SELECT
+        campaign_budget.resource_name,
+        campaign_budget.name,
+        campaign_budget.amount_micros,
+        campaign_budget.explicitly_shared,
+        campaign_budget.reference_count
+      FROM campaign_budget
+      WHERE ${gaql.equals('campaign_budget.id', change.target_id)}
+    `);
+    if (!row) throw changeError(`Budget ${change.target_id} not found in account ${accountId}`, 404);
+    return {
+      resource_name: row.campaign_budget.resource_name,
+      name: row.campaign_budget.name,
+      shared: Boolean(row.campaign_budget.explicitly_shared),
+      campaigns: row.campaign_budget.reference_count || 0,
+      value: { amount_micros: parseInt(row.campaign_budget.amount_micros) || 0 }
+    };
+  }
+
+  if (change.change_type === CHANGE_TYPES.GEO_EXCLUSION) {
+    const geoId = gaql.id(change.proposed_value.geo_target_constant_id, 'geo_target_constant_id');
+    const [campaign] = await customer.query(`
+      SELECT campaign.resource_name, campaign.name
+      FROM campaign
+      WHERE ${gaql.equals('campaign.id', change.target_id)}
+    `);
+    if (!campaign) throw changeError(`Campaign ${change.target_id} not found in account ${accountId}`, 404);
+
+    const exclusions = await customer.query(`
+      SELECT campaign_criterion.resource_name
+      FROM campaign_criterion
+      WHERE ${gaql.equals('campaign.id', change.target_id)}
+        AND campaign_criterion.type = 'LOCATION'
+        AND campaign_criterion.negative = TRUE
+        AND ${gaql.equals('campaign_criterion.location.geo_target_constant', `geoTargetConstants/${geoId}`, gaql.string)}
+    `);
+    return {
+      resource_name: campaign.campaign.resource_name,
+      name: campaign.campaign.name,
+      criterion_resource_name: exclusions[0]?.campaign_criterion.resource_name || null,
+      value: { excluded: exclusions.length > 0 }
+    };
+  }
+
+  throw changeError(`Unknown change_type "${change.change_type}"`, 400);
+}
+
+/**
+ * Does the live value still match the expected one?
+ */
+function valueMatches(change, live, expected) {
+  if (!expected) return true;
+  if (change.change_type === CHANGE_TYPES.PAUSE_CAMPAIGN) return live.status === expected.status;
+  if (change.change_type === CHANGE_TYPES.BUDGET_CHANGE) return live.amount_micros === parseInt(expected.amount_micros);
+  return live.excluded === Boolean(expected.excluded);
+}
+
+/**
+ * Mutate operation that moves the target to a value
+ */
+function buildOperation(change, live, value) {
+  const { enums } = require('google-ads-api');
+
+  if (change.change_type === CHANGE_TYPES.PAUSE_CAMPAIGN) {
+    return {
+      entity: 'campaign',
+      operation: 'update',
+      resource: { resource_name: live.resource_name, status: enums.CampaignStatus[value.status] }
+    };
+  }
+
+  if (change.change_type === CHANGE_TYPES.BUDGET_CHANGE) {
+    return {
+      entity: 'campaign_budget',
+      operation: 'update',
+      resource: { resource_name: live.resource_name, amount_micros: parseInt(value.amount_micros) }
+    };
+  }
+
+  // Geo exclusion: add a negative location criterion, or remove it again
+  if (value.excluded) {
+    return {
+      entity: 'campaign_criterion',
+      operation: 'create',
+      resource: {
+        campaign: live.resource_name,
+        negative: true,
+        location: { geo_target_constant: `geoTargetConstants/${gaql.id(change.proposed_value.geo_target_constant_id)}` }
+      }
+    };
+  }
+
+  return {
+    entity: 'campaign_criterion',
+    operation: 'remove',
+    resource: change.applied_resource_name || live.criterion_resource_name
+  };
+}
+
+/**
+ * Approve or reject a pending change - never by the user who proposed it
+ * @param {string} reviewer - authenticated user (users.requireUser), not a name from the body
+ */
+async function reviewChange(connection, changeId, decision, reviewer, note = null) {
+  const change = await getChange(connection, changeId);
+
+  if (!reviewer) throw changeError('An authenticated reviewer is required', 401);
+  if (change.status !== CHANGE_STATUS.PENDING) {
+    throw changeError(`Change ${changeId} is ${change.status}, not pending`);
+  }
+  if (decision === 'approve' && sameActor(reviewer, change.proposed_by)) {
+    throw changeError(`Change ${changeId} was proposed by ${change.proposed_by} - it needs a second person to approve`, 403);
+  }
+
+  const status = decision === 'approve' ? CHANGE_STATUS.APPROVED : CHANGE_STATUS.REJECTED;
+
+  // Conditional on status, so two reviewers racing can't both win
+  const [result] = await connection.execute(`
+    UPDATE gads_change_proposals
+    SET status = ?, reviewed_by = ?, reviewed_at = NOW(), review_note = ?
+    WHERE change_id = ? AND status = ?
+  `, [status, reviewer, note, changeId, CHANGE_STATUS.PENDING]);
+
+  if (result.affectedRows === 0) {
+    throw changeError(`Change ${changeId} was reviewed by someone else in the meantime`);
+  }
+
+  await audit(connection, change, decision === 'approve' ? 'approved' : 'rejected', reviewer, note ? { note } : null);
+  console.log(`📝 Change ${changeId} (${change.change_type} ${change.target_id}) ${status} by ${reviewer}`);
+
+  return getChange(connection, changeId);
+}
+
+/**
+ * Apply an approved change through the mutate API
+ * The change is claimed (approved → applying) before anything else, so of two concurrent
+ * calls only one mutates, and only that one may record the outcome.
+ * @param {Function} createCustomer - (accountId) => customer, for the change's own account
+ */
+async function applyChange(createCustomer, connection, changeId, actor) {
+  const change = await getChange(connection, changeId);
+
+  if (!actor) throw changeError('An authenticated user is required to apply', 401);
+  if (change.status !== CHANGE_STATUS.APPROVED) {
+    throw changeError(`Change ${changeId} is ${change.status} - only approved changes can be applied`);
+  }
+
+  const [claim] = await connection.execute(
+    'UPDATE gads_change_proposals SET status = ? WHERE change_id = ? AND status = ?',
+    [CHANGE_STATUS.APPLYING, changeId, CHANGE_STATUS.APPROVED]
+  );
+  if (claim.affectedRows === 0) {
+    throw changeError(`Change ${changeId} is already being applied`);
+  }
+
+  let mutated = false;
+  try {
+    const customer = await createCustomer(change.account_id);
+    if (!customer) throw changeError('Failed to initialize Google Ads client', 500);
+
+    const live = await readLiveValue(customer, change);
+
+    if (!valueMatches(change, live.value, change.current_value)) {
+      throw changeError(`Live value ${JSON.stringify(live.value)} no longer matches ${JSON.stringify(change.current_value)} the change was proposed against - propose it again`);
+    }
+
+    const response = await customer.mutateResources([buildOperation(change, live, change.proposed_value)]);
+    mutated = true;
+    const result = response?.mutate_operation_responses?.[0];
+    const resourceName = result?.campaign_criterion_result?.resource_name ||
+      result?.campaign_result?.resource_name ||
+      result?.campaign_budget_result?.resource_name ||
+      live.resource_name;
+
+    await connection.execute(`
+      UPDATE gads_change_proposals
+      SET status = ?, previous_value = ?, applied_by = ?, applied_at = NOW(),
+          applied_resource_name = ?, error_message = NULL
+      WHERE change_id = ? AND status = ?
+    `, [CHANGE_STATUS.APPLIED, JSON.stringify(live.value), actor, resourceName, changeId, CHANGE_STATUS.APPLYING]);
+
+    await audit(connection, change, 'applied', actor, {
+      previous_value: live.value,
+      new_value: change.proposed_value,
+      resource_name: resourceName,
+      shared_budget: live.shared ? { campaigns: live.campaigns } : undefined
+    });
+    console.log(`✅ Change ${changeId} applied: ${change.change_type} ${change.target_id} ${JSON.stringify(live.value)} → ${JSON.stringify(change.proposed_value)}`);
+
+  } catch (error) {
+    // Once the mutate went through the change is live - it stays applying, not failed,
+    // so nobody re-applies it and the audit says what happened
+    if (!mutated) {
+      await connection.execute(
+        'UPDATE gads_change_proposals SET status = ?, error_message = ? WHERE change_id = ? AND status = ?',
+        [CHANGE_STATUS.FAILED, error.message, changeId, CHANGE_STATUS.APPLYING]
+      );
+    }
+    await audit(connection, change, 'apply_failed', actor, { error: error.message, mutated: mutated || undefined });
+    throw error;
+  }
+
+  return getChange(connection, changeId);
+}
+
+/**
+ * Put the pre-apply value back
+ * @param {boolean} force - revert even if the value was changed since the apply
+ */
+async function revertChange(createCustomer, connection, changeId, actor, force = false) {
+  const change = await getChange(connection, changeId);
+
+  if (!actor) throw changeError('An authenticated user is required to revert', 401);
+  if (change.status !== CHANGE_STATUS.APPLIED) {
+    throw changeError(`Change ${changeId} is ${change.status} - only applied changes can be reverted`);
+  }
+
+  const customer = await createCustomer(change.account_id);
+  if (!customer) throw changeError('Failed to initialize Google Ads client', 500);
+
+  try {
+    const live = await readLiveValue(customer, change);
+
+    if (!force && !valueMatches(change, live.value, change.proposed_value)) {
+      throw changeError(`Live value ${JSON.stringify(live.value)} was changed since the apply - revert with force=true to overwrite it`);
+    }
+
+    // An exclusion someone already removed leaves nothing to revert
+    const alreadyReverted = change.change_type === CHANGE_TYPES.GEO_EXCLUSION && !live.value.excluded;
+    if (!alreadyReverted) {
+      await customer.mutateResources([buildOperation(change, live, change.previous_value)]);
+    }
+
+    await connection.execute(`
+      UPDATE gads_change_proposals
+      SET status = ?, reverted_by = ?, reverted_at = NOW(), error_message = NULL
+      WHERE change_id = ?
+    `, [CHANGE_STATUS.REVERTED, actor, changeId]);
+
+    await audit(connection, change, 'reverted', actor, {
+      from_value: live.value,
+      restored_value: change.previous_value,
+      forced: force || undefined
+    });
+    console.log(`↩️ Change ${changeId} reverted by ${actor}`);
+
+  } catch (error) {
+    // The change stays applied - only the attempt is recorded
+    await audit(connection, change, 'revert_failed', actor, { error: error.message });
+    throw error;
+  }
+
+  return getChange(connection, changeId);
+}
+
+function sendError(res, error) {
+  console.error('❌ Change proposal route failed:', error.message);
+  res.status(error.status || (error.code === 'INVALID_GAQL_VALUE' ? 400 : 500)).json({
+    success: false,
+    error: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Handle change listing route (?status=, ?account=)
+ */
+async function handleListChanges(req, res, getDbConnection) {
+  try {
+    const accountId = req.accountId || accounts.getDefaultAccountId();
+    const status = req.query.status || null;
+    const connection = await getDbConnection();
+
+    try {
+      const [changes] = await connection.execute(`
+        SELECT * FROM gads_change_proposals
+        WHERE account_id = ?
+          ${status ? 'AND status = ?' : ''}
+        ORDER BY change_id DESC
+        LIMIT 200
+      `, status ? [accountId, status] : [accountId]);
+
+      res.json({
+        success: true,
+        account_id: accountId,
+        count: changes.length,
+        changes: changes.map(change => ({
+          ...change,
+          current_value: parseValue(change.current_value),
+          proposed_value: parseValue(change.proposed_value),
+          previous_value: parseValue(change.previous_value)
+        })),
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Handle manual proposal route - proposed by the authenticated user
+ * Body: { change_type, target_id, proposed_value, reason }
+ * The current value is read live, so the proposal records what it would replace.
+ */
+async function handleCreateChange(req, res, createCustomer, getDbConnection) {
+  try {
+    const body = req.body || {};
+    const proposedBy = users.requireUser(req);
+    if (!body.proposed_value || typeof body.proposed_value !== 'object') {
+      throw changeError('proposed_value must be an object', 400);
+    }
+
+    const accountId = req.accountId || accounts.getDefaultAccountId();
+    const customer = await createCustomer(accountId);
+    if (!customer) throw changeError('Failed to initialize Google Ads client', 500);
+
+    const draft = {
+      change_type: body.change_type,
+      target_id: body.target_id,
+      proposed_value: body.proposed_value,
+      reason: body.reason
+    };
+    if (draft.change_type === CHANGE_TYPES.PAUSE_CAMPAIGN) {
+      draft.proposed_value = { status: 'PAUSED' };
+    }
+
+    const live = await readLiveValue(customer, draft);
+    draft.target_name = live.name;
+    draft.current_value = live.value;
+
+    const connection = await getDbConnection();
+    try {
+      const { created, skipped } = await createProposals(connection, accountId, [draft], {
+        proposedBy,
+        source: 'manual'
+      });
+      if (skipped > 0) {
+        throw changeError(`${draft.change_type} for ${draft.target_id} already has an open change`);
+      }
+
+      res.status(201).json({
+        success: true,
+        change: await getChange(connection, created[0]),
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Handle proposal generation route - budget analysis + red-territory geo exclusions (?days=)
+ * The authenticated user who runs it is the proposer, so they can't approve the results.
+ */
+async function handleGenerateChanges(req, res, customer, getDbConnection) {
+  try {
+    const proposedBy = users.requireUser(req);
+    if (!customer) throw changeError('Failed to initialize Google Ads client', 500);
+
+    const days = parseInt(req.query.days) || 30;
+    const accountId = accounts.getAccountId(customer);
+
+    const budgetAnalytics = require('../analytics/budget');
+    const analysis = await budgetAnalytics.getBudgetPerformanceAnalysis(getDbConnection, customer, { days });
+    if (!analysis.success) {
+      throw new Error(analysis.error);
+    }
+
+    const connection = await getDbConnection();
+    try {
+      const budgetDrafts = analysis.efficiency_analysis.proposed_changes || [];
+      const geoDrafts = await buildGeoExclusionDrafts(connection, accountId, { days });
+
+      const budgetResult = await createProposals(connection, accountId, budgetDrafts, { proposedBy, source: 'budget_analysis' });
+      const geoResult = await createProposals(connection, accountId, geoDrafts, { proposedBy, source: 'geo_spend' });
+
+      console.log(`📝 Proposed ${budgetResult.created.length + geoResult.created.length} changes for account ${accountId}`);
+
+      res.json({
+        success: true,
+        account_id: accountId,
+        period: `Last ${days} days`,
+        created: budgetResult.created.length + geoResult.created.length,
+        skipped_open: budgetResult.skipped + geoResult.skipped,
+        change_ids: [...budgetResult.created, ...geoResult.created],
+        recommendations: analysis.recommendations,
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Handle approve / reject routes - reviewed by the authenticated user
+ * Body: { note }
+ */
+async function handleReviewChange(req, res, getDbConnection, decision) {
+  try {
+    const reviewer = users.requireUser(req);
+    const connection = await getDbConnection();
+    try {
+      const change = await reviewChange(
+        connection, parseInt(req.params.id), decision, reviewer, req.body?.note || null
+      );
+      res.json({ success: true, change, timestamp: new Date().toISOString() });
+    } finally {
+      await connection.end();
+    }
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Handle apply route - applied by the authenticated user
+ */
+async function handleApplyChange(req, res, createCustomer, getDbConnection) {
+  try {
+    const actor = users.requireUser(req);
+    const connection = await getDbConnection();
+    try {
+      const change = await applyChange(createCustomer, connection, parseInt(req.params.id), actor);
+      res.json({ success: true, change, timestamp: new Date().toISOString() });
+    } finally {
+      await connection.end();
+    }
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Handle revert route (?force=true to overwrite a value changed since the apply)
+ * Reverted by the authenticated user.
+ */
+async function handleRevertChange(req, res, createCustomer, getDbConnection) {
+  try {
+    const actor = users.requireUser(req);
+    const force = req.query.force === 'true' || req.query.force === '1';
+    const connection = await getDbConnection();
+    try {
+      const change = await revertChange(createCustomer, connection, parseInt(req.params.id), actor, force);
+      res.json({ success: true, change, timestamp: new Date().toISOString() });
+    } finally {
+      await connection.end();
+    }
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Handle audit trail route for one change
+ */
+async function handleChangeAudit(req, res, getDbConnection) {
+  try {
+    const connection = await getDbConnection();
+    try {
+      const change = await getChange(connection, parseInt(req.params.id));
+      const [entries] = await connection.execute(`
+        SELECT audit_id, action, actor, details, created_at
+        FROM gads_change_audit
+        WHERE change_id = ?
+        ORDER BY audit_id
+      `, [change.change_id]);
+
+      res.json({
+        success: true,
+        change,
+        audit: entries.map(entry => ({ ...entry, details: parseValue(entry.details) })),
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await connection.end();
+    }
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  CHANGE_STATUS,
+  createProposals,
+  buildGeoExclusionDrafts,
+  reviewChange,
+  applyChange,
+  revertChange,
+  // Route handlers
+  handleListChanges,
+  handleCreateChange,
+  handleGenerateChanges,
+  handleReviewChange,
+  handleApplyChange,
+  handleRevertChange,
+  handleChangeAudit
+};
@@ -0,0 +1,246 @@
+/**
+ * Google Ads Offline Conversions Module
+ * /scripts/google/conversions.js
+ *
+ * Sends HubSpot closed-won deals back to Google Ads as click conversions:
+ * - Finds won deals whose associated contact has a gclid
+ * - Uploads them with the deal amount as the conversion value
+ * - Records every upload in gads_conversion_uploads so a deal is never sent twice
+ */
+
+const accounts = require('./accounts');
+
+// Google only accepts click conversions up to 90 days after the click
+const DEFAULT_LOOKBACK_DAYS = 90;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const UPLOAD_BATCH_SIZE = 200;
+
+/**
+ * Upload newly won deals as click conversions
+ * @param {Object} customer - Google Ads customer client
+ * @param {Function} getDbConnection - Database connection function
+ * @param {Object} options - Upload options
+ * @param {boolean} options.dryRun - Only report what would be uploaded
+ * @param {number} options.days - How far back to look for won deals (default: 90)
+ * @param {number} options.maxAttempts - Give up on a failed deal after this many tries
+ * @returns {Object} Upload summary
+ */
+async function uploadClosedWonConversions(customer, getDbConnection, options = {}) {
+  const {
+    dryRun = false,
+    days = DEFAULT_LOOKBACK_DAYS,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS
+  } = options;
+
+  let connection;
+
+  try {
+    console.log(`💰 Uploading closed-won conversions (last ${days} days${dryRun ? ', DRY RUN' : ''})...`);
+
+    const accountId = accounts.getAccountId(customer);
+    const conversionAction = getConversionActionResourceName(accountId);
+
+    connection = await getDbConnection();
+
+    const candidates = await getPendingConversions(connection, days, maxAttempts);
+    console.log(`📋 Found ${candidates.length} won deals with a gclid waiting for upload`);
+
+    const conversions = candidates.map(deal => buildClickConversion(deal, conversionAction));
+
+    const summary = {
+      candidates: conversions.length,
+      uploaded: 0,
+      failed: 0,
+      total_value: conversions.reduce((sum, c) => sum + c.conversion_value, 0).toFixed(2),
+      api_calls_used: 0
+    };
+
+    if (dryRun || conversions.length === 0) {
+      return {
+        success: true,
+        dry_run: dryRun,
+        summary,
+        conversions: conversions.map((c, i) => ({
+          hubspot_deal_id: candidates[i].hubspot_deal_id,
+          ...c
+        })),
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    if (!customer) {
+      throw new Error('Google Ads customer client is required');
+    }
+
+    for (let i = 0; i < conversions.length; i += UPLOAD_BATCH_SIZE) {
+      const batch = conversions.slice(i, i + UPLOAD_BATCH_SIZE);
+      const batchDeals = candidates.slice(i, i + UPLOAD_BATCH_SIZE);
+
+      console.log(`   📤 Uploading batch ${Math.floor(i / UPLOAD_BATCH_SIZE) + 1}/${Math.ceil(conversions.length / UPLOAD_BATCH_SIZE)} (${batch.length} conversions)`);
+
+      const response = await customer.conversionUploads.uploadClickConversions({
+        customer_id: accountId,
+        conversions: batch,
+        partial_failure: true
+      });
+      summary.api_calls_used++;
+
+      const results = response?.results || [];
+      const partialError = response?.partial_failure_error?.message || null;
+
+      for (let j = 0; j < batch.length; j++) {
+        // Failed rows come back as empty results when partial_failure is on
+        const accepted = !!results[j]?.gclid;
+
+        await recordUpload(connection, accountId, batchDeals[j], batch[j], {
+          status: accepted ? 'uploaded' : 'failed',
+          error_message: accepted ? null : (partialError || 'Rejected by Google Ads')
+        });
+
+        if (accepted) {
+          summary.uploaded++;
+        } else {
+          summary.failed++;
+        }
+      }
+    }
+
+    console.log(`✅ Conversion upload complete: ${summary.uploaded} uploaded, ${summary.failed} failed`);
+
+    return {
+      success: true,
+      dry_run: false,
+      summary,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('❌ Conversion upload failed:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  } finally {
+    if (connection) {
+      await connection.end();
+    }
+  }
+}
+
+/**
+ * Get won deals with a gclid that have not been uploaded yet
+ */
+async function getPendingConversions(connection, days, maxAttempts) {
+  const [rows] = await connection.execute(`
+    SELECT
+      d.hubspot_deal_id,
+      MIN(c.hubspot_id) as hubspot_contact_id,
+      MIN(c.gclid) as gclid,
+      CAST(COALESCE(d.amount, '0') as DECIMAL(15,2)) as amount,
+      d.deal_currency_code as currency_code,
+      COALESCE(d.hs_closed_won_date, d.closedate) as won_at
+    FROM hub_deals d
+    JOIN hub_contact_deal_associations a ON d.hubspot_deal_id = a.deal_hubspot_id
+    JOIN hub_contacts c ON a.contact_hubspot_id = c.hubspot_id
+    LEFT JOIN gads_conversion_uploads u ON u.hubspot_deal_id = d.hubspot_deal_id
+    WHERE (d.dealstage = 'closedwon' OR d.hs_is_closed_won = 'true')
+      AND c.gclid IS NOT NULL AND c.gclid != ''
+      AND COALESCE(d.hs_closed_won_date, d.closedate) >= DATE_SUB(NOW(), INTERVAL ? DAY)
+      AND (u.upload_id IS NULL OR (u.status = 'failed' AND u.attempts < ?))
+    GROUP BY d.hubspot_deal_id, d.amount, d.deal_currency_code, d.hs_closed_won_date, d.closedate
+    ORDER BY won_at
+  `, [days, maxAttempts]);
+
+  return rows;
+}
+
+/**
+ * Build a ClickConversion payload for a won deal
+ */
+function buildClickConversion(deal, conversionAction) {
+  return {
+    gclid: deal.gclid,
+    conversion_action: conversionAction,
+    conversion_date_time: formatConversionDateTime(deal.won_at),
+    conversion_value: parseFloat(deal.amount) || 0,
+    currency_code: deal.currency_code || process.env.GADS_CONVERSION_CURRENCY || 'EUR'
+  };
+}
+
+/**
+ * Record upload outcome in the ledger
+ */
+async function recordUpload(connection, accountId, deal, conversion, outcome) {
+  await connection.execute(`
+    INSERT INTO gads_conversion_uploads (
+      hubspot_deal_id, account_id, hubspot_contact_id, gclid, conversion_action,
+      conversion_date_time, conversion_value, currency_code, status, error_message
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      account_id = VALUES(account_id),
+      gclid = VALUES(gclid),
+      conversion_date_time = VALUES(conversion_date_time),
+      conversion_value = VALUES(conversion_value),
+      currency_code = VALUES(currency_code),
+      status = VALUES(status),
+      error_message = VALUES(error_message),
+      attempts = attempts + 1
+  `, [
+    deal.hubspot_deal_id, accountId, deal.hubspot_contact_id, conversion.gclid, conversion.conversion_action,
+    conversion.conversion_date_time, conversion.conversion_value, conversion.currency_code,
+    outcome.status, outcome.error_message
+  ]);
+}
+
+/**
+ * Google Ads wants "yyyy-mm-dd hh:mm:ss+hh:mm"
+ */
+function formatConversionDateTime(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return `${date.toISOString().slice(0, 19).replace('T', ' ')}+00:00`;
+}
+
+function getConversionActionResourceName(accountId) {
+  const actionId = process.env.GADS_CONVERSION_ACTION_ID;
+  if (!actionId) {
+    throw new Error('GADS_CONVERSION_ACTION_ID is not configured');
+  }
+  return `customers/${accountId}/conversionActions/${actionId}`;
+}
+
+/**
+ * Handle conversion upload route
+ */
+async function handleConversionUpload(req, res, customer, getDbConnection) {
+  try {
+    const dryRun = req.query.dry_run === 'true' || req.query.dry_run === '1';
+    const days = parseInt(req.query.days) || DEFAULT_LOOKBACK_DAYS;
+
+    if (!dryRun && !customer) {
+      throw new Error('Failed to initialize Google Ads client');
+    }
+
+    const result = await uploadClosedWonConversions(customer, getDbConnection, { dryRun, days });
+
+    res.status(result.success ? 200 : 500).json({
+      service: 'Google Ads Conversions',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('❌ Conversion upload route failed:', error.message);
+    res.status(500).json({
+      success: false,
+      service: 'Google Ads Conversions',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  uploadClosedWonConversions,
+  // Route handlers
+  handleConversionUpload
+};
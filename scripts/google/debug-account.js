@@ -4,6 +4,8 @@
  * Focuses on debugging account access and MCC relationships
  */
 
+const gaql = require('./gaql');
+
 /**
  * Debug test account access and MCC relationship
  * @param {Object} params - Parameters from index.js
@@ -186,7 +188,7 @@ async function debugCampaignTargeting(customer, campaignId) {
         campaign_criterion.negative,
         campaign_criterion.status
       FROM campaign_criterion
-      WHERE campaign.id = ${campaignId}
+      WHERE ${gaql.equals('campaign.id', campaignId)}
     `;
     
     console.log('📊 Executing ALL criteria query...');
@@ -206,7 +208,7 @@ async function debugCampaignTargeting(customer, campaignId) {
         campaign_criterion.negative,
         campaign_criterion.status
       FROM campaign_criterion
-      WHERE campaign.id = ${campaignId}
+      WHERE ${gaql.equals('campaign.id', campaignId)}
         AND campaign_criterion.type = 'LOCATION'
     `;
     
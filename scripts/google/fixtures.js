@@ -0,0 +1,183 @@
+/**
+ * Google Ads Fixtures - record and replay
+ * /scripts/google/fixtures.js
+ *
+ * GADS_FIXTURES=record  the real customer runs as usual; every query() result is also
+ *                       saved to a fixture file
+ * GADS_FIXTURES=replay  no credentials, no network - a replay customer serves query()
+ *                       from the fixture files, so sync and analytics run offline
+ *                       against a local MySQL
+ * GADS_FIXTURE_DIR      fixture directory (default fixtures/google-ads in the project root,
+ *                       gitignored - recordings hold live account data)
+ *
+ * One file per account and query shape: <dir>/<account>/<hash>.json. The shape is the GAQL
+ * with whitespace collapsed and date literals blanked, because sync queries are built from
+ * today's date - a replay on a later day falls back to the latest recording of the same
+ * shape when the exact query was never recorded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const accounts = require('./accounts');
+
+const MODES = {
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', 'fixtures', 'google-ads');
+const DATE_LITERAL = /'\d{4}-\d{2}-\d{2}'/g;
+
+/**
+ * Active mode from GADS_FIXTURES, or null for live API calls
+ */
+function getMode() {
+  const mode = (process.env.GADS_FIXTURES || '').toLowerCase();
+  return Object.values(MODES).includes(mode) ? mode : null;
+}
+
+function getFixtureDir() {
+  return process.env.GADS_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+}
+
+function normalizeQuery(gaql) {
+  return String(gaql).replace(/\s+/g, ' ').trim();
+}
+
+function getQueryShape(gaql) {
+  return normalizeQuery(gaql).replace(DATE_LITERAL, "'?'");
+}
+
+function getFixturePath(accountId, gaql) {
+  const hash = crypto.createHash('sha1').update(getQueryShape(gaql)).digest('hex').slice(0, 16);
+  return path.join(getFixtureDir(), accountId, `${hash}.json`);
+}
+
+function readFixture(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Unreadable fixture ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Save one query result; re-recording the same query replaces its rows
+ */
+function saveRecording(accountId, gaql, rows) {
+  const filePath = getFixturePath(accountId, gaql);
+  const fixture = readFixture(filePath) || {
+    account_id: accountId,
+    shape: getQueryShape(gaql),
+    recordings: {}
+  };
+
+  fixture.recordings[normalizeQuery(gaql)] = {
+    recorded_at: new Date().toISOString(),
+    rows
+  };
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2));
+}
+
+/**
+ * Rows for a query: the exact recording, else the newest recording of its shape
+ */
+function findRecording(accountId, gaql) {
+  const fixture = readFixture(getFixturePath(accountId, gaql));
+  if (!fixture) return null;
+
+  const exact = fixture.recordings[normalizeQuery(gaql)];
+  if (exact) return exact;
+
+  const latest = Object.values(fixture.recordings)
+    .sort((a, b) => b.recorded_at.localeCompare(a.recorded_at))[0];
+  return latest || null;
+}
+
+/**
+ * Wrap a live customer so every query result is also written to a fixture
+ * @param {Object} customer - live (or quota-wrapped) customer
+ * @returns {Object} customer with the same interface
+ */
+function createRecordingCustomer(customer) {
+  const accountId = accounts.getAccountId(customer);
+
+  return new Proxy(customer, {
+    get(target, prop) {
+      if (prop === 'query') {
+        return async (gaql, ...args) => {
+          const rows = await target.query(gaql, ...args);
+          try {
+            saveRecording(accountId, gaql, rows);
+          } catch (error) {
+            console.warn(`⚠️ Failed to record Google Ads fixture for account ${accountId}:`, error.message);
+          }
+          return rows;
+        };
+      }
+
+      const value = Reflect.get(target, prop, target);
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+}
+
+/**
+ * Customer that answers query() from fixtures
+ * Unrecorded queries throw FIXTURE_NOT_FOUND; mutations and conversion uploads are refused
+ * with REPLAY_MODE - nothing here may look like it changed a live account.
+ * @param {string} customerId - Account ID
+ * @param {string} managerId - MCC ID, if any
+ */
+function createReplayCustomer(customerId, managerId = undefined) {
+  const accountId = String(customerId).replace(/-/g, '');
+  const refuse = () => {
+    const error = new Error('Mutations are not available in Google Ads replay mode');
+    error.code = 'REPLAY_MODE';
+    throw error;
+  };
+
+  return {
+    credentials: {
+      customer_id: accountId,
+      login_customer_id: managerId
+    },
+    replay: true,
+
+    async query(gaql) {
+      const recording = findRecording(accountId, gaql);
+
+      if (!recording) {
+        const error = new Error(`No Google Ads fixture for account ${accountId}: ${normalizeQuery(gaql).slice(0, 200)}`);
+        error.code = 'FIXTURE_NOT_FOUND';
+        throw error;
+      }
+
+      // A fresh copy each time - callers are free to mutate rows
+      return JSON.parse(JSON.stringify(recording.rows));
+    },
+
+    async mutateResources() {
+      refuse();
+    },
+
+    // Conversion uploads change the live account too
+    conversionUploads: {
+      async uploadClickConversions() {
+        refuse();
+      }
+    }
+  };
+}
+
+module.exports = {
+  MODES,
+  getMode,
+  getFixtureDir,
+  createRecordingCustomer,
+  createReplayCustomer
+};
@@ -6,8 +6,31 @@
  * - Active campaigns: Daily sync with full metrics
  * - Paused campaigns: Sync once, then skip unless reactivated
  * - Historical backfill: Gradual sync to avoid API limits
+ * - Multi-account: every row carries the account_id of the customer it came from
  */
 
+const accounts = require('./accounts');
+const adGroupSync = require('./adgroup-sync');
+const searchTerms = require('./search-terms');
+const geoSpend = require('./geo-spend');
+const hourlyMetrics = require('./hourly-metrics');
+const segmentMetrics = require('./segment-metrics');
+const changeHistory = require('./change-history');
+const keywordMetrics = require('./keyword-metrics');
+const pmaxSync = require('./pmax-sync');
+const negativeKeywords = require('./negative-keywords');
+const jobRunner = require('../jobs/job-runner');
+const bulkWrite = require('../db/bulk-write');
+const apiQuota = require('./api-quota');
+const gaql = require('./gaql');
+const fxRates = require('../currency/fx-rates');
+
+// Which campaigns a metrics pull covers: enabled only, or every status for history
+const STATUS_MODES = {
+  ACTIVE: 'active',
+  ALL: 'all'
+};
+
 /**
  * Main sync function - handles different sync strategies
  * @param {Object} customer - Google Ads customer client
@@ -23,23 +46,29 @@ async function syncGoogleAdsData(customer, getDbConnection, options = {}) {
   } = options;
   
   let connection;
+  let syncLogId;
+  const accountId = accounts.getAccountId(customer);
+  const usageStart = apiQuota.snapshotUsage(customer);
   
   try {
-    console.log(`🔄 Starting Google Ads sync: ${syncType} (${days} days)`);
+    console.log(`🔄 Starting Google Ads sync: ${syncType} (${days} days, account ${accountId})`);
     
     connection = await getDbConnection();
     
     // Log sync start
-    const syncLogId = await logSyncStart(connection, syncType, options);
+    syncLogId = await logSyncStart(connection, syncType, { ...options, accountId });
+    
+    // Costs are converted from the account currency - know it before anything is written
+    await detectAccountSettings(customer, connection);
     
     let result;
     
     switch (syncType) {
       case 'full':
-        result = await fullSync(customer, connection, options);
+        result = await fullSync(customer, connection, { ...options, syncLogId });
         break;
       case 'incremental':
-        result = await incrementalSync(customer, connection, options);
+        result = await incrementalSync(customer, connection, { ...options, syncLogId });
         break;
       case 'backfill':
         result = await backfillSync(customer, connection, options);
@@ -51,6 +80,9 @@ async function syncGoogleAdsData(customer, getDbConnection, options = {}) {
         throw new Error(`Unknown sync type: ${syncType}`);
     }
     
+    // Real request counts from the quota client, not the per-step estimates
+    Object.assign(result.summary, apiQuota.usageSince(customer, usageStart));
+    
     // Log sync completion
     await logSyncComplete(connection, syncLogId, result);
     
@@ -59,6 +91,7 @@ async function syncGoogleAdsData(customer, getDbConnection, options = {}) {
     return {
       success: true,
       syncType,
+      account_id: accountId,
       result,
       timestamp: new Date().toISOString()
     };
@@ -67,12 +100,16 @@ async function syncGoogleAdsData(customer, getDbConnection, options = {}) {
     console.error(`❌ Google Ads sync failed (${syncType}):`, error);
     
     if (connection) {
-      await logSyncError(connection, error.message);
+      await logSyncError(connection, error.message, syncLogId);
+      if (syncLogId) {
+        await logSyncUsage(connection, syncLogId, apiQuota.usageSince(customer, usageStart));
+      }
     }
     
     return {
       success: false,
       syncType,
+      account_id: accountId,
       error: error.message,
       timestamp: new Date().toISOString()
     };
@@ -89,6 +126,8 @@ async function syncGoogleAdsData(customer, getDbConnection, options = {}) {
 async function fullSync(customer, connection, options) {
   console.log('📊 Full sync: campaigns + targeting + keywords + metrics');
   
+  const accountId = accounts.getAccountId(customer);
+  
   const summary = {
     campaigns_synced: 0,
     metrics_synced: 0,
@@ -97,29 +136,121 @@ async function fullSync(customer, connection, options) {
     api_calls_used: 0
   };
   
+  const writeStats = bulkWrite.createWriteStats();
+  const checkpoint = step => reportProgress(options.job, step, summary);
+  
   // Step 1: Sync all campaigns
+  checkpoint('campaigns');
   console.log('📋 Syncing campaigns...');
-  const campaignResult = await syncCampaigns(customer, connection, syncLogId);
+  const campaignResult = await syncCampaigns(customer, connection, options.syncLogId);
   summary.campaigns_synced = campaignResult.campaigns_synced;
   summary.api_calls_used += campaignResult.api_calls_used;
   
   // Step 2: Sync targeting for all campaigns
+  checkpoint('targeting');
   console.log('🎯 Syncing geographic targeting...');
   const targetingResult = await syncGeographicTargeting(customer, connection);
   summary.targeting_synced = targetingResult.targeting_synced;
   summary.api_calls_used += targetingResult.api_calls_used;
+  bulkWrite.addWriteStats(writeStats, targetingResult.write);
   
   // Step 3: Sync keywords for Search campaigns only
+  checkpoint('keywords');
   console.log('🔍 Syncing keywords for Search campaigns...');
   const keywordResult = await syncKeywords(customer, connection);
   summary.keywords_synced = keywordResult.keywords_synced;
   summary.api_calls_used += keywordResult.api_calls_used;
+  bulkWrite.addWriteStats(writeStats, keywordResult.write);
+  
+  // Daily keyword metrics + today's Quality Score snapshot
+  checkpoint('keyword_metrics');
+  const keywordMetricsResult = await keywordMetrics.syncKeywordMetrics(
+    customer, connection, await getSearchCampaigns(connection, accountId), { days: options.days || 30 },
+    { snapshotQuality: true }
+  );
+  summary.keyword_metrics_synced = keywordMetricsResult.keyword_metrics_synced;
+  summary.keyword_quality_snapshots = keywordMetricsResult.keyword_quality_snapshots;
+  summary.api_calls_used += keywordMetricsResult.api_calls_used;
   
   // Step 4: Sync recent metrics for active campaigns
+  checkpoint('campaign_metrics');
   console.log('📈 Syncing recent metrics for active campaigns...');
   const metricsResult = await syncMetricsForActiveCampaigns(customer, connection, options.days || 30);
   summary.metrics_synced = metricsResult.metrics_synced;
   summary.api_calls_used += metricsResult.api_calls_used;
+  bulkWrite.addWriteStats(writeStats, metricsResult.write);
+  
+  // Step 5: Ad group and ad metrics for the same window
+  checkpoint('adgroup_metrics');
+  console.log('📂 Syncing ad group and ad metrics...');
+  const adGroupResult = await adGroupSync.syncAdGroupAndAdMetrics(
+    customer, connection, await getActiveCampaigns(connection, accountId), { days: options.days || 30 }
+  );
+  summary.adgroup_metrics_synced = adGroupResult.adgroup_metrics_synced;
+  summary.ad_metrics_synced = adGroupResult.ad_metrics_synced;
+  summary.api_calls_used += adGroupResult.api_calls_used;
+  
+  // Step 6: Search terms report with territory tagging
+  checkpoint('search_terms');
+  console.log('🔎 Syncing search terms...');
+  const searchTermResult = await searchTerms.syncSearchTerms(
+    customer, connection, await getSearchCampaigns(connection, accountId), { days: options.days || 30 }
+  );
+  summary.search_terms_synced = searchTermResult.search_terms_synced;
+  summary.search_terms_flagged = searchTermResult.search_terms_flagged;
+  summary.api_calls_used += searchTermResult.api_calls_used;
+  
+  // Step 7: Spend per user country
+  checkpoint('country_spend');
+  console.log('🌍 Syncing country spend...');
+  const countryResult = await geoSpend.syncCountrySpend(
+    customer, connection, await getActiveCampaigns(connection, accountId), { days: options.days || 30 }
+  );
+  summary.country_metrics_synced = countryResult.country_metrics_synced;
+  summary.api_calls_used += countryResult.api_calls_used;
+  
+  // Step 7b: Hour-of-day metrics for the heatmap
+  checkpoint('hourly_metrics');
+  console.log('🕐 Syncing hourly metrics...');
+  const hourlyResult = await hourlyMetrics.syncHourlyMetrics(
+    customer, connection, await getActiveCampaigns(connection, accountId), { days: options.days || 30 }
+  );
+  summary.hourly_metrics_synced = hourlyResult.hourly_metrics_synced;
+  summary.api_calls_used += hourlyResult.api_calls_used;
+  bulkWrite.addWriteStats(writeStats, hourlyResult.write);
+  
+  // Step 7c: Device and ad network split
+  checkpoint('segment_metrics');
+  console.log('📱 Syncing device and network metrics...');
+  const segmentResult = await segmentMetrics.syncSegmentMetrics(
+    customer, connection, await getActiveCampaigns(connection, accountId), { days: options.days || 30 }
+  );
+  summary.segment_metrics_synced = segmentResult.segment_metrics_synced;
+  summary.api_calls_used += segmentResult.api_calls_used;
+  bulkWrite.addWriteStats(writeStats, segmentResult.write);
+  
+  // Step 8: Performance Max asset groups and asset labels
+  checkpoint('pmax');
+  console.log('📱 Syncing Performance Max asset groups...');
+  const pmaxResult = await pmaxSync.syncPMaxAssetGroups(
+    customer, connection, await getActiveCampaigns(connection, accountId), { days: options.days || 30 },
+    { includeAssets: true }
+  );
+  summary.asset_group_metrics_synced = pmaxResult.asset_group_metrics_synced;
+  summary.assets_synced = pmaxResult.assets_synced;
+  summary.api_calls_used += pmaxResult.api_calls_used;
+  
+  // Step 9: Negative keyword lists and campaign negatives
+  checkpoint('negative_keywords');
+  console.log('🚫 Syncing negative keywords...');
+  const negativeResult = await negativeKeywords.syncNegativeKeywords(customer, connection);
+  summary.negative_lists_synced = negativeResult.negative_lists_synced;
+  summary.negative_keywords_synced = negativeResult.list_negatives_synced + negativeResult.campaign_negatives_synced;
+  summary.api_calls_used += negativeResult.api_calls_used;
+  bulkWrite.addWriteStats(writeStats, negativeResult.write);
+  
+  // Bulk-written rows (campaign metrics, targeting, keywords) per second
+  Object.assign(summary, bulkWrite.summarizeWriteStats(writeStats));
   
   return { summary };
 }
@@ -136,24 +267,112 @@ async function incrementalSync(customer, connection, options) {
     api_calls_used: 0
   };
   
-  // Only sync metrics for active campaigns from recent days
-  const metricsResult = await syncMetricsForActiveCampaigns(customer, connection, options.days || 7);
+  const accountId = accounts.getAccountId(customer);
+  const statusMode = options.statuses || STATUS_MODES.ACTIVE;
+  const campaigns = await getCampaignsForStatusMode(connection, statusMode, accountId);
+  const checkpoint = step => reportProgress(options.job, step, summary);
+  
+  // Only sync metrics for active campaigns from recent days (or every campaign in 'all' mode)
+  checkpoint('campaign_metrics');
+  const metricsResult = await syncMetricsForActiveCampaigns(customer, connection, options.days || 7, statusMode);
   summary.metrics_synced = metricsResult.metrics_synced;
   summary.api_calls_used = metricsResult.api_calls_used;
+  Object.assign(summary, bulkWrite.summarizeWriteStats(metricsResult.write));
+  
+  // Ad group and ad metrics for the same window
+  checkpoint('adgroup_metrics');
+  const adGroupResult = await adGroupSync.syncAdGroupAndAdMetrics(
+    customer, connection, campaigns, { days: options.days || 7 },
+    { allStatuses: statusMode === STATUS_MODES.ALL }
+  );
+  summary.adgroup_metrics_synced = adGroupResult.adgroup_metrics_synced;
+  summary.ad_metrics_synced = adGroupResult.ad_metrics_synced;
+  summary.api_calls_used += adGroupResult.api_calls_used;
+  
+  // Keyword metrics and Quality Score snapshot for the same window
+  checkpoint('keyword_metrics');
+  const searchCampaigns = await getSearchCampaigns(connection, accountId);
+  const keywordMetricsResult = await keywordMetrics.syncKeywordMetrics(
+    customer, connection, searchCampaigns, { days: options.days || 7 }, { snapshotQuality: true }
+  );
+  summary.keyword_metrics_synced = keywordMetricsResult.keyword_metrics_synced;
+  summary.keyword_quality_snapshots = keywordMetricsResult.keyword_quality_snapshots;
+  summary.api_calls_used += keywordMetricsResult.api_calls_used;
+  
+  // Search terms for the same window
+  checkpoint('search_terms');
+  const searchTermResult = await searchTerms.syncSearchTerms(
+    customer, connection, searchCampaigns, { days: options.days || 7 }
+  );
+  summary.search_terms_synced = searchTermResult.search_terms_synced;
+  summary.search_terms_flagged = searchTermResult.search_terms_flagged;
+  summary.api_calls_used += searchTermResult.api_calls_used;
+  
+  // Country spend for the same window
+  checkpoint('country_spend');
+  const countryResult = await geoSpend.syncCountrySpend(
+    customer, connection, campaigns, { days: options.days || 7 }
+  );
+  summary.country_metrics_synced = countryResult.country_metrics_synced;
+  summary.api_calls_used += countryResult.api_calls_used;
+  
+  // Hourly metrics for the same window
+  checkpoint('hourly_metrics');
+  const hourlyResult = await hourlyMetrics.syncHourlyMetrics(
+    customer, connection, campaigns, { days: options.days || 7 }
+  );
+  summary.hourly_metrics_synced = hourlyResult.hourly_metrics_synced;
+  summary.api_calls_used += hourlyResult.api_calls_used;
+  
+  // Device and network metrics for the same window
+  checkpoint('segment_metrics');
+  const segmentResult = await segmentMetrics.syncSegmentMetrics(
+    customer, connection, campaigns, { days: options.days || 7 }
+  );
+  summary.segment_metrics_synced = segmentResult.segment_metrics_synced;
+  summary.api_calls_used += segmentResult.api_calls_used;
+  
+  // Performance Max asset groups and asset labels for the same window
+  checkpoint('pmax');
+  const pmaxResult = await pmaxSync.syncPMaxAssetGroups(
+    customer, connection, campaigns, { days: options.days || 7 }, { includeAssets: true }
+  );
+  summary.asset_group_metrics_synced = pmaxResult.asset_group_metrics_synced;
+  summary.assets_synced = pmaxResult.assets_synced;
+  summary.api_calls_used += pmaxResult.api_calls_used;
+  
+  // Change history (bids, budgets, status, targeting) for trend annotations
+  checkpoint('change_history');
+  const changeResult = await changeHistory.syncChangeEvents(customer, connection, options.days || 7);
+  summary.changes_synced = changeResult.changes_synced;
+  summary.api_calls_used += changeResult.api_calls_used;
   
   // Update campaign status if any campaigns changed
-  const statusResult = await updateCampaignStatuses(customer, connection);
+  checkpoint('campaign_statuses');
+  const statusResult = await updateCampaignStatuses(customer, connection, options.syncLogId);
   summary.campaigns_checked = statusResult.campaigns_checked;
   summary.api_calls_used += statusResult.api_calls_used;
   
   return { summary };
 }
 
+/**
+ * Publish step and counts so far to the job running this sync, and stop if it was cancelled
+ */
+function reportProgress(job, step, summary) {
+  if (!job) return;
+  job.progress({ step, ...summary }, `Syncing ${step.replace(/_/g, ' ')}`);
+  job.throwIfCancelled();
+}
+
 /**
  * Backfill sync - historical data for specific date ranges
+ * options.statuses 'all' also covers paused and removed campaigns.
  */
 async function backfillSync(customer, connection, options) {
-  console.log(`📚 Backfill sync: ${options.backfillDays || 90} days of historical data`);
+  const backfillDays = options.backfillDays || 90;
+  const statusMode = options.statuses || STATUS_MODES.ACTIVE;
+  console.log(`📚 Backfill sync: ${backfillDays} days of historical data (${statusMode} campaigns)`);
   
   const summary = {
     campaigns_synced: 0,
@@ -161,25 +380,32 @@ async function backfillSync(customer, connection, options) {
     api_calls_used: 0
   };
   
-  // Get active campaigns only for backfill
-  const activeCampaigns = await getActiveCampaigns(connection);
+  const campaigns = await getCampaignsForStatusMode(connection, statusMode, accounts.getAccountId(customer));
   
-  if (activeCampaigns.length === 0) {
-    console.log('⚠️ No active campaigns found for backfill');
+  if (campaigns.length === 0) {
+    console.log(`⚠️ No ${statusMode === STATUS_MODES.ALL ? '' : 'active '}campaigns found for backfill`);
     return { summary };
   }
   
-  console.log(`📊 Backfilling ${options.backfillDays || 90} days for ${activeCampaigns.length} active campaigns`);
+  console.log(`📊 Backfilling ${backfillDays} days for ${campaigns.length} campaigns`);
   
-  const metricsResult = await syncHistoricalMetrics(
-    customer, 
-    connection, 
-    activeCampaigns, 
-    options.backfillDays || 90
+  // LAST_N_DAYS only supports fixed windows, so use explicit dates
+  const endDate = new Date();
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - backfillDays);
+  
+  const windowResult = await syncMetricsWindow(
+    customer,
+    connection,
+    campaigns,
+    startDate.toISOString().split('T')[0],
+    endDate.toISOString().split('T')[0],
+    statusMode
   );
   
-  summary.metrics_synced = metricsResult.metrics_synced;
-  summary.api_calls_used = metricsResult.api_calls_used;
+  summary.campaigns_synced = campaigns.length;
+  const { write, ...counts } = windowResult;
+  Object.assign(summary, counts, bulkWrite.summarizeWriteStats(write));
   
   return { summary };
 }
@@ -226,6 +452,8 @@ async function syncCampaigns(customer, connection, syncId = null) {
     const results = await customer.query(query);
     console.log(`📊 Found ${results.length} campaigns in Google Ads`);
     
+    const accountId = accounts.getAccountId(customer);
+    const money = await fxRates.getAccountMoney(connection, accountId);
     let campaignsSynced = 0;
     
     for (const row of results) {
@@ -234,6 +462,7 @@ async function syncCampaigns(customer, connection, syncId = null) {
       
       const campaignData = {
         google_campaign_id: campaign.id?.toString(),
+        account_id: accountId,
         campaign_name: campaign.name,
         campaign_type: campaign.advertising_channel_type,
         campaign_type_name: getCampaignTypeName(campaign.advertising_channel_type),
@@ -244,7 +473,7 @@ async function syncCampaigns(customer, connection, syncId = null) {
         budget_id: budget?.id?.toString(),
         budget_name: budget?.name,
         daily_budget_micros: budget?.amount_micros || 0,
-        daily_budget_eur: budget?.amount_micros ? (budget.amount_micros / 1000000) : 0
+        daily_budget_eur: money.fromMicros(budget?.amount_micros)
       };
       
       await upsertCampaign(connection, campaignData, syncId);
@@ -266,25 +495,30 @@ async function syncCampaigns(customer, connection, syncId = null) {
 
 /**
  * Sync metrics for active campaigns only (smart filtering)
+ * statusMode 'all' also pulls paused and removed campaigns.
  */
-async function syncMetricsForActiveCampaigns(customer, connection, days = 7) {
+async function syncMetricsForActiveCampaigns(customer, connection, days = 7, statusMode = STATUS_MODES.ACTIVE) {
   try {
-    console.log(`📈 Syncing ${days} days of metrics for active campaigns...`);
+    console.log(`📈 Syncing ${days} days of metrics for ${statusMode === STATUS_MODES.ALL ? 'all' : 'active'} campaigns...`);
     
     // Get active campaigns from our database
-    const activeCampaigns = await getActiveCampaigns(connection);
+    const accountId = accounts.getAccountId(customer);
+    const activeCampaigns = await getCampaignsForStatusMode(connection, statusMode, accountId);
+    const money = await fxRates.getAccountMoney(connection, accountId);
     
     if (activeCampaigns.length === 0) {
       console.log('⚠️ No active campaigns found');
-      return { metrics_synced: 0, api_calls_used: 0 };
+      return { metrics_synced: 0, api_calls_used: 0, write: bulkWrite.createWriteStats() };
     }
     
     console.log(`📊 Found ${activeCampaigns.length} active campaigns`);
     
     // Query metrics for active campaigns only
-    const campaignIds = activeCampaigns.map(c => c.google_campaign_id).join(',');
+    const campaignIds = activeCampaigns.map(c => c.google_campaign_id);
+    const dateCondition = gaql.dateRange({ days });
     
-    const metricsQuery = `
+    console.log(`📊 Fetching metrics for ${activeCampaigns.length} campaigns, ${days} days...`);
+    const results = await gaql.queryInChunks(customer, 'campaign.id', campaignIds, inCondition => `
       SELECT 
         campaign.id,
         segments.date,
@@ -296,47 +530,52 @@ async function syncMetricsForActiveCampaigns(customer, connection, days = 7) {
         metrics.conversions,
         metrics.view_through_conversions
       FROM campaign
-      WHERE campaign.id IN (${campaignIds})
-        AND segments.date DURING LAST_${days}_DAYS
-        AND campaign.status = 'ENABLED'
+      WHERE ${inCondition}
+        AND ${dateCondition}
+        ${getStatusCondition(statusMode)}
       ORDER BY segments.date DESC, campaign.id
-    `;
-    
-    console.log(`📊 Fetching metrics for ${activeCampaigns.length} campaigns, ${days} days...`);
-    const results = await customer.query(metricsQuery);
+    `);
     
     console.log(`📈 Processing ${results.length} metric records...`);
     
-    let metricsSynced = 0;
+    const metricsRows = [];
     
     for (const row of results) {
-      const metricsData = {
+      metricsRows.push({
         google_campaign_id: row.campaign.id?.toString(),
+        account_id: accountId,
         date: row.segments.date,
         impressions: row.metrics?.impressions || 0,
         clicks: row.metrics?.clicks || 0,
         cost_micros: row.metrics?.cost_micros || 0,
-        cost_eur: row.metrics?.cost_micros ? (row.metrics.cost_micros / 1000000) : 0,
+        cost_eur: money.fromMicros(row.metrics?.cost_micros, row.segments.date),
         conversions: row.metrics?.conversions || 0,
         view_through_conversions: row.metrics?.view_through_conversions || 0,
         ctr: row.metrics?.ctr ? (row.metrics.ctr * 100) : 0,
         cpc_micros: row.metrics?.average_cpc || 0,
-        cpc_eur: row.metrics?.average_cpc ? (row.metrics.average_cpc / 1000000) : 0,
+        cpc_eur: money.fromMicros(row.metrics?.average_cpc, row.segments.date),
         conversion_rate: (row.metrics?.clicks > 0 && row.metrics?.conversions > 0) ? 
           ((row.metrics.conversions / row.metrics.clicks) * 100) : 0,
         cost_per_conversion_eur: (row.metrics?.conversions > 0 && row.metrics?.cost_micros > 0) ? 
-          ((row.metrics.cost_micros / 1000000) / row.metrics.conversions) : 0
-      };
-      
-      await upsertCampaignMetrics(connection, metricsData);
-      metricsSynced++;
+          money.fromMicros(row.metrics.cost_micros / row.metrics.conversions, row.segments.date) : 0
+      });
     }
     
-    console.log(`✅ Synced ${metricsSynced} metric records`);
+    const write = await upsertCampaignMetrics(connection, metricsRows);
+    const metricsSynced = write.rows;
+    
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+    await attributeDailyStatuses(
+      connection, activeCampaigns, startDate.toISOString().split('T')[0], new Date().toISOString().split('T')[0]
+    );
+    
+    console.log(`✅ Synced ${metricsSynced} metric records (${write.batches} batches, ${write.ms}ms)`);
     
     return {
       metrics_synced: metricsSynced,
-      api_calls_used: 1
+      api_calls_used: 1,
+      write
     };
     
   } catch (error) {
@@ -354,19 +593,20 @@ async function syncGeographicTargeting(customer, connection) {
     
     const targetingQuery = `
       SELECT 
-        campaign_criterion.campaign,
+        campaign.id,
         campaign_criterion.criterion_id,
         campaign_criterion.location.geo_target_constant,
         campaign_criterion.negative
       FROM campaign_criterion
       WHERE campaign_criterion.type = 'LOCATION'
-      ORDER BY campaign_criterion.campaign
+      ORDER BY campaign.id
     `;
     
     const results = await customer.query(targetingQuery);
     console.log(`📍 Found ${results.length} location criteria`);
     
-    // Get location details in batches to avoid overwhelming the API
+    const accountId = accounts.getAccountId(customer);
+    
     const geoTargetConstants = [...new Set(
       results
         .map(row => row.campaign_criterion.location?.geo_target_constant)
@@ -376,61 +616,51 @@ async function syncGeographicTargeting(customer, connection) {
     
     const locationDetails = new Map();
     
-    if (geoTargetConstants.length > 0) {
-      // Batch location queries (max 50 at a time)
-      const batchSize = 50;
-      for (let i = 0; i < geoTargetConstants.length; i += batchSize) {
-        const batch = geoTargetConstants.slice(i, i + batchSize);
-        
-        const locationQuery = `
-          SELECT 
-            geo_target_constant.id,
-            geo_target_constant.canonical_name,
-            geo_target_constant.country_code,
-            geo_target_constant.target_type
-          FROM geo_target_constant
-          WHERE geo_target_constant.id IN (${batch.join(',')})
-        `;
-        
-        const locationResults = await customer.query(locationQuery);
-        
-        locationResults.forEach(row => {
-          const geo = row.geo_target_constant;
-          locationDetails.set(geo.id?.toString(), {
-            name: geo.canonical_name,
-            country_code: geo.country_code,
-            target_type: geo.target_type
-          });
-        });
-      }
-    }
-    
-    let targetingSynced = 0;
+    // Location details in batches of 50 to avoid overwhelming the API
+    const locationResults = await gaql.queryInChunks(customer, 'geo_target_constant.id', geoTargetConstants, inCondition => `
+      SELECT 
+        geo_target_constant.id,
+        geo_target_constant.canonical_name,
+        geo_target_constant.country_code,
+        geo_target_constant.target_type
+      FROM geo_target_constant
+      WHERE ${inCondition}
+    `, { chunkSize: 50 });
+    
+    locationResults.forEach(row => {
+      const geo = row.geo_target_constant;
+      locationDetails.set(geo.id?.toString(), {
+        name: geo.canonical_name,
+        country_code: geo.country_code,
+        target_type: geo.target_type
+      });
+    });
     
     // Insert targeting data
-    for (const row of results) {
+    const targetingRows = results.map(row => {
       const criterion = row.campaign_criterion;
       const geoTargetId = criterion.location?.geo_target_constant?.replace('geoTargetConstants/', '');
       const locationInfo = locationDetails.get(geoTargetId) || {};
       
-      const targetingData = {
-        google_campaign_id: criterion.campaign,
+      return {
+        google_campaign_id: row.campaign.id?.toString(),
+        account_id: accountId,
         geo_target_constant: geoTargetId,
         location_name: locationInfo.name || `Unknown (${geoTargetId})`,
         country_code: locationInfo.country_code,
         target_type: locationInfo.target_type,
         is_negative: criterion.negative ? 1 : 0
       };
-      
-      await upsertGeoTargeting(connection, targetingData);
-      targetingSynced++;
-    }
+    });
     
-    console.log(`✅ Synced ${targetingSynced} targeting criteria`);
+    const write = await upsertGeoTargeting(connection, targetingRows);
+    
+    console.log(`✅ Synced ${write.rows} targeting criteria`);
     
     return {
-      targeting_synced: targetingSynced,
-      api_calls_used: Math.ceil(geoTargetConstants.length / 50) + 1
+      targeting_synced: write.rows,
+      api_calls_used: Math.ceil(geoTargetConstants.length / 50) + 1,
+      write
     };
     
   } catch (error) {
@@ -447,16 +677,17 @@ async function syncKeywords(customer, connection) {
     console.log('🔍 Syncing keywords for Search campaigns...');
     
     // Get Search campaigns only
-    const searchCampaigns = await getSearchCampaigns(connection);
+    const accountId = accounts.getAccountId(customer);
+    const searchCampaigns = await getSearchCampaigns(connection, accountId);
     
     if (searchCampaigns.length === 0) {
       console.log('⚠️ No Search campaigns found');
       return { keywords_synced: 0, api_calls_used: 0 };
     }
     
-    const campaignIds = searchCampaigns.map(c => c.google_campaign_id).join(',');
+    const campaignIds = searchCampaigns.map(c => c.google_campaign_id);
     
-    const keywordsQuery = `
+    const results = await gaql.queryInChunks(customer, 'campaign.id', campaignIds, inCondition => `
       SELECT 
         campaign.id,
         ad_group.id,
@@ -464,35 +695,30 @@ async function syncKeywords(customer, connection) {
         ad_group_criterion.keyword.match_type,
         ad_group_criterion.status
       FROM keyword_view
-      WHERE campaign.id IN (${campaignIds})
+      WHERE ${inCondition}
         AND ad_group_criterion.status != 'REMOVED'
       ORDER BY campaign.id, ad_group.id
-    `;
-    
-    const results = await customer.query(keywordsQuery);
+    `);
     console.log(`🔍 Found ${results.length} keywords`);
     
-    let keywordsSynced = 0;
+    const keywordRows = results.map(row => ({
+      google_campaign_id: row.campaign.id?.toString(),
+      account_id: accountId,
+      google_adgroup_id: row.ad_group.id?.toString(),
+      keyword_text: row.ad_group_criterion.keyword?.text,
+      match_type: row.ad_group_criterion.keyword?.match_type,
+      match_type_name: getMatchTypeName(row.ad_group_criterion.keyword?.match_type),
+      status: row.ad_group_criterion.status
+    }));
     
-    for (const row of results) {
-      const keywordData = {
-        google_campaign_id: row.campaign.id?.toString(),
-        google_adgroup_id: row.ad_group.id?.toString(),
-        keyword_text: row.ad_group_criterion.keyword?.text,
-        match_type: row.ad_group_criterion.keyword?.match_type,
-        match_type_name: getMatchTypeName(row.ad_group_criterion.keyword?.match_type),
-        status: row.ad_group_criterion.status
-      };
-      
-      await upsertKeyword(connection, keywordData);
-      keywordsSynced++;
-    }
+    const write = await upsertKeyword(connection, keywordRows);
     
-    console.log(`✅ Synced ${keywordsSynced} keywords`);
+    console.log(`✅ Synced ${write.rows} keywords`);
     
     return {
-      keywords_synced: keywordsSynced,
-      api_calls_used: 1
+      keywords_synced: write.rows,
+      api_calls_used: 1,
+      write
     };
     
   } catch (error) {
@@ -505,26 +731,87 @@ async function syncKeywords(customer, connection) {
  * Database helper functions
  */
 
-async function getActiveCampaigns(connection) {
+async function getActiveCampaigns(connection, accountId) {
   const [results] = await connection.execute(`
     SELECT google_campaign_id, campaign_name 
     FROM gads_campaigns 
-    WHERE status = 2
+    WHERE status = 2 AND account_id = ?
     ORDER BY campaign_name
-  `);
+  `, [accountId]);
   return results;
 }
 
-async function getSearchCampaigns(connection) {
+async function getSearchCampaigns(connection, accountId) {
   const [results] = await connection.execute(`
     SELECT google_campaign_id, campaign_name 
     FROM gads_campaigns 
-    WHERE campaign_type = 2 AND status = 2
+    WHERE campaign_type = 2 AND status = 2 AND account_id = ?
     ORDER BY campaign_name
-  `);
+  `, [accountId]);
+  return results;
+}
+
+async function getCampaignsForStatusMode(connection, statusMode, accountId) {
+  if (statusMode !== STATUS_MODES.ALL) {
+    return getActiveCampaigns(connection, accountId);
+  }
+  
+  const [results] = await connection.execute(`
+    SELECT google_campaign_id, campaign_name 
+    FROM gads_campaigns 
+    WHERE account_id = ?
+    ORDER BY campaign_name
+  `, [accountId]);
   return results;
 }
 
+function getStatusCondition(statusMode) {
+  return statusMode === STATUS_MODES.ALL ? '' : "AND campaign.status = 'ENABLED'";
+}
+
+function parseStatusMode(value) {
+  if (!value || value === STATUS_MODES.ACTIVE) return STATUS_MODES.ACTIVE;
+  if (value === STATUS_MODES.ALL) return STATUS_MODES.ALL;
+  throw new Error('statuses must be "active" or "all"');
+}
+
+/**
+ * Stamp each metrics day with the status the campaign had that day
+ * 
+ * Uses gads_campaign_status_history: the last change before the day wins; days before
+ * the first recorded change get that change's old status; campaigns without history
+ * fall back to their current status.
+ */
+async function attributeDailyStatuses(connection, campaigns, startDate, endDate) {
+  if (!campaigns || campaigns.length === 0) return;
+  
+  const campaignIds = campaigns.map(c => c.google_campaign_id);
+  
+  await connection.execute(`
+    UPDATE gads_campaign_metrics m
+    JOIN gads_campaigns c ON c.google_campaign_id = m.google_campaign_id
+    SET m.campaign_status = COALESCE(
+      (
+        SELECT h.new_status FROM gads_campaign_status_history h
+        WHERE h.google_campaign_id = m.google_campaign_id
+          AND DATE(h.changed_at) < m.date
+        ORDER BY h.changed_at DESC
+        LIMIT 1
+      ),
+      (
+        SELECT COALESCE(h.old_status, h.new_status) FROM gads_campaign_status_history h
+        WHERE h.google_campaign_id = m.google_campaign_id
+          AND DATE(h.changed_at) >= m.date
+        ORDER BY h.changed_at ASC
+        LIMIT 1
+      ),
+      c.status
+    )
+    WHERE m.google_campaign_id IN (${campaignIds.map(() => '?').join(',')})
+      AND m.date BETWEEN ? AND ?
+  `, [...campaignIds, startDate, endDate]);
+}
+
 async function upsertCampaign(connection, data, syncId = null) {
   // First, check if campaign exists and get current status
   const [existing] = await connection.execute(`
@@ -539,11 +826,12 @@ async function upsertCampaign(connection, data, syncId = null) {
   // Insert/update campaign
   const query = `
     INSERT INTO gads_campaigns (
-      google_campaign_id, campaign_name, campaign_type, campaign_type_name,
+      google_campaign_id, account_id, campaign_name, campaign_type, campaign_type_name,
       status, start_date, end_date, bidding_strategy, budget_id, budget_name,
       daily_budget_micros, daily_budget_eur
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON DUPLICATE KEY UPDATE
+      account_id = VALUES(account_id),
       campaign_name = VALUES(campaign_name),
       status = VALUES(status),
       budget_id = VALUES(budget_id),
@@ -554,7 +842,7 @@ async function upsertCampaign(connection, data, syncId = null) {
   `;
   
   await connection.execute(query, [
-    data.google_campaign_id, data.campaign_name, data.campaign_type, data.campaign_type_name,
+    data.google_campaign_id, data.account_id, data.campaign_name, data.campaign_type, data.campaign_type_name,
     data.status, data.start_date, data.end_date, data.bidding_strategy, data.budget_id, 
     data.budget_name, data.daily_budget_micros, data.daily_budget_eur
   ]);
@@ -565,6 +853,7 @@ async function upsertCampaign(connection, data, syncId = null) {
     
     await trackStatusChange(connection, {
       google_campaign_id: data.google_campaign_id,
+      account_id: data.account_id,
       campaign_name: data.campaign_name,
       old_status: existingCampaign.status,
       new_status: data.status,
@@ -576,6 +865,7 @@ async function upsertCampaign(connection, data, syncId = null) {
     
     await trackStatusChange(connection, {
       google_campaign_id: data.google_campaign_id,
+      account_id: data.account_id,
       campaign_name: data.campaign_name,
       old_status: null,
       new_status: data.status,
@@ -590,13 +880,14 @@ async function upsertCampaign(connection, data, syncId = null) {
 async function trackStatusChange(connection, data) {
   const query = `
     INSERT INTO gads_campaign_status_history (
-      google_campaign_id, campaign_name, old_status, new_status,
+      google_campaign_id, account_id, campaign_name, old_status, new_status,
       old_status_name, new_status_name, detected_by_sync, sync_id
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
   
   await connection.execute(query, [
     data.google_campaign_id,
+    data.account_id,
     data.campaign_name,
     data.old_status,
     data.new_status,
@@ -620,69 +911,64 @@ function getStatusName(status) {
   return statusNames[status] || `UNKNOWN (${status})`;
 }
 
-async function upsertCampaignMetrics(connection, data) {
-  const query = `
-    INSERT INTO gads_campaign_metrics (
-      google_campaign_id, date, impressions, clicks, cost_micros, cost_eur,
-      conversions, view_through_conversions, ctr, cpc_micros, cpc_eur,
-      conversion_rate, cost_per_conversion_eur
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    ON DUPLICATE KEY UPDATE
-      impressions = VALUES(impressions),
-      clicks = VALUES(clicks),
-      cost_micros = VALUES(cost_micros),
-      cost_eur = VALUES(cost_eur),
-      conversions = VALUES(conversions),
-      view_through_conversions = VALUES(view_through_conversions),
-      ctr = VALUES(ctr),
-      cpc_micros = VALUES(cpc_micros),
-      cpc_eur = VALUES(cpc_eur),
-      conversion_rate = VALUES(conversion_rate),
-      cost_per_conversion_eur = VALUES(cost_per_conversion_eur),
-      synced_at = CURRENT_TIMESTAMP
-  `;
-  
-  await connection.execute(query, [
-    data.google_campaign_id, data.date, data.impressions, data.clicks,
-    data.cost_micros, data.cost_eur, data.conversions, data.view_through_conversions,
-    data.ctr, data.cpc_micros, data.cpc_eur, data.conversion_rate, data.cost_per_conversion_eur
-  ]);
+/**
+ * Bulk upserts - multi-row statements in batches, one transaction per call
+ * (scripts/db/bulk-write.js). Each returns { rows, batches, ms }.
+ */
+
+const CAMPAIGN_METRIC_COLUMNS = [
+  'google_campaign_id', 'account_id', 'date', 'impressions', 'clicks', 'cost_micros', 'cost_eur',
+  'conversions', 'view_through_conversions', 'ctr', 'cpc_micros', 'cpc_eur',
+  'conversion_rate', 'cost_per_conversion_eur'
+];
+
+const GEO_TARGETING_COLUMNS = [
+  'google_campaign_id', 'account_id', 'geo_target_constant', 'location_name', 'country_code',
+  'target_type', 'is_negative'
+];
+
+const KEYWORD_COLUMNS = [
+  'google_campaign_id', 'account_id', 'google_adgroup_id', 'keyword_text', 'match_type',
+  'match_type_name', 'status'
+];
+
+async function upsertCampaignMetrics(connection, rows, options = {}) {
+  return bulkWrite.bulkUpsert(connection, 'gads_campaign_metrics', rows, {
+    columns: CAMPAIGN_METRIC_COLUMNS,
+    keys: ['google_campaign_id', 'date'],
+    touch: 'synced_at = CURRENT_TIMESTAMP',
+    ...options
+  });
 }
 
-async function upsertGeoTargeting(connection, data) {
-  const query = `
-    INSERT INTO gads_geo_targeting (
-      google_campaign_id, geo_target_constant, location_name, country_code,
-      target_type, is_negative
-    ) VALUES (?, ?, ?, ?, ?, ?)
-    ON DUPLICATE KEY UPDATE
-      location_name = VALUES(location_name),
-      country_code = VALUES(country_code),
-      target_type = VALUES(target_type),
-      is_negative = VALUES(is_negative)
-  `;
-  
-  await connection.execute(query, [
-    data.google_campaign_id, data.geo_target_constant, data.location_name,
-    data.country_code, data.target_type, data.is_negative
-  ]);
+async function upsertGeoTargeting(connection, rows, options = {}) {
+  return bulkWrite.bulkUpsert(connection, 'gads_geo_targeting', rows, {
+    columns: GEO_TARGETING_COLUMNS,
+    keys: ['google_campaign_id', 'geo_target_constant'],
+    ...options
+  });
 }
 
-async function upsertKeyword(connection, data) {
-  const query = `
-    INSERT INTO gads_keywords (
-      google_campaign_id, google_adgroup_id, keyword_text, match_type,
-      match_type_name, status
-    ) VALUES (?, ?, ?, ?, ?, ?)
-    ON DUPLICATE KEY UPDATE
-      status = VALUES(status),
-      updated_at = CURRENT_TIMESTAMP
-  `;
-  
-  await connection.execute(query, [
-    data.google_campaign_id, data.google_adgroup_id, data.keyword_text,
-    data.match_type, data.match_type_name, data.status
-  ]);
+async function upsertKeyword(connection, rows, options = {}) {
+  return bulkWrite.bulkUpsert(connection, 'gads_keywords', rows, {
+    columns: KEYWORD_COLUMNS,
+    update: ['account_id', 'status'],
+    touch: 'updated_at = CURRENT_TIMESTAMP',
+    ...options
+  });
+}
+
+/**
+ * Currency and time zone of the account, read before costs are converted
+ * A failed lookup (e.g. a replay fixture without the customer query) keeps the registry value.
+ */
+async function detectAccountSettings(customer, connection) {
+  try {
+    return await accounts.syncAccountSettings(customer, connection);
+  } catch (error) {
+    console.warn(`⚠️ Could not read account currency, using the registered one: ${error.message}`);
+    return null;
+  }
 }
 
 /**
@@ -690,14 +976,15 @@ async function upsertKeyword(connection, data) {
  */
 async function logSyncStart(connection, syncType, options) {
   const query = `
-    INSERT INTO gads_sync_log (sync_type, start_date, end_date, status)
-    VALUES (?, ?, ?, 'running')
+    INSERT INTO gads_sync_log (sync_type, account_id, start_date, end_date, status)
+    VALUES (?, ?, ?, ?, 'running')
   `;
   
   const startDate = options.startDate || null;
   const endDate = options.endDate || null;
+  const accountId = options.accountId || accounts.getDefaultAccountId();
   
-  const [result] = await connection.execute(query, [syncType, startDate, endDate]);
+  const [result] = await connection.execute(query, [syncType, accountId, startDate, endDate]);
   return result.insertId;
 }
 
@@ -709,6 +996,8 @@ async function logSyncComplete(connection, syncLogId, result) {
         metrics_synced = ?,
         keywords_synced = ?,
         api_calls_used = ?,
+        api_operations = ?,
+        api_retries = ?,
         completed_at = CURRENT_TIMESTAMP
     WHERE sync_id = ?
   `;
@@ -718,11 +1007,30 @@ async function logSyncComplete(connection, syncLogId, result) {
     result.summary.metrics_synced || 0,
     result.summary.keywords_synced || 0,
     result.summary.api_calls_used || 0,
+    result.summary.api_operations || 0,
+    result.summary.api_retries || 0,
     syncLogId
   ]);
 }
 
-async function logSyncError(connection, errorMessage) {
+async function logSyncUsage(connection, syncLogId, usage) {
+  await connection.execute(`
+    UPDATE gads_sync_log
+    SET api_calls_used = ?, api_operations = ?, api_retries = ?
+    WHERE sync_id = ?
+  `, [usage.api_calls_used, usage.api_operations, usage.api_retries, syncLogId]);
+}
+
+async function logSyncError(connection, errorMessage, syncLogId = null) {
+  if (syncLogId) {
+    await connection.execute(`
+      UPDATE gads_sync_log 
+      SET status = 'failed', error_message = ?, completed_at = CURRENT_TIMESTAMP
+      WHERE sync_id = ?
+    `, [errorMessage, syncLogId]);
+    return;
+  }
+  
   const query = `
     UPDATE gads_sync_log 
     SET status = 'failed', error_message = ?, completed_at = CURRENT_TIMESTAMP
@@ -762,7 +1070,7 @@ function getMatchTypeName(type) {
 /**
  * Update campaign statuses without full sync
  */
-async function updateCampaignStatuses(customer, connection) {
+async function updateCampaignStatuses(customer, connection, syncId = null) {
   try {
     const query = `
       SELECT 
@@ -773,17 +1081,40 @@ async function updateCampaignStatuses(customer, connection) {
     
     const results = await customer.query(query);
     
+    const accountId = accounts.getAccountId(customer);
     let campaignsChecked = 0;
     
+    // Stored statuses, so changes go through the status history like in upsertCampaign
+    const [stored] = await connection.execute(
+      'SELECT google_campaign_id, campaign_name, status FROM gads_campaigns WHERE account_id = ?',
+      [accountId]
+    );
+    const storedById = new Map(stored.map(campaign => [String(campaign.google_campaign_id), campaign]));
+    
     for (const row of results) {
-      const updateQuery = `
+      const campaignId = row.campaign.id?.toString();
+      const existing = storedById.get(campaignId);
+      campaignsChecked++;
+      
+      // Campaigns the full sync hasn't stored yet are left to it
+      if (!existing || String(existing.status) === String(row.campaign.status)) continue;
+      
+      await connection.execute(`
         UPDATE gads_campaigns 
         SET status = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE google_campaign_id = ?
-      `;
+        WHERE google_campaign_id = ? AND account_id = ?
+      `, [row.campaign.status, campaignId, accountId]);
       
-      await connection.execute(updateQuery, [row.campaign.status, row.campaign.id?.toString()]);
-      campaignsChecked++;
+      console.log(`📊 Status change detected: ${existing.campaign_name} (${getStatusName(existing.status)} → ${getStatusName(row.campaign.status)})`);
+      
+      await trackStatusChange(connection, {
+        google_campaign_id: campaignId,
+        account_id: accountId,
+        campaign_name: existing.campaign_name,
+        old_status: existing.status,
+        new_status: row.campaign.status,
+        sync_id: syncId
+      });
     }
     
     return {
@@ -812,28 +1143,22 @@ async function handleFullSync(req, res, customer, getDbConnection) {
       throw new Error('Failed to initialize Google Ads client');
     }
     
-    // Return immediately, run sync in background
+    // Runs as a background job - poll GET /jobs/:id for progress
+    const job = await jobRunner.enqueueJob(getDbConnection, 'google-ads-sync', {
+      syncType: 'full',
+      account: accounts.getAccountId(customer),
+      days: 30
+    });
+    
     res.json({
       success: true,
       service: 'Google Ads Sync',
-      message: 'Full sync started in background',
-      status: 'running',
+      message: 'Full sync queued in background',
+      job_id: job.job_id,
+      status: job.status,
       timestamp: new Date().toISOString()
     });
     
-    // Run sync in background
-    (async () => {
-      try {
-        const result = await syncGoogleAdsData(customer, getDbConnection, {
-          syncType: 'full',
-          days: 30
-        });
-        console.log('✅ Background full sync completed:', result);
-      } catch (error) {
-        console.error('❌ Background sync failed:', error.message);
-      }
-    })();
-    
   } catch (error) {
     console.error('❌ Google Ads full sync failed:', error.message);
     res.status(500).json({
@@ -851,18 +1176,39 @@ async function handleFullSync(req, res, customer, getDbConnection) {
 async function handleIncrementalSync(req, res, customer, getDbConnection) {
   try {
     const days = parseInt(req.query.days) || 7;
-    console.log(`🔄 Starting incremental Google Ads sync (${days} days)...`);
     
-    const result = await syncGoogleAdsData(customer, getDbConnection, {
+    let statuses;
+    try {
+      statuses = parseStatusMode(req.query.statuses);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        service: 'Google Ads Sync',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!customer) {
+      throw new Error('Failed to initialize Google Ads client');
+    }
+    
+    console.log(`🔄 Queueing incremental Google Ads sync (${days} days, ${statuses} campaigns)...`);
+    
+    // Runs as a background job - poll GET /jobs/:id for progress
+    const job = await jobRunner.enqueueJob(getDbConnection, 'google-ads-sync', {
       syncType: 'incremental',
-      days: days
+      account: accounts.getAccountId(customer),
+      days,
+      statuses
     });
     
     res.json({
       success: true,
       service: 'Google Ads Sync',
-      message: 'Incremental sync completed',
-      result: result,
+      message: 'Incremental sync queued in background',
+      job_id: job.job_id,
+      status: job.status,
       timestamp: new Date().toISOString()
     });
     
@@ -882,17 +1228,24 @@ async function handleIncrementalSync(req, res, customer, getDbConnection) {
  */
 async function handleCampaignsSync(req, res, customer, getDbConnection) {
   try {
-    console.log('🔄 Starting campaigns-only sync...');
+    console.log('🔄 Queueing campaigns-only sync...');
+    
+    if (!customer) {
+      throw new Error('Failed to initialize Google Ads client');
+    }
     
-    const result = await syncGoogleAdsData(customer, getDbConnection, {
-      syncType: 'campaigns-only'
+    // Runs as a background job - poll GET /jobs/:id for progress
+    const job = await jobRunner.enqueueJob(getDbConnection, 'google-ads-sync', {
+      syncType: 'campaigns-only',
+      account: accounts.getAccountId(customer)
     });
     
     res.json({
       success: true,
       service: 'Google Ads Sync',
-      message: 'Campaigns sync completed',
-      result: result,
+      message: 'Campaigns sync queued in background',
+      job_id: job.job_id,
+      status: job.status,
       timestamp: new Date().toISOString()
     });
     
@@ -915,15 +1268,22 @@ async function handleSyncStatus(req, res, getDbConnection) {
     const connection = await getDbConnection();
     
     try {
+      // ?account= narrows everything to one account; default is all accounts
+      const accountId = req.accountId;
+      const accountFilter = accountId ? 'WHERE account_id = ?' : '';
+      const accountParams = accountId ? [accountId] : [];
+      
       const [syncHistory] = await connection.execute(`
         SELECT 
-          sync_id, sync_type, start_date, end_date, campaigns_synced,
+          sync_id, sync_type, account_id, start_date, end_date, campaigns_synced,
           metrics_synced, keywords_synced, status, api_calls_used,
+          api_operations, api_retries, windows_completed, windows_total,
           started_at, completed_at, error_message
         FROM gads_sync_log
+        ${accountFilter}
         ORDER BY sync_id DESC
         LIMIT 10
-      `);
+      `, accountParams);
       
       const [campaignCount] = await connection.execute(`
         SELECT 
@@ -932,7 +1292,8 @@ async function handleSyncStatus(req, res, getDbConnection) {
           SUM(daily_budget_eur) as total_daily_budget,
           MAX(updated_at) as last_campaign_update
         FROM gads_campaigns
-      `);
+        ${accountFilter}
+      `, accountParams);
       
       const [metricsCount] = await connection.execute(`
         SELECT 
@@ -941,18 +1302,24 @@ async function handleSyncStatus(req, res, getDbConnection) {
           COUNT(DISTINCT google_campaign_id) as campaigns_with_data,
           SUM(cost_eur) as total_cost_tracked
         FROM gads_campaign_metrics
-      `);
+        ${accountFilter}
+      `, accountParams);
       
       const [keywordCount] = await connection.execute(`
         SELECT 
           COUNT(*) as total_keywords,
           COUNT(DISTINCT google_campaign_id) as campaigns_with_keywords
         FROM gads_keywords
-      `);
+        ${accountFilter}
+      `, accountParams);
+      
+      const apiQuotaStatus = await apiQuota.getQuotaHeadroom(connection, accountId);
       
       res.json({
         success: true,
+        account_id: accountId,
         sync_history: syncHistory,
+        api_quota: apiQuotaStatus,
         database_status: {
           campaigns: campaignCount[0],
           metrics: metricsCount[0],
@@ -1053,20 +1420,310 @@ function generateSyncRecommendations(syncHistory, campaignData, metricsData) {
   return recommendations;
 }
 
-module.exports = {
-  syncGoogleAdsData,
-  fullSync,
-  incrementalSync,
-  backfillSync,
-  syncCampaignsOnly,
-  syncHistoricalMetricsDateRange,
-  // Route handlers
-  handleFullSync,
-  handleIncrementalSync,
-  handleCampaignsSync,
-  handleSyncStatus,
-  handleDateRangeBackfill
-};
+/**
+ * Resumable backfill
+ * 
+ * A backfill is one gads_sync_log row split into windows (a calendar month by default).
+ * Each finished window is checkpointed in gads_backfill_windows, so a restart only
+ * repeats the window that was in flight - all writes are upserts, so that is safe.
+ * A backfill job whose worker died is re-queued by the job runner; backfills left
+ * 'running' with no job at all are queued again by resumeInterruptedBackfills() on startup.
+ */
+
+const MAX_WINDOW_ATTEMPTS = 3;
+
+// Backfills being worked on by this process - guards against double-resume
+const activeBackfills = new Set();
+
+/**
+ * Split a date range into windows
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {string|number} windowSize - 'month' for calendar months, or a number of days
+ * @returns {Array} [{ start, end }] in chronological order
+ */
+function splitDateRange(startDate, endDate, windowSize = 'month') {
+  const windows = [];
+  const end = new Date(`${endDate}T00:00:00Z`);
+  let cursor = new Date(`${startDate}T00:00:00Z`);
+  
+  while (cursor <= end) {
+    let windowEnd;
+    
+    if (windowSize === 'month') {
+      windowEnd = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 0));
+    } else {
+      windowEnd = new Date(cursor);
+      windowEnd.setUTCDate(windowEnd.getUTCDate() + windowSize - 1);
+    }
+    
+    if (windowEnd > end) windowEnd = new Date(end);
+    
+    windows.push({
+      start: cursor.toISOString().split('T')[0],
+      end: windowEnd.toISOString().split('T')[0]
+    });
+    
+    cursor = new Date(windowEnd);
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  
+  return windows;
+}
+
+/**
+ * Parse ?window= (month | number of days)
+ */
+function parseWindowSize(value) {
+  if (!value || value === 'month') return 'month';
+  
+  const days = parseInt(value);
+  if (isNaN(days) || days < 1) {
+    throw new Error('window must be "month" or a positive number of days');
+  }
+  return days;
+}
+
+/**
+ * Register a backfill: one sync log entry plus one pending row per window
+ * @returns {Object} { syncLogId, windows }
+ */
+async function createBackfill(connection, accountId, startDate, endDate, windowSize = 'month', statusMode = STATUS_MODES.ACTIVE) {
+  
+  const windows = splitDateRange(startDate, endDate, windowSize);
+  const syncLogId = await logSyncStart(connection, 'backfill', { startDate, endDate, accountId });
+  
+  await connection.execute(
+    'UPDATE gads_sync_log SET windows_total = ?, windows_completed = 0, status_mode = ? WHERE sync_id = ?',
+    [windows.length, statusMode, syncLogId]
+  );
+  
+  for (const window of windows) {
+    await connection.execute(`
+      INSERT INTO gads_backfill_windows (sync_id, account_id, window_start, window_end)
+      VALUES (?, ?, ?, ?)
+    `, [syncLogId, accountId, window.start, window.end]);
+  }
+  
+  return { syncLogId, windows };
+}
+
+/**
+ * Work through the remaining windows of a backfill
+ * @param {Object} customer - Google Ads customer client
+ * @param {Function} getDbConnection - Database connection function
+ * @param {number} syncLogId - gads_sync_log.sync_id of the backfill
+ * @param {Object} job - Job handle from the job runner (optional) for progress and cancellation
+ * @returns {Object} Backfill totals
+ */
+async function runBackfill(customer, getDbConnection, syncLogId, job = null) {
+  if (activeBackfills.has(syncLogId)) {
+    console.log(`⚠️ Backfill ${syncLogId} is already running in this process`);
+    return { success: false, sync_id: syncLogId, error: 'Backfill already running' };
+  }
+  
+  activeBackfills.add(syncLogId);
+  let connection;
+  
+  try {
+    connection = await getDbConnection();
+    
+    const [[backfill]] = await connection.execute(
+      'SELECT status_mode, account_id FROM gads_sync_log WHERE sync_id = ?', [syncLogId]
+    );
+    const accountId = accounts.getAccountId(customer);
+    
+    if (backfill?.account_id && backfill.account_id !== accountId) {
+      throw new Error(`Backfill ${syncLogId} belongs to account ${backfill.account_id}, not ${accountId}`);
+    }
+    
+    await detectAccountSettings(customer, connection);
+    
+    const statusMode = backfill?.status_mode || STATUS_MODES.ACTIVE;
+    const activeCampaigns = await getCampaignsForStatusMode(connection, statusMode, accountId);
+    
+    if (activeCampaigns.length === 0) {
+      throw new Error(`No ${statusMode === STATUS_MODES.ALL ? '' : 'active '}campaigns found for backfill`);
+    }
+    
+    const [windows] = await connection.execute(`
+      SELECT
+        window_id,
+        DATE_FORMAT(window_start, '%Y-%m-%d') as window_start,
+        DATE_FORMAT(window_end, '%Y-%m-%d') as window_end,
+        attempts
+      FROM gads_backfill_windows
+      WHERE sync_id = ? AND status != 'completed'
+      ORDER BY window_start
+    `, [syncLogId]);
+    
+    console.log(`📚 Backfill ${syncLogId}: ${windows.length} windows left for ${activeCampaigns.length} campaigns (${statusMode})`);
+    
+    const writeStats = bulkWrite.createWriteStats();
+    
+    for (const window of windows) {
+      const startDate = window.window_start;
+      const endDate = window.window_end;
+      
+      // Between windows only, so a cancelled backfill leaves no half-written window
+      job?.throwIfCancelled();
+      job?.progress({ sync_id: syncLogId, window: `${startDate} to ${endDate}` }, `Backfill ${syncLogId}: ${startDate} to ${endDate}`);
+      
+      if (window.attempts >= MAX_WINDOW_ATTEMPTS) {
+        throw new Error(`Window ${startDate} to ${endDate} failed ${window.attempts} times`);
+      }
+      
+      try {
+        // The window's rows and its checkpoint commit together - a failure part way rolls
+        // the whole window back, so a retry starts from a clean slate
+        const usageStart = apiQuota.snapshotUsage(customer);
+        const result = await bulkWrite.withTransaction(connection, async () => {
+          const windowResult = await syncMetricsWindow(customer, connection, activeCampaigns, startDate, endDate, statusMode);
+          Object.assign(windowResult, apiQuota.usageSince(customer, usageStart));
+          
+          await connection.execute(`
+            UPDATE gads_backfill_windows
+            SET status = 'completed', metrics_synced = ?, api_calls_used = ?,
+                attempts = attempts + 1, error_message = NULL, completed_at = CURRENT_TIMESTAMP
+            WHERE window_id = ?
+          `, [windowResult.metrics_synced, windowResult.api_calls_used, window.window_id]);
+          
+          await connection.execute(`
+            UPDATE gads_sync_log
+            SET windows_completed = windows_completed + 1,
+                metrics_synced = COALESCE(metrics_synced, 0) + ?,
+                api_calls_used = COALESCE(api_calls_used, 0) + ?,
+                api_operations = COALESCE(api_operations, 0) + ?,
+                api_retries = COALESCE(api_retries, 0) + ?
+            WHERE sync_id = ?
+          `, [windowResult.metrics_synced, windowResult.api_calls_used, windowResult.api_operations, windowResult.api_retries, syncLogId]);
+          
+          return windowResult;
+        });
+        
+        bulkWrite.addWriteStats(writeStats, result.write);
+        
+        console.log(`   ✅ Window ${startDate} to ${endDate}: ${result.metrics_synced} metrics (${bulkWrite.summarizeWriteStats(writeStats).rows_per_second || 0} rows/s)`);
+        job?.increment('windows_completed');
+        job?.increment('rows_upserted', result.metrics_synced + result.adgroup_metrics_synced + result.ad_metrics_synced +
+          result.country_metrics_synced + result.hourly_metrics_synced + result.segment_metrics_synced + result.keyword_metrics_synced + result.asset_group_metrics_synced);
+        job?.progress({ rows_per_second: bulkWrite.summarizeWriteStats(writeStats).rows_per_second });
+        
+      } catch (error) {
+        await connection.execute(`
+          UPDATE gads_backfill_windows
+          SET status = 'failed', attempts = attempts + 1, error_message = ?
+          WHERE window_id = ?
+        `, [error.message, window.window_id]);
+        
+        throw error;
+      }
+    }
+    
+    const [[progress]] = await connection.execute(`
+      SELECT windows_total, windows_completed, metrics_synced, api_calls_used, api_operations, api_retries
+      FROM gads_sync_log WHERE sync_id = ?
+    `, [syncLogId]);
+    
+    await connection.execute(`
+      UPDATE gads_sync_log
+      SET status = 'completed', completed_at = CURRENT_TIMESTAMP, error_message = NULL
+      WHERE sync_id = ?
+    `, [syncLogId]);
+    
+    console.log(`✅ Backfill ${syncLogId} completed: ${progress.windows_completed}/${progress.windows_total} windows, ${progress.metrics_synced} metrics`);
+    
+    return {
+      success: true,
+      sync_id: syncLogId,
+      windows_completed: progress.windows_completed,
+      windows_total: progress.windows_total,
+      metrics_synced: progress.metrics_synced,
+      api_calls_used: progress.api_calls_used,
+      api_operations: progress.api_operations,
+      api_retries: progress.api_retries,
+      ...bulkWrite.summarizeWriteStats(writeStats),
+      timestamp: new Date().toISOString()
+    };
+    
+  } catch (error) {
+    console.error(`❌ Backfill ${syncLogId} failed:`, error.message);
+    
+    if (connection) {
+      // Stop here; completed windows stay checkpointed for a manual retry
+      await connection.execute(`
+        UPDATE gads_sync_log
+        SET status = ?, error_message = ?, completed_at = CURRENT_TIMESTAMP
+        WHERE sync_id = ?
+      `, [error.code === 'JOB_CANCELLED' ? 'cancelled' : 'failed', error.message, syncLogId]);
+    }
+    
+    throw error;
+  } finally {
+    activeBackfills.delete(syncLogId);
+    if (connection) {
+      await connection.end();
+    }
+  }
+}
+
+/**
+ * Queue jobs for backfills left 'running' by a previous process
+ * Called once on server start. Backfills covered by a queued or running job are left to
+ * that job - a running one may belong to a sibling process, and if its worker is dead
+ * the job runner re-queues it once the heartbeat goes stale.
+ * @param {Function} getDbConnection - Database connection function
+ */
+async function resumeInterruptedBackfills(getDbConnection) {
+  let connection;
+  let interrupted = [];
+  let pendingJobs = [];
+  
+  try {
+    connection = await getDbConnection();
+    
+    [interrupted] = await connection.execute(`
+      SELECT sync_id, account_id, start_date, end_date, windows_completed, windows_total
+      FROM gads_sync_log
+      WHERE sync_type = 'backfill' AND status = 'running' AND windows_total IS NOT NULL
+      ORDER BY sync_id
+    `);
+    
+    [pendingJobs] = await connection.execute(`
+      SELECT params FROM jobs
+      WHERE job_type = 'google-ads-backfill' AND status IN ('queued', 'running')
+    `);
+  } finally {
+    if (connection) {
+      await connection.end();
+    }
+  }
+  
+  const covered = new Set();
+  for (const job of pendingJobs) {
+    (JSON.parse(job.params || '{}').backfills || []).forEach(b => covered.add(b.sync_id));
+  }
+  
+  const orphaned = interrupted.filter(backfill => !covered.has(backfill.sync_id));
+  
+  if (orphaned.length === 0) {
+    return { resumed: 0 };
+  }
+  
+  console.log(`🔁 Resuming ${orphaned.length} interrupted backfill(s)...`);
+  
+  const jobs = [];
+  
+  for (const backfill of orphaned) {
+    console.log(`   📚 Backfill ${backfill.sync_id} (account ${backfill.account_id}): ${backfill.windows_completed}/${backfill.windows_total} windows done`);
+    const job = await jobRunner.enqueueJob(getDbConnection, 'google-ads-backfill', {
+      backfills: [{ sync_id: backfill.sync_id, account_id: backfill.account_id }]
+    });
+    jobs.push(job.job_id);
+  }
+  
+  return { resumed: jobs.length, job_ids: jobs };
+}
 
 /**
  * Handle custom date range backfill route
@@ -1080,60 +1737,74 @@ async function handleDateRangeBackfill(req, res, customer, getDbConnection) {
       return res.status(400).json({
         success: false,
         error: 'Both start and end date parameters required (YYYY-MM-DD format)',
-        example: '/gads/google-ads/sync/backfill?start=2025-07-01&end=2025-07-31',
+        example: '/gads/google-ads/sync/backfill?start=2025-07-01&end=2025-07-31&window=month&statuses=all',
         timestamp: new Date().toISOString()
       });
     }
     
-    // Validate date formats
-    const startDateObj = new Date(startDate);
-    const endDateObj = new Date(endDate);
-    
-    if (isNaN(startDateObj.getTime()) || isNaN(endDateObj.getTime())) {
+    let windowSize;
+    let statusMode;
+    try {
+      // Format and start <= end, before any backfill is registered
+      gaql.dateRange({ startDate, endDate });
+      windowSize = parseWindowSize(req.query.window);
+      statusMode = parseStatusMode(req.query.statuses);
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid date format. Use YYYY-MM-DD',
+        error: error.message,
         timestamp: new Date().toISOString()
       });
     }
     
-    if (startDateObj > endDateObj) {
+    if (splitDateRange(startDate, endDate, windowSize).length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Start date must be before end date',
+        error: `${startDate} to ${endDate} splits into no backfill windows`,
         timestamp: new Date().toISOString()
       });
     }
     
+    const startDateObj = new Date(`${startDate}T00:00:00Z`);
+    const endDateObj = new Date(`${endDate}T00:00:00Z`);
+    
+    if (!customer) {
+      throw new Error('Failed to initialize Google Ads client');
+    }
+    
     const daysDiff = Math.ceil((endDateObj - startDateObj) / (1000 * 60 * 60 * 24));
+    const accountId = accounts.getAccountId(customer);
+    
+    console.log(`🔄 Starting date range backfill (${startDate} to ${endDate}, ${daysDiff} days, account ${accountId})...`);
+    
+    const connection = await getDbConnection();
+    let backfill;
+    try {
+      backfill = await createBackfill(connection, accountId, startDate, endDate, windowSize, statusMode);
+    } finally {
+      await connection.end();
+    }
     
-    console.log(`🔄 Starting date range backfill (${startDate} to ${endDate}, ${daysDiff} days)...`);
+    const job = await jobRunner.enqueueJob(getDbConnection, 'google-ads-backfill', {
+      backfills: [{ sync_id: backfill.syncLogId, account_id: accountId }]
+    });
     
-    // Return immediately, run sync in background
     res.json({
       success: true,
       service: 'Google Ads Backfill',
-      message: `Date range backfill started in background`,
+      message: `Date range backfill queued in background`,
+      job_id: job.job_id,
+      sync_id: backfill.syncLogId,
+      account_id: accountId,
       period: `${startDate} to ${endDate}`,
       days: daysDiff,
-      status: 'running',
+      window: windowSize,
+      statuses: statusMode,
+      windows_total: backfill.windows.length,
+      status: job.status,
       timestamp: new Date().toISOString()
     });
     
-    // Run backfill in background
-    (async () => {
-      try {
-        const result = await syncHistoricalMetricsDateRange(customer, getDbConnection, {
-          startDate,
-          endDate,
-          description: `${startDate} to ${endDate}`
-        });
-        console.log(`✅ Date range backfill completed (${startDate} to ${endDate}):`, result);
-      } catch (error) {
-        console.error(`❌ Date range backfill failed (${startDate} to ${endDate}):`, error.message);
-      }
-    })();
-    
   } catch (error) {
     console.error('❌ Date range backfill failed:', error.message);
     res.status(500).json({
@@ -1147,111 +1818,320 @@ async function handleDateRangeBackfill(req, res, customer, getDbConnection) {
 
 /**
  * Sync historical metrics for specific date range
+ * Registers a windowed backfill and runs it to completion.
  */
 async function syncHistoricalMetricsDateRange(customer, getDbConnection, options) {
-  const { startDate, endDate, description = 'Custom Range' } = options;
+  const {
+    startDate,
+    endDate,
+    window = 'month',
+    statuses = STATUS_MODES.ACTIVE,
+    description = 'Custom Range'
+  } = options;
   
-  let connection;
+  console.log(`📊 Backfilling date range: ${startDate} to ${endDate} (${description})`);
   
+  const connection = await getDbConnection();
+  let backfill;
   try {
-    console.log(`📊 Backfilling date range: ${startDate} to ${endDate}`);
-    
-    connection = await getDbConnection();
-    
-    // Log sync start
-    const syncLogId = await logSyncStart(connection, 'backfill', { startDate, endDate });
+    backfill = await createBackfill(connection, accounts.getAccountId(customer), startDate, endDate, window, statuses);
+  } finally {
+    await connection.end();
+  }
+  
+  const result = await runBackfill(customer, getDbConnection, backfill.syncLogId);
+  
+  return {
+    ...result,
+    period: `${startDate} to ${endDate}`
+  };
+}
+
+/**
+ * Sync campaign, ad group, ad and country metrics for one backfill window
+ */
+async function syncMetricsWindow(customer, connection, activeCampaigns, startDate, endDate, statusMode = STATUS_MODES.ACTIVE) {
+  const campaignIds = activeCampaigns.map(c => c.google_campaign_id);
+  const dateCondition = gaql.dateRange({ startDate, endDate });
+  
+  console.log(`📊 Fetching metrics for ${startDate} to ${endDate}...`);
+  const results = await gaql.queryInChunks(customer, 'campaign.id', campaignIds, inCondition => `
+    SELECT 
+      campaign.id,
+      segments.date,
+      metrics.impressions,
+      metrics.clicks,
+      metrics.ctr,
+      metrics.average_cpc,
+      metrics.cost_micros,
+      metrics.conversions,
+      metrics.view_through_conversions
+    FROM campaign
+    WHERE ${inCondition}
+      AND ${dateCondition}
+      ${getStatusCondition(statusMode)}
+    ORDER BY segments.date DESC, campaign.id
+  `);
+  
+  const accountId = accounts.getAccountId(customer);
+  const money = await fxRates.getAccountMoney(connection, accountId);
+  const metricsRows = [];
+  
+  for (const row of results) {
+    metricsRows.push({
+      google_campaign_id: row.campaign.id?.toString(),
+      account_id: accountId,
+      date: row.segments.date,
+      impressions: row.metrics?.impressions || 0,
+      clicks: row.metrics?.clicks || 0,
+      cost_micros: row.metrics?.cost_micros || 0,
+      cost_eur: money.fromMicros(row.metrics?.cost_micros, row.segments.date),
+      conversions: row.metrics?.conversions || 0,
+      view_through_conversions: row.metrics?.view_through_conversions || 0,
+      ctr: row.metrics?.ctr ? (row.metrics.ctr * 100) : 0,
+      cpc_micros: row.metrics?.average_cpc || 0,
+      cpc_eur: money.fromMicros(row.metrics?.average_cpc, row.segments.date),
+      conversion_rate: (row.metrics?.clicks > 0 && row.metrics?.conversions > 0) ? 
+        ((row.metrics.conversions / row.metrics.clicks) * 100) : 0,
+      cost_per_conversion_eur: (row.metrics?.conversions > 0 && row.metrics?.cost_micros > 0) ? 
+        money.fromMicros(row.metrics.cost_micros / row.metrics.conversions, row.segments.date) : 0
+    });
+  }
+  
+  const write = await upsertCampaignMetrics(connection, metricsRows);
+  const metricsSynced = write.rows;
+  
+  await attributeDailyStatuses(connection, activeCampaigns, startDate, endDate);
+  
+  // Ad group and ad metrics for the same range
+  const adGroupResult = await adGroupSync.syncAdGroupAndAdMetrics(
+    customer, connection, activeCampaigns, { startDate, endDate },
+    { allStatuses: statusMode === STATUS_MODES.ALL }
+  );
+  
+  // Country spend for the same range
+  const countryResult = await geoSpend.syncCountrySpend(
+    customer, connection, activeCampaigns, { startDate, endDate }
+  );
+  
+  // Hourly metrics for the same range
+  const hourlyResult = await hourlyMetrics.syncHourlyMetrics(
+    customer, connection, activeCampaigns, { startDate, endDate }
+  );
+  
+  // Device and network metrics for the same range
+  const segmentResult = await segmentMetrics.syncSegmentMetrics(
+    customer, connection, activeCampaigns, { startDate, endDate }
+  );
+  
+  // Keyword metrics for the same range (keyword_view only returns Search keywords)
+  const keywordResult = await keywordMetrics.syncKeywordMetrics(
+    customer, connection, activeCampaigns, { startDate, endDate }
+  );
+  
+  // Performance Max asset group metrics for the same range
+  const pmaxResult = await pmaxSync.syncPMaxAssetGroups(
+    customer, connection, activeCampaigns, { startDate, endDate }
+  );
+  
+  return {
+    metrics_synced: metricsSynced,
+    write,
+    adgroup_metrics_synced: adGroupResult.adgroup_metrics_synced,
+    ad_metrics_synced: adGroupResult.ad_metrics_synced,
+    country_metrics_synced: countryResult.country_metrics_synced,
+    hourly_metrics_synced: hourlyResult.hourly_metrics_synced,
+    segment_metrics_synced: segmentResult.segment_metrics_synced,
+    keyword_metrics_synced: keywordResult.keyword_metrics_synced,
+    asset_group_metrics_synced: pmaxResult.asset_group_metrics_synced,
+    api_calls_used: 1 + adGroupResult.api_calls_used + countryResult.api_calls_used +
+      hourlyResult.api_calls_used + segmentResult.api_calls_used + keywordResult.api_calls_used +
+      pmaxResult.api_calls_used
+  };
+}
+
+/**
+ * All accounts under the manager
+ * 
+ * Runs the same sync once per active account in gads_accounts, one after the other so
+ * API usage stays predictable.
+ */
+
+/**
+ * Sync every registered account
+ * @param {Function} createCustomer - (accountId) => customer client for that account
+ * @param {Function} getDbConnection - Database connection function
+ * @param {Object} options - Same options as syncGoogleAdsData
+ * @returns {Object} Per-account results
+ */
+async function syncAllAccounts(createCustomer, getDbConnection, options = {}) {
+  const connection = await getDbConnection();
+  let accountList;
+  
+  try {
+    accountList = await accounts.listAccounts(connection);
+  } finally {
+    await connection.end();
+  }
+  
+  console.log(`🏢 Syncing ${accountList.length} accounts (${options.syncType || 'incremental'})...`);
+  
+  const results = [];
+  const job = options.job;
+  job?.progress({ accounts_total: accountList.length, accounts_done: 0 });
+  
+  for (const account of accountList) {
+    job?.throwIfCancelled();
+    job?.progress({ account_id: account.account_id }, `Syncing account ${account.account_id}`);
     
-    // Get active campaigns only for backfill
-    const activeCampaigns = await getActiveCampaigns(connection);
+    const customer = await createCustomer(account.account_id);
     
-    if (activeCampaigns.length === 0) {
-      throw new Error('No active campaigns found for backfill');
+    if (!customer) {
+      results.push({
+        success: false,
+        account_id: account.account_id,
+        error: 'Failed to initialize Google Ads client'
+      });
+      continue;
     }
     
-    console.log(`📊 Backfilling ${activeCampaigns.length} active campaigns for ${description}`);
-    
-    // Build date range filter for Google Ads API
-    const campaignIds = activeCampaigns.map(c => c.google_campaign_id).join(',');
-    
-    const metricsQuery = `
-      SELECT 
-        campaign.id,
-        segments.date,
-        metrics.impressions,
-        metrics.clicks,
-        metrics.ctr,
-        metrics.average_cpc,
-        metrics.cost_micros,
-        metrics.conversions,
-        metrics.view_through_conversions
-      FROM campaign
-      WHERE campaign.id IN (${campaignIds})
-        AND segments.date BETWEEN '${startDate}' AND '${endDate}'
-        AND campaign.status = 'ENABLED'
-      ORDER BY segments.date DESC, campaign.id
-    `;
-    
-    console.log(`📊 Fetching metrics for ${description}...`);
-    const results = await customer.query(metricsQuery);
-    
-    console.log(`📈 Processing ${results.length} metric records for ${description}...`);
-    
-    let metricsSynced = 0;
+    results.push(await syncGoogleAdsData(customer, getDbConnection, options));
+    job?.increment('accounts_done');
+  }
+  
+  return {
+    success: results.every(r => r.success),
+    accounts_synced: results.filter(r => r.success).length,
+    accounts_failed: results.filter(r => !r.success).length,
+    results,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Handle ?account=all on the sync routes
+ * Every sync type is queued as a background job, like its single-account route.
+ */
+async function handleAllAccountsSync(req, res, syncType, createCustomer, getDbConnection) {
+  try {
+    let statuses;
+    try {
+      statuses = parseStatusMode(req.query.statuses);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        service: 'Google Ads Sync',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
     
-    for (const row of results) {
-      const metricsData = {
-        google_campaign_id: row.campaign.id?.toString(),
-        date: row.segments.date,
-        impressions: row.metrics?.impressions || 0,
-        clicks: row.metrics?.clicks || 0,
-        cost_micros: row.metrics?.cost_micros || 0,
-        cost_eur: row.metrics?.cost_micros ? (row.metrics.cost_micros / 1000000) : 0,
-        conversions: row.metrics?.conversions || 0,
-        view_through_conversions: row.metrics?.view_through_conversions || 0,
-        ctr: row.metrics?.ctr ? (row.metrics.ctr * 100) : 0,
-        cpc_micros: row.metrics?.average_cpc || 0,
-        cpc_eur: row.metrics?.average_cpc ? (row.metrics.average_cpc / 1000000) : 0,
-        conversion_rate: (row.metrics?.clicks > 0 && row.metrics?.conversions > 0) ? 
-          ((row.metrics.conversions / row.metrics.clicks) * 100) : 0,
-        cost_per_conversion_eur: (row.metrics?.conversions > 0 && row.metrics?.cost_micros > 0) ? 
-          ((row.metrics.cost_micros / 1000000) / row.metrics.conversions) : 0
-      };
-      
-      await upsertCampaignMetrics(connection, metricsData);
-      metricsSynced++;
+    if (syncType === 'backfill') {
+      return await handleAllAccountsBackfill(req, res, getDbConnection, statuses);
     }
     
-    // Log completion
-    await logSyncComplete(connection, syncLogId, {
-      summary: {
-        campaigns_synced: 0,
-        metrics_synced: metricsSynced,
-        keywords_synced: 0,
-        api_calls_used: 1
-      }
+    const days = parseInt(req.query.days) || (syncType === 'full' ? 30 : 7);
+    const job = await jobRunner.enqueueJob(getDbConnection, 'google-ads-sync', {
+      syncType, account: accounts.ALL_ACCOUNTS, days, statuses
     });
     
-    console.log(`✅ Date range backfill completed (${description}): ${metricsSynced} metrics synced`);
-    
-    return {
+    res.json({
       success: true,
-      period: `${startDate} to ${endDate}`,
-      metrics_synced: metricsSynced,
-      api_calls_used: 1,
+      service: 'Google Ads Sync',
+      message: `${syncType} sync for all accounts queued in background`,
+      job_id: job.job_id,
+      status: job.status,
       timestamp: new Date().toISOString()
-    };
+    });
     
   } catch (error) {
-    console.error(`❌ Date range backfill failed (${description}):`, error);
+    console.error('❌ All-accounts sync failed:', error.message);
+    res.status(500).json({
+      success: false,
+      service: 'Google Ads Sync',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Register one backfill per account, then queue one job that runs them one after the other
+ */
+async function handleAllAccountsBackfill(req, res, getDbConnection, statuses) {
+  const startDate = req.query.start;
+  const endDate = req.query.end;
+  
+  if (!startDate || !endDate) {
+    return res.status(400).json({
+      success: false,
+      error: 'Both start and end date parameters required (YYYY-MM-DD format)',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  let windowSize;
+  try {
+    // Format and start <= end, before any backfill is registered
+    gaql.dateRange({ startDate, endDate });
+    windowSize = parseWindowSize(req.query.window);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  const connection = await getDbConnection();
+  const backfills = [];
+  
+  try {
+    const accountList = await accounts.listAccounts(connection);
     
-    if (connection) {
-      await logSyncError(connection, error.message);
+    for (const account of accountList) {
+      const backfill = await createBackfill(
+        connection, account.account_id, startDate, endDate, windowSize, statuses
+      );
+      backfills.push({ account_id: account.account_id, sync_id: backfill.syncLogId, windows_total: backfill.windows.length });
     }
-    
-    throw error;
   } finally {
-    if (connection) {
-      await connection.end();
-    }
+    await connection.end();
   }
-}
\ No newline at end of file
+  
+  // One job runs the accounts one after the other
+  const job = await jobRunner.enqueueJob(getDbConnection, 'google-ads-backfill', {
+    backfills: backfills.map(b => ({ sync_id: b.sync_id, account_id: b.account_id }))
+  });
+  
+  res.json({
+    success: true,
+    service: 'Google Ads Backfill',
+    message: `Backfill queued in background for ${backfills.length} accounts`,
+    job_id: job.job_id,
+    period: `${startDate} to ${endDate}`,
+    backfills,
+    status: job.status,
+    timestamp: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  syncGoogleAdsData,
+  fullSync,
+  incrementalSync,
+  backfillSync,
+  syncCampaignsOnly,
+  syncHistoricalMetricsDateRange,
+  runBackfill,
+  resumeInterruptedBackfills,
+  splitDateRange,
+  syncAllAccounts,
+  // Route handlers
+  handleFullSync,
+  handleIncrementalSync,
+  handleCampaignsSync,
+  handleSyncStatus,
+  handleDateRangeBackfill,
+  handleAllAccountsSync
+};
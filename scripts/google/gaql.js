@@ -0,0 +1,205 @@
+/**
+ * GAQL Builder
+ * /scripts/google/gaql.js
+ *
+ * Values never go into a GAQL string unchecked: IDs must be numeric, dates real
+ * YYYY-MM-DD days, enum values upper-case constants, strings are quoted and escaped.
+ * Anything else throws INVALID_GAQL_VALUE before the query is sent.
+ *
+ *   WHERE ${gaql.equals('campaign.id', campaignId)}
+ *     AND ${gaql.dateRange({ days: 30 })}
+ *
+ * Long IN lists are split: queryInChunks() runs one query per chunk of IDs and
+ * concatenates the rows (row order is per chunk, not global).
+ */
+
+const MAX_IN_LIST_SIZE = 500;
+
+// Predefined ranges GAQL accepts after DURING - LAST_90_DAYS and friends are not among them
+const DURING_RANGES = [
+  'TODAY', 'YESTERDAY', 'LAST_7_DAYS', 'LAST_14_DAYS', 'LAST_30_DAYS',
+  'LAST_BUSINESS_WEEK', 'THIS_MONTH', 'LAST_MONTH',
+  'THIS_WEEK_SUN_TODAY', 'THIS_WEEK_MON_TODAY', 'LAST_WEEK_SUN_SAT', 'LAST_WEEK_MON_SUN'
+];
+
+function invalid(message) {
+  const error = new Error(`Invalid GAQL value: ${message}`);
+  error.code = 'INVALID_GAQL_VALUE';
+  return error;
+}
+
+/**
+ * Numeric resource ID (campaign, ad group, geo target constant, ...)
+ * @returns {string} the ID, unquoted
+ */
+function id(value, label = 'ID') {
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  if (!/^\d{1,20}$/.test(text)) {
+    throw invalid(`${label} must be numeric, got "${value}"`);
+  }
+  return text;
+}
+
+/**
+ * YYYY-MM-DD that is a real calendar day
+ * @returns {string} quoted date literal
+ */
+function date(value, label = 'date') {
+  const text = value instanceof Date ? formatDate(value) : String(value || '').trim();
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  const parsed = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+
+  if (!parsed || parsed.toISOString().slice(0, 10) !== text) {
+    throw invalid(`${label} must be YYYY-MM-DD, got "${value}"`);
+  }
+  return `'${text}'`;
+}
+
+/**
+ * Quoted, escaped string literal
+ */
+function string(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Enum constant such as 'ENABLED' or 'LOCATION'
+ */
+function enumValue(value) {
+  const text = String(value || '');
+  if (!/^[A-Z][A-Z0-9_]*$/.test(text)) {
+    throw invalid(`enum value must be an upper-case constant, got "${value}"`);
+  }
+  return `'${text}'`;
+}
+
+/**
+ * Field name such as campaign.id or segments.date
+ */
+function field(name) {
+  if (!/^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/.test(String(name || ''))) {
+    throw invalid(`field name "${name}"`);
+  }
+  return name;
+}
+
+/**
+ * field = value (IDs by default)
+ */
+function equals(fieldName, value, format = id) {
+  return `${field(fieldName)} = ${format(value)}`;
+}
+
+/**
+ * field IN (...) - empty lists are refused, GAQL rejects IN ()
+ */
+function inList(fieldName, values, format = id) {
+  if (!Array.isArray(values) || values.length === 0) {
+    throw invalid(`IN list for ${fieldName} is empty`);
+  }
+  return `${field(fieldName)} IN (${values.map(value => format(value)).join(', ')})`;
+}
+
+/**
+ * Date condition for a range
+ * @param {Object} range - { startDate, endDate } for an explicit range, { during } for a
+ *   predefined range, or { days } for the last N days (default 7). days maps to DURING
+ *   when GAQL has that range and to an explicit range ending yesterday otherwise.
+ * @param {string} fieldName - Date segment (default segments.date)
+ */
+function dateRange(range = {}, fieldName = 'segments.date') {
+  field(fieldName);
+
+  if (range.startDate || range.endDate) {
+    const start = date(range.startDate, 'startDate');
+    const end = date(range.endDate, 'endDate');
+    if (start > end) {
+      throw invalid(`startDate ${range.startDate} is after endDate ${range.endDate}`);
+    }
+    return `${fieldName} BETWEEN ${start} AND ${end}`;
+  }
+
+  if (range.during) {
+    if (!DURING_RANGES.includes(range.during)) {
+      throw invalid(`"${range.during}" is not a GAQL DURING range`);
+    }
+    return `${fieldName} DURING ${range.during}`;
+  }
+
+  const days = range.days === undefined ? 7 : parseInt(range.days);
+  if (!Number.isInteger(days) || days < 1) {
+    throw invalid(`days must be a positive integer, got "${range.days}"`);
+  }
+
+  if (DURING_RANGES.includes(`LAST_${days}_DAYS`)) {
+    return `${fieldName} DURING LAST_${days}_DAYS`;
+  }
+
+  // Same days LAST_N_DAYS would cover: N days up to and including yesterday
+  const end = new Date();
+  end.setDate(end.getDate() - 1);
+  const start = new Date(end);
+  start.setDate(start.getDate() - (days - 1));
+  return `${fieldName} BETWEEN ${date(start)} AND ${date(end)}`;
+}
+
+/**
+ * Human-readable range for log lines and responses
+ */
+function describeRange(range = {}) {
+  if (range.startDate && range.endDate) return `${range.startDate} to ${range.endDate}`;
+  if (range.during) return range.during.toLowerCase().replace(/_/g, ' ');
+  return `last ${range.days || 7} days`;
+}
+
+function formatDate(value) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+function chunk(values, size = MAX_IN_LIST_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Run a query once per chunk of an IN list and concatenate the rows
+ * @param {Object} customer - Google Ads customer client
+ * @param {string} fieldName - Field the list filters on, e.g. campaign.id
+ * @param {Array} values - IDs (duplicates are dropped)
+ * @param {Function} buildQuery - (inCondition) => GAQL using the condition in its WHERE
+ * @param {Object} options - { chunkSize, format }
+ * @returns {Array} rows from every chunk; [] when values is empty
+ */
+async function queryInChunks(customer, fieldName, values, buildQuery, options = {}) {
+  const format = options.format || id;
+  const unique = [...new Set((values || []).map(value => String(value)))];
+  const rows = [];
+
+  for (const part of chunk(unique, options.chunkSize || MAX_IN_LIST_SIZE)) {
+    const results = await customer.query(buildQuery(inList(fieldName, part, format)));
+    rows.push(...results);
+  }
+
+  return rows;
+}
+
+module.exports = {
+  MAX_IN_LIST_SIZE,
+  DURING_RANGES,
+  id,
+  date,
+  string,
+  enumValue,
+  field,
+  equals,
+  inList,
+  dateRange,
+  describeRange,
+  formatDate,
+  chunk,
+  queryInChunks
+};
@@ -0,0 +1,361 @@
+/**
+ * Geo Exclusion Audit Module
+ * /scripts/google/geo-audit.js
+ *
+ * Compares each campaign's synced location criteria (gads_geo_targeting) with the red
+ * countries in country_rules. A red country is a gap for a campaign unless the country
+ * itself is excluded - excluding one of its regions is not enough:
+ * - targeted         the country is an included location
+ * - region_targeted  a region/city that rolls up to the country is included
+ * - all_locations    the campaign has no included locations, so it targets everywhere
+ * - not_excluded     not targeted, but reachable through presence-or-interest targeting
+ *
+ * Each gap carries its historical spend (user location, gads_country_metrics) and a
+ * negative LOCATION criterion that closes it. The plan is applied through the change
+ * proposal workflow (change-proposals.js): one pending geo_exclusion per gap.
+ */
+
+const accounts = require('./accounts');
+const gaql = require('./gaql');
+const users = require('../auth/users');
+const fxRates = require('../currency/fx-rates');
+const { SOURCES } = require('./geo-spend');
+
+const DEFAULT_DAYS = 90;
+
+// EUR amounts in the audit response, as fxRates.convertReport paths
+const MONEY_FIELDS = ['summary.gap_spend', 'campaigns[].gap_spend', 'gaps[].cost', 'plan[].cost', 'plan_spend'];
+
+const GAP_SEVERITY = {
+  targeted: 1,
+  region_targeted: 2,
+  all_locations: 3,
+  not_excluded: 4
+};
+
+/**
+ * Geo target constant ID of each country, e.g. GB → 2826
+ * Known IDs come from synced data; the rest are looked up.
+ */
+async function resolveCountryConstants(customer, connection, accountId, countryCodes) {
+  const constants = new Map();
+
+  const [known] = await connection.execute(`
+    SELECT country_code, MAX(country_criterion_id) as geo_id
+    FROM gads_country_metrics
+    WHERE account_id = ? AND country_criterion_id IS NOT NULL
+    GROUP BY country_code
+    UNION
+    SELECT country_code, MAX(geo_target_constant) as geo_id
+    FROM gads_geo_targeting
+    WHERE account_id = ? AND target_type = 'Country' AND country_code IS NOT NULL
+    GROUP BY country_code
+  `, [accountId, accountId]);
+  known.forEach(row => constants.set(row.country_code.toUpperCase(), String(row.geo_id)));
+
+  const missing = countryCodes.filter(code => !constants.has(code));
+  if (missing.length > 0 && customer) {
+    const results = await gaql.queryInChunks(customer, 'geo_target_constant.country_code', missing, inCondition => `
+      SELECT geo_target_constant.id, geo_target_constant.country_code
+      FROM geo_target_constant
+      WHERE ${inCondition}
+        AND geo_target_constant.target_type = 'Country'
+        AND geo_target_constant.status = 'ENABLED'
+    `, { format: gaql.enumValue });
+
+    results.forEach(row => {
+      const geo = row.geo_target_constant;
+      constants.set(geo.country_code.toUpperCase(), geo.id?.toString());
+    });
+  }
+
+  return constants;
+}
+
+/**
+ * Audit every non-removed campaign against the red countries
+ * @param {Object} customer - Google Ads customer client (country ID lookup only)
+ * @param {Object} connection - Open database connection
+ * @param {Object} options - { days } of spend history (default 90)
+ * @returns {Object} { campaigns, gaps, plan, summary }
+ */
+async function auditGeoExclusions(customer, connection, options = {}) {
+  const days = options.days || DEFAULT_DAYS;
+  const accountId = accounts.getAccountId(customer);
+
+  console.log(`🌍 Auditing geo exclusions for account ${accountId}...`);
+
+  const [redCountries] = await connection.execute(`
+    SELECT country_code, country_name FROM country_rules WHERE status = 'red' ORDER BY country_code
+  `);
+
+  const [campaigns] = await connection.execute(`
+    SELECT google_campaign_id, campaign_name, status
+    FROM gads_campaigns
+    WHERE account_id = ? AND status != 4
+    ORDER BY campaign_name
+  `, [accountId]);
+
+  const [criteria] = await connection.execute(`
+    SELECT
+      google_campaign_id as campaign_id,
+      geo_target_constant, location_name, country_code, target_type, is_negative
+    FROM gads_geo_targeting
+    WHERE account_id = ?
+  `, [accountId]);
+
+  const [spend] = await connection.execute(`
+    SELECT google_campaign_id, country_code, SUM(cost_eur) as cost, SUM(clicks) as clicks,
+      SUM(conversions) as conversions
+    FROM gads_country_metrics
+    WHERE account_id = ? AND source = ? AND date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+    GROUP BY google_campaign_id, country_code
+  `, [accountId, SOURCES.USER_LOCATION, days]);
+
+  const countryConstants = await resolveCountryConstants(
+    customer, connection, accountId, redCountries.map(row => row.country_code.toUpperCase())
+  );
+
+  const criteriaByCampaign = new Map();
+  criteria.forEach(row => {
+    if (!criteriaByCampaign.has(row.campaign_id)) criteriaByCampaign.set(row.campaign_id, []);
+    criteriaByCampaign.get(row.campaign_id).push(row);
+  });
+
+  const spendByKey = new Map(spend.map(row => [`${row.google_campaign_id}:${row.country_code}`, row]));
+
+  const gaps = [];
+  const campaignResults = campaigns.map(campaign => {
+    const campaignId = String(campaign.google_campaign_id);
+    const locations = criteriaByCampaign.get(campaignId) || [];
+    const included = locations.filter(location => !location.is_negative);
+    const excluded = locations.filter(location => location.is_negative);
+
+    const campaignGaps = [];
+    redCountries.forEach(country => {
+      const code = country.country_code.toUpperCase();
+      const geoId = countryConstants.get(code) || null;
+
+      const countryExcluded = excluded.some(location =>
+        (geoId && String(location.geo_target_constant) === geoId) ||
+        (location.country_code === code && location.target_type === 'Country')
+      );
+      if (countryExcluded) return;
+
+      const includedHere = included.filter(location => location.country_code === code);
+      let gapType = 'not_excluded';
+      if (includedHere.some(location => location.target_type === 'Country')) gapType = 'targeted';
+      else if (includedHere.length > 0) gapType = 'region_targeted';
+      else if (included.length === 0) gapType = 'all_locations';
+
+      const history = spendByKey.get(`${campaignId}:${code}`);
+
+      campaignGaps.push({
+        campaign_id: campaignId,
+        campaign_name: campaign.campaign_name,
+        country_code: code,
+        country_name: country.country_name,
+        gap: gapType,
+        included_locations: includedHere.map(location => location.location_name),
+        excluded_regions: excluded
+          .filter(location => location.country_code === code)
+          .map(location => location.location_name),
+        geo_target_constant_id: geoId,
+        cost: parseFloat(history?.cost) || 0,
+        clicks: parseInt(history?.clicks) || 0,
+        conversions: parseFloat(history?.conversions) || 0
+      });
+    });
+
+    gaps.push(...campaignGaps);
+
+    return {
+      campaign_id: campaignId,
+      campaign_name: campaign.campaign_name,
+      status: campaign.status,
+      included_locations: included.length,
+      excluded_locations: excluded.length,
+      gaps: campaignGaps.length,
+      gap_spend: Math.round(campaignGaps.reduce((sum, gap) => sum + gap.cost, 0) * 100) / 100
+    };
+  });
+
+  gaps.sort((a, b) => b.cost - a.cost || GAP_SEVERITY[a.gap] - GAP_SEVERITY[b.gap]);
+
+  // Mutate-ready: the same operation change-proposals sends on apply
+  const plan = gaps
+    .filter(gap => gap.geo_target_constant_id)
+    .map(gap => ({
+      campaign_id: gap.campaign_id,
+      campaign_name: gap.campaign_name,
+      country_code: gap.country_code,
+      gap: gap.gap,
+      cost: gap.cost,
+      operation: {
+        entity: 'campaign_criterion',
+        operation: 'create',
+        resource: {
+          campaign: `customers/${accountId}/campaigns/${gap.campaign_id}`,
+          negative: true,
+          location: { geo_target_constant: `geoTargetConstants/${gap.geo_target_constant_id}` }
+        }
+      }
+    }));
+
+  const summary = {
+    campaigns_audited: campaigns.length,
+    red_countries: redCountries.length,
+    campaigns_with_gaps: campaignResults.filter(campaign => campaign.gaps > 0).length,
+    gaps: gaps.length,
+    gaps_by_type: Object.keys(GAP_SEVERITY).reduce((counts, type) => {
+      counts[type] = gaps.filter(gap => gap.gap === type).length;
+      return counts;
+    }, {}),
+    gap_spend: Math.round(gaps.reduce((sum, gap) => sum + gap.cost, 0) * 100) / 100,
+    unresolved_countries: redCountries
+      .map(country => country.country_code.toUpperCase())
+      .filter(code => !countryConstants.has(code))
+  };
+
+  console.log(`   ✅ ${summary.gaps} gaps in ${summary.campaigns_with_gaps} campaigns, €${summary.gap_spend} spent in the last ${days} days`);
+
+  return { account_id: accountId, days, summary, campaigns: campaignResults, gaps, plan };
+}
+
+/**
+ * Keep the plan entries a request asks for
+ * @param {Object} filters - { minCost, gapTypes, campaignIds }
+ */
+function filterPlan(plan, filters = {}) {
+  return plan.filter(entry =>
+    entry.cost >= (filters.minCost || 0) &&
+    (!filters.gapTypes || filters.gapTypes.includes(entry.gap)) &&
+    (!filters.campaignIds || filters.campaignIds.includes(entry.campaign_id))
+  );
+}
+
+function parseFilters(source = {}) {
+  const list = value => value
+    ? (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim()).filter(Boolean)
+    : null;
+
+  return {
+    minCost: parseFloat(source.min_cost) || 0,
+    gapTypes: list(source.gap_types),
+    campaignIds: list(source.campaign_ids)
+  };
+}
+
+/**
+ * Handle geo audit route (?days=, ?min_cost=, ?gap_types=targeted,region_targeted)
+ */
+async function handleGeoAudit(req, res, customer, getDbConnection) {
+  try {
+    if (!customer) {
+      throw new Error('Failed to initialize Google Ads client');
+    }
+
+    const connection = await getDbConnection();
+    try {
+      const audit = await auditGeoExclusions(customer, connection, { days: parseInt(req.query.days) || DEFAULT_DAYS });
+      const plan = filterPlan(audit.plan, parseFilters(req.query));
+
+      const result = {
+        success: true,
+        ...audit,
+        plan,
+        plan_spend: Math.round(plan.reduce((sum, entry) => sum + entry.cost, 0) * 100) / 100,
+        timestamp: new Date().toISOString()
+      };
+      res.json(await fxRates.convertReport(getDbConnection, result, { currency: req.query.currency, moneyFields: MONEY_FIELDS }));
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    console.error('❌ Geo audit failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Handle plan apply route - turns the (filtered) plan into pending geo_exclusion changes
+ * that go through approval and apply like any other change (?dry_run=true to preview)
+ * Body: { min_cost, gap_types, campaign_ids } - proposed by the authenticated user
+ */
+async function handleApplyGeoAuditPlan(req, res, customer, getDbConnection) {
+  try {
+    if (!customer) {
+      throw new Error('Failed to initialize Google Ads client');
+    }
+
+    const body = req.body || {};
+    const dryRun = req.query.dry_run === 'true';
+    const proposedBy = dryRun ? null : users.requireUser(req);
+
+    const days = parseInt(req.query.days) || DEFAULT_DAYS;
+    const connection = await getDbConnection();
+    try {
+      const audit = await auditGeoExclusions(customer, connection, { days });
+      const plan = filterPlan(audit.plan, parseFilters(body));
+
+      if (dryRun) {
+        return res.json({
+          success: true,
+          dry_run: true,
+          account_id: audit.account_id,
+          would_propose: plan.length,
+          plan,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const changeProposals = require('./change-proposals');
+      const result = await changeProposals.createProposals(connection, audit.account_id, plan.map(entry => ({
+        change_type: changeProposals.CHANGE_TYPES.GEO_EXCLUSION,
+        target_id: entry.campaign_id,
+        target_name: entry.campaign_name,
+        current_value: { excluded: false },
+        proposed_value: {
+          excluded: true,
+          geo_target_constant_id: entry.operation.resource.location.geo_target_constant.replace('geoTargetConstants/', ''),
+          country_code: entry.country_code
+        },
+        reason: `Geo audit: ${entry.country_code} is red and ${entry.gap.replace('_', ' ')} (€${entry.cost.toFixed(2)} in the last ${days} days)`
+      })), { proposedBy, source: 'geo_audit' });
+
+      console.log(`📝 Geo audit proposed ${result.created.length} exclusions (${result.skipped} already open)`);
+
+      res.json({
+        success: true,
+        account_id: audit.account_id,
+        proposed: result.created.length,
+        skipped_open: result.skipped,
+        change_ids: result.created,
+        next_step: 'Approve each change at POST /gads/google-ads/changes/:id/approve, then apply it',
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    console.error('❌ Geo audit plan failed:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  MONEY_FIELDS,
+  auditGeoExclusions,
+  handleGeoAudit,
+  handleApplyGeoAuditPlan
+};
@@ -0,0 +1,292 @@
+/**
+ * Google Ads Country Spend Module
+ * /scripts/google/geo-spend.js
+ *
+ * Daily spend per user country so territory analysis can use real euros instead of
+ * contact counts:
+ * - user_location_view: where the user physically was
+ * - geographic_view: location the ad was served for (presence or interest)
+ * Both are stored in gads_country_metrics keyed by ISO country code, one row per
+ * campaign/country/day/source.
+ */
+
+const accounts = require('./accounts');
+const fxRates = require('../currency/fx-rates');
+const { buildDateCondition, describeRange } = require('./adgroup-sync');
+
+const SOURCES = {
+  USER_LOCATION: 'user_location',
+  GEOGRAPHIC: 'geographic'
+};
+
+/**
+ * Sync per-country daily spend for the given campaigns
+ * @param {Object} customer - Google Ads customer client
+ * @param {Object} connection - Open database connection
+ * @param {Array} campaigns - Rows with google_campaign_id (from gads_campaigns)
+ * @param {Object} range - Either { days } or { startDate, endDate }
+ * @returns {Object} Counts of synced rows and API calls
+ */
+async function syncCountrySpend(customer, connection, campaigns, range) {
+  try {
+    if (!campaigns || campaigns.length === 0) {
+      console.log('⚠️ No campaigns for country spend');
+      return { country_metrics_synced: 0, api_calls_used: 0 };
+    }
+
+    const accountId = accounts.getAccountId(customer);
+    const money = await fxRates.getAccountMoney(connection, accountId);
+    const campaignIds = campaigns.map(c => c.google_campaign_id).join(',');
+    const dateCondition = buildDateCondition(range);
+    let apiCalls = 0;
+
+    console.log(`🌍 Syncing country spend for ${campaigns.length} campaigns (${describeRange(range)})...`);
+
+    const userLocationResults = await customer.query(`
+      SELECT
+        campaign.id,
+        user_location_view.country_criterion_id,
+        segments.date,
+        metrics.impressions,
+        metrics.clicks,
+        metrics.cost_micros,
+        metrics.conversions
+      FROM user_location_view
+      WHERE campaign.id IN (${campaignIds})
+        AND ${dateCondition}
+    `);
+    apiCalls++;
+
+    const geographicResults = await customer.query(`
+      SELECT
+        campaign.id,
+        geographic_view.country_criterion_id,
+        geographic_view.location_type,
+        segments.date,
+        metrics.impressions,
+        metrics.clicks,
+        metrics.cost_micros,
+        metrics.conversions
+      FROM geographic_view
+      WHERE campaign.id IN (${campaignIds})
+        AND ${dateCondition}
+    `);
+    apiCalls++;
+
+    const rows = [
+      ...aggregateRows(userLocationResults, 'user_location_view', SOURCES.USER_LOCATION, money),
+      ...aggregateRows(geographicResults, 'geographic_view', SOURCES.GEOGRAPHIC, money)
+    ];
+
+    const criterionIds = [...new Set(rows.map(r => r.country_criterion_id).filter(Boolean))];
+    const lookup = await lookupCountryCodes(customer, criterionIds);
+    apiCalls += lookup.api_calls_used;
+
+    let synced = 0;
+    let unmapped = 0;
+
+    for (const row of rows) {
+      const countryCode = lookup.codes.get(row.country_criterion_id);
+      if (!countryCode) {
+        unmapped++;
+        continue;
+      }
+
+      await upsertCountryMetrics(connection, { ...row, country_code: countryCode, account_id: accountId });
+      synced++;
+    }
+
+    console.log(`   ✅ ${synced} country spend rows${unmapped > 0 ? ` (${unmapped} without a country code skipped)` : ''}`);
+
+    return {
+      country_metrics_synced: synced,
+      api_calls_used: apiCalls
+    };
+
+  } catch (error) {
+    console.error('❌ Country spend sync failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sum rows per campaign/country/day - geographic_view splits by location type
+ */
+function aggregateRows(results, viewName, source, money) {
+  const totals = new Map();
+
+  for (const row of results) {
+    const criterionId = row[viewName]?.country_criterion_id?.toString();
+    const key = `${row.campaign.id}|${criterionId}|${row.segments.date}`;
+
+    if (!totals.has(key)) {
+      totals.set(key, {
+        google_campaign_id: row.campaign.id?.toString(),
+        country_criterion_id: criterionId,
+        date: row.segments.date,
+        source,
+        impressions: 0,
+        clicks: 0,
+        cost_micros: 0,
+        conversions: 0
+      });
+    }
+
+    const total = totals.get(key);
+    total.impressions += row.metrics.impressions || 0;
+    total.clicks += row.metrics.clicks || 0;
+    total.cost_micros += row.metrics.cost_micros || 0;
+    total.conversions += row.metrics.conversions || 0;
+  }
+
+  return Array.from(totals.values()).map(row => ({
+    ...row,
+    cost_eur: money.fromMicros(row.cost_micros, row.date)
+  }));
+}
+
+/**
+ * Resolve country criterion IDs (e.g. 2826) to ISO codes (e.g. GB)
+ */
+async function lookupCountryCodes(customer, criterionIds) {
+  const codes = new Map();
+  let apiCalls = 0;
+
+  // Batch location queries (max 50 at a time), same as targeting sync
+  const batchSize = 50;
+  for (let i = 0; i < criterionIds.length; i += batchSize) {
+    const batch = criterionIds.slice(i, i + batchSize);
+
+    const results = await customer.query(`
+      SELECT
+        geo_target_constant.id,
+        geo_target_constant.country_code
+      FROM geo_target_constant
+      WHERE geo_target_constant.id IN (${batch.join(',')})
+    `);
+    apiCalls++;
+
+    results.forEach(row => {
+      const geo = row.geo_target_constant;
+      if (geo.country_code) {
+        codes.set(geo.id?.toString(), geo.country_code.toUpperCase());
+      }
+    });
+  }
+
+  return { codes, api_calls_used: apiCalls };
+}
+
+async function upsertCountryMetrics(connection, data) {
+  await connection.execute(`
+    INSERT INTO gads_country_metrics (
+      google_campaign_id, country_code, date, source, account_id, country_criterion_id,
+      impressions, clicks, cost_micros, cost_eur, conversions
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      account_id = VALUES(account_id),
+      country_criterion_id = VALUES(country_criterion_id),
+      impressions = VALUES(impressions),
+      clicks = VALUES(clicks),
+      cost_micros = VALUES(cost_micros),
+      cost_eur = VALUES(cost_eur),
+      conversions = VALUES(conversions),
+      synced_at = CURRENT_TIMESTAMP
+  `, [
+    data.google_campaign_id, data.country_code, data.date, data.source, data.account_id, data.country_criterion_id,
+    data.impressions, data.clicks, data.cost_micros, data.cost_eur, data.conversions
+  ]);
+}
+
+/**
+ * Spend per country joined with country_rules and Google Ads leads from hub_contacts
+ * @param {Object} connection - Open database connection
+ * @param {Object} options - { startDate, endDate, startTime, endTime, source, leadCondition }
+ *   startDate/endDate are account-local days for the spend; startTime/endTime bound the
+ *   lead timestamps (default: the same dates, see analytics/date-range.js).
+ *   leadCondition is a SQL filter on hub_contacts aliased as c (e.g. Google Ads attribution)
+ * @returns {Array} One row per country with spend, status and lead counts
+ */
+async function getCountrySpend(connection, options = {}) {
+  const {
+    startDate,
+    endDate,
+    startTime = startDate,
+    endTime = endDate,
+    source = SOURCES.USER_LOCATION,
+    leadCondition = '1=1'
+  } = options;
+
+  const spendQuery = `
+    SELECT
+      country_code,
+      SUM(impressions) as impressions,
+      SUM(clicks) as clicks,
+      SUM(cost_eur) as cost,
+      SUM(conversions) as conversions
+    FROM gads_country_metrics
+    WHERE source = ?
+      AND date >= DATE(?)
+      AND date <= DATE(?)
+    GROUP BY country_code
+  `;
+
+  const leadsQuery = `
+    SELECT
+      c.country_code,
+      COUNT(*) as leads,
+      COUNT(CASE WHEN c.num_associated_deals > 0 THEN 1 END) as leads_with_deals
+    FROM hub_contacts c
+    WHERE ${leadCondition}
+      AND c.createdate >= ?
+      AND c.createdate <= ?
+      AND c.country_code IS NOT NULL
+    GROUP BY c.country_code
+  `;
+
+  // Countries with spend and countries with leads - either side may be missing
+  const [rows] = await connection.execute(`
+    SELECT
+      k.country_code,
+      COALESCE(cr.country_name, k.country_code) as country_name,
+      COALESCE(cr.status, 'unknown') as territory_status,
+      COALESCE(s.impressions, 0) as impressions,
+      COALESCE(s.clicks, 0) as clicks,
+      COALESCE(s.cost, 0) as cost,
+      COALESCE(s.conversions, 0) as conversions,
+      COALESCE(l.leads, 0) as leads,
+      COALESCE(l.leads_with_deals, 0) as leads_with_deals
+    FROM (
+      SELECT country_code FROM (${spendQuery}) spend_keys
+      UNION
+      SELECT country_code FROM (${leadsQuery}) lead_keys
+    ) k
+    LEFT JOIN (${spendQuery}) s ON s.country_code = k.country_code
+    LEFT JOIN (${leadsQuery}) l ON l.country_code = k.country_code
+    LEFT JOIN country_rules cr ON cr.country_code = k.country_code
+    ORDER BY cost DESC, leads DESC
+  `, [
+    source, startDate, endDate,
+    startTime, endTime,
+    source, startDate, endDate,
+    startTime, endTime
+  ]);
+
+  return rows.map(row => ({
+    country_code: row.country_code,
+    country_name: row.country_name,
+    territory_status: row.territory_status,
+    impressions: parseInt(row.impressions) || 0,
+    clicks: parseInt(row.clicks) || 0,
+    cost: parseFloat(row.cost) || 0,
+    conversions: parseFloat(row.conversions) || 0,
+    leads: parseInt(row.leads) || 0,
+    leads_with_deals: parseInt(row.leads_with_deals) || 0
+  }));
+}
+
+module.exports = {
+  SOURCES,
+  syncCountrySpend,
+  getCountrySpend
+};
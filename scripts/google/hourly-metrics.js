@@ -0,0 +1,106 @@
+/**
+ * Google Ads Hourly Metrics Module
+ * /scripts/google/hourly-metrics.js
+ *
+ * Campaign performance per day and hour of day (segments.date + segments.hour, with
+ * segments.day_of_week) in gads_hourly_metrics. Hours are in the account's time zone,
+ * so the heatmap lines them up with HubSpot contacts converted to that zone.
+ */
+
+const accounts = require('./accounts');
+const gaql = require('./gaql');
+const fxRates = require('../currency/fx-rates');
+const bulkWrite = require('../db/bulk-write');
+const { buildDateCondition, describeRange } = require('./adgroup-sync');
+
+// DayOfWeek enum (MONDAY = 2 ... SUNDAY = 8) → ISO weekday (1 = Monday ... 7 = Sunday)
+const DAY_OF_WEEK_OFFSET = 1;
+
+const HOURLY_METRIC_COLUMNS = [
+  'google_campaign_id', 'date', 'hour', 'day_of_week', 'account_id',
+  'impressions', 'clicks', 'cost_micros', 'cost_eur', 'conversions'
+];
+
+/**
+ * Sync hourly metrics for the given campaigns
+ * @param {Object} customer - Google Ads customer client
+ * @param {Object} connection - Open database connection
+ * @param {Array} campaigns - Rows with google_campaign_id (from gads_campaigns)
+ * @param {Object} range - Either { days } or { startDate, endDate }
+ * @returns {Object} Counts of synced rows and API calls
+ */
+async function syncHourlyMetrics(customer, connection, campaigns, range) {
+  try {
+    if (!campaigns || campaigns.length === 0) {
+      console.log('⚠️ No campaigns for hourly metrics');
+      return { hourly_metrics_synced: 0, api_calls_used: 0 };
+    }
+
+    const accountId = accounts.getAccountId(customer);
+    const money = await fxRates.getAccountMoney(connection, accountId);
+    const campaignIds = campaigns.map(c => c.google_campaign_id);
+
+    console.log(`🕐 Syncing hourly metrics for ${campaigns.length} campaigns (${describeRange(range)})...`);
+
+    const results = await gaql.queryInChunks(customer, 'campaign.id', campaignIds, inCondition => `
+      SELECT
+        campaign.id,
+        segments.date,
+        segments.hour,
+        segments.day_of_week,
+        metrics.impressions,
+        metrics.clicks,
+        metrics.cost_micros,
+        metrics.conversions
+      FROM campaign
+      WHERE ${inCondition}
+        AND ${buildDateCondition(range)}
+    `);
+
+    const rows = results.map(row => ({
+      google_campaign_id: row.campaign.id?.toString(),
+      date: row.segments.date,
+      hour: row.segments.hour,
+      day_of_week: toIsoWeekday(row.segments.day_of_week, row.segments.date),
+      account_id: accountId,
+      impressions: row.metrics?.impressions || 0,
+      clicks: row.metrics?.clicks || 0,
+      cost_micros: row.metrics?.cost_micros || 0,
+      cost_eur: money.fromMicros(row.metrics?.cost_micros, row.segments.date),
+      conversions: row.metrics?.conversions || 0
+    }));
+
+    const write = await bulkWrite.bulkUpsert(connection, 'gads_hourly_metrics', rows, {
+      columns: HOURLY_METRIC_COLUMNS,
+      keys: ['google_campaign_id', 'date', 'hour'],
+      touch: 'synced_at = CURRENT_TIMESTAMP'
+    });
+
+    console.log(`   ✅ ${write.rows} hourly metric rows`);
+
+    return {
+      hourly_metrics_synced: write.rows,
+      write,
+      api_calls_used: Math.ceil(campaignIds.length / gaql.MAX_IN_LIST_SIZE)
+    };
+
+  } catch (error) {
+    console.error('❌ Hourly metrics sync failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * ISO weekday from the DayOfWeek enum, or from the date when the enum is missing
+ */
+function toIsoWeekday(dayOfWeek, date) {
+  if (typeof dayOfWeek === 'number' && dayOfWeek >= 2 && dayOfWeek <= 8) {
+    return dayOfWeek - DAY_OF_WEEK_OFFSET;
+  }
+  const [y, m, d] = String(date).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay() || 7;
+}
+
+module.exports = {
+  syncHourlyMetrics
+};
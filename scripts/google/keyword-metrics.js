@@ -0,0 +1,391 @@
+/**
+ * Google Ads Keyword Metrics Module
+ * /scripts/google/keyword-metrics.js
+ *
+ * Daily keyword performance and Quality Score history:
+ * - gads_keyword_metrics: one row per keyword per day, including the historical_*
+ *   quality metrics Google reports per date
+ * - gads_keyword_quality: snapshot of ad_group_criterion.quality_info on each sync day,
+ *   so we keep the current components even for days the historical metrics don't cover
+ * Keywords are identified by ad group + criterion ID (criterion IDs are only unique
+ * within their ad group), written "adgroupId~criterionId" like Google's resource names.
+ */
+
+const accounts = require('./accounts');
+const fxRates = require('../currency/fx-rates');
+const { buildDateCondition, describeRange } = require('./adgroup-sync');
+
+// EUR amounts in getKeywordHistory results, as fxRates.convertReport paths
+const MONEY_FIELDS = ['summary.total_cost', 'summary.average_cpc', 'history[].cost', 'history[].cpc'];
+
+// QualityScoreBucket enum
+const QUALITY_BUCKETS = {
+  2: 'BELOW_AVERAGE',
+  3: 'AVERAGE',
+  4: 'ABOVE_AVERAGE'
+};
+
+/**
+ * Sync daily keyword metrics for the given Search campaigns
+ * @param {Object} customer - Google Ads customer client
+ * @param {Object} connection - Open database connection
+ * @param {Array} campaigns - Rows with google_campaign_id (from gads_campaigns)
+ * @param {Object} range - Either { days } or { startDate, endDate }
+ * @param {Object} options - { snapshotQuality } also store today's quality_info
+ * @returns {Object} Counts of synced rows and API calls
+ */
+async function syncKeywordMetrics(customer, connection, campaigns, range, options = {}) {
+  try {
+    if (!campaigns || campaigns.length === 0) {
+      console.log('⚠️ No Search campaigns for keyword metrics');
+      return { keyword_metrics_synced: 0, keyword_quality_snapshots: 0, api_calls_used: 0 };
+    }
+
+    const accountId = accounts.getAccountId(customer);
+    const money = await fxRates.getAccountMoney(connection, accountId);
+    const campaignIds = campaigns.map(c => c.google_campaign_id).join(',');
+    let apiCalls = 0;
+
+    console.log(`🔑 Syncing keyword metrics for ${campaigns.length} Search campaigns (${describeRange(range)})...`);
+
+    const results = await customer.query(`
+      SELECT
+        campaign.id,
+        ad_group.id,
+        ad_group_criterion.criterion_id,
+        ad_group_criterion.keyword.text,
+        ad_group_criterion.keyword.match_type,
+        ad_group_criterion.status,
+        segments.date,
+        metrics.impressions,
+        metrics.clicks,
+        metrics.ctr,
+        metrics.average_cpc,
+        metrics.cost_micros,
+        metrics.conversions,
+        metrics.historical_quality_score,
+        metrics.historical_search_predicted_ctr,
+        metrics.historical_creative_quality_score,
+        metrics.historical_landing_page_quality_score
+      FROM keyword_view
+      WHERE campaign.id IN (${campaignIds})
+        AND ${buildDateCondition(range)}
+        AND ad_group_criterion.status != 'REMOVED'
+      ORDER BY segments.date DESC
+    `);
+    apiCalls++;
+
+    let metricsSynced = 0;
+
+    for (const row of results) {
+      const criterion = row.ad_group_criterion;
+      const metrics = row.metrics || {};
+
+      await upsertKeywordMetrics(connection, {
+        google_adgroup_id: row.ad_group.id?.toString(),
+        google_criterion_id: criterion.criterion_id?.toString(),
+        date: row.segments.date,
+        account_id: accountId,
+        google_campaign_id: row.campaign.id?.toString(),
+        keyword_text: criterion.keyword?.text || null,
+        match_type: criterion.keyword?.match_type,
+        status: criterion.status,
+        impressions: metrics.impressions || 0,
+        clicks: metrics.clicks || 0,
+        cost_micros: metrics.cost_micros || 0,
+        cost_eur: money.fromMicros(metrics.cost_micros, row.segments.date),
+        conversions: metrics.conversions || 0,
+        ctr: metrics.ctr ? (metrics.ctr * 100) : 0,
+        cpc_micros: metrics.average_cpc || 0,
+        cpc_eur: money.fromMicros(metrics.average_cpc, row.segments.date),
+        quality_score: metrics.historical_quality_score || null,
+        expected_ctr: metrics.historical_search_predicted_ctr || null,
+        ad_relevance: metrics.historical_creative_quality_score || null,
+        landing_page_experience: metrics.historical_landing_page_quality_score || null
+      });
+      metricsSynced++;
+    }
+
+    console.log(`   ✅ ${metricsSynced} keyword metric rows`);
+
+    let snapshots = 0;
+
+    if (options.snapshotQuality) {
+      const snapshot = await snapshotQualityInfo(customer, connection, campaignIds, accountId);
+      snapshots = snapshot.snapshots;
+      apiCalls += snapshot.api_calls_used;
+    }
+
+    return {
+      keyword_metrics_synced: metricsSynced,
+      keyword_quality_snapshots: snapshots,
+      api_calls_used: apiCalls
+    };
+
+  } catch (error) {
+    console.error('❌ Keyword metrics sync failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store today's quality_info for every keyword in the campaigns
+ */
+async function snapshotQualityInfo(customer, connection, campaignIds, accountId) {
+  console.log('⭐ Snapshotting keyword quality info...');
+
+  const results = await customer.query(`
+    SELECT
+      campaign.id,
+      ad_group.id,
+      ad_group_criterion.criterion_id,
+      ad_group_criterion.quality_info.quality_score,
+      ad_group_criterion.quality_info.search_predicted_ctr,
+      ad_group_criterion.quality_info.creative_quality_score,
+      ad_group_criterion.quality_info.post_click_quality_score
+    FROM keyword_view
+    WHERE campaign.id IN (${campaignIds})
+      AND ad_group_criterion.status != 'REMOVED'
+  `);
+
+  let snapshots = 0;
+
+  for (const row of results) {
+    const quality = row.ad_group_criterion.quality_info || {};
+
+    await connection.execute(`
+      INSERT INTO gads_keyword_quality (
+        google_adgroup_id, google_criterion_id, snapshot_date, account_id, google_campaign_id,
+        quality_score, expected_ctr, ad_relevance, landing_page_experience
+      ) VALUES (?, ?, CURDATE(), ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        account_id = VALUES(account_id),
+        quality_score = VALUES(quality_score),
+        expected_ctr = VALUES(expected_ctr),
+        ad_relevance = VALUES(ad_relevance),
+        landing_page_experience = VALUES(landing_page_experience),
+        synced_at = CURRENT_TIMESTAMP
+    `, [
+      row.ad_group.id?.toString(), row.ad_group_criterion.criterion_id?.toString(), accountId,
+      row.campaign.id?.toString(),
+      quality.quality_score || null, quality.search_predicted_ctr || null,
+      quality.creative_quality_score || null, quality.post_click_quality_score || null
+    ]);
+    snapshots++;
+  }
+
+  console.log(`   ✅ ${snapshots} quality snapshots`);
+
+  return { snapshots, api_calls_used: 1 };
+}
+
+async function upsertKeywordMetrics(connection, data) {
+  await connection.execute(`
+    INSERT INTO gads_keyword_metrics (
+      google_adgroup_id, google_criterion_id, date, account_id, google_campaign_id,
+      keyword_text, match_type, status, impressions, clicks, cost_micros, cost_eur,
+      conversions, ctr, cpc_micros, cpc_eur,
+      quality_score, expected_ctr, ad_relevance, landing_page_experience
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      account_id = VALUES(account_id),
+      keyword_text = VALUES(keyword_text),
+      match_type = VALUES(match_type),
+      status = VALUES(status),
+      impressions = VALUES(impressions),
+      clicks = VALUES(clicks),
+      cost_micros = VALUES(cost_micros),
+      cost_eur = VALUES(cost_eur),
+      conversions = VALUES(conversions),
+      ctr = VALUES(ctr),
+      cpc_micros = VALUES(cpc_micros),
+      cpc_eur = VALUES(cpc_eur),
+      quality_score = VALUES(quality_score),
+      expected_ctr = VALUES(expected_ctr),
+      ad_relevance = VALUES(ad_relevance),
+      landing_page_experience = VALUES(landing_page_experience),
+      synced_at = CURRENT_TIMESTAMP
+  `, [
+    data.google_adgroup_id, data.google_criterion_id, data.date, data.account_id, data.google_campaign_id,
+    data.keyword_text, data.match_type, data.status, data.impressions, data.clicks,
+    data.cost_micros, data.cost_eur, data.conversions, data.ctr, data.cpc_micros, data.cpc_eur,
+    data.quality_score, data.expected_ctr, data.ad_relevance, data.landing_page_experience
+  ]);
+}
+
+/**
+ * Parse a keyword ID: "adgroupId~criterionId" or a bare criterion ID (+ optional ad group)
+ */
+function parseKeywordId(id, adGroupId) {
+  const [first, second] = String(id || '').split('~');
+  const keyword = second
+    ? { adGroupId: first, criterionId: second }
+    : { adGroupId: adGroupId || null, criterionId: first };
+
+  if (!/^\d+$/.test(keyword.criterionId || '') ||
+      (keyword.adGroupId && !/^\d+$/.test(keyword.adGroupId))) {
+    return null;
+  }
+  return keyword;
+}
+
+/**
+ * Quality Score and CPC trend for one keyword
+ * @param {Function} getDbConnection - Database connection function
+ * @param {Object} keyword - { criterionId, adGroupId } from parseKeywordId
+ * @param {Object} options - { days } (default: 90)
+ */
+async function getKeywordHistory(getDbConnection, keyword, options = {}) {
+  const days = options.days || 90;
+  const connection = await getDbConnection();
+
+  try {
+    const adGroupFilter = keyword.adGroupId ? 'AND m.google_adgroup_id = ?' : '';
+    const params = keyword.adGroupId
+      ? [keyword.criterionId, keyword.adGroupId, days]
+      : [keyword.criterionId, days];
+
+    // Quality from the daily metrics, falling back to that day's quality_info snapshot
+    const [rows] = await connection.execute(`
+      SELECT
+        m.google_adgroup_id,
+        m.google_campaign_id,
+        m.keyword_text,
+        m.match_type,
+        DATE_FORMAT(m.date, '%Y-%m-%d') as date,
+        m.impressions,
+        m.clicks,
+        m.cost_eur,
+        m.conversions,
+        m.ctr,
+        m.cpc_eur,
+        COALESCE(m.quality_score, q.quality_score) as quality_score,
+        COALESCE(m.expected_ctr, q.expected_ctr) as expected_ctr,
+        COALESCE(m.ad_relevance, q.ad_relevance) as ad_relevance,
+        COALESCE(m.landing_page_experience, q.landing_page_experience) as landing_page_experience
+      FROM gads_keyword_metrics m
+      LEFT JOIN gads_keyword_quality q ON q.google_adgroup_id = m.google_adgroup_id
+        AND q.google_criterion_id = m.google_criterion_id
+        AND q.snapshot_date = m.date
+      WHERE m.google_criterion_id = ?
+        ${adGroupFilter}
+        AND m.date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+      ORDER BY m.date ASC
+    `, params);
+
+    if (rows.length === 0) {
+      return {
+        success: false,
+        error: 'No keyword metrics found for this keyword - run a sync first',
+        keyword_id: formatKeywordId(keyword),
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const adGroups = [...new Set(rows.map(r => r.google_adgroup_id))];
+    if (adGroups.length > 1) {
+      return {
+        success: false,
+        error: 'Criterion ID is used in several ad groups - pass adgroupId~criterionId or ?adgroup=',
+        ad_groups: adGroups,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const [campaign] = await connection.execute(`
+      SELECT campaign_name FROM gads_campaigns WHERE google_campaign_id = ?
+    `, [rows[0].google_campaign_id]);
+
+    const history = rows.map(r => ({
+      date: r.date,
+      impressions: parseInt(r.impressions) || 0,
+      clicks: parseInt(r.clicks) || 0,
+      cost: (parseFloat(r.cost_eur) || 0).toFixed(2),
+      conversions: parseFloat(r.conversions) || 0,
+      ctr: parseFloat(r.ctr) || 0,
+      cpc: (parseFloat(r.cpc_eur) || 0).toFixed(2),
+      quality_score: r.quality_score !== null ? parseInt(r.quality_score) : null,
+      expected_ctr: QUALITY_BUCKETS[r.expected_ctr] || null,
+      ad_relevance: QUALITY_BUCKETS[r.ad_relevance] || null,
+      landing_page_experience: QUALITY_BUCKETS[r.landing_page_experience] || null
+    }));
+
+    const scored = history.filter(h => h.quality_score !== null);
+    const totalCost = history.reduce((sum, h) => sum + parseFloat(h.cost), 0);
+    const totalClicks = history.reduce((sum, h) => sum + h.clicks, 0);
+    const latest = rows[rows.length - 1];
+
+    return {
+      success: true,
+      keyword_id: formatKeywordId({ adGroupId: latest.google_adgroup_id, criterionId: keyword.criterionId }),
+      keyword: {
+        text: latest.keyword_text,
+        match_type: latest.match_type,
+        adgroup_id: latest.google_adgroup_id,
+        campaign_id: latest.google_campaign_id,
+        campaign_name: campaign[0]?.campaign_name || null
+      },
+      period: `Last ${days} days`,
+      summary: {
+        days_with_data: history.length,
+        total_cost: totalCost.toFixed(2),
+        total_clicks: totalClicks,
+        average_cpc: totalClicks > 0 ? (totalCost / totalClicks).toFixed(2) : '0.00',
+        first_quality_score: scored.length > 0 ? scored[0].quality_score : null,
+        latest_quality_score: scored.length > 0 ? scored[scored.length - 1].quality_score : null,
+        quality_score_change: scored.length > 1
+          ? scored[scored.length - 1].quality_score - scored[0].quality_score
+          : 0
+      },
+      history,
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    await connection.end();
+  }
+}
+
+function formatKeywordId(keyword) {
+  return keyword.adGroupId ? `${keyword.adGroupId}~${keyword.criterionId}` : keyword.criterionId;
+}
+
+/**
+ * Handle keyword history route
+ */
+async function handleKeywordHistory(req, res, getDbConnection) {
+  try {
+    const keyword = parseKeywordId(req.params.id, req.query.adgroup);
+
+    if (!keyword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Keyword ID must be a numeric criterion ID or adgroupId~criterionId',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const days = parseInt(req.query.days) || 90;
+    const result = await getKeywordHistory(getDbConnection, keyword, { days });
+    res.status(result.success ? 200 : 404).json(await fxRates.convertReport(getDbConnection, result, {
+      currency: req.query.currency,
+      moneyFields: MONEY_FIELDS
+    }));
+
+  } catch (error) {
+    console.error('❌ Keyword history failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  MONEY_FIELDS,
+  syncKeywordMetrics,
+  getKeywordHistory,
+  // Route handlers
+  handleKeywordHistory
+};
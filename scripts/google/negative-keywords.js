@@ -0,0 +1,830 @@
+/**
+ * Google Ads Negative Keywords Module
+ * /scripts/google/negative-keywords.js
+ *
+ * - Sync: shared negative keyword lists, the campaigns using them and campaign-level
+ *   negatives into MySQL (a snapshot per account, replaced on every sync)
+ * - Proposals: negatives suggested from country_rules and the search terms report
+ *     red territories     - every country name / nationality word, phrase match, for the
+ *                           territory list, whether or not it has cost us yet
+ *     yellow territories  - only words that already showed up in paid search terms
+ *     zero-lead spend     - terms with at least min_cost spend, no conversions and no
+ *                           HubSpot contact carrying the term, exact match on their campaign
+ * - Review / apply: approved proposals go out through the Google Ads mutate API; every
+ *   attempt is logged in gads_negative_keyword_changes
+ *
+ * The territory list is the shared set named GADS_NEGATIVE_LIST_NAME (default
+ * "Territory Negatives") unless shared_set_id is given.
+ */
+
+const accounts = require('./accounts');
+const gaql = require('./gaql');
+const bulkWrite = require('../db/bulk-write');
+const { schemaHelpers } = require('../db/migrate');
+const { loadTerritoryMatchers } = require('../country/territory-terms');
+
+// KeywordMatchType enum values as the API returns them
+const MATCH_TYPES = {
+  2: 'EXACT',
+  3: 'PHRASE',
+  4: 'BROAD'
+};
+
+const LEVELS = {
+  SHARED_SET: 'shared_set',
+  CAMPAIGN: 'campaign'
+};
+
+const PROPOSAL_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  APPLIED: 'applied',
+  FAILED: 'failed'
+};
+
+const REASONS = {
+  RED_TERRITORY: 'red_territory',
+  YELLOW_TERRITORY: 'yellow_territory',
+  ZERO_LEAD_SPEND: 'zero_lead_spend'
+};
+
+const DEFAULT_LIST_NAME = 'Territory Negatives';
+const DEFAULT_DAYS = 30;
+const DEFAULT_MIN_COST = 20;
+const MAX_TERM_PROPOSALS = 200;
+
+// Google Ads keyword limits
+const MAX_KEYWORD_LENGTH = 80;
+const MAX_KEYWORD_WORDS = 10;
+
+function getMatchTypeName(value) {
+  return MATCH_TYPES[value] || (typeof value === 'string' ? value : `UNKNOWN_${value}`);
+}
+
+function isValidKeyword(text) {
+  return text && text.length <= MAX_KEYWORD_LENGTH && text.trim().split(/\s+/).length <= MAX_KEYWORD_WORDS;
+}
+
+/**
+ * Sync negative keyword lists and campaign negatives for one account
+ * @param {Object} customer - Google Ads customer client
+ * @param {Object} connection - Open database connection
+ * @returns {Object} Counts of synced rows
+ */
+async function syncNegativeKeywords(customer, connection) {
+  try {
+    const accountId = accounts.getAccountId(customer);
+    console.log(`🚫 Syncing negative keywords for account ${accountId}...`);
+
+    const sharedSets = await customer.query(`
+      SELECT
+        shared_set.id,
+        shared_set.name,
+        shared_set.status,
+        shared_set.member_count,
+        shared_set.reference_count
+      FROM shared_set
+      WHERE shared_set.type = 'NEGATIVE_KEYWORDS'
+        AND shared_set.status = 'ENABLED'
+    `);
+
+    const sharedCriteria = await customer.query(`
+      SELECT
+        shared_criterion.resource_name,
+        shared_criterion.criterion_id,
+        shared_criterion.keyword.text,
+        shared_criterion.keyword.match_type,
+        shared_set.id
+      FROM shared_criterion
+      WHERE shared_set.type = 'NEGATIVE_KEYWORDS'
+        AND shared_set.status = 'ENABLED'
+        AND shared_criterion.type = 'KEYWORD'
+    `);
+
+    const campaignLinks = await customer.query(`
+      SELECT
+        campaign.id,
+        shared_set.id
+      FROM campaign_shared_set
+      WHERE shared_set.type = 'NEGATIVE_KEYWORDS'
+        AND campaign_shared_set.status = 'ENABLED'
+        AND campaign.status != 'REMOVED'
+    `);
+
+    const campaignCriteria = await customer.query(`
+      SELECT
+        campaign_criterion.resource_name,
+        campaign_criterion.criterion_id,
+        campaign_criterion.keyword.text,
+        campaign_criterion.keyword.match_type,
+        campaign.id
+      FROM campaign_criterion
+      WHERE campaign_criterion.type = 'KEYWORD'
+        AND campaign_criterion.negative = TRUE
+        AND campaign_criterion.status != 'REMOVED'
+        AND campaign.status != 'REMOVED'
+    `);
+
+    const sharedSetRows = sharedSets.map(row => ({
+      account_id: accountId,
+      shared_set_id: row.shared_set.id?.toString(),
+      name: row.shared_set.name,
+      status: 'ENABLED',
+      member_count: row.shared_set.member_count || 0,
+      reference_count: row.shared_set.reference_count || 0
+    }));
+
+    const linkRows = campaignLinks.map(row => ({
+      account_id: accountId,
+      google_campaign_id: row.campaign.id?.toString(),
+      shared_set_id: row.shared_set.id?.toString()
+    }));
+
+    const negativeRows = [
+      ...sharedCriteria.map(row => ({
+        resource_name: row.shared_criterion.resource_name,
+        account_id: accountId,
+        level: LEVELS.SHARED_SET,
+        parent_id: row.shared_set.id?.toString(),
+        criterion_id: row.shared_criterion.criterion_id?.toString(),
+        keyword_text: row.shared_criterion.keyword?.text,
+        match_type: getMatchTypeName(row.shared_criterion.keyword?.match_type)
+      })),
+      ...campaignCriteria.map(row => ({
+        resource_name: row.campaign_criterion.resource_name,
+        account_id: accountId,
+        level: LEVELS.CAMPAIGN,
+        parent_id: row.campaign.id?.toString(),
+        criterion_id: row.campaign_criterion.criterion_id?.toString(),
+        keyword_text: row.campaign_criterion.keyword?.text,
+        match_type: getMatchTypeName(row.campaign_criterion.keyword?.match_type)
+      }))
+    ].filter(row => row.keyword_text);
+
+    // Snapshot tables - removed lists and negatives must disappear too
+    const writeStats = bulkWrite.createWriteStats();
+    await bulkWrite.withTransaction(connection, async () => {
+      await connection.execute('DELETE FROM gads_shared_sets WHERE account_id = ?', [accountId]);
+      await connection.execute('DELETE FROM gads_campaign_shared_sets WHERE account_id = ?', [accountId]);
+      await connection.execute('DELETE FROM gads_negative_keywords WHERE account_id = ?', [accountId]);
+
+      await bulkWrite.bulkUpsert(connection, 'gads_shared_sets', sharedSetRows, {
+        keys: ['account_id', 'shared_set_id'], touch: 'synced_at = CURRENT_TIMESTAMP', stats: writeStats
+      });
+      await bulkWrite.bulkUpsert(connection, 'gads_campaign_shared_sets', linkRows, {
+        keys: ['account_id', 'google_campaign_id', 'shared_set_id'], touch: 'synced_at = CURRENT_TIMESTAMP', stats: writeStats
+      });
+      await bulkWrite.bulkUpsert(connection, 'gads_negative_keywords', negativeRows, {
+        keys: ['resource_name'], touch: 'synced_at = CURRENT_TIMESTAMP', stats: writeStats
+      });
+    });
+
+    console.log(`   ✅ ${sharedSetRows.length} negative lists, ${sharedCriteria.length} list negatives, ${campaignCriteria.length} campaign negatives`);
+
+    return {
+      negative_lists_synced: sharedSetRows.length,
+      list_negatives_synced: sharedCriteria.length,
+      campaign_negatives_synced: campaignCriteria.length,
+      api_calls_used: 4,
+      write: writeStats
+    };
+
+  } catch (error) {
+    console.error('❌ Negative keyword sync failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * The shared list territory negatives go into
+ * @returns {Object|null} { shared_set_id, name }
+ */
+async function resolveTerritoryList(connection, accountId, sharedSetId = null) {
+  const [lists] = sharedSetId
+    ? await connection.execute(
+      'SELECT shared_set_id, name FROM gads_shared_sets WHERE account_id = ? AND shared_set_id = ?',
+      [accountId, gaql.id(sharedSetId, 'shared_set_id')]
+    )
+    : await connection.execute(
+      'SELECT shared_set_id, name FROM gads_shared_sets WHERE account_id = ? AND name = ?',
+      [accountId, process.env.GADS_NEGATIVE_LIST_NAME || DEFAULT_LIST_NAME]
+    );
+
+  return lists[0] || null;
+}
+
+/**
+ * Negatives already live, as "level:parent:text:match" keys
+ */
+async function loadExistingNegatives(connection, accountId) {
+  const [rows] = await connection.execute(
+    'SELECT level, parent_id, keyword_text, match_type FROM gads_negative_keywords WHERE account_id = ?',
+    [accountId]
+  );
+  const [links] = await connection.execute(
+    'SELECT google_campaign_id, shared_set_id FROM gads_campaign_shared_sets WHERE account_id = ?',
+    [accountId]
+  );
+
+  const keys = new Set(rows.map(row => negativeKey(row.level, row.parent_id, row.keyword_text, row.match_type)));
+  const listsByCampaign = new Map();
+  links.forEach(link => {
+    if (!listsByCampaign.has(link.google_campaign_id)) listsByCampaign.set(link.google_campaign_id, []);
+    listsByCampaign.get(link.google_campaign_id).push(link.shared_set_id);
+  });
+
+  return {
+    has: (level, parentId, text, matchType) => keys.has(negativeKey(level, parentId, text, matchType)),
+    // A campaign is covered by its own negatives and by every list attached to it
+    coversCampaign: (campaignId, text, matchType) =>
+      keys.has(negativeKey(LEVELS.CAMPAIGN, campaignId, text, matchType)) ||
+      (listsByCampaign.get(campaignId) || []).some(listId => keys.has(negativeKey(LEVELS.SHARED_SET, listId, text, matchType)))
+  };
+}
+
+function negativeKey(level, parentId, text, matchType) {
+  return `${level}:${parentId}:${String(text).toLowerCase()}:${matchType}`;
+}
+
+/**
+ * Generate negative keyword proposals for one account
+ * Existing proposals for the same keyword and target are refreshed, never re-opened.
+ * @param {Function} getDbConnection - Database connection function
+ * @param {Object} options - { accountId, days, minCost, sharedSetId }
+ * @returns {Object} Proposal counts and warnings
+ */
+async function generateProposals(getDbConnection, options = {}) {
+  const accountId = options.accountId || accounts.getDefaultAccountId();
+  const days = options.days || DEFAULT_DAYS;
+  const minCost = options.minCost ?? DEFAULT_MIN_COST;
+  const connection = await getDbConnection();
+
+  try {
+    console.log(`🚫 Generating negative keyword proposals for account ${accountId} (last ${days} days, min €${minCost})...`);
+
+    const existing = await loadExistingNegatives(connection, accountId);
+    const territoryList = await resolveTerritoryList(connection, accountId, options.sharedSetId);
+    const proposals = [];
+    const warnings = [];
+
+    // Territory words - spend per matched word over the window is the evidence
+    const [wordSpend] = await connection.execute(`
+      SELECT
+        matched_country_code as country_code,
+        LOWER(matched_word) as word,
+        COUNT(DISTINCT search_term) as terms,
+        COALESCE(SUM(clicks), 0) as clicks,
+        COALESCE(SUM(cost_eur), 0) as cost,
+        SUBSTRING_INDEX(GROUP_CONCAT(DISTINCT search_term ORDER BY search_term SEPARATOR '|'), '|', 5) as sample_terms
+      FROM gads_search_terms
+      WHERE account_id = ?
+        AND date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+        AND matched_word IS NOT NULL
+      GROUP BY matched_country_code, LOWER(matched_word)
+    `, [accountId, days]);
+
+    const spendByWord = new Map(wordSpend.map(row => [`${row.country_code}:${row.word}`, row]));
+
+    if (!territoryList) {
+      warnings.push(`No negative keyword list "${process.env.GADS_NEGATIVE_LIST_NAME || DEFAULT_LIST_NAME}" synced for account ${accountId} - territory proposals skipped (create the list or pass shared_set_id)`);
+    } else {
+      const matchers = await loadTerritoryMatchers(connection);
+
+      for (const matcher of matchers) {
+        for (const pattern of matcher.patterns) {
+          const spend = spendByWord.get(`${matcher.country_code}:${pattern.word}`);
+          const isRed = matcher.status === 'red';
+
+          // Yellow countries are only blocked once they actually cost something
+          if (!isRed && !(parseFloat(spend?.cost) > 0)) continue;
+          if (!isValidKeyword(pattern.word)) continue;
+          if (existing.has(LEVELS.SHARED_SET, territoryList.shared_set_id, pattern.word, 'PHRASE')) continue;
+
+          proposals.push({
+            account_id: accountId,
+            keyword_text: pattern.word,
+            match_type: 'PHRASE',
+            target_level: LEVELS.SHARED_SET,
+            target_id: territoryList.shared_set_id,
+            reason: isRed ? REASONS.RED_TERRITORY : REASONS.YELLOW_TERRITORY,
+            country_code: matcher.country_code,
+            cost_eur: parseFloat(spend?.cost) || 0,
+            clicks: parseInt(spend?.clicks) || 0,
+            evidence: JSON.stringify({
+              country_name: matcher.country_name,
+              territory_status: matcher.status,
+              list_name: territoryList.name,
+              terms: parseInt(spend?.terms) || 0,
+              sample_terms: spend?.sample_terms ? spend.sample_terms.split('|') : []
+            })
+          });
+        }
+      }
+    }
+
+    // Spend without leads - a HubSpot contact whose paid keyword is the term counts as a lead
+    const hasKeywordColumn = await schemaHelpers.columnExists(connection, 'hub_contacts', 'hs_analytics_source_data_2');
+    const [zeroLeadTerms] = await connection.execute(`
+      SELECT
+        st.search_term,
+        st.google_campaign_id,
+        c.campaign_name,
+        COALESCE(SUM(st.clicks), 0) as clicks,
+        COALESCE(SUM(st.cost_eur), 0) as cost,
+        COALESCE(SUM(st.conversions), 0) as conversions
+      FROM gads_search_terms st
+      LEFT JOIN gads_campaigns c ON c.google_campaign_id = st.google_campaign_id
+      WHERE st.account_id = ?
+        AND st.date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+        AND st.matched_country_code IS NULL
+        ${hasKeywordColumn ? `AND NOT EXISTS (
+          SELECT 1 FROM hub_contacts hc WHERE LOWER(hc.hs_analytics_source_data_2) = LOWER(st.search_term)
+        )` : ''}
+      GROUP BY st.search_term, st.google_campaign_id, c.campaign_name
+      HAVING cost >= ? AND conversions = 0
+      ORDER BY cost DESC
+      LIMIT ${MAX_TERM_PROPOSALS}
+    `, [accountId, days, minCost]);
+
+    for (const term of zeroLeadTerms) {
+      const text = term.search_term.toLowerCase();
+      if (!isValidKeyword(text)) continue;
+      if (existing.coversCampaign(term.google_campaign_id, text, 'EXACT')) continue;
+
+      proposals.push({
+        account_id: accountId,
+        keyword_text: text,
+        match_type: 'EXACT',
+        target_level: LEVELS.CAMPAIGN,
+        target_id: term.google_campaign_id,
+        reason: REASONS.ZERO_LEAD_SPEND,
+        country_code: null,
+        cost_eur: parseFloat(term.cost) || 0,
+        clicks: parseInt(term.clicks) || 0,
+        evidence: JSON.stringify({
+          campaign_name: term.campaign_name,
+          conversions: 0,
+          hubspot_checked: hasKeywordColumn
+        })
+      });
+    }
+
+    if (!hasKeywordColumn) {
+      warnings.push('hub_contacts has no hs_analytics_source_data_2 column - zero-lead terms checked against Google Ads conversions only');
+    }
+
+    // Refresh evidence on existing proposals; status and review stay as they are
+    await bulkWrite.bulkUpsert(connection, 'gads_negative_keyword_proposals', proposals, {
+      keys: ['account_id', 'target_level', 'target_id', 'keyword_text', 'match_type'],
+      update: ['cost_eur', 'clicks', 'evidence']
+    });
+
+    const [statusCounts] = await connection.execute(`
+      SELECT status, COUNT(*) as proposals
+      FROM gads_negative_keyword_proposals
+      WHERE account_id = ?
+      GROUP BY status
+    `, [accountId]);
+
+    const byReason = proposals.reduce((counts, p) => {
+      counts[p.reason] = (counts[p.reason] || 0) + 1;
+      return counts;
+    }, {});
+
+    console.log(`   ✅ ${proposals.length} negative keyword candidates (${JSON.stringify(byReason)})`);
+
+    return {
+      success: true,
+      account_id: accountId,
+      period: `Last ${days} days`,
+      territory_list: territoryList,
+      candidates: proposals.length,
+      by_reason: byReason,
+      by_status: Object.fromEntries(statusCounts.map(row => [row.status, parseInt(row.proposals)])),
+      warnings,
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    await connection.end();
+  }
+}
+
+/**
+ * Approve or reject proposals
+ * Failed proposals can be approved again for another apply.
+ * @returns {number} Proposals updated
+ */
+async function reviewProposals(connection, accountId, proposalIds, decision, reviewedBy, note = null) {
+  const status = decision === 'approve' ? PROPOSAL_STATUS.APPROVED : PROPOSAL_STATUS.REJECTED;
+  const ids = proposalIds.map(id => parseInt(id)).filter(id => id > 0);
+
+  if (ids.length === 0) return 0;
+
+  const [result] = await connection.execute(`
+    UPDATE gads_negative_keyword_proposals
+    SET status = ?, reviewed_by = ?, review_note = ?, reviewed_at = NOW(), error_message = NULL
+    WHERE account_id = ?
+      AND proposal_id IN (${ids.map(() => '?').join(',')})
+      AND status IN (?, ?)
+  `, [status, reviewedBy, note, accountId, ...ids, PROPOSAL_STATUS.PENDING, PROPOSAL_STATUS.FAILED]);
+
+  return result.affectedRows;
+}
+
+/**
+ * Build the mutate operation for one proposal
+ */
+function buildOperation(accountId, proposal) {
+  const { enums } = require('google-ads-api');
+  const keyword = {
+    text: proposal.keyword_text,
+    match_type: enums.KeywordMatchType[proposal.match_type]
+  };
+
+  if (proposal.target_level === LEVELS.SHARED_SET) {
+    return {
+      entity: 'shared_criterion',
+      operation: 'create',
+      resource: {
+        shared_set: `customers/${accountId}/sharedSets/${gaql.id(proposal.target_id)}`,
+        keyword
+      }
+    };
+  }
+
+  return {
+    entity: 'campaign_criterion',
+    operation: 'create',
+    resource: {
+      campaign: `customers/${accountId}/campaigns/${gaql.id(proposal.target_id)}`,
+      negative: true,
+      keyword
+    }
+  };
+}
+
+/**
+ * Push approved proposals to Google Ads
+ * One mutate with partial failure: each proposal succeeds or fails on its own.
+ * @param {Object} customer - Google Ads customer client
+ * @param {Function} getDbConnection - Database connection function
+ * @param {Object} options - { proposalIds (default: all approved), appliedBy, dryRun }
+ * @returns {Object} Apply summary
+ */
+async function applyProposals(customer, getDbConnection, options = {}) {
+  const accountId = accounts.getAccountId(customer);
+  const connection = await getDbConnection();
+
+  try {
+    const ids = (options.proposalIds || []).map(id => parseInt(id)).filter(id => id > 0);
+    const [proposals] = await connection.execute(`
+      SELECT proposal_id, account_id, keyword_text, match_type, target_level, target_id, reason
+      FROM gads_negative_keyword_proposals
+      WHERE account_id = ? AND status = ?
+        ${ids.length > 0 ? `AND proposal_id IN (${ids.map(() => '?').join(',')})` : ''}
+      ORDER BY proposal_id
+    `, [accountId, PROPOSAL_STATUS.APPROVED, ...ids]);
+
+    console.log(`🚫 Applying ${proposals.length} approved negative keywords to account ${accountId}${options.dryRun ? ' (DRY RUN)' : ''}...`);
+
+    const operations = proposals.map(p => buildOperation(accountId, p));
+
+    if (options.dryRun || proposals.length === 0) {
+      return {
+        success: true,
+        dry_run: Boolean(options.dryRun),
+        account_id: accountId,
+        summary: { approved: proposals.length, applied: 0, failed: 0 },
+        operations,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    let responses = [];
+    let batchError = null;
+
+    try {
+      const response = await customer.mutateResources(operations, { partial_failure: true });
+      responses = response?.mutate_operation_responses || [];
+      batchError = response?.partial_failure_error?.message || null;
+    } catch (error) {
+      batchError = error.message;
+    }
+
+    const summary = { approved: proposals.length, applied: 0, failed: 0 };
+
+    for (let i = 0; i < proposals.length; i++) {
+      const proposal = proposals[i];
+      // Failed operations come back as empty responses when partial_failure is on
+      const result = responses[i]?.shared_criterion_result || responses[i]?.campaign_criterion_result;
+      const resourceName = result?.resource_name || null;
+
+      if (resourceName) {
+        await connection.execute(`
+          UPDATE gads_negative_keyword_proposals
+          SET status = ?, resource_name = ?, applied_at = NOW(), error_message = NULL
+          WHERE proposal_id = ?
+        `, [PROPOSAL_STATUS.APPLIED, resourceName, proposal.proposal_id]);
+
+        // Mirror it now rather than waiting for the next sync
+        await connection.execute(`
+          INSERT INTO gads_negative_keywords (resource_name, account_id, level, parent_id, keyword_text, match_type)
+          VALUES (?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE keyword_text = VALUES(keyword_text), match_type = VALUES(match_type)
+        `, [resourceName, accountId, proposal.target_level, proposal.target_id, proposal.keyword_text, proposal.match_type]);
+
+        summary.applied++;
+      } else {
+        await connection.execute(`
+          UPDATE gads_negative_keyword_proposals
+          SET status = ?, error_message = ?
+          WHERE proposal_id = ?
+        `, [PROPOSAL_STATUS.FAILED, batchError || 'Rejected by Google Ads', proposal.proposal_id]);
+
+        summary.failed++;
+      }
+
+      await logChange(connection, {
+        proposal_id: proposal.proposal_id,
+        account_id: accountId,
+        action: 'add',
+        target_level: proposal.target_level,
+        target_id: proposal.target_id,
+        keyword_text: proposal.keyword_text,
+        match_type: proposal.match_type,
+        resource_name: resourceName,
+        status: resourceName ? 'success' : 'failed',
+        error_message: resourceName ? null : (batchError || 'Rejected by Google Ads'),
+        performed_by: options.appliedBy || null
+      });
+    }
+
+    console.log(`   ✅ Negative keywords applied: ${summary.applied}, failed: ${summary.failed}`);
+
+    return {
+      success: summary.failed === 0,
+      dry_run: false,
+      account_id: accountId,
+      summary,
+      error: batchError,
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    await connection.end();
+  }
+}
+
+async function logChange(connection, change) {
+  await connection.execute(`
+    INSERT INTO gads_negative_keyword_changes (
+      proposal_id, account_id, action, target_level, target_id, keyword_text, match_type,
+      resource_name, status, error_message, performed_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    change.proposal_id, change.account_id, change.action, change.target_level, change.target_id,
+    change.keyword_text, change.match_type, change.resource_name, change.status,
+    change.error_message, change.performed_by
+  ]);
+}
+
+function sendError(res, error, status = 500) {
+  console.error('❌ Negative keywords route failed:', error.message);
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Handle negative keyword listing route - synced lists with their keywords, campaign negatives
+ */
+async function handleListNegatives(req, res, getDbConnection) {
+  try {
+    const accountId = req.accountId || accounts.getDefaultAccountId();
+    const connection = await getDbConnection();
+
+    try {
+      const [lists] = await connection.execute(`
+        SELECT s.shared_set_id, s.name, s.member_count, s.reference_count, s.synced_at,
+          COUNT(DISTINCT l.google_campaign_id) as campaigns
+        FROM gads_shared_sets s
+        LEFT JOIN gads_campaign_shared_sets l ON l.account_id = s.account_id AND l.shared_set_id = s.shared_set_id
+        WHERE s.account_id = ?
+        GROUP BY s.shared_set_id, s.name, s.member_count, s.reference_count, s.synced_at
+        ORDER BY s.name
+      `, [accountId]);
+
+      const [negatives] = await connection.execute(`
+        SELECT n.level, n.parent_id, n.keyword_text, n.match_type, n.resource_name, c.campaign_name
+        FROM gads_negative_keywords n
+        LEFT JOIN gads_campaigns c ON n.level = 'campaign' AND c.google_campaign_id = n.parent_id
+        WHERE n.account_id = ?
+        ORDER BY n.level, n.parent_id, n.keyword_text
+      `, [accountId]);
+
+      res.json({
+        success: true,
+        account_id: accountId,
+        lists: lists.map(list => ({
+          ...list,
+          campaigns: parseInt(list.campaigns) || 0,
+          keywords: negatives.filter(n => n.level === LEVELS.SHARED_SET && n.parent_id === list.shared_set_id)
+            .map(n => ({ text: n.keyword_text, match_type: n.match_type }))
+        })),
+        campaign_negatives: negatives.filter(n => n.level === LEVELS.CAMPAIGN).map(n => ({
+          google_campaign_id: n.parent_id,
+          campaign_name: n.campaign_name,
+          text: n.keyword_text,
+          match_type: n.match_type
+        })),
+        timestamp: new Date().toISOString()
+      });
+
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Handle negative keyword sync route
+ */
+async function handleSyncNegatives(req, res, customer, getDbConnection) {
+  try {
+    if (!customer) {
+      throw new Error('Failed to initialize Google Ads client');
+    }
+
+    const connection = await getDbConnection();
+    try {
+      const result = await syncNegativeKeywords(customer, connection);
+      res.json({
+        success: true,
+        account_id: accounts.getAccountId(customer),
+        ...result,
+        write: bulkWrite.summarizeWriteStats(result.write),
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Handle proposal generation route (?days=&min_cost=&shared_set_id=)
+ */
+async function handleGenerateProposals(req, res, getDbConnection) {
+  try {
+    const result = await generateProposals(getDbConnection, {
+      accountId: req.accountId,
+      days: parseInt(req.query.days) || DEFAULT_DAYS,
+      minCost: req.query.min_cost !== undefined ? parseFloat(req.query.min_cost) || 0 : DEFAULT_MIN_COST,
+      sharedSetId: req.query.shared_set_id || null
+    });
+    res.json(result);
+
+  } catch (error) {
+    sendError(res, error, error.code === 'INVALID_GAQL_VALUE' ? 400 : 500);
+  }
+}
+
+/**
+ * Handle proposal listing route (?status=pending by default, ?status=all for every proposal)
+ */
+async function handleListProposals(req, res, getDbConnection) {
+  try {
+    const accountId = req.accountId || accounts.getDefaultAccountId();
+    const status = req.query.status || PROPOSAL_STATUS.PENDING;
+    const connection = await getDbConnection();
+
+    try {
+      const [proposals] = await connection.execute(`
+        SELECT
+          p.proposal_id, p.keyword_text, p.match_type, p.target_level, p.target_id,
+          COALESCE(s.name, c.campaign_name) as target_name,
+          p.reason, p.country_code, p.cost_eur, p.clicks, p.evidence, p.status,
+          p.reviewed_by, p.reviewed_at, p.review_note, p.applied_at, p.error_message, p.created_at
+        FROM gads_negative_keyword_proposals p
+        LEFT JOIN gads_shared_sets s ON p.target_level = 'shared_set'
+          AND s.account_id = p.account_id AND s.shared_set_id = p.target_id
+        LEFT JOIN gads_campaigns c ON p.target_level = 'campaign' AND c.google_campaign_id = p.target_id
+        WHERE p.account_id = ?
+          ${status === 'all' ? '' : 'AND p.status = ?'}
+        ORDER BY p.cost_eur DESC, p.proposal_id
+      `, status === 'all' ? [accountId] : [accountId, status]);
+
+      res.json({
+        success: true,
+        account_id: accountId,
+        status,
+        count: proposals.length,
+        proposals: proposals.map(p => ({
+          ...p,
+          cost_eur: parseFloat(p.cost_eur) || 0,
+          evidence: p.evidence ? JSON.parse(p.evidence) : null
+        })),
+        timestamp: new Date().toISOString()
+      });
+
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Handle proposal review route
+ * Body: { proposal_ids: [...], decision: 'approve' | 'reject', reviewed_by, note }
+ */
+async function handleReviewProposals(req, res, getDbConnection) {
+  try {
+    const { proposal_ids: proposalIds, decision, reviewed_by: reviewedBy, note } = req.body || {};
+
+    if (!Array.isArray(proposalIds) || proposalIds.length === 0) {
+      return sendError(res, new Error('proposal_ids must be a non-empty array'), 400);
+    }
+    if (!['approve', 'reject'].includes(decision)) {
+      return sendError(res, new Error('decision must be "approve" or "reject"'), 400);
+    }
+    if (!reviewedBy) {
+      return sendError(res, new Error('reviewed_by is required'), 400);
+    }
+
+    const accountId = req.accountId || accounts.getDefaultAccountId();
+    const connection = await getDbConnection();
+
+    try {
+      const updated = await reviewProposals(connection, accountId, proposalIds, decision, reviewedBy, note || null);
+      console.log(`🚫 ${reviewedBy} ${decision === 'approve' ? 'approved' : 'rejected'} ${updated} negative keyword proposals`);
+
+      res.json({
+        success: true,
+        account_id: accountId,
+        decision,
+        updated,
+        skipped: proposalIds.length - updated,
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Handle apply route (?dry_run=true to preview the mutate operations)
+ * Body: { proposal_ids (optional, default every approved proposal), applied_by }
+ */
+async function handleApplyProposals(req, res, customer, getDbConnection) {
+  try {
+    if (!customer) {
+      throw new Error('Failed to initialize Google Ads client');
+    }
+
+    const body = req.body || {};
+    const result = await applyProposals(customer, getDbConnection, {
+      proposalIds: Array.isArray(body.proposal_ids) ? body.proposal_ids : [],
+      appliedBy: body.applied_by || null,
+      dryRun: req.query.dry_run === 'true' || req.query.dry_run === '1'
+    });
+
+    res.status(result.success || result.summary.applied > 0 ? 200 : 502).json(result);
+
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  LEVELS,
+  PROPOSAL_STATUS,
+  REASONS,
+  syncNegativeKeywords,
+  generateProposals,
+  reviewProposals,
+  applyProposals,
+  // Route handlers
+  handleListNegatives,
+  handleSyncNegatives,
+  handleGenerateProposals,
+  handleListProposals,
+  handleReviewProposals,
+  handleApplyProposals
+};
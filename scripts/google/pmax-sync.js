@@ -0,0 +1,496 @@
+/**
+ * Google Ads Performance Max Module
+ * /scripts/google/pmax-sync.js
+ *
+ * PMax hides keywords and placements, but asset groups report daily metrics and each
+ * asset gets a performance label. This module stores both:
+ * - gads_asset_groups / gads_asset_group_metrics: structure + one row per group per day
+ * - gads_asset_group_assets: headlines, descriptions, images and videos with their label
+ * The breakdown joins spend with HubSpot leads by campaign name.
+ */
+
+const { enums } = require('google-ads-api');
+const accounts = require('./accounts');
+const fxRates = require('../currency/fx-rates');
+const { buildDateCondition, describeRange } = require('./adgroup-sync');
+
+// EUR amounts in getPMaxBreakdown results, as fxRates.convertReport paths
+// (conversions_value is in the account currency as Google reports it - left as is)
+const MONEY_FIELDS = [
+  'summary.total_cost', 'summary.cost_per_lead',
+  'campaigns[].cost', 'campaigns[].hubspot.cost_per_lead', 'campaigns[].asset_groups[].cost'
+];
+
+// AdvertisingChannelType enum
+const PERFORMANCE_MAX = 10;
+
+// AssetPerformanceLabel enum
+const PERFORMANCE_LABELS = {
+  1: 'UNKNOWN',
+  2: 'PENDING',
+  3: 'LEARNING',
+  4: 'LOW',
+  5: 'GOOD',
+  6: 'BEST'
+};
+
+// AssetType / AssetFieldType enums from the client library - value → name for the API version
+const ASSET_TYPES = enums.AssetType;
+const FIELD_TYPES = enums.AssetFieldType;
+
+/**
+ * Enum value (number or name) as its name, the raw value when unmapped
+ */
+function getEnumName(names, value) {
+  if (typeof value === 'string' && value) return value;
+  const name = names[value];
+  return typeof name === 'string' ? name : String(value);
+}
+
+// AdStrength enum
+const AD_STRENGTHS = {
+  2: 'PENDING',
+  3: 'NO_ADS',
+  4: 'POOR',
+  5: 'AVERAGE',
+  6: 'GOOD',
+  7: 'EXCELLENT'
+};
+
+/**
+ * Sync asset group daily metrics (and optionally asset labels) for PMax campaigns
+ * @param {Object} customer - Google Ads customer client
+ * @param {Object} connection - Open database connection
+ * @param {Array} campaigns - Rows with google_campaign_id (non-PMax campaigns are ignored)
+ * @param {Object} range - Either { days } or { startDate, endDate }
+ * @param {Object} options - { includeAssets } also refresh asset performance labels
+ * @returns {Object} Counts of synced rows and API calls
+ */
+async function syncPMaxAssetGroups(customer, connection, campaigns, range, options = {}) {
+  try {
+    if (!campaigns || campaigns.length === 0) {
+      console.log('⚠️ No campaigns for Performance Max asset groups');
+      return { asset_group_metrics_synced: 0, assets_synced: 0, api_calls_used: 0 };
+    }
+
+    const accountId = accounts.getAccountId(customer);
+    const money = await fxRates.getAccountMoney(connection, accountId);
+    const campaignIds = campaigns.map(c => c.google_campaign_id).join(',');
+    let apiCalls = 0;
+
+    console.log(`📱 Syncing Performance Max asset groups (${describeRange(range)})...`);
+
+    const results = await customer.query(`
+      SELECT
+        campaign.id,
+        asset_group.id,
+        asset_group.name,
+        asset_group.status,
+        asset_group.ad_strength,
+        segments.date,
+        metrics.impressions,
+        metrics.clicks,
+        metrics.cost_micros,
+        metrics.conversions,
+        metrics.conversions_value
+      FROM asset_group
+      WHERE campaign.id IN (${campaignIds})
+        AND campaign.advertising_channel_type = 'PERFORMANCE_MAX'
+        AND ${buildDateCondition(range)}
+      ORDER BY segments.date DESC
+    `);
+    apiCalls++;
+
+    const seenGroups = new Set();
+    let metricsSynced = 0;
+
+    for (const row of results) {
+      const assetGroupId = row.asset_group.id?.toString();
+      const campaignId = row.campaign.id?.toString();
+
+      if (!seenGroups.has(assetGroupId)) {
+        await upsertAssetGroup(connection, {
+          google_asset_group_id: assetGroupId,
+          account_id: accountId,
+          google_campaign_id: campaignId,
+          asset_group_name: row.asset_group.name,
+          status: row.asset_group.status,
+          ad_strength: row.asset_group.ad_strength
+        });
+        seenGroups.add(assetGroupId);
+      }
+
+      await upsertAssetGroupMetrics(connection, {
+        google_asset_group_id: assetGroupId,
+        date: row.segments.date,
+        account_id: accountId,
+        google_campaign_id: campaignId,
+        impressions: row.metrics.impressions || 0,
+        clicks: row.metrics.clicks || 0,
+        cost_micros: row.metrics.cost_micros || 0,
+        cost_eur: money.fromMicros(row.metrics.cost_micros, row.segments.date),
+        conversions: row.metrics.conversions || 0,
+        conversions_value: row.metrics.conversions_value || 0
+      });
+      metricsSynced++;
+    }
+
+    console.log(`   ✅ ${metricsSynced} asset group metric rows (${seenGroups.size} asset groups)`);
+
+    let assetsSynced = 0;
+
+    if (options.includeAssets) {
+      const assetResult = await syncAssetLabels(customer, connection, campaignIds, accountId);
+      assetsSynced = assetResult.assets_synced;
+      apiCalls += assetResult.api_calls_used;
+    }
+
+    return {
+      asset_group_metrics_synced: metricsSynced,
+      assets_synced: assetsSynced,
+      api_calls_used: apiCalls
+    };
+
+  } catch (error) {
+    console.error('❌ Performance Max sync failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Refresh every asset linked to the PMax asset groups with its current performance label
+ */
+async function syncAssetLabels(customer, connection, campaignIds, accountId) {
+  console.log('🖼️ Syncing Performance Max asset labels...');
+
+  const results = await customer.query(`
+    SELECT
+      campaign.id,
+      asset_group.id,
+      asset_group_asset.field_type,
+      asset_group_asset.performance_label,
+      asset_group_asset.status,
+      asset.id,
+      asset.name,
+      asset.type,
+      asset.text_asset.text,
+      asset.image_asset.full_size.url,
+      asset.youtube_video_asset.youtube_video_id
+    FROM asset_group_asset
+    WHERE campaign.id IN (${campaignIds})
+      AND campaign.advertising_channel_type = 'PERFORMANCE_MAX'
+      AND asset_group_asset.status != 'REMOVED'
+  `);
+
+  let synced = 0;
+
+  for (const row of results) {
+    const asset = row.asset || {};
+    const link = row.asset_group_asset;
+
+    await connection.execute(`
+      INSERT INTO gads_asset_group_assets (
+        google_asset_group_id, google_asset_id, field_type, account_id, google_campaign_id,
+        asset_type, asset_name, asset_text, image_url, youtube_video_id, performance_label, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        account_id = VALUES(account_id),
+        asset_type = VALUES(asset_type),
+        asset_name = VALUES(asset_name),
+        asset_text = VALUES(asset_text),
+        image_url = VALUES(image_url),
+        youtube_video_id = VALUES(youtube_video_id),
+        performance_label = VALUES(performance_label),
+        status = VALUES(status),
+        synced_at = CURRENT_TIMESTAMP
+    `, [
+      row.asset_group.id?.toString(), asset.id?.toString(),
+      getEnumName(FIELD_TYPES, link.field_type),
+      accountId, row.campaign.id?.toString(),
+      getEnumName(ASSET_TYPES, asset.type),
+      asset.name || null,
+      asset.text_asset?.text || null,
+      asset.image_asset?.full_size?.url || null,
+      asset.youtube_video_asset?.youtube_video_id || null,
+      PERFORMANCE_LABELS[link.performance_label] || null,
+      link.status
+    ]);
+    synced++;
+  }
+
+  console.log(`   ✅ ${synced} assets`);
+
+  return { assets_synced: synced, api_calls_used: 1 };
+}
+
+async function upsertAssetGroup(connection, data) {
+  await connection.execute(`
+    INSERT INTO gads_asset_groups (
+      google_asset_group_id, account_id, google_campaign_id, asset_group_name, status, ad_strength
+    ) VALUES (?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      account_id = VALUES(account_id),
+      asset_group_name = VALUES(asset_group_name),
+      status = VALUES(status),
+      ad_strength = VALUES(ad_strength),
+      updated_at = CURRENT_TIMESTAMP
+  `, [
+    data.google_asset_group_id, data.account_id, data.google_campaign_id,
+    data.asset_group_name, data.status, data.ad_strength
+  ]);
+}
+
+async function upsertAssetGroupMetrics(connection, data) {
+  await connection.execute(`
+    INSERT INTO gads_asset_group_metrics (
+      google_asset_group_id, date, account_id, google_campaign_id,
+      impressions, clicks, cost_micros, cost_eur, conversions, conversions_value
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      account_id = VALUES(account_id),
+      impressions = VALUES(impressions),
+      clicks = VALUES(clicks),
+      cost_micros = VALUES(cost_micros),
+      cost_eur = VALUES(cost_eur),
+      conversions = VALUES(conversions),
+      conversions_value = VALUES(conversions_value),
+      synced_at = CURRENT_TIMESTAMP
+  `, [
+    data.google_asset_group_id, data.date, data.account_id, data.google_campaign_id,
+    data.impressions, data.clicks, data.cost_micros, data.cost_eur,
+    data.conversions, data.conversions_value
+  ]);
+}
+
+/**
+ * PMax breakdown - campaign → asset group → asset labels, with HubSpot leads per campaign
+ * HubSpot has no asset group attribution, so leads are matched on the campaign name only.
+ * @param {Function} getDbConnection - Database connection function
+ * @param {Object} options - { days, accountId, campaignId }
+ */
+async function getPMaxBreakdown(getDbConnection, options = {}) {
+  const days = options.days || 30;
+  const connection = await getDbConnection();
+
+  try {
+    const filters = ['gc.campaign_type = ?'];
+    const filterParams = [PERFORMANCE_MAX];
+
+    if (options.accountId) {
+      filters.push('gc.account_id = ?');
+      filterParams.push(options.accountId);
+    }
+    if (options.campaignId) {
+      filters.push('gc.google_campaign_id = ?');
+      filterParams.push(options.campaignId);
+    }
+
+    const [campaigns] = await connection.execute(`
+      SELECT
+        gc.google_campaign_id,
+        gc.campaign_name,
+        gc.status,
+        COALESCE(spend.impressions, 0) as impressions,
+        COALESCE(spend.clicks, 0) as clicks,
+        COALESCE(spend.cost, 0) as cost,
+        COALESCE(spend.conversions, 0) as conversions,
+        COALESCE(leads.leads, 0) as leads,
+        COALESCE(leads.leads_with_deals, 0) as leads_with_deals,
+        COALESCE(leads.won_deals, 0) as won_deals
+      FROM gads_campaigns gc
+      LEFT JOIN (
+        SELECT
+          google_campaign_id,
+          SUM(impressions) as impressions,
+          SUM(clicks) as clicks,
+          SUM(cost_eur) as cost,
+          SUM(conversions) as conversions
+        FROM gads_asset_group_metrics
+        WHERE date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+        GROUP BY google_campaign_id
+      ) spend ON spend.google_campaign_id = gc.google_campaign_id
+      LEFT JOIN (
+        SELECT
+          COALESCE(
+            NULLIF(c.hs_analytics_first_touch_converting_campaign, ''),
+            NULLIF(c.hs_analytics_last_touch_converting_campaign, '')
+          ) as campaign_name,
+          COUNT(DISTINCT c.hubspot_id) as leads,
+          COUNT(DISTINCT CASE WHEN c.num_associated_deals > 0 THEN c.hubspot_id END) as leads_with_deals,
+          COUNT(DISTINCT CASE WHEN d.dealstage = 'closedwon' OR d.hs_is_closed_won = 'true' THEN d.hubspot_deal_id END) as won_deals
+        FROM hub_contacts c
+        LEFT JOIN hub_contact_deal_associations a ON a.contact_hubspot_id = c.hubspot_id
+        LEFT JOIN hub_deals d ON d.hubspot_deal_id = a.deal_hubspot_id
+        WHERE c.createdate >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+        GROUP BY 1
+      ) leads ON leads.campaign_name = gc.campaign_name
+      WHERE ${filters.join(' AND ')}
+      ORDER BY cost DESC
+    `, [days, days, ...filterParams]);
+
+    const campaignIds = campaigns.map(c => c.google_campaign_id);
+
+    if (campaignIds.length === 0) {
+      return {
+        success: true,
+        period: `Last ${days} days`,
+        summary: { campaigns: 0, asset_groups: 0, total_cost: '0.00', leads: 0, cost_per_lead: null },
+        campaigns: [],
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const idPlaceholders = campaignIds.map(() => '?').join(',');
+
+    const [assetGroups] = await connection.execute(`
+      SELECT
+        ag.google_asset_group_id,
+        ag.google_campaign_id,
+        ag.asset_group_name,
+        ag.status,
+        ag.ad_strength,
+        COALESCE(SUM(m.impressions), 0) as impressions,
+        COALESCE(SUM(m.clicks), 0) as clicks,
+        COALESCE(SUM(m.cost_eur), 0) as cost,
+        COALESCE(SUM(m.conversions), 0) as conversions,
+        COALESCE(SUM(m.conversions_value), 0) as conversions_value
+      FROM gads_asset_groups ag
+      LEFT JOIN gads_asset_group_metrics m ON m.google_asset_group_id = ag.google_asset_group_id
+        AND m.date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+      WHERE ag.google_campaign_id IN (${idPlaceholders})
+      GROUP BY ag.google_asset_group_id, ag.google_campaign_id, ag.asset_group_name, ag.status, ag.ad_strength
+      ORDER BY cost DESC
+    `, [days, ...campaignIds]);
+
+    const [assets] = await connection.execute(`
+      SELECT
+        google_asset_group_id,
+        google_asset_id,
+        field_type,
+        asset_type,
+        COALESCE(asset_text, asset_name, youtube_video_id, image_url) as content,
+        image_url,
+        youtube_video_id,
+        performance_label
+      FROM gads_asset_group_assets
+      WHERE google_campaign_id IN (${idPlaceholders})
+      ORDER BY FIELD(performance_label, 'BEST', 'GOOD', 'LOW', 'LEARNING', 'PENDING', 'UNKNOWN'), field_type
+    `, campaignIds);
+
+    const totalCost = campaigns.reduce((sum, c) => sum + (parseFloat(c.cost) || 0), 0);
+    const totalLeads = campaigns.reduce((sum, c) => sum + (parseInt(c.leads) || 0), 0);
+
+    return {
+      success: true,
+      account_id: options.accountId || null,
+      period: `Last ${days} days`,
+      summary: {
+        campaigns: campaigns.length,
+        asset_groups: assetGroups.length,
+        total_cost: totalCost.toFixed(2),
+        leads: totalLeads,
+        cost_per_lead: totalLeads > 0 ? (totalCost / totalLeads).toFixed(2) : null,
+        low_assets: assets.filter(a => a.performance_label === 'LOW').length
+      },
+      campaigns: campaigns.map(c => {
+        const cost = parseFloat(c.cost) || 0;
+        const leads = parseInt(c.leads) || 0;
+        const groups = assetGroups.filter(ag => ag.google_campaign_id === c.google_campaign_id);
+
+        return {
+          id: c.google_campaign_id,
+          name: c.campaign_name,
+          status: c.status,
+          impressions: parseInt(c.impressions) || 0,
+          clicks: parseInt(c.clicks) || 0,
+          cost: cost.toFixed(2),
+          conversions: parseFloat(c.conversions) || 0,
+          hubspot: {
+            leads,
+            leads_with_deals: parseInt(c.leads_with_deals) || 0,
+            won_deals: parseInt(c.won_deals) || 0,
+            cost_per_lead: leads > 0 ? (cost / leads).toFixed(2) : null
+          },
+          asset_groups: groups.map(ag => {
+            const groupCost = parseFloat(ag.cost) || 0;
+            const groupAssets = assets.filter(a => a.google_asset_group_id === ag.google_asset_group_id);
+
+            return {
+              id: ag.google_asset_group_id,
+              name: ag.asset_group_name,
+              status: ag.status,
+              ad_strength: AD_STRENGTHS[ag.ad_strength] || null,
+              impressions: parseInt(ag.impressions) || 0,
+              clicks: parseInt(ag.clicks) || 0,
+              cost: groupCost.toFixed(2),
+              conversions: parseFloat(ag.conversions) || 0,
+              conversions_value: parseFloat(ag.conversions_value) || 0,
+              share_of_campaign_spend: cost > 0 ? ((groupCost / cost) * 100).toFixed(1) : '0.0',
+              // Leads can't be attributed below campaign level - split by spend share as an estimate
+              estimated_leads: cost > 0 ? +((groupCost / cost) * leads).toFixed(1) : 0,
+              labels: countLabels(groupAssets),
+              assets: groupAssets.map(a => ({
+                id: a.google_asset_id,
+                field_type: a.field_type,
+                asset_type: a.asset_type,
+                content: a.content,
+                performance_label: a.performance_label
+              }))
+            };
+          })
+        };
+      }),
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    await connection.end();
+  }
+}
+
+function countLabels(assets) {
+  return assets.reduce((counts, asset) => {
+    const label = asset.performance_label || 'UNKNOWN';
+    counts[label] = (counts[label] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+/**
+ * Handle PMax breakdown route
+ */
+async function handlePMaxBreakdown(req, res, getDbConnection) {
+  try {
+    const campaignId = req.query.campaign;
+
+    if (campaignId && !/^\d+$/.test(campaignId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Campaign ID must be numeric',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const days = parseInt(req.query.days) || 30;
+    const accountId = req.accountId;
+    const result = await getPMaxBreakdown(getDbConnection, { days, accountId, campaignId });
+    res.json(await fxRates.convertReport(getDbConnection, result, { currency: req.query.currency, moneyFields: MONEY_FIELDS }));
+
+  } catch (error) {
+    console.error('❌ Performance Max breakdown failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  MONEY_FIELDS,
+  PERFORMANCE_MAX,
+  syncPMaxAssetGroups,
+  getPMaxBreakdown,
+  // Route handlers
+  handlePMaxBreakdown
+};
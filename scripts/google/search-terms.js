@@ -0,0 +1,271 @@
+/**
+ * Google Ads Search Terms Module
+ * /scripts/google/search-terms.js
+ *
+ * Syncs the search terms report (search_term_view) into gads_search_terms and tags
+ * each term that mentions a red or yellow territory from country_rules, so we can see
+ * how much spend leaks to people searching for countries we can't serve.
+ */
+
+const accounts = require('./accounts');
+const fxRates = require('../currency/fx-rates');
+const { buildDateCondition, describeRange } = require('./adgroup-sync');
+const { loadTerritoryMatchers, matchTerritory } = require('../country/territory-terms');
+
+// EUR amounts in getTerritoryLeakage results, as fxRates.convertReport paths
+const MONEY_FIELDS = [
+  'summary.total_search_term_cost', 'summary.red_cost', 'summary.yellow_cost',
+  'by_status[].cost', 'by_country[].cost', 'top_terms[].cost'
+];
+
+/**
+ * Sync search terms for the given Search campaigns
+ * @param {Object} customer - Google Ads customer client
+ * @param {Object} connection - Open database connection
+ * @param {Array} campaigns - Rows with google_campaign_id (from gads_campaigns)
+ * @param {Object} range - Either { days } or { startDate, endDate }
+ * @returns {Object} Counts of synced and flagged rows
+ */
+async function syncSearchTerms(customer, connection, campaigns, range) {
+  try {
+    if (!campaigns || campaigns.length === 0) {
+      console.log('⚠️ No Search campaigns for search terms');
+      return { search_terms_synced: 0, search_terms_flagged: 0, api_calls_used: 0 };
+    }
+
+    const matchers = await loadTerritoryMatchers(connection);
+    const accountId = accounts.getAccountId(customer);
+    const money = await fxRates.getAccountMoney(connection, accountId);
+    const campaignIds = campaigns.map(c => c.google_campaign_id).join(',');
+
+    console.log(`🔎 Syncing search terms for ${campaigns.length} Search campaigns (${describeRange(range)})...`);
+
+    const results = await customer.query(`
+      SELECT
+        search_term_view.search_term,
+        search_term_view.status,
+        campaign.id,
+        ad_group.id,
+        segments.date,
+        metrics.impressions,
+        metrics.clicks,
+        metrics.cost_micros,
+        metrics.conversions
+      FROM search_term_view
+      WHERE campaign.id IN (${campaignIds})
+        AND ${buildDateCondition(range)}
+      ORDER BY segments.date DESC
+    `);
+
+    let synced = 0;
+    let flagged = 0;
+
+    for (const row of results) {
+      const searchTerm = (row.search_term_view.search_term || '').slice(0, 255);
+      if (!searchTerm) continue;
+
+      const match = matchTerritory(searchTerm, matchers);
+
+      await upsertSearchTerm(connection, {
+        search_term: searchTerm,
+        account_id: accountId,
+        google_campaign_id: row.campaign.id?.toString(),
+        google_adgroup_id: row.ad_group.id?.toString(),
+        date: row.segments.date,
+        term_status: row.search_term_view.status,
+        impressions: row.metrics.impressions || 0,
+        clicks: row.metrics.clicks || 0,
+        cost_micros: row.metrics.cost_micros || 0,
+        cost_eur: money.fromMicros(row.metrics.cost_micros, row.segments.date),
+        conversions: row.metrics.conversions || 0,
+        matched_country_code: match ? match.country_code : null,
+        matched_territory_status: match ? match.status : null,
+        matched_word: match ? match.matched_word : null
+      });
+
+      synced++;
+      if (match) flagged++;
+    }
+
+    console.log(`   ✅ ${synced} search term rows (${flagged} mention red/yellow territories)`);
+
+    return {
+      search_terms_synced: synced,
+      search_terms_flagged: flagged,
+      api_calls_used: 1
+    };
+
+  } catch (error) {
+    console.error('❌ Search terms sync failed:', error);
+    throw error;
+  }
+}
+
+async function upsertSearchTerm(connection, data) {
+  await connection.execute(`
+    INSERT INTO gads_search_terms (
+      search_term, account_id, google_campaign_id, google_adgroup_id, date, term_status,
+      impressions, clicks, cost_micros, cost_eur, conversions,
+      matched_country_code, matched_territory_status, matched_word
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      account_id = VALUES(account_id),
+      term_status = VALUES(term_status),
+      impressions = VALUES(impressions),
+      clicks = VALUES(clicks),
+      cost_micros = VALUES(cost_micros),
+      cost_eur = VALUES(cost_eur),
+      conversions = VALUES(conversions),
+      matched_country_code = VALUES(matched_country_code),
+      matched_territory_status = VALUES(matched_territory_status),
+      matched_word = VALUES(matched_word),
+      synced_at = CURRENT_TIMESTAMP
+  `, [
+    data.search_term, data.account_id, data.google_campaign_id, data.google_adgroup_id, data.date, data.term_status,
+    data.impressions, data.clicks, data.cost_micros, data.cost_eur, data.conversions,
+    data.matched_country_code, data.matched_territory_status, data.matched_word
+  ]);
+}
+
+/**
+ * Territory leakage report - spend on search terms mentioning red/yellow countries
+ * @param {Function} getDbConnection - Database connection function
+ * @param {Object} options - { days } (default: 30), { accountId } to scope to one account
+ */
+async function getTerritoryLeakage(getDbConnection, options = {}) {
+  const days = options.days || 30;
+  const connection = await getDbConnection();
+
+  try {
+    const accountFilter = options.accountId ? 'AND st.account_id = ?' : '';
+    const params = options.accountId ? [days, options.accountId] : [days];
+
+    const [totals] = await connection.execute(`
+      SELECT
+        COALESCE(matched_territory_status, 'untagged') as territory_status,
+        COUNT(DISTINCT search_term) as terms,
+        COALESCE(SUM(clicks), 0) as clicks,
+        COALESCE(SUM(cost_eur), 0) as cost,
+        COALESCE(SUM(conversions), 0) as conversions
+      FROM gads_search_terms st
+      WHERE st.date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+        ${accountFilter}
+      GROUP BY COALESCE(matched_territory_status, 'untagged')
+    `, params);
+
+    const [countries] = await connection.execute(`
+      SELECT
+        st.matched_country_code as country_code,
+        cr.country_name,
+        st.matched_territory_status as territory_status,
+        COUNT(DISTINCT st.search_term) as terms,
+        COALESCE(SUM(st.clicks), 0) as clicks,
+        COALESCE(SUM(st.cost_eur), 0) as cost
+      FROM gads_search_terms st
+      LEFT JOIN country_rules cr ON cr.country_code = st.matched_country_code
+      WHERE st.date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+        AND st.matched_country_code IS NOT NULL
+        ${accountFilter}
+      GROUP BY st.matched_country_code, cr.country_name, st.matched_territory_status
+      ORDER BY cost DESC
+    `, params);
+
+    const [terms] = await connection.execute(`
+      SELECT
+        st.search_term,
+        st.matched_country_code as country_code,
+        st.matched_territory_status as territory_status,
+        st.matched_word,
+        c.campaign_name,
+        COALESCE(SUM(st.impressions), 0) as impressions,
+        COALESCE(SUM(st.clicks), 0) as clicks,
+        COALESCE(SUM(st.cost_eur), 0) as cost,
+        COALESCE(SUM(st.conversions), 0) as conversions
+      FROM gads_search_terms st
+      LEFT JOIN gads_campaigns c ON c.google_campaign_id = st.google_campaign_id
+      WHERE st.date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+        AND st.matched_country_code IS NOT NULL
+        ${accountFilter}
+      GROUP BY st.search_term, st.matched_country_code, st.matched_territory_status,
+        st.matched_word, c.campaign_name
+      ORDER BY cost DESC
+      LIMIT 100
+    `, params);
+
+    const totalCost = totals.reduce((sum, t) => sum + parseFloat(t.cost), 0);
+    const costFor = status => parseFloat(totals.find(t => t.territory_status === status)?.cost || 0);
+    const redCost = costFor('red');
+    const yellowCost = costFor('yellow');
+
+    return {
+      success: true,
+      account_id: options.accountId || null,
+      period: `Last ${days} days`,
+      summary: {
+        total_search_term_cost: totalCost.toFixed(2),
+        red_cost: redCost.toFixed(2),
+        yellow_cost: yellowCost.toFixed(2),
+        red_share: totalCost > 0 ? ((redCost / totalCost) * 100).toFixed(1) : '0.0',
+        yellow_share: totalCost > 0 ? ((yellowCost / totalCost) * 100).toFixed(1) : '0.0'
+      },
+      by_status: totals.map(t => ({
+        territory_status: t.territory_status,
+        terms: parseInt(t.terms) || 0,
+        clicks: parseInt(t.clicks) || 0,
+        cost: (parseFloat(t.cost) || 0).toFixed(2),
+        conversions: parseFloat(t.conversions) || 0
+      })),
+      by_country: countries.map(c => ({
+        country_code: c.country_code,
+        country_name: c.country_name,
+        territory_status: c.territory_status,
+        terms: parseInt(c.terms) || 0,
+        clicks: parseInt(c.clicks) || 0,
+        cost: (parseFloat(c.cost) || 0).toFixed(2)
+      })),
+      top_terms: terms.map(t => ({
+        search_term: t.search_term,
+        country_code: t.country_code,
+        territory_status: t.territory_status,
+        matched_word: t.matched_word,
+        campaign_name: t.campaign_name,
+        impressions: parseInt(t.impressions) || 0,
+        clicks: parseInt(t.clicks) || 0,
+        cost: (parseFloat(t.cost) || 0).toFixed(2),
+        conversions: parseFloat(t.conversions) || 0
+      })),
+      timestamp: new Date().toISOString()
+    };
+
+  } finally {
+    await connection.end();
+  }
+}
+
+/**
+ * Handle territory leakage route
+ */
+async function handleTerritoryLeakage(req, res, getDbConnection) {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const accountId = req.accountId;
+    const result = await getTerritoryLeakage(getDbConnection, { days, accountId });
+    res.json(await fxRates.convertReport(getDbConnection, result, { currency: req.query.currency, moneyFields: MONEY_FIELDS }));
+
+  } catch (error) {
+    console.error('❌ Search term leakage report failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  MONEY_FIELDS,
+  syncSearchTerms,
+  getTerritoryLeakage,
+  // Route handlers
+  handleTerritoryLeakage
+};
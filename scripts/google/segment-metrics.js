@@ -0,0 +1,108 @@
+/**
+ * Google Ads Device and Network Metrics Module
+ * /scripts/google/segment-metrics.js
+ *
+ * Daily campaign performance split by segments.device and segments.ad_network_type in
+ * gads_segment_metrics, so mobile can be compared with desktop and Search Partners with
+ * Google Search. scripts/analytics/segments.js joins it with HubSpot lead hints.
+ */
+
+const { enums } = require('google-ads-api');
+const accounts = require('./accounts');
+const gaql = require('./gaql');
+const fxRates = require('../currency/fx-rates');
+const bulkWrite = require('../db/bulk-write');
+const { buildDateCondition, describeRange } = require('./adgroup-sync');
+
+// Enum value → name, from the client library so the numbering matches the API version
+const DEVICES = enums.Device;
+const AD_NETWORK_TYPES = enums.AdNetworkType;
+
+const SEGMENT_METRIC_COLUMNS = [
+  'google_campaign_id', 'date', 'device', 'ad_network_type', 'account_id',
+  'impressions', 'clicks', 'cost_micros', 'cost_eur', 'conversions'
+];
+
+/**
+ * Enum value (number or name) as its name, UNKNOWN when unmapped
+ */
+function getEnumName(names, value) {
+  if (typeof value === 'string' && value) return value;
+  const name = names[value];
+  return typeof name === 'string' ? name : 'UNKNOWN';
+}
+
+/**
+ * Sync device × network metrics for the given campaigns
+ * @param {Object} customer - Google Ads customer client
+ * @param {Object} connection - Open database connection
+ * @param {Array} campaigns - Rows with google_campaign_id (from gads_campaigns)
+ * @param {Object} range - Either { days } or { startDate, endDate }
+ * @returns {Object} Counts of synced rows and API calls
+ */
+async function syncSegmentMetrics(customer, connection, campaigns, range) {
+  try {
+    if (!campaigns || campaigns.length === 0) {
+      console.log('⚠️ No campaigns for device and network metrics');
+      return { segment_metrics_synced: 0, api_calls_used: 0 };
+    }
+
+    const accountId = accounts.getAccountId(customer);
+    const money = await fxRates.getAccountMoney(connection, accountId);
+    const campaignIds = campaigns.map(c => c.google_campaign_id);
+
+    console.log(`📱 Syncing device and network metrics for ${campaigns.length} campaigns (${describeRange(range)})...`);
+
+    const results = await gaql.queryInChunks(customer, 'campaign.id', campaignIds, inCondition => `
+      SELECT
+        campaign.id,
+        segments.date,
+        segments.device,
+        segments.ad_network_type,
+        metrics.impressions,
+        metrics.clicks,
+        metrics.cost_micros,
+        metrics.conversions
+      FROM campaign
+      WHERE ${inCondition}
+        AND ${buildDateCondition(range)}
+    `);
+
+    const rows = results.map(row => ({
+      google_campaign_id: row.campaign.id?.toString(),
+      date: row.segments.date,
+      device: getEnumName(DEVICES, row.segments.device),
+      ad_network_type: getEnumName(AD_NETWORK_TYPES, row.segments.ad_network_type),
+      account_id: accountId,
+      impressions: row.metrics?.impressions || 0,
+      clicks: row.metrics?.clicks || 0,
+      cost_micros: row.metrics?.cost_micros || 0,
+      cost_eur: money.fromMicros(row.metrics?.cost_micros, row.segments.date),
+      conversions: row.metrics?.conversions || 0
+    }));
+
+    const write = await bulkWrite.bulkUpsert(connection, 'gads_segment_metrics', rows, {
+      columns: SEGMENT_METRIC_COLUMNS,
+      keys: ['google_campaign_id', 'date', 'device', 'ad_network_type'],
+      touch: 'synced_at = CURRENT_TIMESTAMP'
+    });
+
+    console.log(`   ✅ ${write.rows} device/network metric rows`);
+
+    return {
+      segment_metrics_synced: write.rows,
+      write,
+      api_calls_used: Math.ceil(campaignIds.length / gaql.MAX_IN_LIST_SIZE)
+    };
+
+  } catch (error) {
+    console.error('❌ Device and network metrics sync failed:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  DEVICES,
+  AD_NETWORK_TYPES,
+  syncSegmentMetrics
+};
@@ -4,6 +4,8 @@
  * Minimal logging for production use
  */
 
+const bulkWrite = require('../db/bulk-write');
+
 //=============================================================================//
 //   SIMPLE CONFIGURATION - Just table names and basics
 //=============================================================================//
@@ -149,20 +151,17 @@ async function ensureTableExists(connection, objectType) {
       throw new Error(`Unknown object type: ${objectType}`);
     }
     
-    const { tableName, primaryKey, hubspotIdField } = config;
+    const { tableName } = config;
     
-    const createSQL = `
-      CREATE TABLE IF NOT EXISTS ${tableName} (
-        ${primaryKey} INT AUTO_INCREMENT PRIMARY KEY,
-        ${hubspotIdField} VARCHAR(50) UNIQUE NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        KEY idx_hubspot_id (${hubspotIdField})
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-    `;
+    // Tables are created by scripts/db/migrations - only columns are added at runtime
+    const [tables] = await connection.execute(
+      'SELECT 1 FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+      [tableName]
+    );
     
-    await connection.execute(createSQL);
-    console.log(`✅ ${tableName} table ready`);
+    if (tables.length === 0) {
+      throw new Error(`${tableName} does not exist - run migrations (/admin/migrate)`);
+    }
     
     return config;
   } catch (error) {
@@ -175,67 +174,115 @@ async function ensureTableExists(connection, objectType) {
 //   DYNAMIC PROCESSING WITH MINIMAL LOGGING
 //=============================================================================//
 
-async function processHubSpotObject(hubspotObject, connection, objectType) {
-  try {
-    const config = TABLE_CONFIGS[objectType];
-    if (!config) {
-      throw new Error(`Unknown object type: ${objectType}`);
+/**
+ * Current columns of a table
+ */
+async function getTableColumns(connection, tableName) {
+  const [columns] = await connection.execute(
+    `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?`,
+    [process.env.DB_NAME, tableName]
+  );
+  return new Set(columns.map(col => col.COLUMN_NAME));
+}
+
+/**
+ * Map one HubSpot object to a row, adding columns for fields the table doesn't have yet
+ * knownColumns is shared across a batch, so INFORMATION_SCHEMA is read once per batch.
+ */
+async function prepareHubSpotObject(hubspotObject, connection, config, knownColumns) {
+  const { tableName, hubspotIdField } = config;
+  
+  // Start with HubSpot ID
+  const data = {};
+  data[hubspotIdField] = hubspotObject.id;
+  
+  // Process ALL properties that have values
+  for (const [hubspotFieldName, fieldValue] of Object.entries(hubspotObject.properties || {})) {
+    // Skip empty values
+    if (fieldValue === null || fieldValue === undefined || fieldValue === '') {
+      continue;
     }
     
-    const { tableName, hubspotIdField } = config;
-    
-    // Start with HubSpot ID
-    const data = {};
-    data[hubspotIdField] = hubspotObject.id;
-    
-    let processedFields = 0;
-    
-    // Process ALL properties that have values
-    if (hubspotObject.properties) {
-      for (const [hubspotFieldName, fieldValue] of Object.entries(hubspotObject.properties)) {
-        // Skip empty values
-        if (fieldValue === null || fieldValue === undefined || fieldValue === '') {
-          continue;
-        }
-        
-        try {
-          // Ensure column exists
-          const columnName = await ensureColumnExists(connection, tableName, hubspotFieldName, fieldValue);
-          
-          if (columnName) {
-            // Transform and store value
-            const transformedValue = transformValue(hubspotFieldName, fieldValue);
-            data[columnName] = transformedValue;
-            processedFields++;
-          }
-        } catch (error) {
-          console.error(`❌ Error processing field ${hubspotFieldName}:`, error.message);
-        }
+    try {
+      if (!knownColumns.has(hubspotFieldName)) {
+        const columnName = await ensureColumnExists(connection, tableName, hubspotFieldName, fieldValue);
+        if (!columnName) continue;
+        knownColumns.add(columnName);
       }
+      
+      data[hubspotFieldName] = transformValue(hubspotFieldName, fieldValue);
+    } catch (error) {
+      console.error(`❌ Error processing field ${hubspotFieldName}:`, error.message);
     }
+  }
+  
+  return data;
+}
+
+/**
+ * Upsert a page of HubSpot objects with one bulk write
+ * Missing columns are added first - ALTER TABLE commits implicitly, so never inside the
+ * write transaction. Empty values never blank a stored value. If the batch fails it is
+ * retried one object at a time, so one bad record doesn't lose the page.
+ * @param {Object} options - { batchSize, stats } passed to bulkUpsert
+ * @returns {Object} { saved, failedIds, write }
+ */
+async function processHubSpotObjects(hubspotObjects, connection, objectType, options = {}) {
+  const config = TABLE_CONFIGS[objectType];
+  if (!config) {
+    throw new Error(`Unknown object type: ${objectType}`);
+  }
+  
+  const { tableName, hubspotIdField } = config;
+  const knownColumns = await getTableColumns(connection, tableName);
+  
+  const rows = [];
+  for (const hubspotObject of hubspotObjects) {
+    rows.push(await prepareHubSpotObject(hubspotObject, connection, config, knownColumns));
+  }
+  
+  const upsertOptions = { keys: [hubspotIdField], keepExisting: true, batchSize: options.batchSize };
+  
+  try {
+    const write = await bulkWrite.bulkUpsert(connection, tableName, rows, { ...upsertOptions, stats: options.stats });
+    return { saved: rows.length, failedIds: [], write };
     
-    // Build and execute query
-    const columns = Object.keys(data);
-    const values = Object.values(data);
-    const placeholders = columns.map(() => '?').join(', ');
-    const updateClauses = columns
-      .filter(col => col !== hubspotIdField)
-      .map(col => `\`${col}\` = VALUES(\`${col}\`)`)
-      .join(', ');
-    
-    const query = `
-      INSERT INTO ${tableName} (${columns.map(c => `\`${c}\``).join(', ')})
-      VALUES (${placeholders})
-      ON DUPLICATE KEY UPDATE ${updateClauses}
-    `;
-    
-    await connection.execute(query, values);
-    
-    if (processedFields > 0) {
-      console.log(`✅ Saved ${objectType} ${hubspotObject.id} (${processedFields} fields)`);
+  } catch (error) {
+    console.error(`❌ Bulk upsert of ${rows.length} ${objectType} failed, retrying one by one:`, error.message);
+  }
+  
+  const started = Date.now();
+  const failedIds = [];
+  
+  for (const row of rows) {
+    try {
+      await bulkWrite.bulkUpsert(connection, tableName, [row], upsertOptions);
+    } catch (error) {
+      console.error(`❌ Failed to process ${objectType} ${row[hubspotIdField]}:`, error.message);
+      failedIds.push(row[hubspotIdField]);
     }
+  }
+  
+  const write = { rows: rows.length - failedIds.length, batches: rows.length, ms: Date.now() - started };
+  if (options.stats) {
+    bulkWrite.addWriteStats(options.stats, write);
+  }
+  
+  return { saved: write.rows, failedIds, write };
+}
+
+/**
+ * Upsert a single HubSpot object
+ * @returns {boolean} Whether it was saved
+ */
+async function processHubSpotObject(hubspotObject, connection, objectType) {
+  try {
+    const result = await processHubSpotObjects([hubspotObject], connection, objectType);
     
-    return true;
+    if (result.saved === 1) {
+      console.log(`✅ Saved ${objectType} ${hubspotObject.id}`);
+    }
+    return result.saved === 1;
   } catch (error) {
     console.error(`❌ Failed to process ${objectType} ${hubspotObject.id}:`, error.message);
     return false;
@@ -250,6 +297,7 @@ module.exports = {
   ensureTableExists,
   ensureColumnExists,
   processHubSpotObject,
+  processHubSpotObjects,
   getMySQLDataType,
   transformValue,
   TABLE_CONFIGS
@@ -6,35 +6,8 @@
  */
 
 const fieldMap = require('./fieldmap');
-
-/**
- * Create association table if it doesn't exist
- */
-async function ensureAssociationTableExists(connection) {
-  try {
-    const createAssociationTable = `
-      CREATE TABLE IF NOT EXISTS hub_contact_deal_associations (
-        association_id INT AUTO_INCREMENT PRIMARY KEY,
-        contact_hubspot_id VARCHAR(50) NOT NULL,
-        deal_hubspot_id VARCHAR(50) NOT NULL,
-        association_type VARCHAR(50) DEFAULT 'contact_to_deal',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        
-        INDEX idx_contact_id (contact_hubspot_id),
-        INDEX idx_deal_id (deal_hubspot_id),
-        UNIQUE KEY unique_contact_deal (contact_hubspot_id, deal_hubspot_id)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-    `;
-    
-    await connection.execute(createAssociationTable);
-    console.log('✅ Association table ready');
-    
-  } catch (error) {
-    console.error('❌ Failed to create association table:', error.message);
-    throw error;
-  }
-}
+const bulkWrite = require('../db/bulk-write');
+const fxRates = require('../currency/fx-rates');
 
 /**
  * Save contact-deal associations
@@ -75,7 +48,9 @@ async function saveContactAssociations(connection, contactId, associations) {
  * FIXED: Enhanced sync function that captures associations
  * The issue was missing 'associations' parameter in the API calls
  */
-async function syncObjectsWithAllPropertiesAndAssociations(hubspotClient, connection, objectType, startDate, endDate, allPropertyNames) {
+async function syncObjectsWithAllPropertiesAndAssociations(hubspotClient, connection, objectType, startDate, endDate, allPropertyNames, options = {}) {
+  const job = options.job;
+  
   try {
     console.log(`🔄 Syncing ${objectType} with associations (${allPropertyNames.length} properties)...`);
     
@@ -85,6 +60,9 @@ async function syncObjectsWithAllPropertiesAndAssociations(hubspotClient, connec
     let page = 1;
     
     while (true) {
+      // Stop between pages when the job running this sync is cancelled
+      job?.throwIfCancelled();
+      
       let response;
       
       if (objectType === 'contacts') {
@@ -133,34 +111,37 @@ async function syncObjectsWithAllPropertiesAndAssociations(hubspotClient, connec
       }
       
       console.log(`   📄 Page ${page}: Processing ${objects.length} ${objectType}...`);
+      job?.increment(`${objectType}_pages_fetched`);
+      job?.progress({}, `Syncing ${objectType}: page ${page}`);
+      
+      // Save the whole page with one bulk write
+      const pageResult = await fieldMap.processHubSpotObjects(objects, connection, objectType, {
+        stats: options.writeStats
+      });
+      totalSynced += pageResult.saved;
+      job?.increment(`${objectType}_upserted`, pageResult.saved);
       
-      // Process objects
-      for (const obj of objects) {
-        // Save the main object (contact or deal)
-        const success = await fieldMap.processHubSpotObject(obj, connection, objectType);
+      // For contacts: save associations to deals
+      if (objectType === 'contacts') {
+        const failedIds = new Set(pageResult.failedIds);
         
-        if (success) {
-          totalSynced++;
+        for (const obj of objects) {
+          if (failedIds.has(obj.id)) continue;
           
-          // For contacts: save associations to deals
-          // CORRECT (fixed code):
-          if (objectType === 'contacts') {
-            const dealAssociations = obj.associations || [];
-            console.log(`   🔗 Contact ${obj.id} has ${dealAssociations.length} deal associations:`, dealAssociations);
-            
-            if (dealAssociations.length > 0) {
-              const associationCount = await saveContactAssociations(
-                connection, 
-                obj.id, 
-                dealAssociations
-              );
-              totalAssociations += associationCount;
-            }
+          const dealAssociations = obj.associations || [];
+          console.log(`   🔗 Contact ${obj.id} has ${dealAssociations.length} deal associations:`, dealAssociations);
+          
+          if (dealAssociations.length > 0) {
+            const associationCount = await saveContactAssociations(
+              connection, 
+              obj.id, 
+              dealAssociations
+            );
+            totalAssociations += associationCount;
           }
         }
       }
       
-      
       after = response.paging?.next?.after;
       if (!after) {
         break;
@@ -351,13 +332,10 @@ async function syncSchema(hubspotClient, getDbConnection) {
     const connection = await getDbConnection();
     
     try {
-      // Initialize tables
+      // Check tables (created by migrations)
       await fieldMap.ensureTableExists(connection, 'contacts');
       await fieldMap.ensureTableExists(connection, 'deals');
       
-      // NEW: Initialize association table
-      await ensureAssociationTableExists(connection);
-      
       // Process contacts schema
       const contactProperties = await getAllAvailableProperties(hubspotClient, 'contacts');
       const existingContactColumns = await getExistingColumns(connection, 'hub_contacts');
@@ -410,7 +388,7 @@ async function syncSchema(hubspotClient, getDbConnection) {
  * NEW: Sync contact-deal associations using the Associations API v4
  * This runs AFTER contacts and deals are synced
  */
-async function syncContactDealAssociations(hubspotClient, connection) {
+async function syncContactDealAssociations(hubspotClient, connection, job = null) {
   try {
     console.log('🔗 Starting contact-deal associations sync using Associations API v4...');
     
@@ -435,6 +413,7 @@ async function syncContactDealAssociations(hubspotClient, connection) {
     
     // Process in batches of 100 (API limit)
     for (let i = 0; i < contactIds.length; i += 100) {
+      job?.throwIfCancelled();
       const batch = contactIds.slice(i, i + 100);
       
       console.log(`   📦 Processing batch ${Math.floor(i/100) + 1}/${Math.ceil(contactIds.length/100)}`);
@@ -478,6 +457,7 @@ async function syncContactDealAssociations(hubspotClient, connection) {
                 `, [contactId, dealId, 'primary']);
                 
                 totalAssociations++;
+                job?.increment('associations_upserted');
                 
               } catch (error) {
                 console.error(`     ❌ Failed to save association ${contactId} → ${dealId}:`, error.message);
@@ -550,29 +530,42 @@ async function runSyncWithSchemaCheck(hubspotClient, getDbConnection, options =
     
     try {
       // Sync contacts and deals
+      const writeStats = bulkWrite.createWriteStats();
+      const pageOptions = { job: options.job, writeStats };
+      
       const contactResult = await syncObjectsWithAllPropertiesAndAssociations(
-        hubspotClient, connection, 'contacts', startDate, endDate, contactPropertyNames
+        hubspotClient, connection, 'contacts', startDate, endDate, contactPropertyNames, pageOptions
       );
       
       const dealResult = await syncObjectsWithAllPropertiesAndAssociations(
-        hubspotClient, connection, 'deals', startDate, endDate, dealPropertyNames
+        hubspotClient, connection, 'deals', startDate, endDate, dealPropertyNames, pageOptions
       );
       
+      // deal_currency_code comes in with the other deal properties - EUR value per deal date
+      options.job?.progress({}, 'Converting deal amounts to EUR');
+      const dealAmounts = await fxRates.normalizeDealAmounts(connection);
+      
       // Step 4: NEW - Sync associations using Associations API v4
       console.log('🔗 STEP 4: Syncing contact-deal associations...');
-      const associationsResult = await syncContactDealAssociations(hubspotClient, connection);
+      options.job?.progress({}, 'Syncing contact-deal associations');
+      const associationsResult = await syncContactDealAssociations(hubspotClient, connection, options.job);
       
       console.log('🎉 Enhanced sync completed successfully!');
       console.log(`📊 Synced: ${contactResult.synced} contacts, ${dealResult.synced} deals`);
       console.log(`🔗 Contact-Deal Associations: ${associationsResult.associations} via API v4`);
       
+      const writeSummary = bulkWrite.summarizeWriteStats(writeStats);
+      console.log(`💾 Wrote ${writeSummary.rows_written} records at ${writeSummary.rows_per_second || 0} rows/s`);
+      
       return {
         success: true,
         contacts_synced: contactResult.synced,
         deals_synced: dealResult.synced,
         associations_synced: associationsResult.associations,
+        deals_missing_fx_rate: dealAmounts.missing_rate,
         contact_properties_used: contactPropertyNames.length,
         deal_properties_used: dealPropertyNames.length,
+        ...writeSummary,
         date_range: {
           start: startDate.toISOString(),
           end: endDate.toISOString()
@@ -599,6 +592,5 @@ module.exports = {
   runSyncWithSchemaCheck,
   getAllAvailableProperties,
   saveContactAssociations,
-  ensureAssociationTableExists,
   syncContactDealAssociations
 };
\ No newline at end of file
@@ -0,0 +1,565 @@
+/**
+ * Background Job Runner
+ * /scripts/jobs/job-runner.js
+ *
+ * Background work (HubSpot syncs, Google Ads full syncs and backfills, scheduled runs)
+ * goes through the jobs table instead of fire-and-forget closures, so every run has an
+ * ID, live progress, a cancel switch and a recorded outcome.
+ *
+ *   enqueueJob()  - insert a queued job; a worker picks it up (routes use this)
+ *   runJob()      - run a job inline in this process and wait for it (scheduler)
+ *
+ * Each process runs up to JOB_CONCURRENCY jobs (default 2). A running job renews
+ * heartbeat_at and flushes its progress every few seconds; jobs whose heartbeat stops
+ * are marked failed, or queued again when their type can resume (RESUMABLE_JOB_TYPES).
+ * Cancellation is cooperative: handlers call job.throwIfCancelled()
+ * between pages / windows / steps.
+ */
+
+const os = require('os');
+const jobTypes = require('./job-types');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const POLL_INTERVAL_MS = 5 * 1000;
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+// A running job this long without a heartbeat belongs to a dead process
+const STALE_AFTER_SECONDS = 2 * 60;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// job_id → handle, for jobs running in this process
+const activeJobs = new Map();
+
+let workerContext = null;
+let poller = null;
+let polling = false;
+
+function getConcurrency() {
+  return parseInt(process.env.JOB_CONCURRENCY) || 2;
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Handle passed to job handlers for progress reporting and cancellation
+ */
+function createJobHandle(jobId, jobType) {
+  const handle = {
+    id: jobId,
+    type: jobType,
+    counters: {},
+    message: null,
+    cancelled: false,
+
+    // Set counters (pages fetched, rows upserted, current step...) and an optional message
+    progress(update = {}, message = null) {
+      Object.assign(handle.counters, update);
+      if (message) handle.message = message;
+    },
+
+    increment(key, amount = 1) {
+      handle.counters[key] = (handle.counters[key] || 0) + amount;
+    },
+
+    isCancelled() {
+      return handle.cancelled;
+    },
+
+    throwIfCancelled() {
+      if (handle.cancelled) {
+        const error = new Error('Job cancelled');
+        error.code = 'JOB_CANCELLED';
+        throw error;
+      }
+    }
+  };
+
+  return handle;
+}
+
+/**
+ * Flush progress, renew the heartbeat and pick up cancel requests made from other processes
+ */
+async function heartbeat(handle, getDbConnection) {
+  const connection = await getDbConnection();
+
+  try {
+    await connection.execute(`
+      UPDATE jobs SET progress = ?, progress_message = ?, heartbeat_at = ?
+      WHERE job_id = ? AND worker = ?
+    `, [JSON.stringify(handle.counters), handle.message, new Date(), handle.id, INSTANCE_ID]);
+
+    const [[job]] = await connection.execute('SELECT cancel_requested FROM jobs WHERE job_id = ?', [handle.id]);
+    if (job && job.cancel_requested) {
+      handle.cancelled = true;
+    }
+  } finally {
+    await connection.end();
+  }
+}
+
+/**
+ * Run a job this process has claimed and record how it ended
+ * @returns {Object} { job_id, status, result, error }
+ */
+async function executeJob(jobId, jobType, params, context) {
+  const handle = createJobHandle(jobId, jobType);
+  const started = Date.now();
+  activeJobs.set(jobId, handle);
+
+  const timer = setInterval(() => {
+    heartbeat(handle, context.getDbConnection).catch(error => {
+      console.error(`⚠️ Job ${jobId}: heartbeat failed:`, error.message);
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  let status = JOB_STATUS.COMPLETED;
+  let result = null;
+  let errorMessage = null;
+
+  try {
+    console.log(`🧵 Job ${jobId} (${jobType}) started`);
+
+    const handler = jobTypes.JOB_TYPES[jobType];
+    if (!handler) {
+      throw new Error(`Unknown job type "${jobType}"`);
+    }
+
+    result = await handler(params || {}, handle, context);
+    console.log(`✅ Job ${jobId} (${jobType}) completed in ${Math.round((Date.now() - started) / 1000)}s`);
+
+  } catch (error) {
+    // Sync functions that catch their own errors still surface as failures - the flag decides
+    status = handle.cancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED;
+    errorMessage = error.message;
+
+    if (status === JOB_STATUS.CANCELLED) {
+      console.log(`🛑 Job ${jobId} (${jobType}) cancelled`);
+    } else {
+      console.error(`❌ Job ${jobId} (${jobType}) failed:`, error.message);
+    }
+
+  } finally {
+    clearInterval(timer);
+    activeJobs.delete(jobId);
+
+    const connection = await context.getDbConnection();
+    try {
+      await connection.execute(`
+        UPDATE jobs
+        SET status = ?, result = ?, error_message = ?, progress = ?, progress_message = ?,
+            heartbeat_at = ?, completed_at = ?
+        WHERE job_id = ? AND worker = ?
+      `, [
+        status,
+        result ? JSON.stringify(result) : null,
+        errorMessage,
+        JSON.stringify(handle.counters),
+        handle.message,
+        new Date(),
+        new Date(),
+        jobId,
+        INSTANCE_ID
+      ]);
+    } finally {
+      await connection.end();
+    }
+  }
+
+  return { job_id: jobId, status, result, error: errorMessage };
+}
+
+/**
+ * Queue a job for a worker
+ * @param {Function} getDbConnection - Database connection function
+ * @param {string} jobType - Key of JOB_TYPES
+ * @param {Object} params - Stored as JSON; everything the handler needs
+ * @returns {Object} { job_id, status }
+ */
+async function enqueueJob(getDbConnection, jobType, params = {}) {
+  if (!jobTypes.JOB_TYPES[jobType]) {
+    throw new Error(`Unknown job type "${jobType}"`);
+  }
+
+  const connection = await getDbConnection();
+  let job;
+
+  try {
+    const [result] = await connection.execute(
+      'INSERT INTO jobs (job_type, status, params) VALUES (?, ?, ?)',
+      [jobType, JOB_STATUS.QUEUED, JSON.stringify(params)]
+    );
+    job = { job_id: result.insertId, status: JOB_STATUS.QUEUED };
+  } finally {
+    await connection.end();
+  }
+
+  console.log(`📥 Job ${job.job_id} (${jobType}) queued`);
+
+  // Don't wait for the next poll
+  if (poller) {
+    setImmediate(() => poll());
+  }
+
+  return job;
+}
+
+/**
+ * Run a job inline and wait for it, still recorded in the jobs table
+ * @param {Object} context - { hubspotClient, createCustomer, getDbConnection }
+ * @param {Object} options - { onStart(jobId) } called once the job row exists
+ * @returns {Object} { job_id, status, result, error }
+ */
+async function runJob(context, jobType, params = {}, options = {}) {
+  const connection = await context.getDbConnection();
+  let jobId;
+
+  try {
+    const now = new Date();
+    const [result] = await connection.execute(`
+      INSERT INTO jobs (job_type, status, params, worker, started_at, heartbeat_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [jobType, JOB_STATUS.RUNNING, JSON.stringify(params), INSTANCE_ID, now, now]);
+    jobId = result.insertId;
+  } finally {
+    await connection.end();
+  }
+
+  if (options.onStart) {
+    await options.onStart(jobId);
+  }
+
+  return executeJob(jobId, jobType, params, context);
+}
+
+/**
+ * Recover running jobs whose process is gone
+ * Only a stopped heartbeat counts - a host can run several server processes, so a job
+ * from this host may still be alive in a sibling. Resumable jobs go back to the queue
+ * (the conditional UPDATE hands each to one process); the rest are marked failed.
+ */
+async function failOrphanedJobs(connection) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_AFTER_SECONDS * 1000);
+  const resumable = jobTypes.RESUMABLE_JOB_TYPES;
+
+  const [requeued] = await connection.execute(`
+    UPDATE jobs SET status = 'queued', worker = NULL, started_at = NULL, heartbeat_at = NULL,
+      progress_message = 'Re-queued: worker stopped before the job finished'
+    WHERE status = 'running' AND heartbeat_at < ? AND cancel_requested = FALSE
+      AND job_type IN (${resumable.map(() => '?').join(', ')})
+  `, [staleBefore, ...resumable]);
+
+  const [failed] = await connection.execute(`
+    UPDATE jobs SET status = 'failed', error_message = 'Worker stopped before the job finished', completed_at = ?
+    WHERE status = 'running' AND heartbeat_at < ?
+  `, [now, staleBefore]);
+
+  if (requeued.affectedRows > 0) {
+    console.log(`🔁 Re-queued ${requeued.affectedRows} orphaned job(s)`);
+  }
+  if (failed.affectedRows > 0) {
+    console.log(`⚠️ Marked ${failed.affectedRows} orphaned job(s) as failed`);
+  }
+  return requeued.affectedRows + failed.affectedRows;
+}
+
+/**
+ * Claim and start queued jobs up to the concurrency limit
+ */
+async function poll() {
+  if (polling || !workerContext) return;
+  polling = true;
+
+  try {
+    const slots = getConcurrency() - activeJobs.size;
+    if (slots <= 0) return;
+
+    const connection = await workerContext.getDbConnection();
+    const claimed = [];
+
+    try {
+      await failOrphanedJobs(connection);
+
+      const [queued] = await connection.execute(
+        `SELECT job_id, job_type, params FROM jobs WHERE status = 'queued' ORDER BY job_id LIMIT ${slots}`
+      );
+
+      for (const job of queued) {
+        const now = new Date();
+        const [result] = await connection.execute(`
+          UPDATE jobs SET status = 'running', worker = ?, started_at = ?, heartbeat_at = ?
+          WHERE job_id = ? AND status = 'queued'
+        `, [INSTANCE_ID, now, now, job.job_id]);
+
+        // Another process got there first
+        if (result.affectedRows === 1) {
+          claimed.push(job);
+        }
+      }
+    } finally {
+      await connection.end();
+    }
+
+    for (const job of claimed) {
+      executeJob(job.job_id, job.job_type, parseJson(job.params), workerContext).catch(error => {
+        console.error(`❌ Job ${job.job_id} could not record its outcome:`, error.message);
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Job poll failed:', error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start the worker (once per process)
+ * @param {Object} context - { hubspotClient, createCustomer, getDbConnection }
+ */
+async function start(context) {
+  if (poller) return;
+
+  const connection = await context.getDbConnection();
+  try {
+    await failOrphanedJobs(connection);
+  } finally {
+    await connection.end();
+  }
+
+  workerContext = context;
+  poller = setInterval(() => poll(), POLL_INTERVAL_MS);
+  console.log(`🧵 Job runner started (${INSTANCE_ID}, concurrency ${getConcurrency()})`);
+  await poll();
+}
+
+function formatJob(job) {
+  return {
+    job_id: job.job_id,
+    job_type: job.job_type,
+    status: job.status,
+    params: parseJson(job.params),
+    progress: parseJson(job.progress) || {},
+    progress_message: job.progress_message,
+    result: parseJson(job.result),
+    error: job.error_message,
+    cancel_requested: !!job.cancel_requested,
+    worker: job.worker,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    heartbeat_at: job.heartbeat_at,
+    completed_at: job.completed_at,
+    duration_seconds: job.started_at
+      ? Math.round(((job.completed_at || new Date()) - job.started_at) / 1000)
+      : null
+  };
+}
+
+async function getJob(connection, jobId) {
+  const [rows] = await connection.execute('SELECT * FROM jobs WHERE job_id = ?', [jobId]);
+  if (rows.length === 0) return null;
+
+  const job = formatJob(rows[0]);
+
+  // Fresher than the last heartbeat when the job runs in this process
+  const handle = activeJobs.get(job.job_id);
+  if (handle) {
+    job.progress = { ...handle.counters };
+    job.progress_message = handle.message;
+  }
+
+  return job;
+}
+
+/**
+ * Cancel a job
+ * Queued jobs are cancelled right away; running jobs stop at their next checkpoint.
+ * @returns {Object|null} Updated job, null if not found
+ */
+async function cancelJob(connection, jobId) {
+  const job = await getJob(connection, jobId);
+  if (!job) return null;
+
+  if (job.status === JOB_STATUS.QUEUED) {
+    await connection.execute(`
+      UPDATE jobs SET status = 'cancelled', cancel_requested = TRUE, completed_at = ?
+      WHERE job_id = ? AND status = 'queued'
+    `, [new Date(), jobId]);
+  } else if (job.status === JOB_STATUS.RUNNING) {
+    await connection.execute('UPDATE jobs SET cancel_requested = TRUE WHERE job_id = ?', [jobId]);
+
+    const handle = activeJobs.get(job.job_id);
+    if (handle) {
+      handle.cancelled = true;
+    }
+  }
+
+  console.log(`🛑 Cancel requested for job ${jobId} (${job.job_type}, ${job.status})`);
+  return getJob(connection, jobId);
+}
+
+/**
+ * Handle job detail route
+ */
+async function handleGetJob(req, res, getDbConnection) {
+  try {
+    const connection = await getDbConnection();
+
+    try {
+      const job = await getJob(connection, parseInt(req.params.id) || 0);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: `Job ${req.params.id} not found`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.json({
+        success: true,
+        job,
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    console.error('❌ Job lookup failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Handle job list route (?status=running&type=hubspot-sync&limit=50)
+ */
+async function handleListJobs(req, res, getDbConnection) {
+  try {
+    const connection = await getDbConnection();
+
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (req.query.status) {
+        conditions.push('status = ?');
+        params.push(req.query.status);
+      }
+      if (req.query.type) {
+        conditions.push('job_type = ?');
+        params.push(req.query.type);
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const [rows] = await connection.execute(`
+        SELECT * FROM jobs
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY job_id DESC
+        LIMIT ${limit}
+      `, params);
+
+      res.json({
+        success: true,
+        instance: INSTANCE_ID,
+        active_here: [...activeJobs.keys()],
+        jobs: rows.map(formatJob),
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    console.error('❌ Job list failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Handle job cancel route
+ */
+async function handleCancelJob(req, res, getDbConnection) {
+  try {
+    const connection = await getDbConnection();
+
+    try {
+      const jobId = parseInt(req.params.id) || 0;
+      const current = await getJob(connection, jobId);
+
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: `Job ${req.params.id} not found`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(current.status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Job ${jobId} already ${current.status}`,
+          job: current,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const job = await cancelJob(connection, jobId);
+
+      res.json({
+        success: true,
+        message: job.status === JOB_STATUS.CANCELLED
+          ? 'Job cancelled'
+          : 'Cancel requested, the job stops at its next checkpoint',
+        job,
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    console.error('❌ Job cancel failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  JOB_STATUS,
+  enqueueJob,
+  runJob,
+  start,
+  getJob,
+  cancelJob,
+  // Route handlers
+  handleGetJob,
+  handleListJobs,
+  handleCancelJob
+};
@@ -0,0 +1,91 @@
+/**
+ * Job Types
+ * /scripts/jobs/job-types.js
+ *
+ * Job type → handler(params, job, context)
+ *   params  - the JSON stored on the job row; account IDs, never client objects
+ *   job     - progress / increment / throwIfCancelled (see job-runner.js)
+ *   context - { hubspotClient, createCustomer, getDbConnection }
+ */
+
+// Types whose handler picks up where a dead worker left off - re-queued instead of failed
+const RESUMABLE_JOB_TYPES = ['google-ads-backfill'];
+
+const JOB_TYPES = {
+  // { daysBack } or { startDate, endDate }
+  'hubspot-sync': async (params, job, context) => {
+    const hubspotSync = require('../hubspot/hubspot-sync');
+    return hubspotSync.runSyncWithSchemaCheck(context.hubspotClient, context.getDbConnection, { ...params, job });
+  },
+
+  // { syncType, account: 'all' | customer ID, days, statuses }
+  'google-ads-sync': async (params, job, context) => {
+    const gadsSync = require('../google/gads-sync');
+    const syncType = params.syncType || 'incremental';
+    const options = {
+      syncType,
+      days: parseInt(params.days) || (syncType === 'full' ? 30 : 7),
+      statuses: params.statuses,
+      job
+    };
+
+    if (!params.account || params.account === 'all') {
+      const result = await gadsSync.syncAllAccounts(context.createCustomer, context.getDbConnection, options);
+      if (!result.success) {
+        throw new Error(`${result.accounts_failed} of ${result.results.length} accounts failed`);
+      }
+      return result;
+    }
+
+    const customer = await context.createCustomer(params.account);
+    if (!customer) {
+      throw new Error(`Failed to initialize Google Ads client for account ${params.account}`);
+    }
+
+    const result = await gadsSync.syncGoogleAdsData(customer, context.getDbConnection, options);
+    if (!result.success) {
+      throw new Error(result.error || 'Google Ads sync failed');
+    }
+    return result;
+  },
+
+  // { backfills: [{ sync_id, account_id }] } - registered backfills, run one after the other
+  'google-ads-backfill': async (params, job, context) => {
+    const gadsSync = require('../google/gads-sync');
+    const backfills = params.backfills || [];
+    const results = [];
+
+    job.progress({ backfills_total: backfills.length, backfills_done: 0 });
+
+    for (const backfill of backfills) {
+      job.throwIfCancelled();
+
+      // One account failing doesn't stop the others; its windows stay checkpointed
+      try {
+        const customer = await context.createCustomer(backfill.account_id);
+        if (!customer) {
+          throw new Error('Failed to initialize Google Ads client');
+        }
+        results.push(await gadsSync.runBackfill(customer, context.getDbConnection, backfill.sync_id, job));
+      } catch (error) {
+        if (job.isCancelled()) throw error;
+        console.error(`❌ Backfill for account ${backfill.account_id} failed:`, error.message);
+        results.push({ success: false, sync_id: backfill.sync_id, account_id: backfill.account_id, error: error.message });
+      }
+
+      job.increment('backfills_done');
+    }
+
+    const failed = results.filter(r => !r.success);
+    if (failed.length > 0) {
+      throw new Error(`${failed.length} of ${backfills.length} backfills failed: ${failed.map(r => r.error).join('; ')}`);
+    }
+
+    return { success: true, backfills: results };
+  }
+};
+
+module.exports = {
+  JOB_TYPES,
+  RESUMABLE_JOB_TYPES
+};
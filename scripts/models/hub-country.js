@@ -158,7 +158,7 @@ class CountryModel {
           cr.status,
           COUNT(c.contact_id) as contact_count,
           SUM(CASE WHEN d.deal_id IS NOT NULL THEN 1 ELSE 0 END) as deals_count,
-          ROUND(AVG(d.amount), 2) as avg_deal_value
+          ROUND(AVG(COALESCE(d.amount_eur, d.amount)), 2) as avg_deal_value
         FROM country_rules cr
         LEFT JOIN hub_contacts c ON cr.country_code = c.country_code
           AND c.hubspot_created_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
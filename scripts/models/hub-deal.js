@@ -8,41 +8,6 @@ class DealModel {
     this.getDbConnection = getDbConnection;
   }
 
-  /**
-   * Ensure deals table exists
-   */
-  async ensureDealsTable() {
-    const connection = await this.getDbConnection();
-    
-    try {
-      const createTableQuery = `
-        CREATE TABLE IF NOT EXISTS hub_deals (
-          deal_id INT AUTO_INCREMENT PRIMARY KEY,
-          hubspot_deal_id VARCHAR(50) UNIQUE,
-          hubspot_contact_id VARCHAR(50),
-          dealname VARCHAR(255),
-          amount DECIMAL(12,2),
-          pipeline_stage TINYINT,
-          dealstage VARCHAR(100),
-          source VARCHAR(100),
-          createdate DATETIME,
-          lastmodifieddate DATETIME,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-          INDEX idx_hubspot_deal (hubspot_deal_id),
-          INDEX idx_contact (hubspot_contact_id),
-          INDEX idx_pipeline_stage (pipeline_stage),
-          INDEX idx_created_date (createdate)
-        )
-      `;
-      
-      await connection.execute(createTableQuery);
-      return true;
-    } finally {
-      await connection.end();
-    }
-  }
-
   /**
    * Insert or update a deal from HubSpot
    */
@@ -130,11 +95,11 @@ class DealModel {
         SELECT 
           COUNT(*) as total_deals,
           COUNT(CASE WHEN createdate >= DATE_SUB(NOW(), INTERVAL ? DAY) THEN 1 END) as recent_deals,
-          SUM(amount) as total_value,
-          SUM(CASE WHEN createdate >= DATE_SUB(NOW(), INTERVAL ? DAY) THEN amount ELSE 0 END) as recent_value,
-          AVG(amount) as average_deal_size,
+          SUM(COALESCE(amount_eur, amount)) as total_value,
+          SUM(CASE WHEN createdate >= DATE_SUB(NOW(), INTERVAL ? DAY) THEN COALESCE(amount_eur, amount) ELSE 0 END) as recent_value,
+          AVG(COALESCE(amount_eur, amount)) as average_deal_size,
           COUNT(CASE WHEN pipeline_stage = 7 THEN 1 END) as won_deals,
-          SUM(CASE WHEN pipeline_stage = 7 THEN amount ELSE 0 END) as won_value
+          SUM(CASE WHEN pipeline_stage = 7 THEN COALESCE(amount_eur, amount) ELSE 0 END) as won_value
         FROM hub_deals
       `, [days, days]);
       
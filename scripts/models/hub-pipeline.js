@@ -138,7 +138,7 @@ class PipelineModel {
           ps.stage_weight,
           COUNT(c.contact_id) as contact_count,
           COUNT(d.deal_id) as deal_count,
-          SUM(d.amount) as total_value
+          SUM(COALESCE(d.amount_eur, d.amount)) as total_value
         FROM pipeline_stages ps
         LEFT JOIN hub_contacts c ON ps.stage_id = c.pipeline_stage
           AND c.hubspot_created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
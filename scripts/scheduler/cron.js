@@ -0,0 +1,141 @@
+/**
+ * Cron Expressions
+ * /scripts/scheduler/cron.js
+ *
+ * Standard 5-field cron: minute hour day-of-month month day-of-week, evaluated in
+ * server local time. Each field takes *, numbers, ranges (1-5), lists (1,15) and
+ * steps (*\/6, 0-30/10). Day-of-week is 0-7 with both 0 and 7 meaning Sunday.
+ * As in cron, when both day fields are restricted a day matching either one runs.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Give up looking for a next run after this many years (e.g. "0 0 31 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse one field into the set of values it matches
+ */
+function parseField(value, field) {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${part}"`);
+    }
+
+    const [, range, stepValue] = match;
+    const step = stepValue ? parseInt(stepValue) : 1;
+    let start = field.min;
+    let end = field.max;
+
+    if (range !== '*') {
+      const bounds = range.split('-').map(n => parseInt(n));
+      start = bounds[0];
+      // "5/15" means 5 through the end of the field, every 15
+      end = bounds.length > 1 ? bounds[1] : (stepValue ? field.max : start);
+    }
+
+    if (step < 1 || start < field.min || end > field.max || start > end) {
+      throw new Error(`${field.name} "${part}" is out of range ${field.min}-${field.max}`);
+    }
+
+    for (let n = start; n <= end; n += step) {
+      values.add(n);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - e.g. "0 *\/6 * * *"
+ * @returns {Object} Sets of matching minutes, hours, days, months, weekdays
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day month weekday)`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // 7 is Sunday too
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    expression: parts.join(' '),
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+function matchesDay(schedule, date) {
+  const dayMatch = schedule.days.has(date.getDate());
+  const weekdayMatch = schedule.weekdays.has(date.getDay());
+
+  if (schedule.anyDay && schedule.anyWeekday) return true;
+  if (schedule.anyDay) return weekdayMatch;
+  if (schedule.anyWeekday) return dayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+/**
+ * First time strictly after `after` that the expression matches
+ * @param {string|Object} expression - Cron expression or parseCron() result
+ * @param {Date} after - Defaults to now
+ * @returns {Date}
+ */
+function getNextRun(expression, after = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  // Skip whole months / days / hours that can't match instead of walking every minute
+  while (date < limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`Cron expression "${schedule.expression}" never matches`);
+}
+
+module.exports = {
+  parseCron,
+  getNextRun
+};
@@ -0,0 +1,479 @@
+/**
+ * Sync Scheduler
+ * /scripts/scheduler/scheduler.js
+ *
+ * Runs the recurring Google Ads and HubSpot syncs from cron expressions stored in
+ * sync_schedules (seeded by migration 005), instead of an external cron hitting the
+ * sync routes.
+ *
+ * Every server process ticks once a minute, but a schedule only runs in the process
+ * that wins its lease: a single conditional UPDATE sets locked_by / locked_until, and
+ * a heartbeat keeps extending locked_until while the task runs. A crashed process
+ * stops renewing, so its lease expires and the schedule becomes runnable again.
+ *
+ * Missed runs (server down, or the previous run still going) follow catch_up_policy:
+ *   run_once - run once as soon as possible, then continue from the next slot (default)
+ *   skip     - drop the missed runs and wait for the next slot
+ */
+
+const os = require('os');
+const cron = require('./cron');
+const jobRunner = require('../jobs/job-runner');
+
+const TICK_INTERVAL_MS = 60 * 1000;
+
+// Lease length; the heartbeat renews it well before it runs out
+const LOCK_LEASE_SECONDS = 5 * 60;
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+const CATCH_UP_POLICIES = ['run_once', 'skip'];
+
+// Identifies this process in sync_schedules.locked_by
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+let ticker = null;
+let ticking = false;
+
+/**
+ * Task name → job to run: options from sync_schedules.options → { type, params }
+ * Each run is a job (see scripts/jobs), so it shows up in /jobs and can be cancelled.
+ */
+const TASKS = {
+  'google-ads-incremental': options => ({
+    type: 'google-ads-sync',
+    params: { ...options, syncType: 'incremental' }
+  }),
+  'google-ads-full': options => ({
+    type: 'google-ads-sync',
+    params: { ...options, syncType: 'full' }
+  }),
+  'hubspot-sync': options => ({
+    type: 'hubspot-sync',
+    params: { daysBack: parseInt(options.daysBack) || 1 }
+  })
+};
+
+function parseOptions(schedule) {
+  if (!schedule.options) return {};
+  try {
+    return JSON.parse(schedule.options);
+  } catch (error) {
+    throw new Error(`Schedule ${schedule.name} has invalid options JSON`);
+  }
+}
+
+/**
+ * Take the run lease for a schedule
+ * For a due run the lease and the advanced next_run_at are written in the same UPDATE,
+ * so only one process can claim each slot.
+ * @returns {boolean} Whether this process got the lease
+ */
+async function claimSchedule(connection, scheduleId, nextRunAt = null) {
+  const now = new Date();
+  const leaseUntil = new Date(now.getTime() + LOCK_LEASE_SECONDS * 1000);
+
+  const [result] = nextRunAt
+    ? await connection.execute(`
+        UPDATE sync_schedules
+        SET locked_by = ?, locked_until = ?, next_run_at = ?
+        WHERE schedule_id = ? AND is_paused = FALSE AND next_run_at <= ?
+          AND (locked_until IS NULL OR locked_until < ?)
+      `, [INSTANCE_ID, leaseUntil, nextRunAt, scheduleId, now, now])
+    : await connection.execute(`
+        UPDATE sync_schedules
+        SET locked_by = ?, locked_until = ?
+        WHERE schedule_id = ? AND (locked_until IS NULL OR locked_until < ?)
+      `, [INSTANCE_ID, leaseUntil, scheduleId, now]);
+
+  return result.affectedRows === 1;
+}
+
+/**
+ * Run a claimed schedule, renewing the lease until it finishes
+ */
+async function executeSchedule(schedule, context, trigger) {
+  const started = Date.now();
+  const task = TASKS[schedule.task];
+
+  // Renew on a separate connection so a long sync holding its own connection can't starve it
+  const heartbeat = setInterval(async () => {
+    let connection;
+    try {
+      connection = await context.getDbConnection();
+      await connection.execute(
+        'UPDATE sync_schedules SET locked_until = ? WHERE schedule_id = ? AND locked_by = ?',
+        [new Date(Date.now() + LOCK_LEASE_SECONDS * 1000), schedule.schedule_id, INSTANCE_ID]
+      );
+    } catch (error) {
+      console.error(`⚠️ Schedule ${schedule.name}: lease renewal failed:`, error.message);
+    } finally {
+      if (connection) await connection.end();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  let status = 'completed';
+  let errorMessage = null;
+  let run = null;
+
+  try {
+    console.log(`⏰ Schedule ${schedule.name} (${schedule.task}) started [${trigger}]`);
+
+    if (!task) {
+      throw new Error(`Unknown task "${schedule.task}"`);
+    }
+
+    const { type, params } = task(parseOptions(schedule));
+    run = await jobRunner.runJob(context, type, params, {
+      onStart: jobId => recordJob(context, schedule.schedule_id, jobId)
+    });
+
+    status = run.status;
+    errorMessage = run.error;
+
+    if (status === 'completed') {
+      console.log(`✅ Schedule ${schedule.name} completed in ${Math.round((Date.now() - started) / 1000)}s (job ${run.job_id})`);
+    } else {
+      console.error(`❌ Schedule ${schedule.name} ${status} (job ${run.job_id}):`, errorMessage);
+    }
+
+  } catch (error) {
+    status = 'failed';
+    errorMessage = error.message;
+    console.error(`❌ Schedule ${schedule.name} failed:`, error.message);
+
+  } finally {
+    clearInterval(heartbeat);
+
+    const connection = await context.getDbConnection();
+    try {
+      await connection.execute(`
+        UPDATE sync_schedules
+        SET last_run_at = ?, last_status = ?, last_error = ?, last_duration_ms = ?,
+            locked_by = NULL, locked_until = NULL
+        WHERE schedule_id = ? AND locked_by = ?
+      `, [new Date(started), status, errorMessage, Date.now() - started, schedule.schedule_id, INSTANCE_ID]);
+    } finally {
+      await connection.end();
+    }
+  }
+
+  return { status, error: errorMessage, job_id: run ? run.job_id : null };
+}
+
+async function recordJob(context, scheduleId, jobId) {
+  const connection = await context.getDbConnection();
+  try {
+    await connection.execute('UPDATE sync_schedules SET last_job_id = ? WHERE schedule_id = ?', [jobId, scheduleId]);
+  } finally {
+    await connection.end();
+  }
+}
+
+/**
+ * Run every due schedule this process can claim
+ * Runs one after the other so two heavy syncs never share the API quota at once. Each
+ * schedule is claimed right before it runs, so a lease never sits idle behind a long sync.
+ */
+async function tick(context) {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    let schedules;
+    const connection = await context.getDbConnection();
+    try {
+      [schedules] = await connection.execute(`
+        SELECT * FROM sync_schedules
+        WHERE is_paused = FALSE AND (next_run_at IS NULL OR next_run_at <= ?)
+        ORDER BY next_run_at, schedule_id
+      `, [new Date()]);
+    } finally {
+      await connection.end();
+    }
+
+    for (const schedule of schedules) {
+      if (await claimDueSchedule(schedule, context)) {
+        await executeSchedule(schedule, context, 'scheduled');
+      }
+    }
+
+  } catch (error) {
+    console.error('❌ Scheduler tick failed:', error.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Apply the catch-up policy and claim a due schedule
+ * @returns {boolean} Whether this process should run it now
+ */
+async function claimDueSchedule(schedule, context) {
+  let parsed;
+  try {
+    parsed = cron.parseCron(schedule.cron_expression);
+  } catch (error) {
+    console.error(`❌ Schedule ${schedule.name}: ${error.message}`);
+    return false;
+  }
+
+  const now = new Date();
+  const nextRunAt = cron.getNextRun(parsed, now);
+  const connection = await context.getDbConnection();
+
+  try {
+    // New schedule - start counting from now
+    if (!schedule.next_run_at) {
+      await connection.execute(
+        'UPDATE sync_schedules SET next_run_at = ? WHERE schedule_id = ? AND next_run_at IS NULL',
+        [nextRunAt, schedule.schedule_id]
+      );
+      return false;
+    }
+
+    const missed = cron.getNextRun(parsed, schedule.next_run_at) <= now;
+
+    if (missed && schedule.catch_up_policy === 'skip') {
+      console.log(`⏭️ Schedule ${schedule.name}: skipping missed runs since ${schedule.next_run_at.toISOString()}`);
+      await connection.execute(
+        'UPDATE sync_schedules SET next_run_at = ? WHERE schedule_id = ? AND next_run_at <= ?',
+        [nextRunAt, schedule.schedule_id, now]
+      );
+      return false;
+    }
+
+    // Still running elsewhere (or here) - stays due and is caught up once the lease is released
+    if (!(await claimSchedule(connection, schedule.schedule_id, nextRunAt))) {
+      return false;
+    }
+
+    if (missed) {
+      console.log(`🔁 Schedule ${schedule.name}: catching up run due ${schedule.next_run_at.toISOString()}`);
+    }
+    return true;
+
+  } finally {
+    await connection.end();
+  }
+}
+
+/**
+ * Start ticking (once per process)
+ * Set SCHEDULER_ENABLED=false to run a process that serves requests but never syncs.
+ * @param {Object} context - { hubspotClient, createCustomer, getDbConnection }
+ */
+function start(context) {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('⏸️ Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return false;
+  }
+  if (ticker) return true;
+
+  console.log(`⏰ Scheduler started (${INSTANCE_ID})`);
+  ticker = setInterval(() => tick(context), TICK_INTERVAL_MS);
+  tick(context);
+  return true;
+}
+
+function stop() {
+  if (ticker) {
+    clearInterval(ticker);
+    ticker = null;
+  }
+}
+
+/**
+ * All schedules with lease state
+ */
+async function listSchedules(connection) {
+  const [schedules] = await connection.execute(`
+    SELECT schedule_id, name, task, cron_expression, options, description, catch_up_policy,
+           is_paused, next_run_at, last_run_at, last_status, last_error, last_duration_ms,
+           last_job_id, locked_by, locked_until
+    FROM sync_schedules
+    ORDER BY name
+  `);
+
+  const now = new Date();
+
+  return schedules.map(schedule => {
+    let cronError = null;
+    try {
+      cron.parseCron(schedule.cron_expression);
+    } catch (error) {
+      cronError = error.message;
+    }
+
+    return {
+      ...schedule,
+      options: schedule.options ? JSON.parse(schedule.options) : {},
+      is_paused: !!schedule.is_paused,
+      running: !!(schedule.locked_until && schedule.locked_until > now),
+      cron_error: cronError
+    };
+  });
+}
+
+/**
+ * Look up a schedule by id or name
+ */
+async function findSchedule(connection, idOrName) {
+  const [rows] = await connection.execute(
+    'SELECT * FROM sync_schedules WHERE schedule_id = ? OR name = ?',
+    [parseInt(idOrName) || 0, idOrName]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Handle schedule list route
+ */
+async function handleListSchedules(req, res, getDbConnection) {
+  try {
+    const connection = await getDbConnection();
+
+    try {
+      const schedules = await listSchedules(connection);
+      res.json({
+        success: true,
+        scheduler_running: !!ticker,
+        instance: INSTANCE_ID,
+        tasks: Object.keys(TASKS),
+        catch_up_policies: CATCH_UP_POLICIES,
+        schedules,
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    console.error('❌ Schedule list failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Handle pause / resume routes
+ * Resuming starts from the next slot rather than catching up the paused period.
+ */
+async function handleSetPaused(req, res, getDbConnection, paused) {
+  try {
+    const connection = await getDbConnection();
+
+    try {
+      const schedule = await findSchedule(connection, req.params.id);
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: `Schedule ${req.params.id} not found`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const nextRunAt = paused ? schedule.next_run_at : cron.getNextRun(schedule.cron_expression);
+      await connection.execute(
+        'UPDATE sync_schedules SET is_paused = ?, next_run_at = ? WHERE schedule_id = ?',
+        [paused, nextRunAt, schedule.schedule_id]
+      );
+
+      console.log(`${paused ? '⏸️' : '▶️'} Schedule ${schedule.name} ${paused ? 'paused' : 'resumed'}`);
+
+      res.json({
+        success: true,
+        schedule: schedule.name,
+        is_paused: paused,
+        next_run_at: paused ? null : nextRunAt,
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      await connection.end();
+    }
+
+  } catch (error) {
+    console.error('❌ Schedule update failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Handle trigger route - run a schedule now, in the background
+ * Works on paused schedules too; refuses while the schedule is already running.
+ */
+async function handleTriggerSchedule(req, res, context) {
+  try {
+    const connection = await context.getDbConnection();
+    let schedule;
+
+    try {
+      schedule = await findSchedule(connection, req.params.id);
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: `Schedule ${req.params.id} not found`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (!TASKS[schedule.task]) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown task "${schedule.task}"`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (!(await claimSchedule(connection, schedule.schedule_id))) {
+        return res.status(409).json({
+          success: false,
+          error: `Schedule ${schedule.name} is already running (${schedule.locked_by})`,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } finally {
+      await connection.end();
+    }
+
+    res.json({
+      success: true,
+      schedule: schedule.name,
+      task: schedule.task,
+      message: 'Schedule triggered, running in background - see last_job_id in /admin/schedules',
+      status: 'running',
+      timestamp: new Date().toISOString()
+    });
+
+    executeSchedule(schedule, context, 'manual').catch(error => {
+      console.error(`❌ Schedule ${schedule.name} could not record its run:`, error.message);
+    });
+
+  } catch (error) {
+    console.error('❌ Schedule trigger failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  TASKS,
+  CATCH_UP_POLICIES,
+  start,
+  stop,
+  tick,
+  listSchedules,
+  // Route handlers
+  handleListSchedules,
+  handleSetPaused,
+  handleTriggerSchedule
+};